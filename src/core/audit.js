@@ -0,0 +1,222 @@
+/**
+ * GPU vs CPU Reference Audit
+ * Replays audited GPU frames thread-by-thread with the bit-exact JavaScript kernel
+ * and reports every divergence (thread counts, slot aggregates, advanced RNG state).
+ */
+import { getGenerator } from './generators.js';
+import { NUM_SLOTS, sumSlots, sumReplicates, slotIndex } from './result_layout.js';
+import { estimatorSettings } from './estimators.js';
+
+/**
+ * Evenly spaced thread sample. `sample` of 'all' (or >= threadCount) selects every thread.
+ */
+export function selectAuditThreads(threadCount, sample) {
+    if (sample === 'all' || sample >= threadCount) {
+        return Array.from({ length: threadCount }, (_, i) => i);
+    }
+    const stride = threadCount / sample;
+    return Array.from({ length: sample }, (_, i) => Math.floor(i * stride));
+}
+
+/**
+ * Compare one audited GPU frame against CPU reference results.
+ *
+ * @param {object} frame        Output of GPUManager.runAuditFrame()
+ * @param {{thread: number, inside: number, total: number}[]} reference
+ * @param {Uint32Array} referenceStates  CPU-advanced states (full buffer layout, sampled threads filled)
+ * @param {Uint32Array|null} nextStates  GPU snapshot taken before the following frame, if any
+ * @param {boolean} fullCoverage         True when every thread was replayed (enables slot checks)
+ * @param {boolean} [perSlot]            Compare each slot. The subgroup reduction credits a whole
+ *                                       subgroup to the elected lane's slot, so only the grand
+ *                                       total is defined there.
+ */
+export function compareAuditFrame(frame, reference, referenceStates, nextStates, fullCoverage, perSlot = true) {
+    const threadMismatches = [];
+    const stateMismatches = [];
+    const slotMismatches = [];
+    const words = getGenerator(frame.generator).wordsPerThread; // 0 for counter-based generators
+    const numSlots = frame.numSlots ?? NUM_SLOTS;
+    const slotOf = (thread) => slotIndex(thread, frame.replicates ?? 1, frame.workgroupSize, numSlots);
+
+    for (const ref of reference) {
+        const t = ref.thread;
+        const gpuInside = frame.counts[t * 2];
+        const gpuTotal = frame.counts[t * 2 + 1];
+        if (gpuInside !== ref.inside || gpuTotal !== ref.total) {
+            threadMismatches.push({
+                frame: frame.frame,
+                thread: t,
+                slot: slotOf(t),
+                gpu: { inside: gpuInside, total: gpuTotal },
+                cpu: { inside: ref.inside, total: ref.total }
+            });
+        }
+
+        if (nextStates) {
+            const base = t * words;
+            for (let w = 0; w < words; w++) {
+                if (nextStates[base + w] !== referenceStates[base + w]) {
+                    stateMismatches.push({ frame: frame.frame, thread: t, slot: slotOf(t) });
+                    break;
+                }
+            }
+        }
+    }
+
+    if (fullCoverage && !perSlot) {
+        const gpu = sumSlots(frame.slots);
+        const cpu = reference.reduce((acc, ref) => ({
+            inside: acc.inside + BigInt(ref.inside),
+            total: acc.total + BigInt(ref.total)
+        }), { inside: 0n, total: 0n });
+        if (gpu.inside !== cpu.inside || gpu.total !== cpu.total) {
+            slotMismatches.push({ frame: frame.frame, slot: 'all', gpu, cpu });
+        }
+    } else if (fullCoverage) {
+        const expected = Array.from({ length: numSlots }, () => ({ inside: 0n, total: 0n }));
+        for (const ref of reference) {
+            const slot = expected[slotOf(ref.thread)];
+            slot.inside += BigInt(ref.inside);
+            slot.total += BigInt(ref.total);
+        }
+        for (let i = 0; i < numSlots; i++) {
+            const gpu = frame.slots[i];
+            if (gpu.inside !== expected[i].inside || gpu.total !== expected[i].total) {
+                slotMismatches.push({
+                    frame: frame.frame,
+                    slot: i,
+                    gpu: { inside: gpu.inside, total: gpu.total },
+                    cpu: { inside: expected[i].inside, total: expected[i].total }
+                });
+            }
+        }
+    }
+
+    return {
+        frame: frame.frame,
+        threadsChecked: reference.length,
+        threadMismatches,
+        stateMismatches,
+        slotMismatches
+    };
+}
+
+export class KernelAuditor {
+    /**
+     * @param {GPUManager} gpu
+     * @param {function(): Worker} createWorker  Factory for cpu_worker.js instances
+     */
+    constructor(gpu, createWorker) {
+        this.gpu = gpu;
+        this.createWorker = createWorker;
+        this.workerCount = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+    }
+
+    /**
+     * Replay `threads` of a state snapshot on the worker pool.
+     * Returns reference counts and the CPU-advanced state buffer.
+     *
+     * @param {{generator: string, frame: number, key: number, sampleBase: bigint, workgroupSize: number,
+     *          mode: string, dimension: number, needleLength: number}} rng
+     *        generator inputs of the frame
+     */
+    async replay(states, batchSize, threads, unroll, rng) {
+        const words = getGenerator(rng.generator).wordsPerThread;
+        const advanced = states.slice();
+        const chunkSize = Math.ceil(threads.length / this.workerCount);
+        const jobs = [];
+
+        for (let w = 0; w < this.workerCount; w++) {
+            const chunk = threads.slice(w * chunkSize, (w + 1) * chunkSize);
+            if (chunk.length === 0) continue;
+
+            // Pack the chunk's states densely so only the needed bytes cross the worker boundary
+            const packed = new Uint32Array(chunk.length * words);
+            chunk.forEach((t, i) => packed.set(states.subarray(t * words, (t + 1) * words), i * words));
+
+            jobs.push(new Promise((resolve, reject) => {
+                const worker = this.createWorker();
+                worker.onmessage = (e) => {
+                    worker.terminate();
+                    const results = e.data.results.map((r) => ({ ...r, thread: chunk[r.thread] }));
+                    chunk.forEach((t, i) => advanced.set(e.data.states.subarray(i * words, (i + 1) * words), t * words));
+                    resolve(results);
+                };
+                worker.onerror = (err) => {
+                    worker.terminate();
+                    reject(err);
+                };
+                worker.postMessage({ type: 'reference', states: packed, batchSize, unroll, ...rng, threadIds: chunk }, [packed.buffer]);
+            }));
+        }
+
+        const results = (await Promise.all(jobs)).flat();
+        return { results, advanced };
+    }
+
+    /**
+     * Audit `frames` consecutive GPU frames.
+     *
+     * @param {{frames?: number, sample?: number|'all', onProgress?: function(string): void}} options
+     * @returns {Promise<object>} Summary with per-frame mismatches and the samples consumed
+     */
+    async run({ frames = 2, sample = 'all', onProgress = () => { } } = {}) {
+        const threadCount = this.gpu.totalThreads;
+        const threads = selectAuditThreads(threadCount, sample);
+        const fullCoverage = threads.length === threadCount;
+        const perSlot = !this.gpu.features?.subgroups;
+
+        const captured = [];
+        for (let f = 0; f < frames; f++) {
+            onProgress(`GPU FRAME ${f + 1}/${frames}`);
+            captured.push(await this.gpu.runAuditFrame());
+        }
+
+        const frameReports = [];
+        for (let f = 0; f < frames; f++) {
+            onProgress(`CPU REPLAY ${f + 1}/${frames}`);
+            const frame = captured[f];
+            const { results, advanced } = await this.replay(frame.states, frame.batchSize, threads, frame.unroll, {
+                generator: frame.generator, frame: frame.frame, key: frame.key,
+                sampleBase: frame.sampleBase, workgroupSize: frame.workgroupSize, ...estimatorSettings(frame)
+            });
+            const nextStates = (f + 1 < frames) ? captured[f + 1].states : null;
+            frameReports.push(compareAuditFrame(frame, results, advanced, nextStates, fullCoverage, perSlot));
+        }
+
+        // Everything the audit consumed, so the caller can keep its accumulators exact
+        let inside = 0n;
+        let total = 0n;
+        const replicateCount = captured[0]?.groups ?? captured[0]?.replicates ?? 1;
+        const replicates = replicateCount > 1 ? sumReplicates([], replicateCount) : null;
+        for (const frame of captured) {
+            inside += frame.pending.inside;
+            total += frame.pending.total;
+            const sum = sumSlots(frame.slots);
+            inside += sum.inside;
+            total += sum.total;
+            if (replicates) {
+                const frameReplicates = sumReplicates(frame.slots, replicateCount);
+                replicates.forEach((r, i) => {
+                    r.inside += frame.pending.replicates[i].inside + frameReplicates[i].inside;
+                    r.total += frame.pending.replicates[i].total + frameReplicates[i].total;
+                });
+            }
+        }
+
+        const mismatchCount = frameReports.reduce((n, r) =>
+            n + r.threadMismatches.length + r.stateMismatches.length + r.slotMismatches.length, 0);
+
+        return {
+            passed: mismatchCount === 0,
+            mismatchCount,
+            frames: frameReports,
+            threadsChecked: threads.length,
+            threadCount,
+            fullCoverage,
+            perSlot,
+            batchSize: captured[0]?.batchSize ?? 0,
+            consumed: { inside, total, replicates }
+        };
+    }
+}
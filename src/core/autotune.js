@@ -0,0 +1,191 @@
+/**
+ * Launch Auto-Tuner
+ * Searches the launch config (launch_config.js) and the batch size for the highest
+ * steady-state throughput on the current device. Each candidate is rebuilt on the
+ * engine and timed with a short BenchmarkProtocol run; the axes are tuned one after
+ * the other (coordinate descent), each starting from the best config so far:
+ *   workgroupSize -> numSlots -> threads (dispatch geometry) -> batchSize
+ * Throughput is the wall clock rate, so per-frame submit and readback overhead count
+ * like they do in the interactive loop. The batch size is not simply maximized: a
+ * bigger batch only makes frames longer once the device is saturated, so the tuner
+ * keeps the smallest batch within BATCH_TOLERANCE of the best.
+ */
+import { BenchmarkProtocol } from './benchmark.js';
+import { samplesPerIteration } from './variance_reduction.js';
+import { launchConfig, checkLaunchConfig, threadCount, dispatchForThreads, MAX_BATCH_SIZE } from './launch_config.js';
+
+export const TUNING_SPACE = {
+    workgroupSize: [64, 128, 256, 512],
+    numSlots: [256, 1024, 4096],
+    threads: [32768, 65536, 131072, 262144, 524288], // One RNG state each: seeding grows with it
+    batchSize: [64, 256, 1024, 4096, 16384]
+};
+
+export const DEFAULT_TUNING_PROTOCOL = { warmupSeconds: 0.5, measureSeconds: 1 };
+export const BATCH_TOLERANCE = 0.05;
+export const MAX_FRAME_SAMPLES = 2 ** 38; // Skip candidates whose frames risk the driver watchdog
+
+// Speed slider: position SLIDER_CENTER runs the tuned batch, every SLIDER_OCTAVE steps double it
+export const SLIDER_CENTER = 50;
+export const SLIDER_OCTAVE = 10;
+export const DEFAULT_BATCH_ANCHOR = 1024; // Slider centre before the device was tuned
+
+/**
+ * @typedef {import('./launch_config.js').LaunchConfig & {batchSize: number}} Tuning
+ */
+
+/** Batch size for a speed slider position, log scale around the tuned batch */
+export function sliderToBatch(value, anchor = DEFAULT_BATCH_ANCHOR) {
+    const batch = Math.round(anchor * 2 ** ((value - SLIDER_CENTER) / SLIDER_OCTAVE));
+    return Math.min(MAX_BATCH_SIZE, Math.max(1, batch));
+}
+
+/** Closest slider position for a batch size (inverse of sliderToBatch, unclamped) */
+export function batchToSlider(batchSize, anchor = DEFAULT_BATCH_ANCHOR) {
+    return Math.round(SLIDER_CENTER + SLIDER_OCTAVE * Math.log2(batchSize / anchor));
+}
+
+/**
+ * Smallest batch whose throughput is within `tolerance` of the best one.
+ * @param {{batchSize: number, samplesPerSec: number}[]} results
+ */
+export function pickBatch(results, tolerance = BATCH_TOLERANCE) {
+    const best = Math.max(...results.map(r => r.samplesPerSec));
+    return results
+        .filter(r => r.samplesPerSec >= best * (1 - tolerance))
+        .reduce((a, b) => (b.batchSize < a.batchSize ? b : a));
+}
+
+/**
+ * The candidates of one axis around `base`, in the order they are measured.
+ * @param {string} axis  'workgroupSize' | 'numSlots' | 'threads' | 'batchSize'
+ * @param {Tuning} base
+ * @param {number} [maxPerDimension] maxComputeWorkgroupsPerDimension of the device
+ * @returns {Tuning[]}
+ */
+export function axisCandidates(axis, base, space = TUNING_SPACE, maxPerDimension = undefined) {
+    const threads = threadCount(base);
+    switch (axis) {
+        case 'workgroupSize':
+            return space.workgroupSize.map(wg => ({ ...base, workgroupSize: wg, dispatch: dispatchForThreads(threads, wg, maxPerDimension) }));
+        case 'numSlots':
+            return space.numSlots.map(numSlots => ({ ...base, numSlots }));
+        case 'threads':
+            return space.threads.map(t => ({ ...base, dispatch: dispatchForThreads(t, base.workgroupSize, maxPerDimension) }));
+        case 'batchSize':
+            return space.batchSize.map(batchSize => ({ ...base, batchSize }));
+        default:
+            throw new RangeError(`Unknown tuning axis '${axis}'`);
+    }
+}
+
+export const TUNING_AXES = ['workgroupSize', 'numSlots', 'threads', 'batchSize'];
+
+const tuningKey = (t) => `${t.workgroupSize}/${t.numSlots}/${t.dispatch.join('x')}/${t.batchSize}`;
+
+export class AutoTuner {
+    /**
+     * @param {import('./compute_engine.js').ComputeEngine} engine
+     * @param {{space?: typeof TUNING_SPACE, warmupSeconds?: number, measureSeconds?: number}} [options]
+     */
+    constructor(engine, { space = TUNING_SPACE, ...protocol } = {}) {
+        this.engine = engine;
+        this.space = space;
+        this.protocolConfig = { ...DEFAULT_TUNING_PROTOCOL, ...protocol };
+        this.protocol = null; // BenchmarkProtocol of the candidate being measured
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.protocol?.cancel();
+    }
+
+    /** Whether the engine can run `tuning` (device limits, replicate layout, frame size) */
+    accepts(tuning) {
+        const engine = this.engine;
+        try {
+            checkLaunchConfig(launchConfig(tuning), engine.launchContext(engine.generator));
+        } catch {
+            return false;
+        }
+        return threadCount(tuning) * tuning.batchSize * samplesPerIteration(engine.varianceReduction, engine.unroll) <= MAX_FRAME_SAMPLES;
+    }
+
+    /**
+     * Tune the engine. Afterwards it runs the winner (or, when cancelled or failed, the
+     * config it started with); its statistics are reset either way.
+     * The caller must not issue frames meanwhile.
+     *
+     * @param {{onProgress?: function(string): void}} [callbacks]
+     * @returns {Promise<?{tuning: Tuning, samplesPerSec: number, baseline: {tuning: Tuning, samplesPerSec: number},
+     *           candidates: {axis: string, tuning: Tuning, samplesPerSec: number}[], timingMethod: string}>}
+     *          null if cancel() was called
+     */
+    async run({ onProgress = () => { } } = {}) {
+        const engine = this.engine;
+        const initial = { ...launchConfig(engine), batchSize: engine.simulationParams.batch_size };
+        const measured = new Map(); // tuningKey -> samples/sec
+        const candidates = [];
+        let finished = false;
+        let best = initial;
+        // One seeded expansion for every thread count of the sweep (ComputeEngine.createStates())
+        engine.reserveSeededStates(Math.max(threadCount(initial), ...this.space.threads));
+
+        const measure = async (axis, tuning, label) => {
+            const key = tuningKey(tuning);
+            if (!measured.has(key)) {
+                onProgress(label);
+                await engine.setLaunchConfig(launchConfig(tuning));
+                this.protocol = new BenchmarkProtocol(engine, {
+                    ...this.protocolConfig, batchSize: tuning.batchSize, repetitions: 1, dispatch: tuning.dispatch
+                });
+                const report = await this.protocol.run();
+                if (!report) return null;
+                measured.set(key, report.runs[0].wallSamplesPerSec);
+            }
+            const samplesPerSec = measured.get(key);
+            candidates.push({ axis, tuning, samplesPerSec });
+            return samplesPerSec;
+        };
+
+        try {
+            const baseline = { tuning: initial, samplesPerSec: await measure('baseline', initial, 'BASELINE') };
+            if (this.cancelled) return null;
+            let bestSpeed = baseline.samplesPerSec;
+
+            for (const [a, axis] of TUNING_AXES.entries()) {
+                const maxPerDimension = engine.device.limits?.maxComputeWorkgroupsPerDimension;
+                const options = axisCandidates(axis, best, this.space, maxPerDimension).filter(t => this.accepts(t));
+                const results = [];
+                for (const [i, tuning] of options.entries()) {
+                    const samplesPerSec = await measure(axis, tuning, `TUNE ${a + 1}/${TUNING_AXES.length} ${i + 1}/${options.length}`);
+                    if (samplesPerSec === null || this.cancelled) return null;
+                    results.push({ ...tuning, samplesPerSec });
+                }
+                if (results.length === 0) continue;
+                const winner = axis === 'batchSize'
+                    ? pickBatch(results)
+                    : results.reduce((x, y) => (y.samplesPerSec > x.samplesPerSec ? y : x));
+                const { samplesPerSec, ...tuning } = winner;
+                best = tuning;
+                bestSpeed = samplesPerSec;
+            }
+
+            finished = true;
+            return {
+                tuning: best,
+                samplesPerSec: bestSpeed,
+                baseline,
+                candidates,
+                timingMethod: "Wall clock (performance.now)"
+            };
+        } finally {
+            this.protocol = null;
+            const final = finished ? best : initial;
+            await engine.setLaunchConfig(launchConfig(final));
+            engine.updateParams({ batch_size: final.batchSize });
+            engine.resetStats();
+        }
+    }
+}
@@ -0,0 +1,81 @@
+import { GPUManager } from './gpu_manager.js';
+import { CPUBackend } from './cpu_backend.js';
+import { DEFAULT_GENERATOR } from './generators.js';
+
+/**
+ * Simulation Backend Contract
+ * Implemented by GPUManager (WebGPU) and CPUBackend (worker pool). App only talks to this.
+ *
+ * @typedef {object} SimulationBackend
+ * @property {string} name                 'webgpu' | 'cpu'
+ * @property {string} label                Human-readable name for the UI and reports
+ * @property {boolean} supportsAudit       Whether runAuditFrame() is available
+ * @property {boolean} supportsCheckpoint  Whether readRNGState() / restoreRun() are available (see checkpoint.js)
+ * @property {string} vizFormat            Visualization storage format ('f16' | 'f32')
+ * @property {object} simulationParams     SimParams mirror (seed, batch_size, ...)
+ * @property {number} frameCounter
+ * @property {number} totalThreads         Invocations per frame, one RNG state each (CPU: fixed 4,096)
+ * @property {number} workgroupSize
+ * @property {number} numSlots             Result slots (see result_layout.js)
+ * @property {[number, number]} dispatch   Workgroups per frame for runFrame() (see launch_config.js)
+ * @property {string} generator            PRNG family id (see generators.js)
+ * @property {function(number|null): void} setSeed
+ * @property {function(string): Promise<void>} setGenerator  Switches the PRNG and resets the statistics
+ * @property {string} mode                 Estimator id (see estimators.js)
+ * @property {number} dimension            Hypersphere dimension (see hypersphere.js)
+ * @property {number} needleLength         Buffon needle length (see buffon.js)
+ * @property {string} varianceReduction    Sampling of the 2D circle (see variance_reduction.js)
+ * @property {function(): number} replicateGroups  Replicates per readback, 1 for none (see estimators.js)
+ * @property {function(object): Promise<void>} setEstimator  Switches (some of) the estimator settings and resets the statistics
+ * @property {function(number): Promise<void>} setDimension  Switches the dimension and resets the statistics
+ * @property {function(object): void} updateParams
+ * @property {function(number=): number} effectiveBatchSize  Iterations a frame runs for a batch_size (CPU: at most 256)
+ * @property {function(number, number, object): Promise<{inside: bigint, total: bigint}>} runFrame
+ * @property {function(): Promise<void>} flush     Resolves when all issued frames have retired
+ * @property {function(): void} resetStats
+ */
+
+/**
+ * A clean copy of `canvas` in its place: a canvas keeps the first context type it
+ * handed out, so the CPU scatter cannot draw on one that was configured for WebGPU.
+ */
+function replaceCanvas(canvas) {
+    const fresh = canvas.cloneNode(false);
+    canvas.replaceWith(fresh);
+    return fresh;
+}
+
+/**
+ * WebGPU when it initializes, otherwise the CPU backend.
+ * preference 'webgpu' disables the fallback (errors propagate); 'cpu' skips WebGPU.
+ * A failed WebGPU attempt releases its device; if it got as far as the canvas, the CPU
+ * backend draws on a fresh canvas in its place.
+ *
+ * @param {{canvas: HTMLCanvasElement, shaderSources: object, createWorker: function(): Worker,
+ *          createScatter: function(HTMLCanvasElement): object, seed: number|null, generator?: string,
+ *          estimator?: Partial<import('./estimators.js').EstimatorSettings>, threads?: number,
+ *          preference?: 'auto'|'webgpu'|'cpu', onFallback?: function(Error): void}} options
+ *        threads: WebGPU thread count (the CPU backend keeps its own)
+ * @returns {Promise<SimulationBackend>}
+ */
+export async function createBackend({ canvas, shaderSources, createWorker, createScatter, seed, generator = DEFAULT_GENERATOR, estimator = {}, threads, preference = 'auto', onFallback = () => { } }) {
+    if (preference !== 'cpu') {
+        const gpu = new GPUManager();
+        try {
+            gpu.setSeed(seed);
+            await gpu.init(canvas, shaderSources, { generator, ...estimator, threads });
+            return gpu;
+        } catch (e) {
+            gpu.device?.destroy();
+            if (preference === 'webgpu') throw e;
+            console.warn("⚠️ WebGPU unavailable, falling back to CPU backend:", e);
+            if (gpu.renderAttachment?.context) canvas = replaceCanvas(canvas);
+            onFallback(e);
+        }
+    }
+
+    const cpu = new CPUBackend({ createWorker, scatter: createScatter(canvas), generator, ...estimator });
+    cpu.setSeed(seed);
+    await cpu.init();
+    return cpu;
+}
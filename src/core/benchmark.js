@@ -0,0 +1,218 @@
+/**
+ * Benchmark Protocol
+ * Warm-up, then N timed repetitions on any SimulationBackend, with summary
+ * statistics across repetitions. No DOM access beyond requestAnimationFrame pacing.
+ *
+ * Per repetition:
+ *   1. Sync frame with readback: retires the queue and zeroes the result buffer
+ *   2. Measure: fire-and-forget frames (no readback) until measureSeconds elapse
+ *   3. flush() + one final readback frame: the exact count of every measured sample
+ * The kernel timer (timestamp-query) is armed only for step 2-3, so GPU time and
+ * sample counts cover the same dispatches.
+ */
+import { DEFAULT_LAUNCH_CONFIG } from './launch_config.js';
+import { studentTQuantile } from './statistics.js';
+
+export const FLOPS_PER_SAMPLE = 15;
+
+export const DEFAULT_BENCHMARK_CONFIG = {
+    warmupSeconds: 10,
+    measureSeconds: 10,
+    // 5,000 iter * 8 samples * 32,768 threads = 1.3B samples/frame
+    batchSize: 5000,
+    repetitions: 1,
+    dispatch: DEFAULT_LAUNCH_CONFIG.dispatch // BenchmarkProtocol runs the backend's own dispatch unless given one
+};
+
+/**
+ * Summary statistics of a sample. stdDev is the sample (n-1) deviation; ci95 is
+ * the t-based confidence interval of the mean, null for fewer than 2 values.
+ *
+ * @param {number[]} values
+ * @returns {{n: number, mean: number, median: number, min: number, max: number,
+ *           stdDev: number, ci95: [number, number]|null}}
+ */
+export function summarize(values) {
+    const n = values.length;
+    if (n === 0) return { n: 0, mean: NaN, median: NaN, min: NaN, max: NaN, stdDev: NaN, ci95: null };
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((acc, v) => acc + v, 0) / n;
+    const median = n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    const variance = n > 1 ? sorted.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1) : 0;
+    const stdDev = Math.sqrt(variance);
+
+    let ci95 = null;
+    if (n > 1) {
+        const half = studentTQuantile(0.975, n - 1) * stdDev / Math.sqrt(n);
+        ci95 = [mean - half, mean + half];
+    }
+
+    return { n, mean, median, min: sorted[0], max: sorted[n - 1], stdDev, ci95 };
+}
+
+/**
+ * Validate and fill a partial protocol config.
+ * @throws {RangeError} on non-positive durations, batch size or repetition count
+ */
+export function resolveBenchmarkConfig(config = {}) {
+    const resolved = { ...DEFAULT_BENCHMARK_CONFIG, ...config };
+    if (!(resolved.warmupSeconds >= 0)) throw new RangeError(`Invalid warm-up duration: ${resolved.warmupSeconds}`);
+    if (!(resolved.measureSeconds > 0)) throw new RangeError(`Invalid measurement duration: ${resolved.measureSeconds}`);
+    if (!Number.isInteger(resolved.batchSize) || resolved.batchSize <= 0) {
+        throw new RangeError(`Invalid batch size: ${resolved.batchSize}`);
+    }
+    if (!Number.isInteger(resolved.repetitions) || resolved.repetitions <= 0) {
+        throw new RangeError(`Invalid repetition count: ${resolved.repetitions}`);
+    }
+    return resolved;
+}
+
+const nextFrame = () => new Promise(resolve => {
+    if (typeof requestAnimationFrame === 'function') requestAnimationFrame(() => resolve());
+    else setTimeout(resolve, 0);
+});
+
+export class BenchmarkProtocol {
+    /**
+     * @param {import('./backend.js').SimulationBackend} backend
+     * @param {Partial<typeof DEFAULT_BENCHMARK_CONFIG>} [config]
+     * @param {{onProgress?: (status: {phase: string, repetition: number, remaining: number}) => void}} [callbacks]
+     */
+    constructor(backend, config = {}, { onProgress = null } = {}) {
+        this.backend = backend;
+        this.config = resolveBenchmarkConfig({ dispatch: [...backend.dispatch], ...config });
+        this.onProgress = onProgress;
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    progress(phase, repetition, remaining = 0) {
+        if (this.onProgress) this.onProgress({ phase, repetition, remaining });
+    }
+
+    frame(options) {
+        const [dX, dY] = this.config.dispatch;
+        return this.backend.runFrame(dX, dY, options);
+    }
+
+    /**
+     * Run the whole protocol. The caller must not issue frames meanwhile.
+     * @returns {Promise<object|null>} report, or null if cancel() was called
+     */
+    async run() {
+        const { warmupSeconds, batchSize, repetitions } = this.config;
+        const savedBatch = this.backend.simulationParams.batch_size;
+        this.backend.updateParams({ batch_size: batchSize });
+
+        try {
+            // Phase 1: Warm-up (clocks, shader caches, queue depth)
+            const warmupStart = performance.now();
+            let elapsed = 0;
+            while ((elapsed = (performance.now() - warmupStart) / 1000) < warmupSeconds) {
+                if (this.cancelled) return null;
+                this.progress('warmup', 0, warmupSeconds - elapsed);
+                await this.frame({ render: false, readback: true });
+                await nextFrame();
+            }
+            console.log("🚀 Warmup Complete. Measuring started.");
+
+            // Phase 2: Repetitions
+            const runs = [];
+            for (let r = 1; r <= repetitions; r++) {
+                const run = await this.measure(r);
+                if (run === null) return null;
+                runs.push(run);
+            }
+
+            return this.buildReport(runs);
+        } finally {
+            const timer = this.backend.timer;
+            if (timer) timer.enabled = false;
+            this.backend.updateParams({ batch_size: savedBatch });
+        }
+    }
+
+    async measure(repetition) {
+        const { measureSeconds } = this.config;
+        const timer = this.backend.timer ?? null;
+
+        this.progress('sync', repetition);
+        await this.backend.flush();
+        await this.frame({ render: false, readback: true, sync: true }); // Zero the result buffer
+
+        if (timer) {
+            timer.reset();
+            timer.enabled = true;
+        }
+        const start = performance.now();
+
+        let elapsed = 0;
+        while ((elapsed = (performance.now() - start) / 1000) < measureSeconds) {
+            if (this.cancelled) return null;
+            this.progress('measure', repetition, measureSeconds - elapsed);
+            await this.frame({ render: false, readback: false, sync: false });
+            await nextFrame();
+        }
+
+        // Stop issuing, then take the final photo once every sample retired
+        this.progress('finalize', repetition);
+        await this.backend.flush();
+        const counts = await this.frame({ render: false, readback: true, sync: true });
+        const wallSeconds = (performance.now() - start) / 1000;
+
+        let kernelTiming = null;
+        if (timer) {
+            await timer.settle();
+            timer.enabled = false;
+            const summary = timer.summary();
+            if (summary.dispatches > 0) kernelTiming = summary;
+        }
+
+        const inside = BigInt(counts.inside);
+        const total = BigInt(counts.total);
+        const wallSamplesPerSec = Number(total) / wallSeconds;
+        const gpuSeconds = kernelTiming ? kernelTiming.estimatedTotalNs / 1e9 : null;
+
+        // Prefer true kernel time; wall clock also contains queue latency and rAF jitter
+        const samplesPerSec = kernelTiming ? Number(total) / gpuSeconds : wallSamplesPerSec;
+
+        return {
+            repetition,
+            inside,
+            total,
+            replicates: counts.replicates ?? null, // Per-replicate counts (quasi-random generators)
+            wallSeconds,
+            gpuSeconds,
+            timingMethod: kernelTiming ? "GPU timestamp-query" : "Wall clock (performance.now)",
+            kernelTiming,
+            wallSamplesPerSec,
+            samplesPerSec,
+            gflops: (samplesPerSec * FLOPS_PER_SAMPLE) / 1e9
+        };
+    }
+
+    buildReport(runs) {
+        const inside = runs.reduce((acc, r) => acc + r.inside, 0n);
+        const total = runs.reduce((acc, r) => acc + r.total, 0n);
+        const methods = new Set(runs.map(r => r.timingMethod));
+        const replicates = runs[0].replicates?.map((_, i) => ({
+            inside: runs.reduce((acc, r) => acc + r.replicates[i].inside, 0n),
+            total: runs.reduce((acc, r) => acc + r.replicates[i].total, 0n)
+        })) ?? null;
+
+        return {
+            config: { ...this.config },
+            runs,
+            inside,
+            total,
+            replicates,
+            timingMethod: methods.size === 1 ? runs[0].timingMethod : "Mixed",
+            samplesPerSec: summarize(runs.map(r => r.samplesPerSec)),
+            gflops: summarize(runs.map(r => r.gflops))
+        };
+    }
+}
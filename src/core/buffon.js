@@ -0,0 +1,64 @@
+/**
+ * Buffon's Needle
+ * Needles of length l dropped on lines spaced t = 1 apart (short needle, l <= t) cross a
+ * line with probability p = 2l/π, so the ratio estimator over N needles with C crossings is
+ *   π̂ = 2l·N / C
+ * and the delta method gives SE(π̂) = π·sqrt((1 - p)/(p·N)).
+ *
+ * Each needle takes three uniforms: the centre's offset y in the strip between two lines
+ * and a direction (vx, vy) drawn from the unit square and accepted inside the quarter disk,
+ * so the angle is uniform without using π. It crosses when the distance to the nearest
+ * line, d = min(y, 1 - y), is at most (l/2)·sin θ, tested without a square root as
+ *   (2d)²·r² <= (l·vy)²,   r² = vx² + vy²
+ * Rejected directions are not needles: N counts accepted ones only (about π/4 of the draws).
+ * Pure functions, no DOM access.
+ */
+
+export const MIN_NEEDLE_LENGTH = 0.1;
+export const MAX_NEEDLE_LENGTH = 1; // The line spacing: longer needles need the long-needle formula
+export const DEFAULT_NEEDLE_LENGTH = 1;
+
+// Needle view (render.wgsl, ScatterCanvas): the first VIZ_NEEDLES threads' last needles,
+// spread over VIZ_STRIPS strips between VIZ_STRIPS + 1 ruled lines
+export const VIZ_NEEDLES = 4096;
+export const VIZ_STRIPS = 4;
+
+/**
+ * The needle length the kernel uses (rounded to f32).
+ * @param {number} length in units of the line spacing
+ * @returns {number}
+ * @throws {RangeError} unless length is in [MIN_NEEDLE_LENGTH, MAX_NEEDLE_LENGTH]
+ */
+export function checkNeedleLength(length) {
+    if (!(length >= MIN_NEEDLE_LENGTH && length <= MAX_NEEDLE_LENGTH)) {
+        throw new RangeError(`Needle length must be in [${MIN_NEEDLE_LENGTH}, ${MAX_NEEDLE_LENGTH}] line spacings, got ${length}`);
+    }
+    return Math.fround(length);
+}
+
+/**
+ * f32 needle length as an exact dyadic fraction.
+ * @returns {{numerator: bigint, denominator: bigint}}
+ */
+export function needleFraction(length) {
+    const l = checkNeedleLength(length);
+    const SCALE = 2 ** 32; // l >= 0.1 has at most 24 significant bits, all above 2^-32
+    return { numerator: BigInt(l * SCALE), denominator: BigInt(SCALE) };
+}
+
+/** p = 2l/π: probability that an accepted needle crosses a line */
+export function crossingProbability(length) {
+    return 2 * checkNeedleLength(length) / Math.PI;
+}
+
+/** π̂ from the observed crossing ratio C/N (0 without crossings, like piFromHitRatio) */
+export function piFromCrossingRatio(ratio, length) {
+    if (!(ratio > 0)) return 0;
+    return 2 * checkNeedleLength(length) / ratio;
+}
+
+/** Variance of π̂ per needle, N·SE² = π²·(1 - p)/p */
+export function perNeedleVariance(length) {
+    const p = crossingProbability(length);
+    return Math.PI ** 2 * (1 - p) / p;
+}
@@ -0,0 +1,214 @@
+/**
+ * Run Checkpoints
+ * A long interactive run lives in two places: the BigInt accumulators of the app and the
+ * RNG state buffer on the GPU. A checkpoint holds both, plus the frame and sample
+ * counters and everything that shapes the sample stream (generator, key, estimator,
+ * launch config), so a restored run continues bit for bit where it stopped
+ * (ComputeEngine.restoreRun()).
+ * Each run (identified by runId) autosaves its latest checkpoint to IndexedDB
+ * (CheckpointStore keeps the last MAX_SAVED_RUNS runs, so a reload that starts a new run
+ * does not overwrite the one it interrupted); a checkpoint can also be exported as a JSON
+ * file with the states in base64. A format version and a CRC-32 over the header and the
+ * state words reject corrupted, truncated or foreign files.
+ */
+import { ObjectStore } from './idb.js';
+
+export const CHECKPOINT_FORMAT = "montecarlo-pi-checkpoint";
+export const CHECKPOINT_VERSION = 1;
+export const CHECKPOINT_INTERVAL_SECONDS = 60;
+
+const DB_NAME = "montecarlo-pi-checkpoints";
+const DB_VERSION = 1;
+const STORE = "checkpoints";
+const MAX_SAVED_RUNS = 3;
+
+/**
+ * @typedef {object} Checkpoint
+ * @property {string} format              CHECKPOINT_FORMAT
+ * @property {number} version             CHECKPOINT_VERSION
+ * @property {string} createdAt
+ * @property {string} runId               Checkpoints of one run share it (the store keeps one per run)
+ * @property {{generator: string, seed: ?number, key: number, unroll: number, batchSize: number,
+ *             estimator: import('./estimators.js').EstimatorSettings,
+ *             launch: import('./launch_config.js').LaunchConfig}} config
+ * @property {{frame: number, sampleBase: string, inside: string, total: string,
+ *             replicates: ?{inside: string, total: string}[]}} progress  BigInts as decimal strings
+ * @property {Uint32Array} states          RNG state buffer (generators.js layout)
+ * @property {number} checksum            CRC-32 of the header and the state bytes
+ */
+
+let crcTable = null;
+
+/** CRC-32 (IEEE 802.3) of `bytes`, continuing from `crc` */
+export function crc32(bytes, crc = 0) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return ~c >>> 0;
+}
+
+const stateBytes = (states) => new Uint8Array(states.buffer, states.byteOffset, states.byteLength);
+
+/** Everything but the states and the checksum, in a fixed key order */
+function header({ format, version, createdAt, runId, config, progress }) {
+    return JSON.stringify({ format, version, createdAt, runId, config, progress });
+}
+
+function checksumOf(checkpoint) {
+    return crc32(stateBytes(checkpoint.states), crc32(new TextEncoder().encode(header(checkpoint))));
+}
+
+/**
+ * @param {{runId: string, config: Checkpoint['config'], states: Uint32Array, frame: number, sampleBase: bigint,
+ *          inside: bigint, total: bigint, replicates: ?{inside: bigint, total: bigint}[]}} run
+ * @returns {Checkpoint}
+ */
+export function createCheckpoint({ runId, config, states, frame, sampleBase, inside, total, replicates }) {
+    const checkpoint = {
+        format: CHECKPOINT_FORMAT,
+        version: CHECKPOINT_VERSION,
+        createdAt: new Date().toISOString(),
+        runId,
+        config,
+        progress: {
+            frame,
+            sampleBase: sampleBase.toString(),
+            inside: inside.toString(),
+            total: total.toString(),
+            replicates: replicates ? replicates.map(r => ({ inside: r.inside.toString(), total: r.total.toString() })) : null
+        },
+        states
+    };
+    checkpoint.checksum = checksumOf(checkpoint);
+    return checkpoint;
+}
+
+/**
+ * Reject checkpoints of another format or version and ones whose checksum does not match.
+ * @returns {Checkpoint} checkpoint
+ * @throws {RangeError}
+ */
+export function checkCheckpoint(checkpoint) {
+    if (checkpoint?.format !== CHECKPOINT_FORMAT) {
+        throw new RangeError("Not a Monte Carlo π checkpoint");
+    }
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+        throw new RangeError(`Checkpoint format version ${checkpoint.version} is not supported (expected ${CHECKPOINT_VERSION})`);
+    }
+    if (!(checkpoint.states instanceof Uint32Array) || checksumOf(checkpoint) !== checkpoint.checksum) {
+        throw new RangeError("Checkpoint checksum mismatch: the file is corrupted or was modified");
+    }
+    return checkpoint;
+}
+
+/** Counters of a checkpoint with the BigInts parsed back */
+export function checkpointProgress({ progress }) {
+    return {
+        frame: progress.frame,
+        sampleBase: BigInt(progress.sampleBase),
+        inside: BigInt(progress.inside),
+        total: BigInt(progress.total),
+        replicates: progress.replicates?.map(r => ({ inside: BigInt(r.inside), total: BigInt(r.total) })) ?? null
+    };
+}
+
+function toBase64(bytes) {
+    const CHUNK_SIZE = 32768; // Keeps String.fromCharCode below the argument limit
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    if (binary.length % 4 !== 0) throw new RangeError("Checkpoint states are truncated");
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Uint32Array(bytes.buffer);
+}
+
+/** Checkpoint as a JSON file (states in base64, little-endian words) */
+export function toCheckpointFile(checkpoint) {
+    return JSON.stringify({ ...checkpoint, states: toBase64(stateBytes(checkpoint.states)) }, null, 2);
+}
+
+/**
+ * Parse and verify a checkpoint file.
+ * @returns {Checkpoint}
+ * @throws {RangeError} for malformed, corrupted or unsupported files
+ */
+export function parseCheckpointFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new RangeError("Checkpoint file is not valid JSON");
+    }
+    if (typeof data?.states !== "string") throw new RangeError("Not a Monte Carlo π checkpoint");
+    let states;
+    try {
+        states = fromBase64(data.states);
+    } catch (e) {
+        throw e instanceof RangeError ? e : new RangeError("Checkpoint states are not valid base64");
+    }
+    return checkCheckpoint({ ...data, states });
+}
+
+/** Autosaved checkpoints, the latest one of each of the last MAX_SAVED_RUNS runs */
+export class CheckpointStore extends ObjectStore {
+    /**
+     * @param {IDBFactory} [indexedDB]
+     */
+    constructor(indexedDB = globalThis.indexedDB) {
+        super({
+            name: DB_NAME,
+            version: DB_VERSION,
+            store: STORE,
+            upgrade: (db) => {
+                const store = db.createObjectStore(STORE, { keyPath: "runId" });
+                store.createIndex("createdAt", "createdAt");
+            }
+        }, indexedDB);
+    }
+
+    /**
+     * Replace the checkpoint of its run and drop the runs beyond MAX_SAVED_RUNS. Pruning
+     * reads run ids through the createdAt index only: the states stay on disk.
+     */
+    async save(checkpoint) {
+        await this.transaction("readwrite", store => store.put(checkpoint));
+        const runIds = await this.transaction("readonly", store => store.index("createdAt").getAllKeys()); // Oldest first
+        for (const runId of runIds.slice(0, -MAX_SAVED_RUNS)) {
+            await this.delete(runId);
+        }
+    }
+
+    /** Saved checkpoints as stored (unverified, see checkCheckpoint()), newest first */
+    async list() {
+        const all = await this.transaction("readonly", store => store.index("createdAt").getAll());
+        return all.reverse();
+    }
+
+    /**
+     * The saved checkpoint worth resuming: the one with the most samples among other runs
+     * than `currentRunId`, or null.
+     */
+    async resumable(currentRunId) {
+        const others = (await this.list()).filter(c => c.runId !== currentRunId);
+        if (others.length === 0) return null;
+        return others.reduce((a, b) => (BigInt(b.progress.total) > BigInt(a.progress.total) ? b : a));
+    }
+
+    delete(runId) {
+        return this.transaction("readwrite", store => store.delete(runId));
+    }
+}
@@ -0,0 +1,873 @@
+import { DEFAULT_GENERATOR, getGenerator } from './generators.js';
+import { BufferUsage, ShaderStage, MapMode } from './webgpu_constants.js';
+import { resultBufferSize, decodeSlots, sumSlots, sumReplicates } from './result_layout.js';
+import { VIZ_FORMATS, selectVisualizationFormat } from './viz_format.js';
+import { composeShader } from './shader_preprocessor.js';
+import { GPUTimer } from './gpu_timer.js';
+import { checkEstimator, estimatorSettings, estimatorModel, sameEstimator, replicateGroups } from './estimators.js';
+import { STRATA_GRID, MEAN_VALUE_SCALE } from './variance_reduction.js';
+import { launchConfig, checkLaunchConfig, sameLaunchConfig, threadCount, dispatchForThreads } from './launch_config.js';
+
+const AUDIT_BYTES_PER_THREAD = 8; // vec2<u32> (inside, total)
+
+/**
+ * Headless Monte Carlo Compute Engine
+ * Owns the device, buffers and compute pipeline. No DOM access: the adapter/device
+ * can come from navigator.gpu, a Node WebGPU binding, or a test stand-in.
+ * Rendering is an optional attachment (see RenderAttachment).
+ */
+export class ComputeEngine {
+    /**
+     * @param {{gpu?: GPU}} [options] GPU entry point used when init() is not given an adapter/device
+     */
+    constructor(options = {}) {
+        this.name = "webgpu";
+        this.label = "WebGPU";
+        this.supportsAudit = true;
+        this.supportsCheckpoint = true;
+        this.gpu = options.gpu ?? globalThis.navigator?.gpu ?? null;
+        this.adapter = null;
+        this.device = null;
+        this.renderer = null;
+        this.features = { subgroups: false, f16: false, timestampQuery: false };
+        this.timer = null; // GPUTimer when 'timestamp-query' is available
+        this.vizFormat = null; // 'f16' | 'f32', fixed at pipeline creation
+        this.pipelines = {};
+        this.buffers = {};
+        this.bindGroups = {};
+        this.simulationParams = {
+            seed: 0,
+            global_time: 0,
+            batch_size: 64, // 64 loops * 8 samples = 512 samples per thread
+            write_threshold: 0,
+            audit_enabled: 0,
+            sample_base: 0n // 64-bit index of the frame's first point (quasi-random generators)
+        };
+        this.frameCounter = 0;
+        this.nextSampleBase = 0n;
+        this.isReading = false;
+        this.lastResult = { inside: 0n, total: 0n, replicates: null };
+
+        // Settings (workgroupSize, numSlots and dispatch are the launch config, see launch_config.js)
+        this.applyLaunchConfig(launchConfig());
+        this.unroll = 2; // Sample pairs per lane per iteration (must match cpu_reference.js)
+        this.maxVisualPoints = 1048576;
+
+        // RNG State Management (layout depends on the generator, see generators.js)
+        // One state per invocation: totalThreads follows the dispatch (applyLaunchConfig)
+        this.rngStateBuffer = null;
+        this.seededStates = null; // {id, threads, states, key} of the largest seeded expansion (reused by resetStats)
+        this.rngSeed = null; // null = crypto-random (non-reproducible)
+        this.generator = DEFAULT_GENERATOR;
+        this.rngKey = 0; // Key uploaded with the last state (Philox key / seed)
+        this.shaderSources = null;
+        this.applyEstimator(estimatorSettings()); // mode, dimension, needleLength, varianceReduction (see estimators.js)
+    }
+
+    /**
+     * Acquire a device (unless injected) and build all compute resources.
+     *
+     * @param {{shaderSources: {simulation: string, rng: Object<string, string>}, adapter?: GPUAdapter,
+     *          device?: GPUDevice, vizFormat?: 'f16'|'f32', generator?: string,
+     *          mode?: string, dimension?: number, needleLength?: number, varianceReduction?: string,
+     *          threads?: number}} options
+     *        vizFormat defaults to f16 when the device has shader-f16; rng maps generator id -> WGSL;
+     *        threads (a power of two) sets the dispatch, see dispatchForThreads() in launch_config.js
+     */
+    async init({
+        shaderSources, adapter = null, device = null, vizFormat = null, generator = this.generator,
+        mode = this.mode, dimension = this.dimension, needleLength = this.needleLength,
+        varianceReduction = this.varianceReduction, threads = this.totalThreads
+    }) {
+        this.generator = getGenerator(generator).id;
+        this.applyEstimator(checkEstimator(getGenerator(this.generator), { mode, dimension, needleLength, varianceReduction }));
+        this.shaderSources = shaderSources;
+        if (!device) {
+            adapter = adapter ?? await this.requestAdapter();
+            device = await this.requestDevice(adapter);
+        }
+        this.adapter = adapter;
+        this.device = device;
+        this.features.subgroups = this.device.features?.has("subgroups") ?? false;
+        this.features.f16 = this.device.features?.has("shader-f16") ?? false;
+        this.features.timestampQuery = this.device.features?.has("timestamp-query") ?? false;
+
+        const maxPerDimension = this.device.limits?.maxComputeWorkgroupsPerDimension;
+        this.applyLaunchConfig(checkLaunchConfig(
+            { ...launchConfig(this), dispatch: dispatchForThreads(threads, this.workgroupSize, maxPerDimension) },
+            this.launchContext(this.generator)
+        ));
+
+        this.vizFormat = vizFormat ?? selectVisualizationFormat(this.device.features);
+        if (this.vizFormat === "f16" && !this.features.f16) {
+            throw new Error("Visualization format 'f16' requested but the device lacks 'shader-f16'.");
+        }
+        this.label = `WebGPU (${this.vizFormat})`;
+        if (this.vizFormat === "f32") {
+            console.warn("⚠️ shader-f16 unavailable. Using f32 visualization buffers.");
+        }
+
+        await this.createResources();
+        await this.initSimulationPipeline(this.features.subgroups, shaderSources);
+        console.log("WebGPU Initialized. Recommended Adapter:", adapter?.info);
+    }
+
+    async requestAdapter() {
+        if (!this.gpu) {
+            throw new Error("WebGPU not supported on this browser.");
+        }
+
+        console.log("🔍 Attempting to request WebGPU Adapter...");
+
+        // Strategy 1: High-Performance
+        let adapter = await this.gpu.requestAdapter({
+            powerPreference: "high-performance"
+        });
+
+        // Strategy 2: Default
+        if (!adapter) {
+            console.warn("⚠️ High-performance adapter locked or not found. Retrying with default...");
+            adapter = await this.gpu.requestAdapter();
+        }
+
+        // Strategy 3: Fallback (Software or low-power if allowed)
+        if (!adapter) {
+            console.warn("🚨 All standard GPU adapters are locked. Attempting emergency fallback adapter...");
+            adapter = await this.gpu.requestAdapter({
+                forceFallbackAdapter: true
+            });
+        }
+
+        if (!adapter) {
+            const platformInfo = globalThis.navigator?.userAgent ?? "unknown";
+            throw new Error(`CRITICAL: WebGPU Context Provider is DEADLOCKED. 
+            GPU Process has hung after extreme Blackwell Benchmarking.
+            User Agent: ${platformInfo}
+            ACTION REQUIRED: Please FULLY RESTART THE BROWSER (Close all tabs).`);
+        }
+        return adapter;
+    }
+
+    async requestDevice(adapter) {
+        // Check features
+        const requiredFeatures = [];
+        if (adapter.features.has("shader-f16")) {
+            requiredFeatures.push("shader-f16");
+        }
+
+        // Enable Subgroups if available
+        if (adapter.features.has("subgroups")) {
+            requiredFeatures.push("subgroups");
+            console.log("🚀 Subgroups feature detected! Enabling Extreme Mode.");
+        }
+
+        // Kernel timing for the benchmark (falls back to wall clock without it)
+        if (adapter.features.has("timestamp-query")) {
+            requiredFeatures.push("timestamp-query");
+        }
+
+        // The RNG state buffer grows with the thread count: ask for what the adapter offers
+        const requiredLimits = {};
+        for (const name of ["maxStorageBufferBindingSize", "maxBufferSize"]) {
+            if (adapter.limits?.[name]) requiredLimits[name] = adapter.limits[name];
+        }
+
+        return adapter.requestDevice({
+            requiredFeatures: requiredFeatures,
+            requiredLimits: requiredLimits
+        });
+    }
+
+    /**
+     * Attach (or detach with null) an optional renderer. It must expose encode(commandEncoder)
+     * and may expose rebuild(), called when the estimator changes the shader defines.
+     */
+    attachRenderer(renderer) {
+        this.renderer = renderer;
+    }
+
+    async createResources() {
+        // 1. Buffers for SoA Visualization (f16, or f32 fallback)
+        // Size: maxVisualPoints * 2 bytes (f16) / 4 bytes (f32)
+        // WGSL array<f16> stride is 2 bytes, so both sizes stay 4-byte aligned.
+        const vizBufferSize = this.maxVisualPoints * VIZ_FORMATS[this.vizFormat].bytesPerPoint;
+
+        this.buffers.outX = this.device.createBuffer({
+            size: vizBufferSize,
+            usage: BufferUsage.STORAGE | BufferUsage.VERTEX,
+            label: "OutputBufferX"
+        });
+
+        this.buffers.outY = this.device.createBuffer({
+            size: vizBufferSize,
+            usage: BufferUsage.STORAGE | BufferUsage.VERTEX,
+            label: "OutputBufferY"
+        });
+
+        // 2. Result Buffer + staging buffers, sized by numSlots
+        this.createResultBuffers();
+
+        this.buffers.uniform = this.device.createBuffer({
+            size: 32, // SimParams: 5 x u32 + padding
+            usage: BufferUsage.UNIFORM | BufferUsage.COPY_DST,
+            label: "SimParamsUniform"
+        });
+
+        // 5. RNG State Buffer (+ audit snapshot), sized for the selected generator
+        this.createRNGStateBuffers();
+
+        // 6. Audit Buffers (per-thread counts)
+        this.createAuditCountBuffers();
+
+        if (this.features.timestampQuery) {
+            this.timer = new GPUTimer(this.device);
+        }
+
+        this.uploadRNGState();
+    }
+
+    /**
+     * Result slots (numSlots * 16 bytes, 16384 for the default 1024) and their
+     * staging buffers for the readback and the audit.
+     */
+    createResultBuffers() {
+        this.buffers.result?.destroy();
+        this.buffers.readback?.destroy();
+        this.buffers.auditResultReadback?.destroy();
+
+        const size = resultBufferSize(this.numSlots);
+        this.buffers.result = this.device.createBuffer({
+            size,
+            usage: BufferUsage.STORAGE | BufferUsage.COPY_SRC | BufferUsage.COPY_DST,
+            label: "ResultBuffer"
+        });
+        this.buffers.readback = this.device.createBuffer({
+            size,
+            usage: BufferUsage.MAP_READ | BufferUsage.COPY_DST,
+            label: "ReadbackBuffer"
+        });
+        this.buffers.auditResultReadback = this.device.createBuffer({
+            size,
+            usage: BufferUsage.MAP_READ | BufferUsage.COPY_DST,
+            label: "AuditResultReadback"
+        });
+    }
+
+    /** Per-thread audit counts (vec2<u32>) and their staging buffer */
+    createAuditCountBuffers() {
+        this.buffers.auditCounts?.destroy();
+        this.buffers.auditCountsReadback?.destroy();
+
+        this.buffers.auditCounts = this.device.createBuffer({
+            size: this.totalThreads * AUDIT_BYTES_PER_THREAD,
+            usage: BufferUsage.STORAGE | BufferUsage.COPY_SRC,
+            label: "AuditCountsBuffer"
+        });
+        this.buffers.auditCountsReadback = this.device.createBuffer({
+            size: this.buffers.auditCounts.size,
+            usage: BufferUsage.MAP_READ | BufferUsage.COPY_DST,
+            label: "AuditCountsReadback"
+        });
+    }
+
+    /**
+     * RNG state buffer and its audit snapshot. wordsPerThread u32 per thread
+     * (16 for Xoshiro128++, 0 for counter-based Philox; WebGPU needs a non-empty binding).
+     */
+    createRNGStateBuffers() {
+        this.buffers.rngState?.destroy();
+        this.buffers.auditStateReadback?.destroy();
+
+        const rngBufferSize = Math.max(16, this.totalThreads * getGenerator(this.generator).wordsPerThread * 4);
+        this.buffers.rngState = this.device.createBuffer({
+            size: rngBufferSize,
+            usage: BufferUsage.STORAGE | BufferUsage.COPY_SRC | BufferUsage.COPY_DST,
+            label: "RNGStateBuffer"
+        });
+        this.buffers.auditStateReadback = this.device.createBuffer({
+            size: rngBufferSize,
+            usage: BufferUsage.MAP_READ | BufferUsage.COPY_DST,
+            label: "AuditStateReadback"
+        });
+    }
+
+    /**
+     * Switch the PRNG family: rebuilds the state buffers and the simulation pipeline,
+     * then restarts the statistics. The caller must not have a runFrame() in flight.
+     *
+     * @param {string} id key of GENERATORS
+     */
+    async setGenerator(id) {
+        const generator = getGenerator(id);
+        if (generator.id === this.generator) return;
+        checkEstimator(generator, estimatorSettings(this));
+        checkLaunchConfig(launchConfig(this), this.launchContext(generator.id));
+
+        this.generator = generator.id;
+        this.createRNGStateBuffers();
+        await this.initSimulationPipeline(this.features.subgroups, this.shaderSources);
+        this.resetStats();
+        console.log(`🎲 Generator switched to ${generator.label}`);
+    }
+
+    /**
+     * Switch the estimator (mode, hypersphere dimension, needle length): rebuilds the
+     * simulation pipeline and the renderer, then restarts the statistics.
+     * The caller must not have a runFrame() in flight.
+     *
+     * @param {Partial<import('./estimators.js').EstimatorSettings>} changes merged into the current settings
+     * @throws {RangeError} for invalid settings or ones the generator cannot sample
+     */
+    async setEstimator(changes) {
+        const current = estimatorSettings(this);
+        const settings = checkEstimator(getGenerator(this.generator), { ...current, ...changes });
+        if (sameEstimator(settings, current)) return;
+
+        this.applyEstimator(settings);
+        await this.initSimulationPipeline(this.features.subgroups, this.shaderSources);
+        this.renderer?.rebuild?.();
+        this.resetStats();
+        console.log(`📐 Estimator set to ${estimatorModel(settings).label}`);
+    }
+
+    /**
+     * Switch the hypersphere dimension, see setEstimator().
+     * @param {number} dimension
+     */
+    setDimension(dimension) {
+        return this.setEstimator({ dimension });
+    }
+
+    applyEstimator({ mode, dimension, needleLength, varianceReduction }) {
+        this.mode = mode;
+        this.dimension = dimension;
+        this.needleLength = needleLength;
+        this.varianceReduction = varianceReduction;
+    }
+
+    /** Slot groups read back as separate replicates, see replicateGroups() in estimators.js */
+    replicateGroups() {
+        return replicateGroups(getGenerator(this.generator), estimatorSettings(this));
+    }
+
+    /**
+     * Change the launch config (workgroup size, slot count, dispatch geometry): rebuilds the
+     * RNG state, audit and result buffers as needed and the simulation pipeline, then
+     * restarts the statistics (re-seeding every thread).
+     * The caller must not have a runFrame() in flight.
+     *
+     * @param {Partial<import('./launch_config.js').LaunchConfig>} changes merged into the current config
+     * @throws {RangeError} for configs the replicate layout or device limits reject
+     */
+    async setLaunchConfig(changes) {
+        const current = launchConfig(this);
+        const config = checkLaunchConfig(launchConfig({ ...current, ...changes }), this.launchContext(this.generator));
+        if (sameLaunchConfig(config, current)) return;
+
+        this.applyLaunchConfig(config);
+        if (this.totalThreads !== threadCount(current)) {
+            this.createRNGStateBuffers();
+            this.createAuditCountBuffers();
+        }
+        if (config.numSlots !== current.numSlots) this.createResultBuffers();
+        await this.initSimulationPipeline(this.features.subgroups, this.shaderSources);
+        this.resetStats();
+        console.log(`⚙️ Launch config: ${config.dispatch.join(' x ')} workgroups x ${config.workgroupSize} = ${this.totalThreads.toLocaleString()} threads, ${config.numSlots} slots`);
+    }
+
+    /**
+     * Switch the thread count, keeping the workgroup size (see dispatchForThreads()).
+     * @param {number} threads power of two
+     */
+    setThreadCount(threads) {
+        const maxPerDimension = this.device.limits?.maxComputeWorkgroupsPerDimension;
+        return this.setLaunchConfig({ dispatch: dispatchForThreads(threads, this.workgroupSize, maxPerDimension) });
+    }
+
+    applyLaunchConfig(config) {
+        this.workgroupSize = config.workgroupSize;
+        this.numSlots = config.numSlots;
+        this.dispatch = config.dispatch;
+        this.totalThreads = threadCount(config);
+    }
+
+    /** checkLaunchConfig() context for this device and a generator */
+    launchContext(generatorId) {
+        const generator = getGenerator(generatorId);
+        return {
+            replicates: generator.replicates,
+            bytesPerThread: Math.max(generator.wordsPerThread * 4, AUDIT_BYTES_PER_THREAD),
+            limits: this.device?.limits ?? null
+        };
+    }
+
+    /**
+     * Select the RNG seed. A Number gives a reproducible SplitMix64 + jump-ahead
+     * expansion; null keeps crypto.getRandomValues seeding.
+     * Takes effect at the next resetStats() (or createResources()).
+     */
+    setSeed(seed) {
+        this.rngSeed = (seed === null || seed === undefined) ? null : (seed >>> 0);
+        this.simulationParams.seed = this.rngSeed ?? 0;
+    }
+
+    /**
+     * (Re)initialize every thread's generator state on the GPU and upload its key.
+     */
+    uploadRNGState() {
+        const { states, key } = this.createStates();
+
+        if (states.length > 0) {
+            this.device.queue.writeBuffer(this.buffers.rngState, 0, states);
+        }
+        this.rngKey = key;
+        this.updateParams({ seed: key });
+    }
+
+    /**
+     * Initial generator states for every thread. A seeded expansion is deterministic but
+     * costs a jump-ahead per thread, so the last one is kept for the next reset. A thread's
+     * state does not depend on the thread count, so a larger expansion also serves every
+     * smaller count (see reserveSeededStates()).
+     */
+    createStates() {
+        const generator = getGenerator(this.generator);
+        if (this.rngSeed === null) return generator.createStates(null, this.totalThreads);
+
+        const { states, key } = this.seededStatesFor(this.totalThreads);
+        return { states: states.subarray(0, this.totalThreads * generator.wordsPerThread), key };
+    }
+
+    /**
+     * Expand the seeded states of `threads` threads ahead of a sweep over thread counts
+     * up to it (AutoTuner), so the sweep slices one expansion. No-op without a seed.
+     */
+    reserveSeededStates(threads) {
+        if (this.rngSeed !== null) this.seededStatesFor(threads);
+    }
+
+    seededStatesFor(threads) {
+        const generator = getGenerator(this.generator);
+        const id = `${generator.id}/${this.rngSeed}`;
+        if (this.seededStates?.id !== id || this.seededStates.threads < threads) {
+            this.seededStates = { id, threads, ...generator.createStates(this.rngSeed, threads) };
+        }
+        return this.seededStates;
+    }
+
+    /**
+     * Defines shared by every shader built for this engine (see shader_preprocessor.js).
+     */
+    shaderDefines() {
+        return {
+            VIZ_F16: this.vizFormat === "f16",
+            SUBGROUPS: this.features.subgroups,
+            WORKGROUP_SIZE: this.workgroupSize,
+            NUM_SLOTS: this.numSlots,
+            UNROLL: this.unroll,
+            REPLICATES: getGenerator(this.generator).replicates,
+            DIMENSION: this.dimension,
+            EXTRA_DIMENSIONS: this.dimension - 2,
+            BUFFON: this.mode === "buffon",
+            NEEDLE_LENGTH: String(Math.fround(this.needleLength)),
+            VARIANCE_REDUCTION: this.varianceReduction,
+            STRATA_GRID: STRATA_GRID,
+            MEAN_VALUE_SCALE: MEAN_VALUE_SCALE
+        };
+    }
+
+    async initSimulationPipeline(useSubgroups, shaderSources) {
+        // Fixed-point mean values fill most of a thread's u32, a subgroup sum would wrap
+        useSubgroups = useSubgroups && this.varianceReduction !== "meanvalue";
+        if (useSubgroups) {
+            console.log("🛠️ Building Blackwell Subgroup Optimization variant...");
+        }
+        const simCode = composeShader(shaderSources.simulation, {
+            defines: { ...this.shaderDefines(), SUBGROUPS: useSubgroups },
+            injections: { RNG: shaderSources.rng[this.generator] }
+        });
+
+        const simulationModule = this.device.createShaderModule({
+            label: `Simulation Shader (${this.generator})`,
+            code: simCode
+        });
+
+        // Bind Group Layout 0: Static Storage
+        this.bindGroupLayouts = {};
+        this.bindGroupLayouts.static = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // out_x
+                { binding: 1, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // out_y
+                { binding: 2, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // result
+                { binding: 3, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // rng_state
+                { binding: 4, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }  // audit_counts
+            ]
+        });
+
+        // Bind Group Layout 1: Dynamic Uniforms
+        this.bindGroupLayouts.dynamic = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: ShaderStage.COMPUTE, buffer: { type: "uniform" } }
+            ]
+        });
+
+        this.pipelines.compute = this.device.createComputePipeline({
+            layout: this.device.createPipelineLayout({
+                bindGroupLayouts: [this.bindGroupLayouts.static, this.bindGroupLayouts.dynamic]
+            }),
+            compute: {
+                module: simulationModule,
+                entryPoint: "main"
+            }
+        });
+
+        // --- Create Bind Groups ---
+        // Static Compute BG
+        this.bindGroups.computeStatic = this.device.createBindGroup({
+            layout: this.bindGroupLayouts.static,
+            entries: [
+                { binding: 0, resource: { buffer: this.buffers.outX } },
+                { binding: 1, resource: { buffer: this.buffers.outY } },
+                { binding: 2, resource: { buffer: this.buffers.result } },
+                { binding: 3, resource: { buffer: this.buffers.rngState } },
+                { binding: 4, resource: { buffer: this.buffers.auditCounts } }
+            ]
+        });
+
+        // Dynamic Compute BG
+        this.bindGroups.computeDynamic = this.device.createBindGroup({
+            layout: this.bindGroupLayouts.dynamic,
+            entries: [
+                { binding: 0, resource: { buffer: this.buffers.uniform } }
+            ]
+        });
+    }
+
+    updateParams(newParams) {
+        Object.assign(this.simulationParams, newParams);
+
+        // Upload to Uniform Buffer
+        const uniformData = new Uint32Array([
+            this.simulationParams.seed,
+            this.simulationParams.global_time,
+            this.simulationParams.batch_size,
+            this.simulationParams.write_threshold,
+            this.simulationParams.audit_enabled,
+            Number(BigInt.asUintN(32, this.simulationParams.sample_base)),
+            Number(BigInt.asUintN(32, this.simulationParams.sample_base >> 32n)),
+            0
+        ]);
+        this.device.queue.writeBuffer(this.buffers.uniform, 0, uniformData);
+    }
+
+    /** Iterations a frame runs for `batchSize`: all of them (see CPUBackend) */
+    effectiveBatchSize(batchSize = this.simulationParams.batch_size) {
+        return batchSize;
+    }
+
+    /**
+     * Advance the per-frame uniforms: global_time and the sample base. Each replicate
+     * consumes the points of invocations / REPLICATES invocations per frame.
+     */
+    beginFrame(invocations, newParams = {}) {
+        const { batch_size } = this.simulationParams;
+        const threadsPerReplicate = invocations / getGenerator(this.generator).replicates;
+        const sampleBase = this.nextSampleBase;
+        this.nextSampleBase += BigInt(threadsPerReplicate * batch_size * 4 * this.unroll);
+        this.frameCounter++;
+        this.updateParams({ ...newParams, global_time: this.frameCounter, sample_base: sampleBase });
+    }
+
+    /**
+     * @param {number} dispatchCountX
+     * @param {number} dispatchCountY  dX·dY·workgroupSize must not exceed totalThreads (one RNG state each)
+     * @param {{render?: boolean, readback?: boolean, sync?: boolean}} [options]
+     * @throws {RangeError} for a dispatch larger than the thread count
+     */
+    async runFrame(dispatchCountX, dispatchCountY, options = { render: true, readback: true }) {
+        const invocations = dispatchCountX * dispatchCountY * this.workgroupSize;
+        if (invocations > this.totalThreads) {
+            throw new RangeError(`Dispatch ${dispatchCountX} x ${dispatchCountY} x ${this.workgroupSize} exceeds the ${this.totalThreads} RNG states`);
+        }
+        this.beginFrame(invocations);
+
+        const commandEncoder = this.device.createCommandEncoder();
+
+        // 1. Compute Pass (Always active, timestamped while the timer is enabled)
+        const timing = this.timer?.begin() ?? null;
+        const computePass = commandEncoder.beginComputePass(timing ? { timestampWrites: timing.timestampWrites } : {});
+        computePass.setPipeline(this.pipelines.compute);
+        computePass.setBindGroup(0, this.bindGroups.computeStatic);
+        computePass.setBindGroup(1, this.bindGroups.computeDynamic);
+        computePass.dispatchWorkgroups(dispatchCountX, dispatchCountY);
+        computePass.end();
+        if (timing) this.timer.resolve(commandEncoder, timing);
+
+        // 2. Render Pass (optional attachment)
+        if (options.render && this.renderer) {
+            this.renderer.encode(commandEncoder);
+        }
+
+        // --- CRITICAL FIX: Safe Readback Handling ---
+        // If readback is requested AND we are not already waiting for a previous one
+        if (options.readback && !this.isReading) {
+            // Check mapping state to avoid "Buffer used in submit while mapped" error
+            // Unfortunately WebGPU doesn't have a synchronous "isMapped" check, 
+            // so we rely on our 'isReading' flag which MUST be perfectly managed.
+
+            commandEncoder.copyBufferToBuffer(
+                this.buffers.result, 0,
+                this.buffers.readback, 0,
+                this.buffers.result.size
+            );
+
+            // Clear Result for next cycle
+            commandEncoder.clearBuffer(this.buffers.result);
+
+            this.device.queue.submit([commandEncoder.finish()]);
+            if (timing) this.timer.collect(timing);
+
+            // Start async readback
+            this.isReading = true;
+            try {
+                await this.buffers.readback.mapAsync(MapMode.READ);
+                const resultData = new Uint32Array(this.buffers.readback.getMappedRange());
+
+                const slots = this.decodeSlots(resultData);
+                const { inside: totalInside, total: totalTotal } = this.sumSlots(slots);
+                const groups = this.replicateGroups();
+
+                this.buffers.readback.unmap();
+                this.lastResult = {
+                    inside: totalInside,
+                    total: totalTotal,
+                    replicates: groups > 1 ? sumReplicates(slots, groups) : null
+                };
+                return this.lastResult;
+            } catch (e) {
+                console.warn("Readback failed or aborted:", e);
+                return this.lastResult;
+            } finally {
+                this.isReading = false;
+            }
+        } else {
+            // Normal case: Just compute
+            this.device.queue.submit([commandEncoder.finish()]);
+            if (timing) this.timer.collect(timing);
+
+            // Optional: Wait for GPU to finish work if sync is requested (but no data read)
+            if (options.sync) {
+                await this.device.queue.onSubmittedWorkDone();
+            }
+
+            return this.lastResult;
+        }
+    }
+
+    /**
+     * Headless entry point: run `frames` frames and return their exact counts.
+     * Discards samples of any earlier frames that were not read back.
+     *
+     * @param {{frames?: number, batchSize?: number, dispatch?: [number, number]}} options
+     *        dispatch defaults to the launch config (one invocation per RNG state).
+     * @returns {Promise<{inside: bigint, total: bigint, replicates: ?{inside: bigint, total: bigint}[],
+     *           frames: number, batchSize: number}>}
+     */
+    async run({ frames = 1, batchSize = this.simulationParams.batch_size, dispatch = null } = {}) {
+        const [dX, dY] = dispatch ?? this.dispatch;
+        this.updateParams({ batch_size: batchSize });
+
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.clearBuffer(this.buffers.result);
+        this.device.queue.submit([commandEncoder.finish()]);
+
+        // 64-bit slots accumulate across frames; read once at the end
+        let result = this.lastResult;
+        for (let f = 0; f < frames; f++) {
+            result = await this.runFrame(dX, dY, { render: false, readback: f === frames - 1 });
+        }
+
+        return { inside: result.inside, total: result.total, replicates: result.replicates, frames, batchSize };
+    }
+
+    decodeSlots(resultData) {
+        return decodeSlots(resultData);
+    }
+
+    sumSlots(slots) {
+        return sumSlots(slots);
+    }
+
+    /**
+     * Resolves once every submitted frame has retired on the device.
+     */
+    flush() {
+        return this.device.queue.onSubmittedWorkDone();
+    }
+
+    /**
+     * Audit Mode: run one synchronized frame with exactly one invocation per RNG state
+     * and capture everything needed to replay it on the CPU.
+     * The caller must not have a runFrame() in flight.
+     *
+     * @returns {Promise<{frame: number, batchSize: number, unroll: number, generator: string,
+     *           mode: string, dimension: number, needleLength: number, varianceReduction: string,
+     *           key: number, sampleBase: bigint, replicates: number, groups: number, workgroupSize: number,
+     *           numSlots: number,
+     *           states: Uint32Array, counts: Uint32Array,
+     *           slots: {inside: bigint, total: bigint}[],
+     *           pending: {inside: bigint, total: bigint, replicates: ?{inside: bigint, total: bigint}[]}}>}
+     *          replicates is the REPLICATES define (slot layout), groups the replicateGroups() of the readback
+     */
+    async runAuditFrame() {
+        this.beginFrame(this.totalThreads, { audit_enabled: 1 });
+
+        const commandEncoder = this.device.createCommandEncoder();
+
+        // Move pending samples out, so the result buffer holds only this frame
+        commandEncoder.copyBufferToBuffer(this.buffers.result, 0, this.buffers.readback, 0, this.buffers.result.size);
+        commandEncoder.copyBufferToBuffer(this.buffers.rngState, 0, this.buffers.auditStateReadback, 0, this.buffers.rngState.size);
+        commandEncoder.clearBuffer(this.buffers.result);
+
+        const computePass = commandEncoder.beginComputePass();
+        computePass.setPipeline(this.pipelines.compute);
+        computePass.setBindGroup(0, this.bindGroups.computeStatic);
+        computePass.setBindGroup(1, this.bindGroups.computeDynamic);
+        computePass.dispatchWorkgroups(...this.dispatch);
+        computePass.end();
+
+        commandEncoder.copyBufferToBuffer(this.buffers.result, 0, this.buffers.auditResultReadback, 0, this.buffers.result.size);
+        commandEncoder.copyBufferToBuffer(this.buffers.auditCounts, 0, this.buffers.auditCountsReadback, 0, this.buffers.auditCounts.size);
+        commandEncoder.clearBuffer(this.buffers.result);
+        this.device.queue.submit([commandEncoder.finish()]);
+
+        this.isReading = true;
+        try {
+            await Promise.all([
+                this.buffers.readback.mapAsync(MapMode.READ),
+                this.buffers.auditStateReadback.mapAsync(MapMode.READ),
+                this.buffers.auditCountsReadback.mapAsync(MapMode.READ),
+                this.buffers.auditResultReadback.mapAsync(MapMode.READ)
+            ]);
+
+            const pendingSlots = this.decodeSlots(new Uint32Array(this.buffers.readback.getMappedRange()));
+            const replicates = getGenerator(this.generator).replicates;
+            const groups = this.replicateGroups();
+            const pending = {
+                ...this.sumSlots(pendingSlots),
+                replicates: groups > 1 ? sumReplicates(pendingSlots, groups) : null
+            };
+            const states = new Uint32Array(this.buffers.auditStateReadback.getMappedRange()).slice();
+            const counts = new Uint32Array(this.buffers.auditCountsReadback.getMappedRange()).slice();
+            const slots = this.decodeSlots(new Uint32Array(this.buffers.auditResultReadback.getMappedRange()));
+
+            this.buffers.readback.unmap();
+            this.buffers.auditStateReadback.unmap();
+            this.buffers.auditCountsReadback.unmap();
+            this.buffers.auditResultReadback.unmap();
+
+            return {
+                frame: this.frameCounter,
+                batchSize: this.simulationParams.batch_size,
+                unroll: this.unroll,
+                generator: this.generator,
+                ...estimatorSettings(this),
+                key: this.rngKey,
+                sampleBase: this.simulationParams.sample_base,
+                replicates,
+                groups,
+                workgroupSize: this.workgroupSize,
+                numSlots: this.numSlots,
+                states,
+                counts,
+                slots,
+                pending // Samples dispatched before the audit frame (not yet read back)
+            };
+        } finally {
+            this.isReading = false;
+            this.updateParams({ audit_enabled: 0 });
+        }
+    }
+
+    /**
+     * Copy of the RNG state buffer for a checkpoint (checkpoint.js).
+     * The caller must not have a runFrame() in flight.
+     * @returns {Promise<Uint32Array>} totalThreads·wordsPerThread words
+     */
+    async readRNGState() {
+        const words = this.totalThreads * getGenerator(this.generator).wordsPerThread;
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(this.buffers.rngState, 0, this.buffers.auditStateReadback, 0, this.buffers.rngState.size);
+        this.device.queue.submit([commandEncoder.finish()]);
+
+        this.isReading = true;
+        try {
+            await this.buffers.auditStateReadback.mapAsync(MapMode.READ);
+            const states = new Uint32Array(this.buffers.auditStateReadback.getMappedRange()).slice(0, words);
+            this.buffers.auditStateReadback.unmap();
+            return states;
+        } finally {
+            this.isReading = false;
+        }
+    }
+
+    /**
+     * Continue a checkpointed run: rebuild for its generator, estimator and launch config,
+     * upload its generator states and key and restore the frame and sample counters, so
+     * the next frame draws exactly what the checkpointed run would have drawn.
+     * The caller must not have a runFrame() in flight.
+     *
+     * @param {{generator: string, seed: ?number, key: number, unroll: number,
+     *          estimator: import('./estimators.js').EstimatorSettings,
+     *          launch: import('./launch_config.js').LaunchConfig,
+     *          states: Uint32Array, frame: number, sampleBase: bigint}} run
+     * @throws {RangeError} for a run this kernel or device cannot continue
+     */
+    async restoreRun({ generator: id, seed, key, unroll, estimator, launch, states, frame, sampleBase }) {
+        const generator = getGenerator(id);
+        if (unroll !== this.unroll) {
+            throw new RangeError(`The run was sampled with UNROLL = ${unroll}, this kernel uses ${this.unroll}`);
+        }
+        const settings = checkEstimator(generator, estimatorSettings(estimator));
+        const config = checkLaunchConfig(launchConfig(launch), this.launchContext(generator.id));
+        const words = threadCount(config) * generator.wordsPerThread;
+        if (states.length !== words) {
+            throw new RangeError(`${states.length} state words do not fit ${threadCount(config)} ${generator.label} threads (${words} words)`);
+        }
+
+        const current = { generator: this.generator, estimator: estimatorSettings(this), launch: launchConfig(this) };
+        this.generator = generator.id;
+        this.applyEstimator(settings);
+        this.applyLaunchConfig(config);
+        if (generator.id !== current.generator || this.totalThreads !== threadCount(current.launch)) this.createRNGStateBuffers();
+        if (this.totalThreads !== threadCount(current.launch)) this.createAuditCountBuffers();
+        if (config.numSlots !== current.launch.numSlots) this.createResultBuffers();
+        await this.initSimulationPipeline(this.features.subgroups, this.shaderSources);
+        if (!sameEstimator(settings, current.estimator)) this.renderer?.rebuild?.();
+
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.clearBuffer(this.buffers.result);
+        this.device.queue.submit([commandEncoder.finish()]);
+        if (words > 0) this.device.queue.writeBuffer(this.buffers.rngState, 0, states);
+        this.setSeed(seed);
+        this.rngKey = key;
+        this.frameCounter = frame;
+        this.nextSampleBase = sampleBase;
+        this.lastResult = { inside: 0n, total: 0n, replicates: null };
+        this.updateParams({ seed: key, global_time: frame });
+        console.log(`⏪ Restored ${generator.label} run at frame ${frame} (${this.totalThreads.toLocaleString()} threads)`);
+    }
+
+    resetStats() {
+        // Clear result buffer
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.clearBuffer(this.buffers.result);
+        this.device.queue.submit([commandEncoder.finish()]);
+        this.frameCounter = 0;
+        this.nextSampleBase = 0n;
+        this.lastResult = { inside: 0n, total: 0n, replicates: null }; // Reset internal BIGINT cache
+
+        // Rewind generators so frame N always sees the same streams for a given seed
+        this.uploadRNGState();
+    }
+}
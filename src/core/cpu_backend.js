@@ -0,0 +1,221 @@
+import { DEFAULT_GENERATOR, getGenerator } from './generators.js';
+import { SAMPLES_PER_ITERATION } from './cpu_reference.js';
+import { checkEstimator, estimatorSettings, estimatorModel, sameEstimator, replicateGroups } from './estimators.js';
+import { NUM_SLOTS, SLOT_WORDS, decodeSlots, sumSlots, sumReplicates, accumulateSlot, slotIndex } from './result_layout.js';
+
+/**
+ * Pure-JavaScript CPU Backend
+ * Same generator streams and f32 estimators as simulation.wgsl (via cpu_reference.js),
+ * spread over a worker pool. Results land in the same 1024-slot layout, so thread t
+ * here produces exactly what GPU thread t produces for the same seed.
+ */
+export class CPUBackend {
+    /**
+     * @param {{createWorker: function(): Worker, workerCount?: number, scatter?: {draw: function},
+     *          generator?: string, mode?: string, dimension?: number, needleLength?: number,
+     *          varianceReduction?: string}} options
+     */
+    constructor({ createWorker, workerCount = null, scatter = null, generator = DEFAULT_GENERATOR, ...estimator }) {
+        this.createWorker = createWorker;
+        this.workerCount = workerCount ?? Math.max(1, (globalThis.navigator?.hardwareConcurrency || 2) - 1);
+        this.scatter = scatter;
+
+        this.name = "cpu";
+        this.label = `CPU backend (${this.workerCount} workers)`;
+        this.supportsAudit = false;
+        this.supportsCheckpoint = false;
+        this.vizFormat = "f32"; // Float32Array scatter points
+
+        this.simulationParams = {
+            seed: 0,
+            global_time: 0,
+            batch_size: 64,
+            write_threshold: 0,
+            audit_enabled: 0,
+            sample_base: 0n
+        };
+        this.frameCounter = 0;
+        this.nextSampleBase = 0n;
+        this.isReading = false;
+        this.lastResult = { inside: 0n, total: 0n, replicates: null };
+
+        // Far fewer "threads" than the GPU: 4,096 x 256 iterations x 8 = 8.4M samples per frame max
+        this.workgroupSize = 256;
+        this.numSlots = NUM_SLOTS;
+        this.totalThreads = 4096;
+        this.dispatch = [this.totalThreads / this.workgroupSize, 1]; // Reported only, see runFrame()
+        this.maxBatchSize = 256; // Keeps a frame short, see effectiveBatchSize()
+        this.rngSeed = null;
+        this.generator = getGenerator(generator).id;
+        this.rngKey = 0;
+        this.applyEstimator(checkEstimator(getGenerator(this.generator), estimatorSettings(estimator)));
+
+        this.workers = [];
+        this.ranges = [];
+        this.result = new Uint32Array(NUM_SLOTS * SLOT_WORDS);
+        this.pointsX = new Float32Array(this.totalThreads);
+        this.pointsY = new Float32Array(this.totalThreads);
+        this.queue = Promise.resolve(); // Serializes frames and state uploads
+    }
+
+    async init() {
+        const perWorker = Math.ceil(this.totalThreads / this.workerCount);
+        for (let w = 0; w < this.workerCount; w++) {
+            const start = w * perWorker;
+            const end = Math.min(this.totalThreads, start + perWorker);
+            if (start >= end) break;
+            this.workers.push(this.createWorker());
+            this.ranges.push({ start, end });
+        }
+        await this.uploadRNGState();
+        console.log(`🧮 CPU backend initialized: ${this.workers.length} workers, ${this.totalThreads} threads.`);
+    }
+
+    /**
+     * Request/response round trip with one worker.
+     */
+    call(worker, message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            worker.onmessage = (e) => resolve(e.data);
+            worker.onerror = (err) => reject(err);
+            worker.postMessage(message, transfer);
+        });
+    }
+
+    setSeed(seed) {
+        this.rngSeed = (seed === null || seed === undefined) ? null : (seed >>> 0);
+        this.simulationParams.seed = this.rngSeed ?? 0;
+    }
+
+    /**
+     * Switch the PRNG family (see generators.js) and restart the statistics.
+     */
+    async setGenerator(id) {
+        const generator = getGenerator(id);
+        if (generator.id === this.generator) return;
+        checkEstimator(generator, estimatorSettings(this));
+        this.generator = generator.id;
+        this.resetStats();
+        await this.queue;
+    }
+
+    /**
+     * Switch (some of) the estimator settings (see estimators.js) and restart the statistics.
+     */
+    async setEstimator(changes) {
+        const current = estimatorSettings(this);
+        const settings = checkEstimator(getGenerator(this.generator), { ...current, ...changes });
+        if (sameEstimator(settings, current)) return;
+        this.applyEstimator(settings);
+        this.resetStats();
+        await this.queue;
+        console.log(`📐 Estimator set to ${estimatorModel(settings).label}`);
+    }
+
+    setDimension(dimension) {
+        return this.setEstimator({ dimension });
+    }
+
+    applyEstimator({ mode, dimension, needleLength, varianceReduction }) {
+        this.mode = mode;
+        this.dimension = dimension;
+        this.needleLength = needleLength;
+        this.varianceReduction = varianceReduction;
+    }
+
+    /** Same contract as ComputeEngine.replicateGroups() */
+    replicateGroups() {
+        return replicateGroups(getGenerator(this.generator), estimatorSettings(this));
+    }
+
+    uploadRNGState() {
+        const generator = getGenerator(this.generator);
+        const { states, key } = generator.createStates(this.rngSeed, this.totalThreads);
+        const words = generator.wordsPerThread;
+        this.rngKey = key;
+        this.simulationParams.seed = key;
+
+        const upload = this.queue.then(() => Promise.all(this.workers.map((worker, w) => {
+            const { start, end } = this.ranges[w];
+            const slice = states.slice(start * words, end * words);
+            return this.call(worker, {
+                type: 'init', states: slice, generator: generator.id, start, count: end - start, key,
+                workgroupSize: this.workgroupSize, ...estimatorSettings(this)
+            }, [slice.buffer]);
+        })));
+        this.queue = upload.catch(() => { });
+        return upload;
+    }
+
+    updateParams(newParams) {
+        Object.assign(this.simulationParams, newParams);
+    }
+
+    /**
+     * Iterations a frame actually runs for `batchSize`: one worker call per frame keeps
+     * the GPU stream layout, so larger batches are clamped to maxBatchSize.
+     */
+    effectiveBatchSize(batchSize = this.simulationParams.batch_size) {
+        return Math.min(batchSize, this.maxBatchSize);
+    }
+
+    /**
+     * Same contract as ComputeEngine.runFrame(). Dispatch geometry is ignored: every
+     * resident thread runs once, with batch_size clamped (see effectiveBatchSize()).
+     */
+    async runFrame(dispatchCountX, dispatchCountY, options = { render: true, readback: true }) {
+        this.frameCounter++;
+        this.simulationParams.global_time = this.frameCounter;
+        const batchSize = this.effectiveBatchSize();
+        const frameIndex = this.frameCounter;
+        const replicates = getGenerator(this.generator).replicates;
+        const sampleBase = this.nextSampleBase;
+        this.nextSampleBase += BigInt((this.totalThreads / replicates) * batchSize * SAMPLES_PER_ITERATION);
+        this.simulationParams.sample_base = sampleBase;
+
+        const frame = this.queue.then(async () => {
+            const replies = await Promise.all(this.workers.map(worker => this.call(worker, {
+                type: 'frame', batchSize, frame: frameIndex, sampleBase
+            })));
+
+            replies.forEach((reply, w) => {
+                const { start } = this.ranges[w];
+                for (let i = 0; i < reply.inside.length; i++) {
+                    const thread = start + i;
+                    accumulateSlot(this.result, slotIndex(thread, replicates, this.workgroupSize), reply.inside[i], reply.total[i]);
+                    this.pointsX[thread] = reply.lastX[i];
+                    this.pointsY[thread] = reply.lastY[i];
+                }
+            });
+        });
+        this.queue = frame.catch(() => { });
+        await frame;
+
+        if (options.render && this.scatter) {
+            this.scatter.draw(this.pointsX, this.pointsY, estimatorSettings(this));
+        }
+
+        if (options.readback) {
+            const slots = decodeSlots(this.result);
+            const groups = this.replicateGroups();
+            this.lastResult = {
+                ...sumSlots(slots),
+                replicates: groups > 1 ? sumReplicates(slots, groups) : null
+            };
+            this.result.fill(0);
+        }
+        return this.lastResult;
+    }
+
+    flush() {
+        return this.queue;
+    }
+
+    resetStats() {
+        this.result.fill(0);
+        this.frameCounter = 0;
+        this.nextSampleBase = 0n;
+        this.lastResult = { inside: 0n, total: 0n, replicates: null };
+        this.uploadRNGState();
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Bit-exact CPU Reference Engine for simulation.wgsl
+ *
+ * Ports the vectorized kernel to JavaScript:
+ *   - Same generator and state layout (see generators.js; Xoshiro128++ by default)
+ *   - Same 4 * UNROLL samples per iteration (UNROLL points x 4 lanes, default 8)
+ *   - Same u32 -> f32 conversion (* 2^-32), emulated with Math.fround
+ *   - Same u32 wrap-around for the per-thread inside/total counters
+ *   - Same hypersphere coordinates: x, y, then DIMENSION - 2 further rng_next() calls,
+ *     squares summed left to right in f32
+ *   - Same Buffon needles (BUFFON): offset, direction x, direction y per needle, see buffon.js
+ *   - Same variance-reduced circle sampling (VARIANCE_REDUCTION), see variance_reduction.js
+ *
+ * No DOM or WebGPU access: usable from workers and plain Node.
+ * Assumes the WGSL compiler does not contract x*x + y*y into an FMA.
+ */
+import { DEFAULT_GENERATOR, getGenerator } from './generators.js';
+import { DEFAULT_DIMENSION } from './hypersphere.js';
+import { DEFAULT_NEEDLE_LENGTH } from './buffon.js';
+import { DEFAULT_VARIANCE_REDUCTION, STRATA_GRID, MEAN_VALUE_SCALE, samplesPerIteration } from './variance_reduction.js';
+
+const INV_2_32 = 2.3283064365386962890625e-10;
+const f32 = Math.fround;
+
+export const DEFAULT_UNROLL = 2;
+export const SAMPLES_PER_ITERATION = 4 * DEFAULT_UNROLL;
+
+/** to_float_v4() for a single lane: vec4<f32>(v) * 2^-32 */
+export function toFloat(u) {
+    return f32(f32(u) * INV_2_32);
+}
+
+/** x*x + y*y <= 1.0 evaluated with f32 rounding after every operation */
+export function isInside(x, y) {
+    return f32(f32(x * x) + f32(y * y)) <= 1.0;
+}
+
+/**
+ * Run one GPU thread (one `main` invocation) on the CPU.
+ *
+ * @param {Uint32Array} state wordsPerThread x u32 thread state in GPU layout. Advanced in
+ *                            place, exactly like the kernel's "Save RNG State" step.
+ * @param {number} batchSize  SimParams.batch_size
+ * @param {number} [unroll]   UNROLL shader define (sample pairs per lane per iteration)
+ * @param {{generator?: string, thread?: number, frame?: number, key?: number,
+ *          sampleBase?: bigint, workgroupSize?: number, mode?: string, dimension?: number,
+ *          needleLength?: number, varianceReduction?: string}} [rng]
+ *        generator id plus what the WGSL snippet reads besides the state:
+ *        global invocation id, SimParams.global_time, SimParams.seed,
+ *        SimParams.sample_base and WORKGROUP_SIZE; then the estimator settings
+ *        (estimators.js) behind the BUFFON, NEEDLE_LENGTH, DIMENSION and
+ *        VARIANCE_REDUCTION defines
+ * @returns {{inside: number, total: number, lastX: number, lastY: number}}
+ *          for Buffon needles: crossings, accepted needles and the visualized needle
+ */
+export function runReferenceThread(state, batchSize, unroll = DEFAULT_UNROLL, rng = {}) {
+    const {
+        generator = DEFAULT_GENERATOR, thread = 0, frame = 0, key = 0, sampleBase = 0n, workgroupSize = 256,
+        mode = 'pi', dimension = DEFAULT_DIMENSION, needleLength = DEFAULT_NEEDLE_LENGTH,
+        varianceReduction = DEFAULT_VARIANCE_REDUCTION
+    } = rng;
+    const next = getGenerator(generator).createStream(state, {
+        thread, frame, key, sampleBase, batchSize, unroll, workgroupSize
+    });
+    if (mode === 'buffon') return runBuffon(next, batchSize, unroll, needleLength);
+    if (varianceReduction !== DEFAULT_VARIANCE_REDUCTION) return runVarianceReduced(next, batchSize, unroll, varianceReduction);
+    const count = batchSize >>> 0;
+    const rx = new Uint32Array(4);
+    const ry = new Uint32Array(4);
+    const rz = new Uint32Array(4);
+    const r2 = new Float32Array(4);
+    let inside = 0;
+    let lastX = 0.0;
+    let lastY = 0.0;
+
+    for (let i = 0; i < count; i++) {
+        for (let p = 0; p < unroll; p++) {
+            // One rng_next() per coordinate, all 4 lanes at once
+            next(rx);
+            next(ry);
+            if (dimension === 2) {
+                for (let lane = 0; lane < 4; lane++) {
+                    if (isInside(toFloat(rx[lane]), toFloat(ry[lane]))) inside++;
+                }
+            } else {
+                for (let lane = 0; lane < 4; lane++) {
+                    const x = toFloat(rx[lane]), y = toFloat(ry[lane]);
+                    r2[lane] = f32(x * x) + f32(y * y); // Float32Array rounds the sum
+                }
+                for (let d = 2; d < dimension; d++) {
+                    next(rz);
+                    for (let lane = 0; lane < 4; lane++) {
+                        const z = toFloat(rz[lane]);
+                        r2[lane] += f32(z * z);
+                    }
+                }
+                for (let lane = 0; lane < 4; lane++) {
+                    if (r2[lane] <= 1.0) inside++;
+                }
+            }
+
+            if (p === 0 && i === count - 1) {
+                lastX = toFloat(rx[0]);
+                lastY = toFloat(ry[0]);
+            }
+        }
+    }
+
+    return {
+        inside: inside >>> 0,
+        total: Math.imul(count, 4 * unroll) >>> 0,
+        lastX,
+        lastY
+    };
+}
+
+/**
+ * Buffon branch of the kernel: per needle and lane an offset u, a direction (vx, vy)
+ * accepted inside the quarter disk, and the crossing test (2d)²·r² <= (l·vy)², d = min(u, 1 - u).
+ * lastX / lastY are the offset and cos θ of the visualized needle.
+ */
+function runBuffon(next, batchSize, unroll, needleLength) {
+    const count = batchSize >>> 0;
+    const length = f32(needleLength);
+    const ru = new Uint32Array(4);
+    const rv = new Uint32Array(4);
+    const rw = new Uint32Array(4);
+    let crossings = 0;
+    let needles = 0;
+    let lastX = 0.0;
+    let lastY = 0.0;
+
+    for (let i = 0; i < count; i++) {
+        for (let p = 0; p < unroll; p++) {
+            next(ru);
+            next(rv);
+            next(rw);
+            for (let lane = 0; lane < 4; lane++) {
+                const u = toFloat(ru[lane]), vx = toFloat(rv[lane]), vy = toFloat(rw[lane]);
+                const r2 = f32(f32(vx * vx) + f32(vy * vy));
+                if (!(r2 <= 1.0 && r2 > 0.0)) continue;
+                needles++;
+                const dd = 2 * Math.min(u, f32(1 - u)); // Doubling is exact
+                const ly = f32(length * vy);
+                if (f32(f32(dd * dd) * r2) <= f32(ly * ly)) crossings++;
+            }
+
+            if (p === 0 && i === count - 1) {
+                const vx = toFloat(rv[0]), vy = toFloat(rw[0]);
+                lastX = toFloat(ru[0]);
+                lastY = f32(vx / Math.sqrt(Math.max(f32(f32(vx * vx) + f32(vy * vy)), 1e-30)));
+            }
+        }
+    }
+
+    return { inside: crossings >>> 0, total: needles >>> 0, lastX, lastY };
+}
+
+const STRATUM = f32(1 / STRATA_GRID);
+const INV_SCALE = 1 / MEAN_VALUE_SCALE; // Power of two: scaling is exact
+
+/** under_arc() for a single lane: x² + ((m - r) / MEAN_VALUE_SCALE)² <= 1 */
+function underArc(xx, m, r) {
+    const v = f32(f32(m - r) * INV_SCALE);
+    return f32(xx + f32(v * v)) <= 1.0;
+}
+
+/**
+ * Fixed-point sqrt(1 - x²) with dither r: the number of steps m in [1, MEAN_VALUE_SCALE]
+ * with underArc(x², m, r). The square root only gives the first guess, one step down or up
+ * settles it exactly like the kernel does.
+ */
+function meanValueSteps(xx, r) {
+    const y = f32(Math.sqrt(Math.max(f32(1 - xx), 0)));
+    let k = Math.min(Math.max(Math.floor(f32(y * MEAN_VALUE_SCALE + r)), 0), MEAN_VALUE_SCALE);
+    if (k > 0 && !underArc(xx, k, r)) k--;
+    if (k < MEAN_VALUE_SCALE && underArc(xx, k + 1, r)) k++;
+    return k;
+}
+
+/**
+ * VARIANCE_REDUCTION branch of the kernel for the 2D circle:
+ *   antithetic  per draw the points (x, y) and (1 - x, 1 - y)
+ *   stratified  per iteration one point per cell, row by row (lane = column)
+ *   meanvalue   per draw x and a dither r; inside adds meanValueSteps(x², r)
+ */
+function runVarianceReduced(next, batchSize, unroll, varianceReduction) {
+    const count = batchSize >>> 0;
+    const rx = new Uint32Array(4);
+    const ry = new Uint32Array(4);
+    const blocks = varianceReduction === 'stratified' ? STRATA_GRID : unroll;
+    let inside = 0;
+    let lastX = 0.0;
+    let lastY = 0.0;
+
+    for (let i = 0; i < count; i++) {
+        for (let p = 0; p < blocks; p++) {
+            next(rx);
+            next(ry);
+            for (let lane = 0; lane < 4; lane++) {
+                const u = toFloat(rx[lane]), v = toFloat(ry[lane]);
+                if (varianceReduction === 'antithetic') {
+                    if (isInside(u, v)) inside++;
+                    if (isInside(f32(1 - u), f32(1 - v))) inside++;
+                } else if (varianceReduction === 'stratified') {
+                    if (isInside(f32(f32(lane + u) * STRATUM), f32(f32(p + v) * STRATUM))) inside++;
+                } else {
+                    inside += meanValueSteps(f32(u * u), v);
+                }
+            }
+
+            if (p === 0 && i === count - 1) {
+                const u = toFloat(rx[0]), v = toFloat(ry[0]);
+                if (varianceReduction === 'stratified') {
+                    lastX = f32(u * STRATUM);
+                    lastY = f32(v * STRATUM);
+                } else if (varianceReduction === 'meanvalue') {
+                    lastX = u;
+                    lastY = f32(meanValueSteps(f32(u * u), v) * INV_SCALE);
+                } else {
+                    lastX = u;
+                    lastY = v;
+                }
+            }
+        }
+    }
+
+    return {
+        inside: inside >>> 0,
+        total: Math.imul(count, samplesPerIteration(varianceReduction, unroll)) >>> 0,
+        lastX,
+        lastY
+    };
+}
+
+/**
+ * Run a set of threads from an RNG state buffer snapshot.
+ *
+ * @param {Uint32Array} stateBuffer  RNGStateBuffer contents (advanced in place)
+ * @param {number} batchSize         SimParams.batch_size
+ * @param {number[]} [threads]       Buffer thread indices to run (default: all)
+ * @param {number} [unroll]          UNROLL shader define
+ * @param {{generator?: string, frame?: number, key?: number, sampleBase?: bigint,
+ *          workgroupSize?: number, mode?: string, dimension?: number, needleLength?: number,
+ *          varianceReduction?: string, threadIds?: number[]}} [rng]
+ *        threadIds maps buffer index -> global thread id when stateBuffer is a packed
+ *        subset (required for stateless generators, whose buffer is empty)
+ * @returns {{thread: number, inside: number, total: number}[]}
+ */
+export function runReferenceThreads(stateBuffer, batchSize, threads = null, unroll = DEFAULT_UNROLL, rng = {}) {
+    const { generator = DEFAULT_GENERATOR, threadIds = null, ...context } = rng;
+    const words = getGenerator(generator).wordsPerThread;
+    const threadCount = threadIds ? threadIds.length : stateBuffer.length / words;
+    const indices = threads || Array.from({ length: threadCount }, (_, i) => i);
+    const results = [];
+
+    for (const t of indices) {
+        const state = stateBuffer.subarray(t * words, (t + 1) * words);
+        const thread = threadIds ? threadIds[t] : t;
+        const { inside, total } = runReferenceThread(state, batchSize, unroll, { ...context, generator, thread });
+        results.push({ thread: t, inside, total });
+    }
+    return results;
+}
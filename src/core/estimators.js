@@ -0,0 +1,175 @@
+/**
+ * π Estimators
+ * Every mode counts Bernoulli successes (`inside` of `total`) with a success probability
+ * p = f(π) and inverts f; the kernel, slot reduction and readback are shared.
+ *   pi      hit test against the unit d-ball, d = 2 is the quarter circle (hypersphere.js)
+ *   buffon  Buffon's needle, successes are line crossings of accepted needles (buffon.js)
+ * The 2D circle can also sample with variance reduction (variance_reduction.js); its
+ * error is then measured from independent thread groups instead of the binomial.
+ * The model gives statistics.js and exact_pi.js what they need: p, π̂(p̂), the variance
+ * of π̂ per sample (delta method) and π̂ as an exact rational power.
+ * Pure functions, no DOM access.
+ */
+import {
+    DEFAULT_DIMENSION, checkDimension, checkGeneratorDimension,
+    piExponent, volumeFactor, hitProbability, piFromHitRatio, perSampleVariance
+} from './hypersphere.js';
+import {
+    DEFAULT_NEEDLE_LENGTH, checkNeedleLength, needleFraction,
+    crossingProbability, piFromCrossingRatio, perNeedleVariance
+} from './buffon.js';
+import {
+    DEFAULT_VARIANCE_REDUCTION, VARIANCE_BATCHES, getVarianceReduction, ratioScale, knownSampleVariance
+} from './variance_reduction.js';
+
+export const ESTIMATORS = {
+    pi: { id: 'pi', label: 'Hit test (circle / d-ball)' },
+    buffon: { id: 'buffon', label: "Buffon's needle" }
+};
+export const DEFAULT_ESTIMATOR = 'pi';
+
+/**
+ * @typedef {object} EstimatorSettings
+ * @property {string} mode          key of ESTIMATORS
+ * @property {number} dimension     hypersphere dimension ('pi' only, 2 otherwise)
+ * @property {number} needleLength  in line spacings ('buffon' only)
+ * @property {string} varianceReduction key of VARIANCE_REDUCTIONS ('none' unless the 2D circle)
+ */
+
+/**
+ * Settings from anything carrying (some of) mode / dimension / needleLength /
+ * varianceReduction, such as a
+ * backend or a report configuration; missing fields take their defaults.
+ * @returns {EstimatorSettings}
+ */
+export function estimatorSettings(source = {}) {
+    return {
+        mode: source.mode ?? DEFAULT_ESTIMATOR,
+        dimension: source.dimension ?? DEFAULT_DIMENSION,
+        needleLength: source.needleLength ?? DEFAULT_NEEDLE_LENGTH,
+        varianceReduction: source.varianceReduction ?? DEFAULT_VARIANCE_REDUCTION
+    };
+}
+
+export function getEstimator(id) {
+    const estimator = ESTIMATORS[id];
+    if (!estimator) throw new RangeError(`Unknown estimator '${id}'`);
+    return estimator;
+}
+
+/**
+ * Validate settings against each other and the generator.
+ * Quasi-random points are 2D sequences for the circle kernel; Buffon needles are planar.
+ * Variance reduction rewrites the plain 2D circle sampling, so it needs exactly that
+ * (quasi-random points already are a variance reduction and bring their own replicates).
+ *
+ * @param {{quasi?: boolean, label: string}} generator entry of GENERATORS
+ * @param {EstimatorSettings} settings
+ * @returns {EstimatorSettings} settings
+ * @throws {RangeError}
+ */
+export function checkEstimator(generator, settings) {
+    const { mode, dimension, needleLength, varianceReduction } = settings;
+    getEstimator(mode);
+    checkDimension(dimension);
+    checkNeedleLength(needleLength);
+    const method = getVarianceReduction(varianceReduction);
+    if (mode === 'buffon') {
+        if (dimension !== DEFAULT_DIMENSION) throw new RangeError(`Buffon's needle is planar, got dimension ${dimension}`);
+        if (generator.quasi) throw new RangeError(`${generator.label} only supports the circle estimator`);
+    }
+    checkGeneratorDimension(generator, dimension);
+    if (method.id !== DEFAULT_VARIANCE_REDUCTION) {
+        if (mode !== 'pi' || dimension !== DEFAULT_DIMENSION) throw new RangeError(`${method.label} needs the 2D circle estimator`);
+        if (generator.quasi) throw new RangeError(`${method.label} needs a pseudo-random generator, got ${generator.label}`);
+    }
+    return settings;
+}
+
+/** Whether two settings build the same kernel (needle lengths compare as f32) */
+export function sameEstimator(a, b) {
+    return a.mode === b.mode && a.dimension === b.dimension && a.varianceReduction === b.varianceReduction &&
+        Math.fround(a.needleLength) === Math.fround(b.needleLength);
+}
+
+/**
+ * Slot groups the readback sums separately (sumReplicates() in result_layout.js):
+ * the generator's RQMC replicates, VARIANCE_BATCHES for variance reduction, else 1 (none).
+ * @param {{replicates: number}} generator entry of GENERATORS
+ * @param {EstimatorSettings} settings
+ */
+export function replicateGroups(generator, settings) {
+    if (generator.replicates > 1) return generator.replicates;
+    return settings.varianceReduction !== DEFAULT_VARIANCE_REDUCTION ? VARIANCE_BATCHES : 1;
+}
+
+const CIRCLE_VARIANCE = perSampleVariance(DEFAULT_DIMENSION);
+
+/**
+ * @param {EstimatorSettings} settings
+ * @returns {{settings: EstimatorSettings, label: string, probability: number, ratioScale: number,
+ *            piFromRatio: function(number): number, perSampleVariance: number, varianceGrowth: number,
+ *            standardErrorFormula: string,
+ *            exactRatio: function(bigint, bigint): {numerator: bigint, denominator: bigint, root: number}}}
+ *          piFromRatio maps inside/total to π̂, where inside counts in units of 1/ratioScale;
+ *          varianceGrowth is perSampleVariance relative to the 2D circle (the binomial bound
+ *          where variance reduction has no closed form); exactRatio gives π̂^root = numerator/denominator
+ */
+export function estimatorModel(settings) {
+    const { mode, dimension, needleLength, varianceReduction = DEFAULT_VARIANCE_REDUCTION } = settings;
+
+    if (mode === 'buffon') {
+        const l = needleFraction(needleLength);
+        const variance = perNeedleVariance(needleLength);
+        return {
+            settings,
+            label: `Buffon's needle (l = ${checkNeedleLength(needleLength)})`,
+            probability: crossingProbability(needleLength),
+            ratioScale: 1,
+            piFromRatio: (ratio) => piFromCrossingRatio(ratio, needleLength),
+            perSampleVariance: variance,
+            varianceGrowth: variance / CIRCLE_VARIANCE,
+            standardErrorFormula: 'π√((1-p)/(pN)), p = 2l/π',
+            // π̂ = 2l·needles / crossings
+            exactRatio: (inside, total) => ({ numerator: 2n * l.numerator * total, denominator: l.denominator * inside, root: 1 })
+        };
+    }
+
+    getEstimator(mode);
+    if (varianceReduction !== DEFAULT_VARIANCE_REDUCTION) {
+        const method = getVarianceReduction(varianceReduction);
+        const scale = ratioScale(method.id);
+        const variance = knownSampleVariance(method.id) ?? CIRCLE_VARIANCE;
+        return {
+            settings,
+            label: `Quarter circle, ${method.label}`,
+            probability: hitProbability(DEFAULT_DIMENSION),
+            ratioScale: scale,
+            piFromRatio: (ratio) => 4 * ratio / scale,
+            perSampleVariance: variance,
+            varianceGrowth: variance / CIRCLE_VARIANCE,
+            standardErrorFormula: `s/√${VARIANCE_BATCHES}, batch means`,
+            // π̂ = 4·inside / (scale·total)
+            exactRatio: (inside, total) => ({ numerator: inside << 2n, denominator: total * BigInt(scale), root: 1 })
+        };
+    }
+    const k = piExponent(dimension);
+    const factor = volumeFactor(dimension);
+    const variance = perSampleVariance(dimension);
+    return {
+        settings,
+        label: dimension === DEFAULT_DIMENSION ? 'Quarter circle' : `Unit ${dimension}-ball`,
+        probability: hitProbability(dimension),
+        ratioScale: 1,
+        piFromRatio: (ratio) => piFromHitRatio(ratio, dimension),
+        perSampleVariance: variance,
+        varianceGrowth: variance / CIRCLE_VARIANCE,
+        standardErrorFormula: dimension === DEFAULT_DIMENSION ? '4√(p(1-p)/N)' : `(π/${k})√((1-p)/(pN)), delta method`,
+        // π̂^k = 2^d·inside / (c_d·total)
+        exactRatio: (inside, total) => ({
+            numerator: (inside << BigInt(dimension)) * factor.denominator,
+            denominator: total * factor.numerator,
+            root: k
+        })
+    };
+}
@@ -0,0 +1,131 @@
+/**
+ * Exact π Estimate (BigInt fixed point)
+ * 4*inside/total is a rational number; Number() conversion rounds it to 53 bits
+ * and loses the tail at the trillions of samples we run. Everything here works
+ * on BigInt, so printed digits and errors are exact up to the stored π reference.
+ * Every estimator (estimators.js) gives π̂^k as a rational number; above 3D k > 1 and
+ * the root is taken with integer Newton iteration, so digits are exact truncations there too.
+ */
+import { estimatorModel, estimatorSettings } from './estimators.js';
+
+// π to 100 decimal places
+export const PI_REFERENCE = "3.1415926535897932384626433832795028841971693993751058209749445923078164062862089986280348253421170679";
+export const PI_REFERENCE_DECIMALS = PI_REFERENCE.length - 2;
+
+const PI_SCALED = BigInt(PI_REFERENCE.replace(".", "")); // π * 10^PI_REFERENCE_DECIMALS
+
+export const DEFAULT_DECIMALS = 10;
+
+const pow10 = (n) => 10n ** BigInt(n);
+
+/**
+ * Truncated decimal expansion of numerator/denominator (both >= 0).
+ *
+ * @param {bigint} numerator
+ * @param {bigint} denominator
+ * @param {number} decimals
+ * @returns {string} e.g. "3.1415926"
+ */
+export function formatRatio(numerator, denominator, decimals) {
+    if (denominator <= 0n) throw new RangeError("formatRatio: denominator must be positive");
+    const scaled = (numerator * pow10(decimals)) / denominator;
+    const text = scaled.toString().padStart(decimals + 1, "0");
+    if (decimals === 0) return text;
+    return `${text.slice(0, -decimals)}.${text.slice(-decimals)}`;
+}
+
+/**
+ * Leading characters of `estimate` that agree with PI_REFERENCE, counted as
+ * significant digits ("3.14" matching gives 3). Both strings must be truncated,
+ * not rounded, expansions.
+ */
+export function countCorrectDigits(estimate) {
+    let digits = 0;
+    for (let i = 0; i < estimate.length && i < PI_REFERENCE.length; i++) {
+        if (estimate[i] !== PI_REFERENCE[i]) break;
+        if (estimate[i] !== ".") digits++;
+    }
+    return digits;
+}
+
+/**
+ * Short scientific form of a non-negative decimal string, e.g. "0.000012345" -> "1.2345e-5".
+ */
+export function toScientific(decimalText, significant = 5) {
+    const [intPart, fracPart = ""] = decimalText.split(".");
+    const digits = (intPart + fracPart).replace(/^0+/, "");
+    if (digits === "") return "0";
+    const exponent = intPart.replace(/^0+/, "").length > 0
+        ? intPart.replace(/^0+/, "").length - 1
+        : -(fracPart.length - fracPart.replace(/^0+/, "").length + 1);
+    const mantissa = digits.slice(0, significant);
+    return `${mantissa[0]}${mantissa.length > 1 ? "." + mantissa.slice(1) : ""}e${exponent}`;
+}
+
+/** floor(value^(1/k)) for value >= 0 (Newton iteration from above) */
+export function integerRoot(value, k) {
+    if (value < 0n) throw new RangeError("integerRoot: value must be non-negative");
+    if (value < 2n || k === 1) return value;
+    const K = BigInt(k);
+    let x = 1n << BigInt(Math.ceil(value.toString(2).length / k)); // >= the root
+    for (;;) {
+        const y = ((K - 1n) * x + value / x ** (K - 1n)) / K;
+        if (y >= x) return x;
+        x = y;
+    }
+}
+
+/**
+ * Exact estimate against π: 4*inside/total for the circle, in general the estimator's
+ * π̂ = (numerator/denominator)^(1/k).
+ *
+ * @param {bigint|number} inside
+ * @param {bigint|number} total
+ * @param {number} [decimals] printed decimals of the estimate (max PI_REFERENCE_DECIMALS)
+ * @param {Partial<import('./estimators.js').EstimatorSettings>} [estimator] defaults to the circle
+ * @returns {{estimate: string, correctDigits: number, error: string, errorScientific: string, above: boolean}}
+ *          error is |estimate - π| truncated to PI_REFERENCE_DECIMALS decimals
+ */
+export function exactPiEstimate(inside, total, decimals = DEFAULT_DECIMALS, estimator = {}) {
+    const { numerator, denominator: n, root: k } = estimatorModel(estimatorSettings(estimator)).exactRatio(BigInt(inside), BigInt(total));
+    if (n === 0n) {
+        return { estimate: formatRatio(0n, 1n, decimals), correctDigits: 0, error: "", errorScientific: "", above: false };
+    }
+    decimals = Math.min(Math.max(0, decimals | 0), PI_REFERENCE_DECIMALS);
+    if (k > 1) return exactRootEstimate(numerator, n, k, decimals);
+
+    // |4*inside/total - π| = |4*inside*10^D - π_D*total| / (total*10^D)
+    const diff = numerator * pow10(PI_REFERENCE_DECIMALS) - PI_SCALED * n;
+    const absDiff = diff < 0n ? -diff : diff;
+    const error = formatRatio(absDiff, n * pow10(PI_REFERENCE_DECIMALS), PI_REFERENCE_DECIMALS);
+
+    return {
+        estimate: formatRatio(numerator, n, decimals),
+        // Compare on the longest expansion we can check, so the count is not capped by `decimals`
+        correctDigits: countCorrectDigits(formatRatio(numerator, n, PI_REFERENCE_DECIMALS)),
+        error,
+        errorScientific: toScientific(error),
+        above: diff > 0n
+    };
+}
+
+/**
+ * (numerator/denominator)^(1/k) truncated to PI_REFERENCE_DECIMALS decimals. The error is
+ * then exact up to one unit in the last reference decimal; `above` compares the powers,
+ * so it is exact.
+ */
+function exactRootEstimate(numerator, denominator, k, decimals) {
+    const scaled = integerRoot(numerator * pow10(k * PI_REFERENCE_DECIMALS) / denominator, k);
+    const above = numerator * pow10(k * PI_REFERENCE_DECIMALS) > PI_SCALED ** BigInt(k) * denominator;
+    const diff = scaled - PI_SCALED;
+    const error = formatRatio(diff < 0n ? -diff : diff, pow10(PI_REFERENCE_DECIMALS), PI_REFERENCE_DECIMALS);
+    const full = formatRatio(scaled, pow10(PI_REFERENCE_DECIMALS), PI_REFERENCE_DECIMALS);
+
+    return {
+        estimate: formatRatio(scaled, pow10(PI_REFERENCE_DECIMALS), decimals),
+        correctDigits: countCorrectDigits(full),
+        error,
+        errorScientific: toScientific(error),
+        above
+    };
+}
@@ -0,0 +1,254 @@
+/**
+ * PRNG Families
+ * Registry of the generators the simulation kernel can be built with. Each entry
+ * pairs a WGSL snippet (src/shaders/rng/<id>.wgsl, injected at `#inject RNG`) with
+ * a bit-exact JavaScript stream used by the CPU reference and CPU backend.
+ *
+ * Every generator yields one vec4<u32> per call (4 lanes). State layout in the
+ * RNG state buffer is generator specific: index = thread * wordsPerThread + word * 4 + lane.
+ *
+ *   xoshiro128pp  16 words  s0..s3 per lane, jump-ahead stream separation (see xoshiro.js)
+ *   pcg32          8 words  64-bit state (lo, hi) per lane; stream = thread * 4 + lane
+ *   philox4x32     0 words  counter-based: ctr = (call, frame, thread, 0), key = (seed, 0)
+ *   lcg32          4 words  32-bit LCG per lane. Deliberately weak: a negative control.
+ *   sobol, halton  0 words  quasi-random (RQMC): point index from the global sample number,
+ *                           QMC_REPLICATES independent scrambles (see qmc.js)
+ *
+ * `replicates` is the REPLICATES shader define: result slots are split per replicate
+ * (see slotIndex in result_layout.js) so RQMC error bars can be computed.
+ */
+import { createSeededState, createRandomState, createSplitMix64, WORDS_PER_THREAD as XOSHIRO_WORDS } from './xoshiro.js';
+import { createQMCStream, sobolPoint, haltonPoint } from './qmc.js';
+
+export const DEFAULT_GENERATOR = 'xoshiro128pp';
+export const QMC_REPLICATES = 16; // must divide NUM_SLOTS and the workgroup count
+
+function rotl(x, k) {
+    return ((x << k) | (x >>> (32 - k))) >>> 0;
+}
+
+/** High 32 bits of the 64-bit product of two u32 */
+export function mulhi32(a, b) {
+    const a0 = a & 0xFFFF, a1 = a >>> 16;
+    const b0 = b & 0xFFFF, b1 = b >>> 16;
+    const p01 = a0 * b1, p10 = a1 * b0;
+    const mid = ((a0 * b0) >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+    return (a1 * b1 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16)) >>> 0;
+}
+
+/** Fill `words` per thread from SplitMix64 (seeded) or the platform CSPRNG (seed null). */
+function fillWords(seed, length) {
+    const data = new Uint32Array(length);
+    if (seed === null) {
+        const CHUNK_SIZE = 16384; // getRandomValues quota is 65536 bytes
+        for (let i = 0; i < length; i += CHUNK_SIZE) {
+            crypto.getRandomValues(data.subarray(i, Math.min(i + CHUNK_SIZE, length)));
+        }
+        return data;
+    }
+    const next = createSplitMix64(seed);
+    for (let i = 0; i < length; i += 2) {
+        const z = next();
+        data[i] = Number(z & 0xFFFFFFFFn);
+        if (i + 1 < length) data[i + 1] = Number(z >> 32n);
+    }
+    return data;
+}
+
+function randomKey() {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+// --- Xoshiro128++ -----------------------------------------------------------
+
+const xoshiro128pp = {
+    id: 'xoshiro128pp',
+    label: 'Xoshiro128++',
+    wordsPerThread: XOSHIRO_WORDS,
+    replicates: 1,
+
+    createStates(seed, threadCount) {
+        const states = seed === null ? createRandomState(threadCount) : createSeededState(seed, threadCount);
+        return { states, key: seed ?? 0 };
+    },
+
+    /** Advances `state` (one thread, 16 words) in place */
+    createStream(state) {
+        return (out) => {
+            for (let l = 0; l < 4; l++) {
+                let s0 = state[l], s1 = state[4 + l], s2 = state[8 + l], s3 = state[12 + l];
+                out[l] = (rotl((s0 + s3) >>> 0, 7) + s0) >>> 0;
+                const t = (s1 << 9) >>> 0;
+                s2 = (s2 ^ s0) >>> 0;
+                s3 = (s3 ^ s1) >>> 0;
+                s1 = (s1 ^ s2) >>> 0;
+                s0 = (s0 ^ s3) >>> 0;
+                s2 = (s2 ^ t) >>> 0;
+                s3 = rotl(s3, 11);
+                state[l] = s0; state[4 + l] = s1; state[8 + l] = s2; state[12 + l] = s3;
+            }
+        };
+    }
+};
+
+// --- PCG32 (XSH-RR, 64-bit LCG state) ---------------------------------------
+
+const PCG_MULT_LO = 0x4C957F2D;
+const PCG_MULT_HI = 0x5851F42D; // 6364136223846793005
+
+const pcg32 = {
+    id: 'pcg32',
+    label: 'PCG32 (XSH-RR)',
+    wordsPerThread: 8,
+    replicates: 1,
+
+    createStates(seed, threadCount) {
+        return { states: fillWords(seed, threadCount * 8), key: seed ?? 0 };
+    },
+
+    /** Stream (increment) per lane is 2 * (thread * 4 + lane) + 1 */
+    createStream(state, { thread = 0 } = {}) {
+        const incLo = new Uint32Array(4);
+        const incHi = new Uint32Array(4);
+        for (let l = 0; l < 4; l++) {
+            const stream = ((thread * 4) >>> 0) + l >>> 0;
+            incLo[l] = ((stream << 1) | 1) >>> 0;
+            incHi[l] = stream >>> 31;
+        }
+
+        return (out) => {
+            for (let l = 0; l < 4; l++) {
+                const oldLo = state[l], oldHi = state[4 + l];
+
+                // state = old * MULT + inc (mod 2^64)
+                const pLo = Math.imul(oldLo, PCG_MULT_LO) >>> 0;
+                const pHi = (mulhi32(oldLo, PCG_MULT_LO) + Math.imul(oldHi, PCG_MULT_LO) + Math.imul(oldLo, PCG_MULT_HI)) >>> 0;
+                const newLo = (pLo + incLo[l]) >>> 0;
+                const carry = newLo < pLo ? 1 : 0;
+                state[l] = newLo;
+                state[4 + l] = (pHi + incHi[l] + carry) >>> 0;
+
+                // Output: rotr32(((old >> 18) ^ old) >> 27, old >> 59)
+                const tLo = (oldLo ^ ((oldLo >>> 18) | (oldHi << 14))) >>> 0;
+                const tHi = (oldHi ^ (oldHi >>> 18)) >>> 0;
+                const xs = ((tLo >>> 27) | (tHi << 5)) >>> 0;
+                const rot = oldHi >>> 27;
+                out[l] = ((xs >>> rot) | (xs << ((32 - rot) & 31))) >>> 0;
+            }
+        };
+    }
+};
+
+// --- Philox4x32-10 (counter-based) ------------------------------------------
+
+const PHILOX_M0 = 0xD2511F53;
+const PHILOX_M1 = 0xCD9E8D57;
+const PHILOX_W0 = 0x9E3779B9;
+const PHILOX_W1 = 0xBB67AE85;
+
+/**
+ * Philox4x32 with 10 rounds (Salmon et al., Random123).
+ * @param {Uint32Array} ctr  4 words, not modified
+ * @param {number} k0
+ * @param {number} k1
+ * @param {Uint32Array} out  4 words
+ */
+export function philox4x32_10(ctr, k0, k1, out) {
+    let c0 = ctr[0], c1 = ctr[1], c2 = ctr[2], c3 = ctr[3];
+    for (let r = 0; r < 10; r++) {
+        if (r > 0) {
+            k0 = (k0 + PHILOX_W0) >>> 0;
+            k1 = (k1 + PHILOX_W1) >>> 0;
+        }
+        const hi0 = mulhi32(PHILOX_M0, c0), lo0 = Math.imul(PHILOX_M0, c0) >>> 0;
+        const hi1 = mulhi32(PHILOX_M1, c2), lo1 = Math.imul(PHILOX_M1, c2) >>> 0;
+        const n0 = (hi1 ^ c1 ^ k0) >>> 0;
+        const n2 = (hi0 ^ c3 ^ k1) >>> 0;
+        c0 = n0; c1 = lo1; c2 = n2; c3 = lo0;
+    }
+    out[0] = c0; out[1] = c1; out[2] = c2; out[3] = c3;
+}
+
+const philox4x32 = {
+    id: 'philox4x32',
+    label: 'Philox4x32-10',
+    wordsPerThread: 0,
+    replicates: 1,
+
+    /** No state: the seed (or a fresh random key) becomes the Philox key */
+    createStates(seed) {
+        return { states: new Uint32Array(0), key: seed ?? randomKey() };
+    },
+
+    createStream(state, { thread = 0, frame = 0, key = 0 } = {}) {
+        const ctr = new Uint32Array([0, frame >>> 0, thread >>> 0, 0]);
+        return (out) => {
+            philox4x32_10(ctr, key >>> 0, 0, out);
+            ctr[0]++;
+        };
+    }
+};
+
+// --- LCG32 (negative control) -----------------------------------------------
+
+const lcg32 = {
+    id: 'lcg32',
+    label: 'LCG32 (weak control)',
+    wordsPerThread: 4,
+    replicates: 1,
+    weak: true,
+
+    createStates(seed, threadCount) {
+        return { states: fillWords(seed, threadCount * 4), key: seed ?? 0 };
+    },
+
+    /** s = 1664525 * s + 1013904223 (mod 2^32), output is the new state */
+    createStream(state) {
+        return (out) => {
+            for (let l = 0; l < 4; l++) {
+                const s = (Math.imul(state[l], 1664525) + 1013904223) >>> 0;
+                state[l] = s;
+                out[l] = s;
+            }
+        };
+    }
+};
+
+// --- Quasi-random sequences (randomized QMC) ---------------------------------
+
+function createQMCGenerator(id, label, point) {
+    return {
+        id,
+        label,
+        wordsPerThread: 0,
+        replicates: QMC_REPLICATES,
+        quasi: true,
+
+        /** No state: the seed (or a fresh random key) keys the scrambles */
+        createStates(seed) {
+            return { states: new Uint32Array(0), key: seed ?? randomKey() };
+        },
+
+        /** ctx also needs sampleBase, batchSize, unroll and workgroupSize (see qmc.js) */
+        createStream(state, ctx = {}) {
+            return createQMCStream(point, { ...ctx, replicates: QMC_REPLICATES });
+        }
+    };
+}
+
+const sobol = createQMCGenerator('sobol', 'Sobol (Owen-scrambled)', sobolPoint);
+const halton = createQMCGenerator('halton', 'Halton (random shift)', haltonPoint);
+
+export const GENERATORS = { xoshiro128pp, pcg32, philox4x32, lcg32, sobol, halton };
+
+/**
+ * @param {string} id
+ * @throws {Error} for unknown generator ids
+ */
+export function getGenerator(id) {
+    const generator = GENERATORS[id];
+    if (!generator) {
+        throw new Error(`Unknown generator '${id}'. Available: ${Object.keys(GENERATORS).join(', ')}`);
+    }
+    return generator;
+}
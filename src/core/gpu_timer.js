@@ -0,0 +1,132 @@
+import { BufferUsage, MapMode } from './webgpu_constants.js';
+
+/**
+ * GPU Kernel Timer (timestamp-query)
+ * Brackets each compute pass with begin/end timestamps and resolves them through
+ * a query buffer. Works with many frames in flight: each timed frame owns one
+ * query pair and one small readback buffer from a pool; frames issued while the
+ * pool is exhausted are counted as untimed rather than stalling the queue.
+ */
+export class GPUTimer {
+    /**
+     * @param {GPUDevice} device  Device created with the 'timestamp-query' feature
+     * @param {number} [capacity] Maximum frames in flight that can be timed
+     */
+    constructor(device, capacity = 64) {
+        this.device = device;
+        this.capacity = capacity;
+        this.enabled = false;
+
+        this.querySet = device.createQuerySet({
+            type: "timestamp",
+            count: capacity * 2,
+            label: "KernelTimestampQuerySet"
+        });
+        this.resolveBuffer = device.createBuffer({
+            size: capacity * 16, // 2 x u64 per slot
+            usage: BufferUsage.QUERY_RESOLVE | BufferUsage.COPY_SRC,
+            label: "KernelTimestampResolve"
+        });
+
+        this.freeSlots = [];
+        this.readbacks = [];
+        for (let i = 0; i < capacity; i++) {
+            this.freeSlots.push(i);
+            this.readbacks.push(device.createBuffer({
+                size: 16,
+                usage: BufferUsage.MAP_READ | BufferUsage.COPY_DST,
+                label: `KernelTimestampReadback${i}`
+            }));
+        }
+
+        this.pending = new Set();
+        this.reset();
+    }
+
+    reset() {
+        this.durationsNs = [];
+        this.untimedDispatches = 0;
+    }
+
+    /**
+     * Reserve a query pair for the next compute pass.
+     * @returns {{slot: number, timestampWrites: object}|null} null when disabled or saturated
+     */
+    begin() {
+        if (!this.enabled) return null;
+        const slot = this.freeSlots.pop();
+        if (slot === undefined) {
+            this.untimedDispatches++;
+            return null;
+        }
+        return {
+            slot,
+            timestampWrites: {
+                querySet: this.querySet,
+                beginningOfPassWriteIndex: slot * 2,
+                endOfPassWriteIndex: slot * 2 + 1
+            }
+        };
+    }
+
+    /**
+     * Record the resolve + copy for a reserved slot into the frame's encoder.
+     */
+    resolve(commandEncoder, timing) {
+        commandEncoder.resolveQuerySet(this.querySet, timing.slot * 2, 2, this.resolveBuffer, timing.slot * 16);
+        commandEncoder.copyBufferToBuffer(this.resolveBuffer, timing.slot * 16, this.readbacks[timing.slot], 0, 16);
+    }
+
+    /**
+     * Read the slot back after the frame's submit. Does not block the caller.
+     */
+    collect(timing) {
+        const buffer = this.readbacks[timing.slot];
+        const read = buffer.mapAsync(MapMode.READ).then(() => {
+            const [begin, end] = new BigInt64Array(buffer.getMappedRange());
+            buffer.unmap();
+            const ns = Number(end - begin);
+            this.durationsNs.push(ns > 0 ? ns : 0);
+        }).catch((e) => {
+            console.warn("Timestamp readback failed:", e);
+            this.untimedDispatches++;
+        }).finally(() => {
+            this.freeSlots.push(timing.slot);
+            this.pending.delete(read);
+        });
+        this.pending.add(read);
+    }
+
+    /**
+     * Resolves once every collected slot has been read.
+     */
+    async settle() {
+        await Promise.all([...this.pending]);
+    }
+
+    /**
+     * Kernel time statistics over all timed dispatches since reset().
+     */
+    summary() {
+        const sorted = [...this.durationsNs].sort((a, b) => a - b);
+        const n = sorted.length;
+        if (n === 0) {
+            return { dispatches: 0, untimedDispatches: this.untimedDispatches, totalNs: 0 };
+        }
+        const pick = (q) => sorted[Math.min(n - 1, Math.floor(q * (n - 1) + 0.5))];
+        const totalNs = sorted.reduce((acc, v) => acc + v, 0);
+        return {
+            dispatches: n,
+            untimedDispatches: this.untimedDispatches,
+            totalNs,
+            // Untimed dispatches (pool saturated) are assumed to cost the mean
+            estimatedTotalNs: (totalNs / n) * (n + this.untimedDispatches),
+            meanNs: totalNs / n,
+            medianNs: pick(0.5),
+            p5Ns: pick(0.05),
+            p95Ns: pick(0.95),
+            minNs: sorted[0],
+            maxNs: sorted[n - 1]
+        };
+    }
+}
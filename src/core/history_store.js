@@ -0,0 +1,104 @@
+/**
+ * Benchmark History (IndexedDB)
+ * Persists benchmark records from report.js locally, keyed by device, browser and
+ * protocol configuration so runs can be compared across driver and browser builds.
+ */
+import { ObjectStore } from './idb.js';
+
+const DB_NAME = "montecarlo-pi";
+const DB_VERSION = 1;
+const STORE = "benchmarks";
+
+/** "vendor / architecture / device" for WebGPU, or the backend label otherwise */
+export function deviceKey(record) {
+    const adapter = record.environment.adapter;
+    const parts = adapter ? [adapter.vendor, adapter.architecture, adapter.device].filter(Boolean) : [];
+    return parts.length > 0 ? `${record.environment.backend}: ${parts.join(" / ")}` : record.environment.backendLabel;
+}
+
+/** Browser name and full version from a user agent string, e.g. "Chrome 131.0.6778.0" */
+export function browserKey(userAgent) {
+    const patterns = [
+        ["Edge", /Edg\/([\d.]+)/],
+        ["Firefox", /Firefox\/([\d.]+)/],
+        ["Chrome", /Chrome\/([\d.]+)/],
+        ["Safari", /Version\/([\d.]+).*Safari/]
+    ];
+    for (const [name, pattern] of patterns) {
+        const m = userAgent.match(pattern);
+        if (m) return `${name} ${m[1]}`;
+    }
+    return userAgent || "unknown";
+}
+
+/** Runs are only directly comparable under the same protocol and kernel geometry */
+export function configKey(record) {
+    const c = record.configuration;
+    return [
+        `rng=${c.generator}`,
+        `mode=${c.mode}`,
+        `dim=${c.dimension}`,
+        `needle=${c.needleLength}`,
+        `vr=${c.varianceReduction}`,
+        `batch=${c.effectiveBatchSize}`,
+        `dispatch=${c.dispatch.join("x")}`,
+        `wg=${c.workgroupSize}`,
+        `slots=${c.numSlots}`,
+        `warmup=${c.warmupSeconds}s`,
+        `measure=${c.measureSeconds}s`,
+        `reps=${c.repetitions}`
+    ].join(",");
+}
+
+export class BenchmarkHistory extends ObjectStore {
+    /**
+     * @param {IDBFactory} [indexedDB]
+     */
+    constructor(indexedDB = globalThis.indexedDB) {
+        super({
+            name: DB_NAME,
+            version: DB_VERSION,
+            store: STORE,
+            upgrade: (db) => {
+                const store = db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+                store.createIndex("deviceKey", "deviceKey");
+                store.createIndex("browserKey", "browserKey");
+                store.createIndex("configKey", "configKey");
+                store.createIndex("createdAt", "createdAt");
+            }
+        }, indexedDB);
+    }
+
+    /**
+     * Store a record from createBenchmarkRecord().
+     * @returns {Promise<number>} the new entry id
+     */
+    add(record) {
+        const entry = {
+            ...record,
+            deviceKey: deviceKey(record),
+            browserKey: browserKey(record.environment.userAgent),
+            configKey: configKey(record)
+        };
+        return this.transaction("readwrite", store => store.add(entry));
+    }
+
+    /**
+     * All entries, oldest first.
+     */
+    list() {
+        return this.transaction("readonly", store => store.index("createdAt").getAll());
+    }
+
+    get(id) {
+        return this.transaction("readonly", store => store.get(id));
+    }
+
+    delete(id) {
+        return this.transaction("readwrite", store => store.delete(id));
+    }
+
+    clear() {
+        return this.transaction("readwrite", store => store.clear());
+    }
+}
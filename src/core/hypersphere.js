@@ -0,0 +1,90 @@
+/**
+ * N-dimensional Hypersphere Volume Mode
+ * Uniform points in [0, 1)^d land inside the unit d-ball with probability
+ *   p_d = V_d / 2^d,   V_d = π^k · c_d,   k = floor(d/2)
+ *   c_d = 1 / (d/2)!              (d even)
+ *   c_d = 2^((d+1)/2) / d!!       (d odd)
+ * so π̂ = (2^d · p̂ / c_d)^(1/k). d = 2 is the classic quarter circle (π̂ = 4p̂).
+ *
+ * The delta method gives SE(π̂) = (π/k)·sqrt((1 - p_d)/(p_d·N)): p_d falls off
+ * faster than exponentially, so the variance per sample explodes with d (the curse
+ * of dimensionality) even though k grows.
+ * Pure functions, no DOM access.
+ */
+
+export const MIN_DIMENSION = 2;
+export const MAX_DIMENSION = 20;
+export const DEFAULT_DIMENSION = 2;
+
+/**
+ * @param {number} d
+ * @returns {number} d
+ * @throws {RangeError} unless d is an integer in [MIN_DIMENSION, MAX_DIMENSION]
+ */
+export function checkDimension(d) {
+    if (!Number.isInteger(d) || d < MIN_DIMENSION || d > MAX_DIMENSION) {
+        throw new RangeError(`Dimension must be an integer in [${MIN_DIMENSION}, ${MAX_DIMENSION}], got ${d}`);
+    }
+    return d;
+}
+
+/**
+ * Quasi-random points are 2D sequences laid out for the x/y calls of the kernel.
+ * @param {{quasi?: boolean, label: string}} generator entry of GENERATORS
+ * @throws {RangeError} for a quasi-random generator and dimension != 2
+ */
+export function checkGeneratorDimension(generator, dimension) {
+    if (generator.quasi && dimension !== 2) {
+        throw new RangeError(`${generator.label} only supports the 2D estimator, got dimension ${dimension}`);
+    }
+}
+
+/** Power of π in V_d */
+export function piExponent(d) {
+    return Math.floor(checkDimension(d) / 2);
+}
+
+/**
+ * Rational factor c_d = V_d / π^k, exact.
+ * @returns {{numerator: bigint, denominator: bigint}}
+ */
+export function volumeFactor(d) {
+    const k = piExponent(d);
+    let denominator = 1n;
+    if (d % 2 === 0) {
+        for (let i = 2n; i <= BigInt(k); i++) denominator *= i;
+        return { numerator: 1n, denominator };
+    }
+    for (let i = BigInt(d); i > 1n; i -= 2n) denominator *= i;
+    return { numerator: 1n << BigInt(k + 1), denominator };
+}
+
+const factorValue = (d) => {
+    const { numerator, denominator } = volumeFactor(d);
+    return Number(numerator) / Number(denominator);
+};
+
+/** Volume of the unit d-ball */
+export function ballVolume(d) {
+    return Math.PI ** piExponent(d) * factorValue(d);
+}
+
+/** p_d: probability that a uniform point of [0, 1)^d lies in the unit ball */
+export function hitProbability(d) {
+    return ballVolume(d) / 2 ** d;
+}
+
+/** π̂ from an observed hit ratio (0 for no hits) */
+export function piFromHitRatio(ratio, d) {
+    if (!(ratio > 0)) return 0;
+    return (2 ** d * ratio / factorValue(d)) ** (1 / piExponent(d));
+}
+
+/**
+ * Variance of π̂ per sample, N·SE² = (π/k)²·(1 - p)/p.
+ * Its ratio to d = 2 is how many times more samples d needs for the same error bar.
+ */
+export function perSampleVariance(d) {
+    const p = hitProbability(d);
+    return (Math.PI / piExponent(d)) ** 2 * (1 - p) / p;
+}
@@ -0,0 +1,58 @@
+/**
+ * IndexedDB Object Stores
+ * Promise wrapper for the local stores: each keeps one object store in a database of
+ * its own, opened on first use.
+ */
+
+/** Settle with the result of an IDBRequest */
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class ObjectStore {
+    /**
+     * @param {{name: string, version: number, store: string, upgrade: (db: IDBDatabase) => void}} schema
+     *        upgrade creates the object store (and its indexes) in a new database
+     * @param {IDBFactory} [indexedDB]
+     */
+    constructor({ name, version, store, upgrade }, indexedDB = globalThis.indexedDB) {
+        this.schema = { name, version, store, upgrade };
+        this.factory = indexedDB;
+        this.db = null;
+    }
+
+    get available() {
+        return !!this.factory;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) throw new Error("IndexedDB is not available");
+
+        const request = this.factory.open(this.schema.name, this.schema.version);
+        request.onupgradeneeded = () => this.schema.upgrade(request.result);
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    /**
+     * Run `fn` on the object store in a transaction.
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} fn
+     * @returns {Promise<any>} result of the request, once the transaction has committed
+     */
+    async transaction(mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(this.schema.store, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const [result] = await Promise.all([promisify(fn(tx.objectStore(this.schema.store))), done]);
+        return result;
+    }
+}
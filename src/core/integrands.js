@@ -0,0 +1,248 @@
+/**
+ * Integrands for the Generic Monte Carlo Integrator
+ * An integrand is WGSL source defining `fn f(x: point_t) -> f32` (point_t is f32 for
+ * DIM 1, vecDIM<f32> up to 4, array<f32, DIM> above) plus its box domain. Built-in
+ * examples carry the exact value so the estimate can be checked:
+ *   - textbook integrals (Gaussian, sin, quarter circle)
+ *   - the six Genz (1984) test families on [0, 1]^d with closed-form answers
+ */
+import { gammaQ } from './statistics.js';
+
+export const MAX_DIM = 32;
+
+/**
+ * @typedef {object} Integrand
+ * @property {string} id
+ * @property {string} label
+ * @property {number} dim
+ * @property {[number, number][]} domain  [lo, hi] per dimension
+ * @property {string} source               WGSL defining fn f(x: point_t) -> f32
+ * @property {number|null} exact           Known value of the integral, null if unknown
+ */
+
+/** erf to ~1e-10 through the incomplete gamma (statistics.js erfc is only good to 1.2e-7) */
+function erf(x) {
+    const value = 1 - gammaQ(0.5, x * x);
+    return x < 0 ? -value : value;
+}
+
+/** WGSL float literal (integers get a decimal point) */
+export function wgslFloat(value) {
+    const text = String(value);
+    return /[.eE]/.test(text) ? text : `${text}.0`;
+}
+
+function wgslArray(values) {
+    return `array<f32, ${values.length}>(${values.map(wgslFloat).join(', ')})`;
+}
+
+const unitCube = (d) => Array.from({ length: d }, () => [0, 1]);
+const product = (values) => values.reduce((acc, v) => acc * v, 1);
+
+/**
+ * Genz test family on [0, 1]^d.
+ * a: difficulty (larger = harder), w: shift. Both fixed per example.
+ */
+function genz(family, a, w) {
+    const d = a.length;
+    const constants = `const GENZ_A = ${wgslArray(a)};\nconst GENZ_W = ${wgslArray(w)};`;
+    const loop = (body) => `for (var i = 0u; i < ${d}u; i++) {\n        ${body}\n    }`;
+
+    switch (family) {
+        case 'oscillatory': {
+            // Re[e^(2πi w1) Π (e^(i a_k) - 1) / (i a_k)]
+            let re = Math.cos(2 * Math.PI * w[0]), im = Math.sin(2 * Math.PI * w[0]);
+            for (const ak of a) {
+                const fr = Math.sin(ak) / ak, fi = (1 - Math.cos(ak)) / ak;
+                [re, im] = [re * fr - im * fi, re * fi + im * fr];
+            }
+            return {
+                label: 'Oscillatory  cos(2πw₁ + Σ aᵢxᵢ)',
+                exact: re,
+                source: `${constants}
+fn f(x: point_t) -> f32 {
+    var s = 6.283185307179586 * GENZ_W[0];
+    ${loop('s += GENZ_A[i] * x[i];')}
+    return cos(s);
+}`
+            };
+        }
+        case 'product-peak':
+            return {
+                label: 'Product peak  Π 1/(aᵢ⁻² + (xᵢ - wᵢ)²)',
+                exact: product(a.map((ak, k) => ak * (Math.atan(ak * (1 - w[k])) + Math.atan(ak * w[k])))),
+                source: `${constants}
+fn f(x: point_t) -> f32 {
+    var p = 1.0;
+    ${loop('let t = x[i] - GENZ_W[i];\n        p /= 1.0 / (GENZ_A[i] * GENZ_A[i]) + t * t;')}
+    return p;
+}`
+            };
+        case 'corner-peak': {
+            // Inclusion-exclusion over the 2^d corners: Σ_S (-1)^|S| / (1 + Σ_S a) / (d! Π a)
+            let sum = 0;
+            for (let mask = 0; mask < 1 << d; mask++) {
+                let s = 1, bits = 0;
+                for (let k = 0; k < d; k++) {
+                    if (mask & (1 << k)) { s += a[k]; bits++; }
+                }
+                sum += (bits % 2 ? -1 : 1) / s;
+            }
+            let factorial = 1;
+            for (let k = 2; k <= d; k++) factorial *= k;
+            return {
+                label: 'Corner peak  (1 + Σ aᵢxᵢ)^-(d+1)',
+                exact: sum / (factorial * product(a)),
+                source: `${constants}
+fn f(x: point_t) -> f32 {
+    var s = 1.0;
+    ${loop('s += GENZ_A[i] * x[i];')}
+    return pow(s, -${wgslFloat(d + 1)});
+}`
+            };
+        }
+        case 'gaussian':
+            return {
+                label: 'Gaussian  exp(-Σ aᵢ²(xᵢ - wᵢ)²)',
+                exact: product(a.map((ak, k) => Math.sqrt(Math.PI) / (2 * ak) * (erf(ak * (1 - w[k])) + erf(ak * w[k])))),
+                source: `${constants}
+fn f(x: point_t) -> f32 {
+    var s = 0.0;
+    ${loop('let t = GENZ_A[i] * (x[i] - GENZ_W[i]);\n        s += t * t;')}
+    return exp(-s);
+}`
+            };
+        case 'continuous':
+            return {
+                label: 'C0  exp(-Σ aᵢ|xᵢ - wᵢ|)',
+                exact: product(a.map((ak, k) => (2 - Math.exp(-ak * w[k]) - Math.exp(-ak * (1 - w[k]))) / ak)),
+                source: `${constants}
+fn f(x: point_t) -> f32 {
+    var s = 0.0;
+    ${loop('s += GENZ_A[i] * abs(x[i] - GENZ_W[i]);')}
+    return exp(-s);
+}`
+            };
+        case 'discontinuous':
+            return {
+                label: 'Discontinuous  exp(Σ aᵢxᵢ), 0 past (w₁, w₂)',
+                exact: product(a.map((ak, k) => (Math.exp(ak * (k < 2 ? w[k] : 1)) - 1) / ak)),
+                source: `${constants}
+fn f(x: point_t) -> f32 {
+    if (x[0] > GENZ_W[0] || x[1] > GENZ_W[1]) {
+        return 0.0;
+    }
+    var s = 0.0;
+    ${loop('s += GENZ_A[i] * x[i];')}
+    return exp(s);
+}`
+            };
+        default:
+            throw new RangeError(`Unknown Genz family '${family}'`);
+    }
+}
+
+const GENZ_A4 = [1.5, 2.5, 0.75, 3.5];
+const GENZ_W4 = [0.3, 0.6, 0.45, 0.8];
+const GENZ_A8 = [0.6, 1.4, 0.9, 1.1, 0.5, 1.3, 0.8, 1.2];
+const GENZ_W8 = [0.2, 0.35, 0.5, 0.65, 0.8, 0.3, 0.55, 0.7];
+
+function genzExample(family, a, w) {
+    const { label, exact, source } = genz(family, a, w);
+    return { id: `genz-${family}-${a.length}d`, label: `Genz ${label} (d = ${a.length})`, dim: a.length, domain: unitCube(a.length), source, exact };
+}
+
+/** @type {Integrand[]} */
+export const INTEGRANDS = [
+    {
+        id: 'gaussian-1d',
+        label: '∫ exp(-x²) dx on [-6, 6]  (√π)',
+        dim: 1,
+        domain: [[-6, 6]],
+        source: `fn f(x: point_t) -> f32 {
+    return exp(-x * x);
+}`,
+        exact: Math.sqrt(Math.PI) * erf(6)
+    },
+    {
+        id: 'sin',
+        label: '∫ sin(x) dx on [0, π]  (2)',
+        dim: 1,
+        domain: [[0, Math.PI]],
+        source: `fn f(x: point_t) -> f32 {
+    return sin(x);
+}`,
+        exact: 2
+    },
+    {
+        id: 'quarter-circle',
+        label: '∫ 4√(1 - x²) dx on [0, 1]  (π)',
+        dim: 1,
+        domain: [[0, 1]],
+        source: `fn f(x: point_t) -> f32 {
+    return 4.0 * sqrt(max(1.0 - x * x, 0.0));
+}`,
+        exact: Math.PI
+    },
+    ...['oscillatory', 'product-peak', 'corner-peak', 'gaussian', 'continuous', 'discontinuous']
+        .map(family => genzExample(family, GENZ_A4, GENZ_W4)),
+    genzExample('gaussian', GENZ_A8, GENZ_W8)
+];
+
+export function getIntegrand(id) {
+    const integrand = INTEGRANDS.find(i => i.id === id);
+    if (!integrand) throw new RangeError(`Unknown integrand '${id}'`);
+    return integrand;
+}
+
+/** Product of the domain widths */
+export function domainVolume(domain) {
+    return product(domain.map(([lo, hi]) => hi - lo));
+}
+
+/**
+ * Parse a domain: "lo hi" for every dimension, or one "lo hi" pair per
+ * dimension separated by ';'. Numbers may be separated by spaces or commas.
+ *
+ * @param {string} text
+ * @param {number} dim
+ * @returns {[number, number][]}
+ * @throws {RangeError} on malformed text, wrong count, or lo >= hi
+ */
+export function parseDomain(text, dim) {
+    const pairs = text.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+        const values = part.split(/[\s,]+/).map(Number);
+        if (values.length !== 2 || !values.every(Number.isFinite)) {
+            throw new RangeError(`Domain entry '${part}' must be two numbers "lo hi"`);
+        }
+        if (!(values[0] < values[1])) throw new RangeError(`Domain entry '${part}' must have lo < hi`);
+        return values;
+    });
+    if (pairs.length === 1) return Array.from({ length: dim }, () => [...pairs[0]]);
+    if (pairs.length !== dim) throw new RangeError(`Domain has ${pairs.length} entries for ${dim} dimensions`);
+    return pairs;
+}
+
+/** Inverse of parseDomain() */
+export function formatDomain(domain) {
+    const first = domain[0];
+    if (domain.every(([lo, hi]) => lo === first[0] && hi === first[1])) return `${first[0]} ${first[1]}`;
+    return domain.map(([lo, hi]) => `${lo} ${hi}`).join('; ');
+}
+
+/**
+ * Validate a user-defined integrand.
+ *
+ * @param {{source: string, dim: number, domain: [number, number][], exact?: number|null, label?: string}} spec
+ * @returns {Integrand}
+ * @throws {RangeError}
+ */
+export function createIntegrand({ source, dim, domain, exact = null, label = 'Custom integrand' }) {
+    if (!Number.isInteger(dim) || dim < 1 || dim > MAX_DIM) {
+        throw new RangeError(`Dimension must be an integer in [1, ${MAX_DIM}], got ${dim}`);
+    }
+    if (domain.length !== dim) throw new RangeError(`Domain has ${domain.length} entries for ${dim} dimensions`);
+    if (!/\bfn\s+f\s*\(/.test(source)) throw new RangeError("Integrand source must define fn f(x: point_t) -> f32");
+    if (exact !== null && !Number.isFinite(exact)) throw new RangeError(`Exact value must be a finite number, got ${exact}`);
+    return { id: 'custom', label, dim, domain, source, exact };
+}
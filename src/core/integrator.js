@@ -0,0 +1,221 @@
+/**
+ * Generic Monte Carlo Integrator
+ * Splices a user integrand (see integrands.js) into integrator.wgsl next to the
+ * engine's selected generator and accumulates Σf and Σf² across frames.
+ *
+ * Accumulation: f32 per thread and per workgroup in double-single (hi + lo) arithmetic,
+ * then f64 with Neumaier compensation on the CPU, so rounding does not grow with N.
+ * The integrator owns its RNG state buffer (seeded like the simulation), so the π
+ * estimate and the integral never share streams.
+ */
+import { composeShader } from './shader_preprocessor.js';
+import { BufferUsage, ShaderStage, MapMode } from './webgpu_constants.js';
+import { getGenerator } from './generators.js';
+import { domainVolume, wgslFloat } from './integrands.js';
+import { analyzeIntegral, DEFAULT_SIGNIFICANCE } from './statistics.js';
+
+export const DEFAULT_INTEGRATOR_BATCH = 256; // Points per thread per frame
+
+export class IntegrandError extends Error {
+    /**
+     * @param {string} message
+     * @param {{line: number|null, message: string}[]} [messages] compiler messages, lines relative to the integrand
+     */
+    constructor(message, messages = []) {
+        super(message);
+        this.name = "IntegrandError";
+        this.messages = messages;
+    }
+}
+
+/** Neumaier-compensated f64 sum */
+function compensatedAdd(acc, x) {
+    const t = acc.sum + x;
+    acc.compensation += Math.abs(acc.sum) >= Math.abs(x) ? (acc.sum - t) + x : (x - t) + acc.sum;
+    acc.sum = t;
+}
+
+const compensatedValue = (acc) => acc.sum + acc.compensation;
+
+export class MonteCarloIntegrator {
+    /**
+     * @param {import('./compute_engine.js').ComputeEngine} engine
+     * @param {string} shaderSource integrator.wgsl
+     */
+    constructor(engine, shaderSource) {
+        this.engine = engine;
+        this.shaderSource = shaderSource;
+        this.integrand = null;
+        this.generator = null; // Generator the pipeline was built for
+        this.launch = null; // Engine threads / workgroup size the buffers and pipeline were built for
+        this.pipeline = null;
+        this.bindGroup = null;
+        this.buffers = null;
+        this.rngKey = 0;
+        this.frame = 0;
+        this.epoch = 0; // Bumped by reset(): frames in flight across a reset are dropped
+        this.resetSums();
+    }
+
+    resetSums() {
+        this.sum = { sum: 0, compensation: 0 };
+        this.sumSquares = { sum: 0, compensation: 0 };
+        this.count = 0n;
+    }
+
+    /**
+     * Compile the pipeline for `integrand` and the engine's current generator, then reset.
+     *
+     * @param {import('./integrands.js').Integrand} integrand
+     * @throws {IntegrandError} when the integrand does not compile
+     */
+    async configure(integrand) {
+        const { device, workgroupSize, shaderSources } = this.engine;
+        const generator = getGenerator(this.engine.generator);
+        if (generator.quasi) {
+            throw new IntegrandError(`${generator.label} points are laid out for the 2D π kernel; pick a pseudo-random generator.`);
+        }
+
+        const code = composeShader(this.shaderSource, {
+            defines: {
+                WORKGROUP_SIZE: workgroupSize,
+                DIM: integrand.dim,
+                DRAWS: Math.ceil(integrand.dim / 4),
+                DOMAIN_LO: integrand.domain.map(([lo]) => wgslFloat(lo)).join(', '),
+                DOMAIN_WIDTH: integrand.domain.map(([lo, hi]) => wgslFloat(hi - lo)).join(', ')
+            },
+            injections: { RNG: shaderSources.rng[generator.id], INTEGRAND: integrand.source }
+        });
+
+        const module = device.createShaderModule({ label: `Integrator (${integrand.id}, ${generator.id})`, code });
+        const info = await module.getCompilationInfo();
+        const errors = info.messages.filter(m => m.type === 'error');
+        if (errors.length > 0) {
+            // Report lines relative to the integrand source
+            const firstLine = code.slice(0, code.indexOf(integrand.source)).split('\n').length;
+            const messages = errors.map(m => {
+                const line = m.lineNum - firstLine + 1;
+                return { line: line >= 1 && line <= integrand.source.split('\n').length ? line : null, message: m.message };
+            });
+            throw new IntegrandError(messages.map(m => (m.line ? `line ${m.line}: ` : '') + m.message).join('\n'), messages);
+        }
+
+        device.pushErrorScope('validation');
+        const layout = device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // rng_storage
+                { binding: 1, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // partials
+                { binding: 2, visibility: ShaderStage.COMPUTE, buffer: { type: "uniform" } }  // params
+            ]
+        });
+        const pipeline = device.createComputePipeline({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [layout] }),
+            compute: { module, entryPoint: "main" }
+        });
+        const error = await device.popErrorScope();
+        if (error) throw new IntegrandError(error.message);
+
+        this.createBuffers(generator);
+        this.pipeline = pipeline;
+        this.bindGroup = device.createBindGroup({
+            layout,
+            entries: [
+                { binding: 0, resource: { buffer: this.buffers.state } },
+                { binding: 1, resource: { buffer: this.buffers.partials } },
+                { binding: 2, resource: { buffer: this.buffers.uniform } }
+            ]
+        });
+        this.integrand = integrand;
+        this.generator = generator.id;
+        this.launch = this.engineLaunch();
+        this.reset();
+    }
+
+    engineLaunch() {
+        return `${this.engine.totalThreads}/${this.engine.workgroupSize}`;
+    }
+
+    createBuffers(generator) {
+        const { device, totalThreads, workgroupSize } = this.engine;
+        const stateSize = Math.max(16, totalThreads * generator.wordsPerThread * 4);
+        const partialsSize = (totalThreads / workgroupSize) * 16; // vec4<f32> per workgroup
+        if (this.buffers?.state.size === stateSize && this.buffers.partials.size === partialsSize) return;
+        if (this.buffers) {
+            for (const buffer of Object.values(this.buffers)) buffer.destroy();
+        }
+
+        this.buffers = {
+            state: device.createBuffer({ size: stateSize, usage: BufferUsage.STORAGE | BufferUsage.COPY_DST, label: "IntegratorRNGState" }),
+            partials: device.createBuffer({ size: partialsSize, usage: BufferUsage.STORAGE | BufferUsage.COPY_SRC, label: "IntegratorPartials" }),
+            readback: device.createBuffer({ size: partialsSize, usage: BufferUsage.MAP_READ | BufferUsage.COPY_DST, label: "IntegratorReadback" }),
+            uniform: device.createBuffer({ size: 32, usage: BufferUsage.UNIFORM | BufferUsage.COPY_DST, label: "IntegratorParams" })
+        };
+    }
+
+    /**
+     * Re-seed the streams from the engine's seed and clear the sums.
+     */
+    reset() {
+        this.resetSums();
+        this.epoch++;
+        this.frame = 0;
+        if (!this.buffers || !this.generator) return;
+        const { states, key } = getGenerator(this.generator).createStates(this.engine.rngSeed, this.engine.totalThreads);
+        if (states.length > 0) this.engine.device.queue.writeBuffer(this.buffers.state, 0, states);
+        this.rngKey = key;
+    }
+
+    /**
+     * Integrate one frame (totalThreads x batchSize points) and fold it into the sums.
+     * Rebuilds the pipeline first if the engine switched generators or launch config.
+     *
+     * @param {number} [batchSize]
+     * @throws {IntegrandError} if the integrand produced NaN or Infinity
+     */
+    async runFrame(batchSize = DEFAULT_INTEGRATOR_BATCH) {
+        if (!this.integrand) throw new Error("MonteCarloIntegrator: configure() an integrand first");
+        if (this.generator !== this.engine.generator || this.launch !== this.engineLaunch()) await this.configure(this.integrand);
+
+        const { device, totalThreads, dispatch } = this.engine;
+        const epoch = this.epoch;
+        this.frame++;
+        device.queue.writeBuffer(this.buffers.uniform, 0, new Uint32Array([this.rngKey, this.frame, batchSize, 0, 0, 0, 0, 0]));
+
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(this.pipeline);
+        pass.setBindGroup(0, this.bindGroup);
+        pass.dispatchWorkgroups(...dispatch);
+        pass.end();
+        encoder.copyBufferToBuffer(this.buffers.partials, 0, this.buffers.readback, 0, this.buffers.partials.size);
+        device.queue.submit([encoder.finish()]);
+
+        await this.buffers.readback.mapAsync(MapMode.READ);
+        const partials = new Float32Array(this.buffers.readback.getMappedRange().slice(0));
+        this.buffers.readback.unmap();
+        if (epoch !== this.epoch) return;
+
+        for (let i = 0; i < partials.length; i += 4) {
+            if (!partials.subarray(i, i + 4).every(Number.isFinite)) {
+                throw new IntegrandError("Integrand returned NaN or Infinity inside the domain");
+            }
+            compensatedAdd(this.sum, partials[i]);
+            compensatedAdd(this.sum, partials[i + 1]);
+            compensatedAdd(this.sumSquares, partials[i + 2]);
+            compensatedAdd(this.sumSquares, partials[i + 3]);
+        }
+        this.count += BigInt(totalThreads * batchSize);
+    }
+
+    /**
+     * @param {{significance?: number}} [options]
+     * @returns {ReturnType<typeof analyzeIntegral>|null} null before two samples exist
+     */
+    analyze({ significance = DEFAULT_SIGNIFICANCE } = {}) {
+        if (!this.integrand || this.count < 2n) return null;
+        return analyzeIntegral(
+            { sum: compensatedValue(this.sum), sumSquares: compensatedValue(this.sumSquares), count: this.count },
+            { volume: domainVolume(this.integrand.domain), exact: this.integrand.exact, significance }
+        );
+    }
+}
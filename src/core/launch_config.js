@@ -0,0 +1,127 @@
+/**
+ * Kernel Launch Configuration
+ * The throughput knobs of simulation.wgsl that do not change what is sampled:
+ *   workgroupSize  WORKGROUP_SIZE define (invocations per workgroup)
+ *   numSlots       NUM_SLOTS define (atomic result slots the threads spread over)
+ *   dispatch       [dX, dY] workgroups per frame
+ * Every invocation owns one RNG state, so the dispatch also sets the thread count
+ * (dX·dY·workgroupSize) and with it the size of the state buffer; the kernels
+ * linearize 2D and 3D global ids row by row (see linear_id in simulation.wgsl).
+ * Every value is validated against the replicate layout and the device limits before
+ * buffers and a pipeline are built from it. Pure functions, no DOM access.
+ */
+import { NUM_SLOTS } from './result_layout.js';
+
+export const DEFAULT_THREADS = 128 * 256;
+
+/**
+ * The original kernel dispatched 128 x 128 workgroups but read its RNG state by
+ * global_id.x alone: the 128 rows re-ran the same 32,768 streams, so 127 of every 128
+ * samples (and that share of the reported throughput) were repeats. One row of the same
+ * 32,768 threads draws as many distinct samples per frame.
+ */
+export const DEFAULT_LAUNCH_CONFIG = {
+    workgroupSize: 256,
+    numSlots: NUM_SLOTS,
+    dispatch: [DEFAULT_THREADS / 256, 1]
+};
+
+export const MIN_SLOTS = 64; // Largest replicate group count (VARIANCE_BATCHES) must divide it
+export const MAX_SLOTS = 65536;
+export const MIN_THREADS = 4096;
+export const MAX_THREADS = 2 ** 22; // Keeps the RNG battery's u32 histogram cells from wrapping
+export const MAX_BATCH_SIZE = 100000; // Loop iterations per thread and frame
+const DEFAULT_WORKGROUPS_PER_DIMENSION = 65535; // WebGPU default maxComputeWorkgroupsPerDimension
+
+const isPowerOfTwo = (n) => Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+
+/**
+ * @typedef {object} LaunchConfig
+ * @property {number} workgroupSize
+ * @property {number} numSlots
+ * @property {[number, number]} dispatch
+ */
+
+/** Invocations (and RNG states) of a launch config */
+export function threadCount({ workgroupSize, dispatch }) {
+    return dispatch[0] * dispatch[1] * workgroupSize;
+}
+
+/**
+ * Dispatch geometry for `threads` invocations: one row while the workgroups fit into
+ * a single dimension, otherwise power-of-two rows of the widest power-of-two width.
+ * @param {number} threads power of two
+ * @param {number} workgroupSize power of two
+ * @returns {[number, number]}
+ */
+export function dispatchForThreads(threads, workgroupSize, maxPerDimension = DEFAULT_WORKGROUPS_PER_DIMENSION) {
+    const workgroups = Math.max(1, Math.floor(threads / workgroupSize));
+    if (workgroups <= maxPerDimension) return [workgroups, 1];
+    const width = 2 ** Math.floor(Math.log2(maxPerDimension));
+    return [width, Math.ceil(workgroups / width)];
+}
+
+/**
+ * Fill missing fields of a partial launch config with the defaults.
+ * @returns {LaunchConfig}
+ */
+export function launchConfig(source = {}) {
+    return {
+        workgroupSize: source.workgroupSize ?? DEFAULT_LAUNCH_CONFIG.workgroupSize,
+        numSlots: source.numSlots ?? DEFAULT_LAUNCH_CONFIG.numSlots,
+        dispatch: [...(source.dispatch ?? DEFAULT_LAUNCH_CONFIG.dispatch)]
+    };
+}
+
+/**
+ * @param {LaunchConfig} config
+ * @param {{replicates?: number, bytesPerThread?: number, limits?: object}} [context]
+ *        replicates: RQMC replicates of the generator (workgroups are assigned round robin);
+ *        bytesPerThread: largest per-thread storage binding (RNG state, audit counts);
+ *        limits: GPUSupportedLimits of the device (unchecked when absent)
+ * @returns {LaunchConfig} config
+ * @throws {RangeError}
+ */
+export function checkLaunchConfig(config, { replicates = 1, bytesPerThread = 0, limits = null } = {}) {
+    const { workgroupSize, numSlots, dispatch } = config;
+    if (!isPowerOfTwo(workgroupSize)) {
+        throw new RangeError(`Workgroup size must be a power of two, got ${workgroupSize}`);
+    }
+    if (limits) {
+        const maxSize = Math.min(limits.maxComputeInvocationsPerWorkgroup, limits.maxComputeWorkgroupSizeX);
+        if (workgroupSize > maxSize) throw new RangeError(`Workgroup size ${workgroupSize} exceeds the device limit ${maxSize}`);
+    }
+    if (!isPowerOfTwo(numSlots) || numSlots < MIN_SLOTS || numSlots > MAX_SLOTS) {
+        throw new RangeError(`Slot count must be a power of two in [${MIN_SLOTS}, ${MAX_SLOTS}], got ${numSlots}`);
+    }
+    if (!Array.isArray(dispatch) || dispatch.length !== 2 || !dispatch.every(n => Number.isInteger(n) && n >= 1)) {
+        throw new RangeError(`Dispatch must be two positive integers, got ${dispatch}`);
+    }
+    if (limits && Math.max(...dispatch) > limits.maxComputeWorkgroupsPerDimension) {
+        throw new RangeError(`Dispatch ${dispatch.join(' x ')} exceeds the device limit of ${limits.maxComputeWorkgroupsPerDimension} workgroups per dimension`);
+    }
+    const workgroups = dispatch[0] * dispatch[1];
+    if (workgroups % replicates !== 0) {
+        throw new RangeError(`${workgroups} workgroups cannot be split into ${replicates} replicates`);
+    }
+    const threads = threadCount(config);
+    if (threads < MIN_THREADS || threads > MAX_THREADS) {
+        throw new RangeError(`Thread count must be in [${MIN_THREADS}, ${MAX_THREADS}], got ${threads}`);
+    }
+    if (threads % numSlots !== 0) {
+        throw new RangeError(`${threads} threads cannot be spread evenly over ${numSlots} slots`);
+    }
+    if (limits) {
+        const bytes = threads * bytesPerThread;
+        const maxBytes = Math.min(limits.maxStorageBufferBindingSize, limits.maxBufferSize);
+        if (bytes > maxBytes) {
+            throw new RangeError(`${threads} threads need a ${bytes} byte storage buffer, the device allows ${maxBytes}`);
+        }
+    }
+    return config;
+}
+
+export function sameLaunchConfig(a, b) {
+    return a.workgroupSize === b.workgroupSize && a.numSlots === b.numSlots &&
+        a.dispatch[0] === b.dispatch[0] && a.dispatch[1] === b.dispatch[1];
+}
@@ -0,0 +1,113 @@
+/**
+ * Run-Until-Target Stopping Rules
+ * The interactive loop can run until a goal is met instead of until it is paused:
+ *   precision  the confidence interval of π̂ has a half-width of at most `tolerance` at
+ *              the chosen confidence level (the interval of errorAnalysis(): Wilson for
+ *              plain sampling, Student t over replicates for RQMC and variance reduction)
+ *   samples    at least `samples` samples were taken; the last frames shrink their batch
+ *              so the overshoot stays below one batch step of the whole dispatch
+ * The half-width falls as 1/sqrt(N), so the samples still needed follow from the current
+ * half-width, and the measured throughput turns them into a time to completion.
+ * Pure functions, no DOM access.
+ */
+import { errorAnalysis } from './report.js';
+
+export const TARGET_KINDS = {
+    precision: { id: 'precision', label: 'π ± tolerance' },
+    samples: { id: 'samples', label: 'Sample count' }
+};
+export const DEFAULT_TARGET_CONFIDENCE = 0.95;
+
+/**
+ * @typedef {object} Target
+ * @property {string} kind          key of TARGET_KINDS
+ * @property {number} tolerance     half-width goal ('precision' only)
+ * @property {number} confidence    level of the interval ('precision' only)
+ * @property {bigint} samples       sample goal ('samples' only)
+ */
+
+/**
+ * Validate a goal from user input. `value` is the tolerance or the sample count
+ * (exponent notation allowed, e.g. "1e-6" or "1e12").
+ * @returns {Target}
+ * @throws {RangeError}
+ */
+export function parseTarget({ kind, value, confidence = DEFAULT_TARGET_CONFIDENCE }) {
+    const n = Number(value);
+    switch (kind) {
+        case 'precision':
+            if (!(n > 0 && n < 1)) throw new RangeError(`Tolerance must be in (0, 1), got ${value}`);
+            if (!(confidence > 0 && confidence < 1)) throw new RangeError(`Confidence must be in (0, 1), got ${confidence}`);
+            return { kind, tolerance: n, confidence, samples: 0n };
+        case 'samples':
+            if (!Number.isInteger(n) || n < 1) throw new RangeError(`Sample count must be a positive integer, got ${value}`);
+            return { kind, tolerance: 0, confidence: 0, samples: BigInt(n) };
+        default:
+            throw new RangeError(`Unknown target '${kind}'`);
+    }
+}
+
+/** Half the length of a confidence interval (the interval may be asymmetric) */
+export function halfWidth(statistics) {
+    const [lo, hi] = statistics.confidenceInterval;
+    return (hi - lo) / 2;
+}
+
+/**
+ * Where a run stands against its goal.
+ * @param {Target} target
+ * @param {{inside: bigint, total: bigint, replicates?: ?{inside: bigint, total: bigint}[],
+ *          estimator?: object}} counts accumulated counts of the run
+ * @returns {{met: boolean, fraction: number, remaining: ?number, halfWidth: ?number}}
+ *          fraction of the goal reached (by samples), remaining samples (estimated for
+ *          'precision', null before the first samples), current half-width ('precision' only)
+ */
+export function targetProgress(target, { inside, total, replicates = null, estimator = {} }) {
+    if (target.kind === 'samples') {
+        const remaining = target.samples > total ? target.samples - total : 0n;
+        return {
+            met: remaining === 0n,
+            fraction: Math.min(1, Number(total) / Number(target.samples)),
+            remaining: Number(remaining),
+            halfWidth: null
+        };
+    }
+    if (total === 0n) return { met: false, fraction: 0, remaining: null, halfWidth: null };
+
+    const h = halfWidth(errorAnalysis(inside, total, 1 - target.confidence, replicates, estimator));
+    // N·(h/tol)² samples shrink the half-width to the tolerance
+    const fraction = Math.min(1, (target.tolerance / h) ** 2);
+    return {
+        met: h <= target.tolerance,
+        fraction,
+        remaining: Math.max(0, Number(total) * (1 / fraction - 1)),
+        halfWidth: h
+    };
+}
+
+/**
+ * Batch size for the next frame of a sample-count run: the full batch until the
+ * remainder is smaller than one frame, then just enough batch steps to cover it.
+ * @param {bigint} remaining        samples still to take
+ * @param {number} samplesPerStep   samples one frame adds per unit of batch size
+ * @param {number} batchSize        the run's batch size
+ */
+export function batchForRemaining(remaining, samplesPerStep, batchSize) {
+    if (!(samplesPerStep > 0)) return batchSize;
+    const steps = Math.ceil(Number(remaining) / samplesPerStep);
+    return Math.min(batchSize, Math.max(1, steps));
+}
+
+/** Seconds to completion at `samplesPerSec`, null while either is unknown */
+export function estimateSeconds(remaining, samplesPerSec) {
+    if (remaining === null || !(samplesPerSec > 0)) return null;
+    return remaining / samplesPerSec;
+}
+
+/** "42s", "12m 05s", "3h 20m" */
+export function formatSeconds(seconds) {
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+    return `${Math.floor(s / 3600)}h ${String(Math.floor(s / 60) % 60).padStart(2, '0')}m`;
+}
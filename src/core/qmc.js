@@ -0,0 +1,130 @@
+/**
+ * Randomized Quasi-Monte Carlo (RQMC) Point Sets
+ * JavaScript twins of src/shaders/rng/qmc.wgsl + sobol.wgsl / halton.wgsl.
+ *
+ * Points are addressed by a 64-bit global sample index, so no per-thread state is needed:
+ *   replicate r    = workgroup % replicates
+ *   local thread   = (workgroup / replicates) * workgroupSize + thread % workgroupSize
+ *   index          = sampleBase + local * (batchSize * unroll * 4) + call
+ * Each replicate is an independently scrambled copy of the same sequence; the spread of
+ * the replicate estimates gives the error bar. The scramble is re-keyed every 2^32
+ * points (the high word of the index, "epoch").
+ */
+
+/** lowbias32 integer hash (Wellons) */
+export function hash32(x) {
+    x = (x ^ (x >>> 16)) >>> 0;
+    x = Math.imul(x, 0x7FEB352D) >>> 0;
+    x = (x ^ (x >>> 15)) >>> 0;
+    x = Math.imul(x, 0x846CA68B) >>> 0;
+    return (x ^ (x >>> 16)) >>> 0;
+}
+
+/** Scramble seed for one dimension / replicate / epoch (qmc_seed in WGSL) */
+export function scrambleSeed(key, dim, replicate, epoch) {
+    const base = hash32((key ^ Math.imul(dim, 0x9E3779B9)) >>> 0);
+    return hash32((hash32((base ^ replicate) >>> 0) ^ epoch) >>> 0);
+}
+
+export function reverseBits32(x) {
+    x = (((x >>> 1) & 0x55555555) | ((x & 0x55555555) << 1)) >>> 0;
+    x = (((x >>> 2) & 0x33333333) | ((x & 0x33333333) << 2)) >>> 0;
+    x = (((x >>> 4) & 0x0F0F0F0F) | ((x & 0x0F0F0F0F) << 4)) >>> 0;
+    x = (((x >>> 8) & 0x00FF00FF) | ((x & 0x00FF00FF) << 8)) >>> 0;
+    return ((x >>> 16) | (x << 16)) >>> 0;
+}
+
+/** Second Sobol dimension (primitive polynomial x + 1): v1 = 2^31, v_k = v_{k-1} ^ (v_{k-1} >> 1) */
+export function sobolDim1(index) {
+    let x = 0;
+    let v = 0x80000000;
+    for (let i = index >>> 0; i !== 0; i >>>= 1) {
+        if (i & 1) x ^= v;
+        v = (v ^ (v >>> 1)) >>> 0;
+    }
+    return x >>> 0;
+}
+
+/** Laine-Karras style hash: an Owen scramble when applied to bit-reversed values */
+function laineKarras(x, seed) {
+    x = (x + seed) >>> 0;
+    x = (x ^ Math.imul(x, 0x6C50B47C)) >>> 0;
+    x = (x ^ Math.imul(x, 0xB82F1E52)) >>> 0;
+    x = (x ^ Math.imul(x, 0xC7AFE638)) >>> 0;
+    return (x ^ Math.imul(x, 0x8D22F6E6)) >>> 0;
+}
+
+/** Nested uniform (Owen) scramble of a 0.32 fixed-point coordinate */
+export function owenScramble(x, seed) {
+    return reverseBits32(laineKarras(reverseBits32(x), seed));
+}
+
+/**
+ * Base-3 radical inverse in 0.32 fixed point: sum of d_k * floor(2^32 / 3^(k+1)).
+ * Integer-only, so CPU and GPU agree bit for bit.
+ */
+export function radicalInverse3(index) {
+    let n = index >>> 0;
+    let w = Math.floor(0xFFFFFFFF / 3);
+    let x = 0;
+    while (n !== 0) {
+        x += (n % 3) * w;
+        n = Math.floor(n / 3);
+        w = Math.floor(w / 3);
+    }
+    return x >>> 0;
+}
+
+/** Owen-scrambled Sobol (0, 2)-sequence */
+export function sobolPoint(dim, index, seed) {
+    return owenScramble(dim === 0 ? reverseBits32(index) : sobolDim1(index), seed);
+}
+
+/** Halton (bases 2, 3) with a Cranley-Patterson random shift */
+export function haltonPoint(dim, index, seed) {
+    return ((dim === 0 ? reverseBits32(index) : radicalInverse3(index)) + seed) >>> 0;
+}
+
+/**
+ * Stream for one thread: calls alternate x (dim 0) and y (dim 1) for the same 4 points,
+ * then advance the index by 4.
+ *
+ * @param {(dim: number, index: number, seed: number) => number} point
+ * @param {{thread?: number, key?: number, sampleBase?: bigint, batchSize?: number,
+ *          unroll?: number, replicates?: number, workgroupSize?: number}} ctx
+ */
+export function createQMCStream(point, ctx) {
+    const { thread = 0, key = 0, sampleBase = 0n, batchSize = 1, unroll = 2, replicates = 1, workgroupSize = 256 } = ctx;
+    const workgroup = Math.floor(thread / workgroupSize);
+    const replicate = workgroup % replicates;
+    const local = Math.floor(workgroup / replicates) * workgroupSize + thread % workgroupSize;
+    const start = BigInt.asUintN(64, BigInt(sampleBase) + BigInt(local) * BigInt(batchSize * unroll * 4));
+    let lo = Number(start & 0xFFFFFFFFn);
+    let hi = Number(start >> 32n);
+    let dim = 0;
+    const seeds = new Map(); // (dim, epoch) -> seed
+
+    const seedFor = (d, epoch) => {
+        const id = epoch * 2 + d;
+        let seed = seeds.get(id);
+        if (seed === undefined) {
+            seed = scrambleSeed(key >>> 0, d, replicate, epoch);
+            seeds.set(id, seed);
+        }
+        return seed;
+    };
+
+    return (out) => {
+        for (let l = 0; l < 4; l++) {
+            const index = (lo + l) >>> 0;
+            const epoch = (hi + (index < lo ? 1 : 0)) >>> 0;
+            out[l] = point(dim, index, seedFor(dim, epoch));
+        }
+        if (dim === 1) {
+            const next = (lo + 4) >>> 0;
+            if (next < lo) hi = (hi + 1) >>> 0;
+            lo = next;
+        }
+        dim ^= 1;
+    };
+}
@@ -0,0 +1,128 @@
+import { ShaderStage } from './webgpu_constants.js';
+import { composeShader } from './shader_preprocessor.js';
+import { VIZ_NEEDLES, VIZ_STRIPS } from './buffon.js';
+
+/**
+ * Optional Point-Cloud Render Attachment
+ * Draws the engine's SoA visualization buffers (out_x/out_y) into a canvas
+ * via vertex pulling, as points, or as needles over ruled lines in Buffon mode.
+ * The compute engine works without it.
+ */
+export class RenderAttachment {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {{gpu?: GPU}} [options] Source of getPreferredCanvasFormat()
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.gpu = options.gpu ?? globalThis.navigator?.gpu;
+        this.context = null;
+        this.pipeline = null;
+        this.bindGroup = null;
+        this.vertexCount = 0;
+        this.engine = null;
+        this.shaderSource = null;
+        this.canvasFormat = null;
+        this.layout = null;
+    }
+
+    /**
+     * Configure the canvas for the engine's device and build the render pipeline.
+     *
+     * @param {ComputeEngine} engine  Initialized engine (provides device + visualization buffers)
+     * @param {string} shaderSource   render.wgsl
+     */
+    init(engine, shaderSource) {
+        const device = engine.device;
+        this.engine = engine;
+        this.shaderSource = shaderSource;
+
+        this.context = this.canvas.getContext("webgpu");
+        this.canvasFormat = this.gpu.getPreferredCanvasFormat();
+        this.context.configure({
+            device: device,
+            format: this.canvasFormat,
+            alphaMode: "premultiplied"
+        });
+
+        // For rendering, we need readonly access to the visualization buffers from Vertex stage
+        this.layout = device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: ShaderStage.VERTEX, buffer: { type: "read-only-storage" } },
+                { binding: 1, visibility: ShaderStage.VERTEX, buffer: { type: "read-only-storage" } }
+            ]
+        });
+
+        this.bindGroup = device.createBindGroup({
+            layout: this.layout,
+            entries: [
+                { binding: 0, resource: { buffer: engine.buffers.outX } },
+                { binding: 1, resource: { buffer: engine.buffers.outY } }
+            ]
+        });
+
+        this.rebuild();
+    }
+
+    /**
+     * (Re)build the render pipeline from the engine's current shader defines.
+     * Called by the engine when the estimator changes.
+     */
+    rebuild() {
+        const device = this.engine.device;
+        const defines = this.engine.shaderDefines();
+
+        const renderModule = device.createShaderModule({
+            label: "Render Shader",
+            code: composeShader(this.shaderSource, { defines: { ...defines, VIZ_NEEDLES, VIZ_STRIPS } })
+        });
+
+        this.pipeline = device.createRenderPipeline({
+            layout: device.createPipelineLayout({
+                bindGroupLayouts: [this.layout]
+            }),
+            vertex: {
+                module: renderModule,
+                entryPoint: "vs_main"
+            },
+            fragment: {
+                module: renderModule,
+                entryPoint: "fs_main",
+                targets: [{
+                    format: this.canvasFormat,
+                    blend: {
+                        color: { srcFactor: "src-alpha", dstFactor: "one-minus-src-alpha", operation: "add" },
+                        alpha: { srcFactor: "src-alpha", dstFactor: "one", operation: "add" } // Premultiplied
+                    }
+                }]
+            },
+            primitive: {
+                topology: defines.BUFFON ? "line-list" : "point-list"
+            }
+        });
+
+        // Buffon: two vertices per needle and per ruled line
+        this.vertexCount = defines.BUFFON
+            ? 2 * (VIZ_NEEDLES + VIZ_STRIPS + 1)
+            : this.engine.maxVisualPoints;
+    }
+
+    /**
+     * Record the render pass into the engine's frame encoder.
+     */
+    encode(commandEncoder) {
+        const textureView = this.context.getCurrentTexture().createView();
+        const renderPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: textureView,
+                clearValue: { r: 0.02, g: 0.02, b: 0.02, a: 1.0 },
+                loadOp: "clear",
+                storeOp: "store"
+            }]
+        });
+        renderPass.setPipeline(this.pipeline);
+        renderPass.setBindGroup(0, this.bindGroup);
+        renderPass.draw(this.vertexCount);
+        renderPass.end();
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * Benchmark Report Serialization
+ * Flattens a BenchmarkProtocol report plus the backend's environment into one
+ * plain record, and renders it as JSON, CSV (one row per repetition) or Markdown.
+ * BigInt counts are kept exact as decimal strings. No DOM access.
+ */
+import { FLOPS_PER_SAMPLE } from './benchmark.js';
+import { analyzeEstimate, analyzeReplicates, DEFAULT_SIGNIFICANCE } from './statistics.js';
+import { exactPiEstimate } from './exact_pi.js';
+import { DEFAULT_GENERATOR, getGenerator } from './generators.js';
+import { estimatorModel, estimatorSettings } from './estimators.js';
+import { samplesPerIteration } from './variance_reduction.js';
+import { NUM_SLOTS } from './result_layout.js';
+
+export const REPORT_SCHEMA_VERSION = 1;
+export const REPORT_DECIMALS = 30; // Exact π̂ digits written to reports
+
+/**
+ * Error of the π estimate against its standard error (see statistics.js).
+ * theoryError is the standard error; errorRatio = |z|.
+ * With per-replicate counts the method is 'rqmc' (quasi-random generators) or 'batches'
+ * (variance reduction, see variance_reduction.js): the standard error comes from the
+ * replicate spread, z is Student's t and the interval is the t interval, and
+ * varianceReduction compares it with plain sampling at the same N; otherwise 'binomial' with the Wilson interval, plus the hit (or
+ * crossing) ratio and the variance growth of the estimator over the 2D circle (estimators.js).
+ * @param {bigint} inside
+ * @param {bigint} total
+ * @param {number} [significance]
+ * @param {?{inside: bigint, total: bigint}[]} [replicates]
+ * @param {Partial<import('./estimators.js').EstimatorSettings>} [estimator] defaults to the circle
+ */
+export function errorAnalysis(inside, total, significance = DEFAULT_SIGNIFICANCE, replicates = null, estimator = {}) {
+    if (replicates) {
+        const r = analyzeReplicates(replicates, { significance, estimator });
+        return {
+            method: r.estimator.varianceReduction === "none" ? "rqmc" : "batches",
+            piEstimate: r.piEstimate,
+            empiricalError: r.empiricalError,
+            theoryError: r.standardError,
+            errorRatio: Math.abs(r.t),
+            z: r.t,
+            pValue: r.pValue,
+            significance: r.significance,
+            confidenceInterval: r.interval,
+            consistent: r.consistent,
+            replicates: r.replicates,
+            estimator: r.estimator,
+            binomialError: r.binomialError,
+            varianceReduction: r.varianceReduction
+        };
+    }
+
+    const a = analyzeEstimate(inside, total, { significance, estimator });
+    return {
+        method: "binomial",
+        piEstimate: a.piEstimate,
+        empiricalError: a.empiricalError,
+        theoryError: a.standardError,
+        errorRatio: Math.abs(a.z),
+        z: a.z,
+        pValue: a.pValue,
+        significance: a.significance,
+        confidenceInterval: a.intervals.wilson,
+        consistent: a.consistent,
+        estimator: a.estimator,
+        hitRatio: a.hitRatio,
+        expectedHitRatio: a.expectedHitRatio,
+        varianceGrowth: a.varianceGrowth
+    };
+}
+
+/** Human-readable name of the statistics method, e.g. for table labels */
+export function describeErrorMethod(statistics) {
+    switch (statistics.method) {
+        case "rqmc": return { error: `RQMC, ${statistics.replicates} replicates`, interval: "Student t" };
+        case "batches": return { error: `batch means, ${statistics.replicates} batches`, interval: "Student t" };
+        default: return { error: "binomial", interval: "Wilson" };
+    }
+}
+
+/** Whether the standard error was measured from replicates rather than the binomial */
+export function isReplicated(statistics) {
+    return statistics.method !== "binomial";
+}
+
+/**
+ * Plain-sampling samples per second with the same accuracy: raw throughput times the
+ * variance reduction factor (null without one). Accuracy per second, not samples per second.
+ */
+export function effectiveThroughput(samplesPerSec, statistics) {
+    return statistics.varianceReduction !== undefined ? samplesPerSec * statistics.varianceReduction : null;
+}
+
+const serializeReplicates = (replicates) =>
+    replicates?.map(c => ({ inside: c.inside.toString(), total: c.total.toString() })) ?? null;
+
+/** GPUAdapterInfo exposes its fields as getters, so copy them explicitly */
+function adapterInfo(backend) {
+    const info = backend.adapter?.info;
+    if (!info) return null;
+    return {
+        vendor: info.vendor ?? "",
+        architecture: info.architecture ?? "",
+        device: info.device ?? "",
+        description: info.description ?? ""
+    };
+}
+
+/**
+ * @param {{backend: object, report: object, significance?: number, userAgent?: string, createdAt?: Date}} options
+ *        report is the result of BenchmarkProtocol.run()
+ * @returns {object} JSON-safe record
+ */
+export function createBenchmarkRecord({ backend, report, significance = DEFAULT_SIGNIFICANCE, userAgent = globalThis.navigator?.userAgent ?? "", createdAt = new Date() }) {
+    const { config } = report;
+    const features = backend.features ?? {};
+    const effectiveBatchSize = backend.effectiveBatchSize(config.batchSize);
+    const estimator = estimatorSettings(backend);
+
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        createdAt: createdAt.toISOString(),
+        environment: {
+            userAgent,
+            backend: backend.name,
+            backendLabel: backend.label,
+            adapter: adapterInfo(backend),
+            features: {
+                subgroups: !!features.subgroups,
+                f16: !!features.f16,
+                timestampQuery: !!features.timestampQuery
+            },
+            vizFormat: backend.vizFormat
+        },
+        configuration: {
+            generator: backend.generator ?? DEFAULT_GENERATOR,
+            replicates: getGenerator(backend.generator ?? DEFAULT_GENERATOR).replicates,
+            ...estimator, // mode, dimension, needleLength, varianceReduction
+            seed: backend.rngSeed ?? null, // null = crypto-random seeding
+            batchSize: config.batchSize,
+            effectiveBatchSize,
+            samplesPerThreadIteration: samplesPerIteration(estimator.varianceReduction, backend.unroll ?? 2),
+            dispatch: [...backend.dispatch],
+            workgroupSize: backend.workgroupSize,
+            numSlots: backend.numSlots ?? NUM_SLOTS,
+            totalThreads: backend.totalThreads,
+            warmupSeconds: config.warmupSeconds,
+            measureSeconds: config.measureSeconds,
+            repetitions: config.repetitions,
+            flopsPerSample: FLOPS_PER_SAMPLE
+        },
+        timingMethod: report.timingMethod,
+        runs: report.runs.map(r => ({
+            repetition: r.repetition,
+            inside: r.inside.toString(),
+            total: r.total.toString(),
+            replicates: serializeReplicates(r.replicates),
+            wallSeconds: r.wallSeconds,
+            gpuSeconds: r.gpuSeconds,
+            timingMethod: r.timingMethod,
+            samplesPerSec: r.samplesPerSec,
+            wallSamplesPerSec: r.wallSamplesPerSec,
+            gflops: r.gflops,
+            kernelTiming: r.kernelTiming,
+            exact: exactPiEstimate(r.inside, r.total, REPORT_DECIMALS, estimator),
+            statistics: errorAnalysis(r.inside, r.total, significance, r.replicates, estimator)
+        })),
+        summary: {
+            inside: report.inside.toString(),
+            total: report.total.toString(),
+            replicates: serializeReplicates(report.replicates),
+            wallSeconds: report.runs.reduce((acc, r) => acc + r.wallSeconds, 0),
+            samplesPerSec: report.samplesPerSec,
+            gflops: report.gflops,
+            exact: exactPiEstimate(report.inside, report.total, REPORT_DECIMALS, estimator),
+            statistics: errorAnalysis(report.inside, report.total, significance, report.replicates, estimator)
+        }
+    };
+}
+
+export function toJSON(record) {
+    return JSON.stringify(record, null, 2);
+}
+
+const CSV_COLUMNS = [
+    ["created_at", (rec) => rec.createdAt],
+    ["backend", (rec) => rec.environment.backendLabel],
+    ["adapter_vendor", (rec) => rec.environment.adapter?.vendor ?? ""],
+    ["adapter_architecture", (rec) => rec.environment.adapter?.architecture ?? ""],
+    ["adapter_device", (rec) => rec.environment.adapter?.device ?? ""],
+    ["adapter_description", (rec) => rec.environment.adapter?.description ?? ""],
+    ["user_agent", (rec) => rec.environment.userAgent],
+    ["subgroups", (rec) => rec.environment.features.subgroups],
+    ["f16", (rec) => rec.environment.features.f16],
+    ["timestamp_query", (rec) => rec.environment.features.timestampQuery],
+    ["viz_format", (rec) => rec.environment.vizFormat],
+    ["generator", (rec) => rec.configuration.generator],
+    ["estimator", (rec) => estimatorSettings(rec.configuration).mode],
+    ["dimension", (rec) => estimatorSettings(rec.configuration).dimension],
+    ["needle_length", (rec) => rec.configuration.mode === "buffon" ? rec.configuration.needleLength : ""],
+    ["variance_reduction_method", (rec) => estimatorSettings(rec.configuration).varianceReduction],
+    ["seed", (rec) => rec.configuration.seed ?? "random"],
+    ["batch_size", (rec) => rec.configuration.batchSize],
+    ["effective_batch_size", (rec) => rec.configuration.effectiveBatchSize],
+    ["dispatch_x", (rec) => rec.configuration.dispatch[0]],
+    ["dispatch_y", (rec) => rec.configuration.dispatch[1]],
+    ["workgroup_size", (rec) => rec.configuration.workgroupSize],
+    ["total_threads", (rec) => rec.configuration.totalThreads],
+    ["num_slots", (rec) => rec.configuration.numSlots ?? NUM_SLOTS],
+    ["warmup_s", (rec) => rec.configuration.warmupSeconds],
+    ["measure_s", (rec) => rec.configuration.measureSeconds],
+    ["flops_per_sample", (rec) => rec.configuration.flopsPerSample],
+    ["repetition", (rec, run) => run.repetition],
+    ["inside", (rec, run) => run.inside],
+    ["total", (rec, run) => run.total],
+    ["timing_method", (rec, run) => run.timingMethod],
+    ["wall_s", (rec, run) => run.wallSeconds],
+    ["gpu_s", (rec, run) => run.gpuSeconds ?? ""],
+    ["samples_per_sec", (rec, run) => run.samplesPerSec],
+    ["gflops", (rec, run) => run.gflops],
+    ["effective_samples_per_sec", (rec, run) => effectiveThroughput(run.samplesPerSec, run.statistics) ?? ""],
+    ["pi_estimate", (rec, run) => run.exact.estimate],
+    ["pi_error_exact", (rec, run) => run.exact.error],
+    ["correct_digits", (rec, run) => run.exact.correctDigits],
+    ["hit_ratio", (rec, run) => run.statistics.hitRatio ?? ""],
+    ["empirical_error", (rec, run) => run.statistics.empiricalError],
+    ["error_method", (rec, run) => run.statistics.method],
+    ["standard_error", (rec, run) => run.statistics.theoryError],
+    ["variance_reduction", (rec, run) => run.statistics.varianceReduction ?? ""],
+    ["z_score", (rec, run) => run.statistics.z],
+    ["p_value", (rec, run) => run.statistics.pValue],
+    ["ci_low", (rec, run) => run.statistics.confidenceInterval[0]],
+    ["ci_high", (rec, run) => run.statistics.confidenceInterval[1]],
+    ["significance", (rec, run) => run.statistics.significance],
+    ["consistent", (rec, run) => run.statistics.consistent]
+];
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(record) {
+    const header = CSV_COLUMNS.map(([name]) => name).join(",");
+    const rows = record.runs.map(run => CSV_COLUMNS.map(([, get]) => csvField(get(record, run))).join(","));
+    return [header, ...rows].join("\r\n") + "\r\n";
+}
+
+export function toMarkdown(record) {
+    const { environment: env, configuration: cfg, summary } = record;
+    const method = describeErrorMethod(summary.statistics);
+    const estimator = estimatorSettings(cfg);
+    const isCircle = estimator.mode === "pi" && estimator.dimension === 2;
+    const adapter = env.adapter
+        ? [env.adapter.vendor, env.adapter.architecture, env.adapter.device, env.adapter.description].filter(Boolean).join(" / ")
+        : "n/a";
+    const stat = (s, scale) => s.ci95
+        ? `${(s.median / scale).toFixed(2)} (mean ${(s.mean / scale).toFixed(2)}, sd ${(s.stdDev / scale).toFixed(2)}, ` +
+          `95% CI ${(s.ci95[0] / scale).toFixed(2)}–${(s.ci95[1] / scale).toFixed(2)}, ` +
+          `min ${(s.min / scale).toFixed(2)}, max ${(s.max / scale).toFixed(2)})`
+        : (s.median / scale).toFixed(2);
+
+    const lines = [
+        `## Monte Carlo π Benchmark — ${record.createdAt}`,
+        "",
+        "| Item | Value |",
+        "| --- | --- |",
+        `| Backend | ${env.backendLabel} |`,
+        `| Adapter | ${adapter} |`,
+        `| Features | subgroups: ${env.features.subgroups}, f16: ${env.features.f16}, timestamp-query: ${env.features.timestampQuery} |`,
+        `| Generator | ${getGenerator(cfg.generator).label} |`,
+        `| Estimator | ${estimatorModel(estimator).label} |`,
+        `| Seed | ${cfg.seed ?? "random"} |`,
+        `| Batch Size | ${cfg.batchSize}${cfg.effectiveBatchSize !== cfg.batchSize ? ` (effective ${cfg.effectiveBatchSize})` : ""} |`,
+        `| Dispatch | ${cfg.dispatch[0]} x ${cfg.dispatch[1]} workgroups x ${cfg.workgroupSize} = ${cfg.totalThreads.toLocaleString()} threads, ${cfg.numSlots ?? NUM_SLOTS} result slots |`,
+        `| Protocol | ${cfg.warmupSeconds}s warm-up, ${cfg.repetitions} x ${cfg.measureSeconds}s |`,
+        `| Timing Method | ${record.timingMethod} |`,
+        `| Samples (inside / total) | ${summary.inside} / ${summary.total} |`,
+        `| Wall Time | ${summary.wallSeconds.toFixed(3)} s |`,
+        `| Throughput (M/sec) | ${stat(summary.samplesPerSec, 1e6)} |`,
+        `| Performance (GFLOPS, ${cfg.flopsPerSample} FLOP/sample) | ${stat(summary.gflops, 1)} |`,
+        `| π Estimate (exact, truncated) | ${summary.exact.estimate} |`,
+        `| Correct Digits | ${summary.exact.correctDigits} |`,
+        `| Empirical Error (δ, exact) | ${summary.exact.error} |`,
+        ...(summary.statistics.hitRatio !== undefined
+            ? [`| ${estimator.mode === "buffon" ? "Crossing" : "Hit"} Ratio (observed / expected) | ${summary.statistics.hitRatio.toPrecision(8)} / ${summary.statistics.expectedHitRatio.toPrecision(8)} |`]
+            : []),
+        `| Standard Error (${method.error}) | ${summary.statistics.theoryError.toExponential(4)} |`,
+        ...(summary.statistics.varianceGrowth !== undefined && !isCircle
+            ? [`| Variance Growth vs 2D Circle | ${summary.statistics.varianceGrowth.toPrecision(4)}x |`]
+            : []),
+        ...(isReplicated(summary.statistics)
+            ? [`| Variance Reduction vs MC (equal N) | ${summary.statistics.varianceReduction.toFixed(2)}x |`,
+               `| Effective Throughput (MC-equivalent M/sec) | ${(effectiveThroughput(summary.samplesPerSec.median, summary.statistics) / 1e6).toFixed(2)} |`]
+            : []),
+        `| ${isReplicated(summary.statistics) ? "t" : "z"}-score / p-value | ${summary.statistics.z.toFixed(4)} / ${summary.statistics.pValue.toPrecision(4)} |`,
+        `| ${((1 - summary.statistics.significance) * 100).toFixed(1)}% CI (${method.interval}) | ${summary.statistics.confidenceInterval[0].toFixed(10)} – ${summary.statistics.confidenceInterval[1].toFixed(10)} |`,
+        `| Verdict (α = ${summary.statistics.significance}) | ${summary.statistics.consistent ? "consistent with π" : "significant deviation"} |`,
+        "",
+        `User agent: \`${env.userAgent}\``
+    ];
+    return lines.join("\n") + "\n";
+}
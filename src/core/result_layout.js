@@ -0,0 +1,77 @@
+/**
+ * Shared Result Layout (matches `Result` in simulation.wgsl)
+ * NUM_SLOTS x { inside_low, inside_high, total_low, total_high } as u32.
+ * NUM_SLOTS is the default; the WebGPU engine may be launched with another power of
+ * two (see launch_config.js), so the slot count travels with the data.
+ */
+export const NUM_SLOTS = 1024;
+export const SLOT_WORDS = 4;
+export const RESULT_BUFFER_SIZE = NUM_SLOTS * SLOT_WORDS * 4; // 16384 bytes
+
+/** Result buffer bytes for `numSlots` slots */
+export function resultBufferSize(numSlots = NUM_SLOTS) {
+    return numSlots * SLOT_WORDS * 4;
+}
+
+/**
+ * Decode the slot layout into 64-bit BigInt counters (one per SLOT_WORDS words).
+ */
+export function decodeSlots(resultData) {
+    const count = resultData.length / SLOT_WORDS;
+    const slots = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const base = i * SLOT_WORDS;
+        slots[i] = {
+            inside: BigInt(resultData[base]) + (BigInt(resultData[base + 1]) << 32n),
+            total: BigInt(resultData[base + 2]) + (BigInt(resultData[base + 3]) << 32n)
+        };
+    }
+    return slots;
+}
+
+export function sumSlots(slots) {
+    let inside = 0n;
+    let total = 0n;
+    for (const slot of slots) {
+        inside += slot.inside;
+        total += slot.total;
+    }
+    return { inside, total };
+}
+
+/**
+ * CPU-side equivalent of the kernel's atomic aggregate: add u32 counts to a slot
+ * with the same low/high carry propagation.
+ */
+export function accumulateSlot(resultData, slot, inside, total) {
+    const base = slot * SLOT_WORDS;
+    const oldInside = resultData[base];
+    resultData[base] = (oldInside + inside) >>> 0;
+    if (resultData[base] < oldInside) resultData[base + 1] = (resultData[base + 1] + 1) >>> 0;
+
+    const oldTotal = resultData[base + 2];
+    resultData[base + 2] = (oldTotal + total) >>> 0;
+    if (resultData[base + 2] < oldTotal) resultData[base + 3] = (resultData[base + 3] + 1) >>> 0;
+}
+
+/**
+ * Result slot of a thread (matches `slot_idx` in simulation.wgsl). With REPLICATES > 1
+ * every workgroup belongs to replicate `workgroup % replicates` and only writes slots
+ * with `slot % replicates == replicate`, so per-replicate counts stay separable.
+ */
+export function slotIndex(thread, replicates = 1, workgroupSize = 256, numSlots = NUM_SLOTS) {
+    const replicate = Math.floor(thread / workgroupSize) % replicates;
+    return (thread % (numSlots / replicates)) * replicates + replicate;
+}
+
+/**
+ * Per-replicate { inside, total } from decoded slots (see slotIndex).
+ */
+export function sumReplicates(slots, replicates) {
+    const sums = Array.from({ length: replicates }, () => ({ inside: 0n, total: 0n }));
+    slots.forEach((slot, i) => {
+        sums[i % replicates].inside += slot.inside;
+        sums[i % replicates].total += slot.total;
+    });
+    return sums;
+}
@@ -0,0 +1,295 @@
+/**
+ * On-Device RNG Test Battery
+ * Runs rng_battery.wgsl on a copy of the engine's RNGStateBuffer (the live streams,
+ * left untouched) and evaluates the accumulated histograms on the CPU:
+ *
+ *   Monobit / bit frequency     ones overall (z) and per bit position (X², df 32)
+ *   Serial 2D / 3D              consecutive outputs of one lane over 16² / 8³ bins
+ *   Serial 2D (low bits)        same pairs on the 4 lowest bits (exposes short LCG periods)
+ *   Gap                         gaps between values in [0, 1/8), geometric
+ *   Runs up                     Knuth's variant with the run-ending value discarded
+ *   Birthday spacings           Marsaglia, 2·WORKGROUP_SIZE birthdays, Poisson λ = 2 (birthdayDayBits)
+ *   Inter-lane / inter-thread   joint bins of the 4 lanes / neighbouring invocations
+ *
+ * Each test is judged at α / (number of tests) (Bonferroni). Sparse tail cells are merged until
+ * every expected count reaches MIN_EXPECTED; a test left without two such cells is skipped.
+ */
+import { composeShader } from './shader_preprocessor.js';
+import { BufferUsage, ShaderStage, MapMode } from './webgpu_constants.js';
+import { getGenerator } from './generators.js';
+import { chiSquareGoodnessOfFit, chiSquareSurvival, twoSidedPValue, DEFAULT_SIGNIFICANCE } from './statistics.js';
+
+const GAP_BINS = 17;      // 0..15, >= 16
+const RUNS_BINS = 6;      // 1..5, >= 6
+const BIRTHDAY_BINS = 7;  // 0..5, >= 6
+const GAP_P = 1 / 8;
+const MIN_EXPECTED = 5; // Smallest expected cell count the chi-square approximation is trusted with
+
+/** Histogram sizes in u32 cells, in buffer order (offsets become shader defines) */
+export const BATTERY_LAYOUT = {
+    MONOBIT: 32,
+    SERIAL2: 256,
+    SERIAL2_LOW: 256,
+    SERIAL3: 512,
+    LANES: 256,
+    THREADS: 256,
+    GAP: GAP_BINS,
+    RUNS: RUNS_BINS,
+    BIRTHDAY: BIRTHDAY_BINS
+};
+
+export const BATTERY_OFFSETS = {};
+let cells = 0;
+for (const [name, size] of Object.entries(BATTERY_LAYOUT)) {
+    BATTERY_OFFSETS[name] = cells;
+    cells += size;
+}
+export const HIST_CELLS = cells;
+
+export const DEFAULT_BATTERY_CONFIG = {
+    passes: 16,
+    iterations: 64 // Loop iterations per thread and pass (3 vec4 outputs each)
+};
+
+function section(counts, name) {
+    const start = BATTERY_OFFSETS[name];
+    return Array.from(counts.subarray(start, start + BATTERY_LAYOUT[name]));
+}
+
+const uniform = (k) => Array(k).fill(1 / k);
+
+/** P(X = k) for k < bins - 1, and the open tail P(X >= bins - 1) */
+function withTail(pmf, bins) {
+    const probabilities = Array.from({ length: bins - 1 }, (_, k) => pmf(k));
+    probabilities.push(1 - probabilities.reduce((acc, p) => acc + p, 0));
+    return probabilities;
+}
+
+/**
+ * Days of the birthday-spacings year as bits, for m = 2·workgroupSize birthdays:
+ * n = m³ / 8 days puts the expected duplicate spacings λ = m³ / (4n) at 2 for every
+ * workgroup size whose year fits a u32.
+ */
+export function birthdayDayBits(workgroupSize) {
+    return Math.min(32, 3 * Math.log2(2 * workgroupSize) - 3);
+}
+
+/**
+ * Fold cells whose expected count (of `total`) is below MIN_EXPECTED into their inner
+ * neighbour, from both ends. Null when fewer than two cells would be left.
+ */
+export function mergeSparseCells(observed, probabilities, total) {
+    const o = [...observed];
+    const p = [...probabilities];
+    while (o.length > 1 && total * p[p.length - 1] < MIN_EXPECTED) {
+        const [observedTail, probabilityTail] = [o.pop(), p.pop()];
+        o[o.length - 1] += observedTail;
+        p[p.length - 1] += probabilityTail;
+    }
+    while (o.length > 1 && total * p[0] < MIN_EXPECTED) {
+        const [observedHead, probabilityHead] = [o.shift(), p.shift()];
+        o[0] += observedHead;
+        p[0] += probabilityHead;
+    }
+    return o.length >= 2 && total * Math.min(...p) >= MIN_EXPECTED ? { observed: o, probabilities: p } : null;
+}
+
+function factorial(n) {
+    let f = 1;
+    for (let i = 2; i <= n; i++) f *= i;
+    return f;
+}
+
+/**
+ * Evaluate accumulated battery histograms.
+ *
+ * @param {Float64Array} counts  HIST_CELLS accumulated counts
+ * @param {{threads: number, iterations: number, passes: number, workgroupSize: number,
+ *          significance?: number}} run
+ * @returns {{tests: {name: string, statistic: string, value: number, df: ?number, pValue: number,
+ *           passed: boolean, detail: string}[], skipped: {name: string, detail: string}[],
+ *           threshold: number, passed: boolean, samples: number}}
+ */
+export function evaluateBattery(counts, { threads, iterations, passes, workgroupSize, significance = DEFAULT_SIGNIFICANCE }) {
+    const words = threads * iterations * passes * 12;
+    const tests = [];
+    const skipped = [];
+    const chiSquare = (name, observed, probabilities, detail) => {
+        const { statistic, df, pValue } = chiSquareGoodnessOfFit(observed, probabilities);
+        tests.push({ name, statistic: 'X²', value: statistic, df, pValue, detail });
+    };
+
+    // Monobit over every generated bit
+    const perBit = section(counts, 'MONOBIT');
+    const ones = perBit.reduce((acc, c) => acc + c, 0);
+    const bits = words * 32;
+    const z = (ones - bits / 2) / Math.sqrt(bits / 4);
+    tests.push({ name: 'Monobit', statistic: 'z', value: z, df: null, pValue: twoSidedPValue(z), detail: `${bits.toExponential(3)} bits` });
+
+    // Per-position frequency: independent binomials, so Σ z² ~ X²(32)
+    const positionStat = perBit.reduce((acc, c) => acc + (c - words / 2) ** 2 / (words / 4), 0);
+    tests.push({
+        name: 'Bit frequency (per position)', statistic: 'X²', value: positionStat, df: 32,
+        pValue: chiSquareSurvival(positionStat, 32), detail: '32 positions'
+    });
+
+    chiSquare('Serial 2D (top 4 bits)', section(counts, 'SERIAL2'), uniform(256), '16 x 16 bins');
+    chiSquare('Serial 2D (low 4 bits)', section(counts, 'SERIAL2_LOW'), uniform(256), '16 x 16 bins');
+    chiSquare('Serial 3D (top 3 bits)', section(counts, 'SERIAL3'), uniform(512), '8 x 8 x 8 bins');
+    chiSquare('Gap [0, 1/8)', section(counts, 'GAP'),
+        withTail(g => GAP_P * (1 - GAP_P) ** g, GAP_BINS), `lengths 0..${GAP_BINS - 2}, >= ${GAP_BINS - 1}`);
+    chiSquare('Runs up', section(counts, 'RUNS'),
+        withTail(r => 1 / factorial(r + 1) - 1 / factorial(r + 2), RUNS_BINS), `lengths 1..${RUNS_BINS - 1}, >= ${RUNS_BINS}`);
+
+    // One sample per workgroup and pass
+    const birthdays = 2 * workgroupSize;
+    const dayBits = birthdayDayBits(workgroupSize);
+    const lambda = birthdays ** 3 / 2 ** (dayBits + 2);
+    const birthdaySamples = threads / workgroupSize * passes;
+    const birthdayCells = mergeSparseCells(section(counts, 'BIRTHDAY'),
+        withTail(k => Math.exp(-lambda) * lambda ** k / factorial(k), BIRTHDAY_BINS), birthdaySamples);
+    if (birthdayCells) {
+        chiSquare('Birthday spacings', birthdayCells.observed, birthdayCells.probabilities,
+            `m = ${birthdays}, n = 2^${dayBits}, λ = ${lambda}, ${birthdayCells.observed.length} cells`);
+    } else {
+        skipped.push({ name: 'Birthday spacings', detail: `${birthdaySamples} samples (λ = ${lambda}) leave no two cells with ${MIN_EXPECTED} expected` });
+    }
+
+    chiSquare('Inter-lane', section(counts, 'LANES'), uniform(256), '4 lanes x top 2 bits');
+    chiSquare('Inter-thread', section(counts, 'THREADS'), uniform(256), 'threads (2k, 2k+1) x top 4 bits');
+
+    const threshold = significance / tests.length;
+    for (const test of tests) test.passed = test.pValue >= threshold;
+
+    return { tests, skipped, threshold, passed: tests.every(t => t.passed), samples: words };
+}
+
+/**
+ * GPU runner. Needs the WebGPU engine (device, RNG state buffer, generator snippets);
+ * the caller must not have a runFrame() in flight.
+ */
+export class RNGTestBattery {
+    /**
+     * @param {import('./compute_engine.js').ComputeEngine} engine
+     * @param {string} shaderSource rng_battery.wgsl
+     */
+    constructor(engine, shaderSource) {
+        this.engine = engine;
+        this.shaderSource = shaderSource;
+        this.pipelines = new Map(); // 'generator/workgroupSize' -> GPUComputePipeline
+        this.buffers = null;
+    }
+
+    getPipeline(generator) {
+        const { device, workgroupSize, shaderSources } = this.engine;
+        const key = `${generator}/${workgroupSize}`;
+        if (this.pipelines.has(key)) return this.pipelines.get(key);
+
+        const defines = { WORKGROUP_SIZE: workgroupSize, HIST_CELLS };
+        for (const [name, offset] of Object.entries(BATTERY_OFFSETS)) defines[name] = offset;
+        defines.GAP_MAX = GAP_BINS - 1;
+        defines.RUNS_MAX = RUNS_BINS;
+        defines.BIRTHDAY_MAX = BIRTHDAY_BINS - 1;
+        defines.BIRTHDAY_BITS = birthdayDayBits(workgroupSize);
+
+        const module = device.createShaderModule({
+            label: `RNG Test Battery (${generator})`,
+            code: composeShader(this.shaderSource, { defines, injections: { RNG: shaderSources.rng[generator] } })
+        });
+        const layout = device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // rng_storage (copy)
+                { binding: 1, visibility: ShaderStage.COMPUTE, buffer: { type: "storage" } }, // hist
+                { binding: 2, visibility: ShaderStage.COMPUTE, buffer: { type: "uniform" } }  // params
+            ]
+        });
+        const pipeline = device.createComputePipeline({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [layout] }),
+            compute: { module, entryPoint: "main" }
+        });
+        this.pipelines.set(key, pipeline);
+        return pipeline;
+    }
+
+    createBuffers() {
+        const { device } = this.engine;
+        const stateSize = this.engine.buffers.rngState.size;
+        if (this.buffers?.state.size === stateSize) return this.buffers;
+        if (this.buffers) {
+            for (const buffer of Object.values(this.buffers)) buffer.destroy();
+        }
+
+        this.buffers = {
+            state: device.createBuffer({ size: stateSize, usage: BufferUsage.STORAGE | BufferUsage.COPY_DST, label: "BatteryRNGState" }),
+            hist: device.createBuffer({ size: HIST_CELLS * 4, usage: BufferUsage.STORAGE | BufferUsage.COPY_SRC | BufferUsage.COPY_DST, label: "BatteryHistograms" }),
+            readback: device.createBuffer({ size: HIST_CELLS * 4, usage: BufferUsage.MAP_READ | BufferUsage.COPY_DST, label: "BatteryReadback" }),
+            uniform: device.createBuffer({ size: 32, usage: BufferUsage.UNIFORM | BufferUsage.COPY_DST, label: "BatteryParams" })
+        };
+        return this.buffers;
+    }
+
+    /**
+     * @param {{passes?: number, iterations?: number, significance?: number,
+     *          onProgress?: (message: string) => void}} [options]
+     * @throws {Error} for quasi-random generators, which are deliberately not independent
+     */
+    async run({ passes = DEFAULT_BATTERY_CONFIG.passes, iterations = DEFAULT_BATTERY_CONFIG.iterations,
+        significance = DEFAULT_SIGNIFICANCE, onProgress = () => { } } = {}) {
+        const engine = this.engine;
+        const generator = getGenerator(engine.generator);
+        if (generator.quasi) {
+            throw new Error(`${generator.label} is a low-discrepancy sequence; independence tests do not apply.`);
+        }
+
+        const { device } = engine;
+        const pipeline = this.getPipeline(generator.id);
+        const buffers = this.createBuffers();
+        const bindGroup = device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: buffers.state } },
+                { binding: 1, resource: { buffer: buffers.hist } },
+                { binding: 2, resource: { buffer: buffers.uniform } }
+            ]
+        });
+
+        // Continue the live streams on a private copy
+        const copy = device.createCommandEncoder();
+        copy.copyBufferToBuffer(engine.buffers.rngState, 0, buffers.state, 0, buffers.state.size);
+        device.queue.submit([copy.finish()]);
+
+        const counts = new Float64Array(HIST_CELLS);
+        for (let pass = 0; pass < passes; pass++) {
+            onProgress(`RNG TESTS ${pass + 1}/${passes}`);
+            // Counter-based generators: frame numbers from the top half stay clear of the simulation's
+            const frame = (0x80000000 + engine.frameCounter + pass) >>> 0;
+            device.queue.writeBuffer(buffers.uniform, 0, new Uint32Array([engine.rngKey, frame, iterations, 0, 0, 0, 0, 0]));
+
+            const encoder = device.createCommandEncoder();
+            encoder.clearBuffer(buffers.hist);
+            const computePass = encoder.beginComputePass();
+            computePass.setPipeline(pipeline);
+            computePass.setBindGroup(0, bindGroup);
+            computePass.dispatchWorkgroups(...engine.dispatch);
+            computePass.end();
+            encoder.copyBufferToBuffer(buffers.hist, 0, buffers.readback, 0, HIST_CELLS * 4);
+            device.queue.submit([encoder.finish()]);
+
+            await buffers.readback.mapAsync(MapMode.READ);
+            const data = new Uint32Array(buffers.readback.getMappedRange());
+            for (let i = 0; i < HIST_CELLS; i++) counts[i] += data[i];
+            buffers.readback.unmap();
+        }
+
+        return {
+            generator: generator.id,
+            passes,
+            iterations,
+            threads: engine.totalThreads,
+            counts,
+            ...evaluateBattery(counts, {
+                threads: engine.totalThreads, iterations, passes, workgroupSize: engine.workgroupSize, significance
+            })
+        };
+    }
+}
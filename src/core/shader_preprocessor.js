@@ -0,0 +1,179 @@
+/**
+ * WGSL Shader Composition
+ * A small line-based preprocessor so shader variants are built from named defines
+ * instead of regex surgery. Pure text in, text out (runs in Node).
+ *
+ * Directives (each on its own line, leading whitespace allowed):
+ *   #if NAME | #if !NAME | #if NAME == value | #if NAME != value
+ *   #elif <same forms>
+ *   #else
+ *   #endif
+ *   #repeat COUNT ... #endrepeat   COUNT is a number or define; body sees {{REPEAT_INDEX}}
+ *   #inject NAME                   replaced by options.injections[NAME]
+ *
+ * Substitution: {{NAME}} anywhere in emitted code is replaced by defines[NAME].
+ * Any undefined define, unbalanced block, #elif or second #else after #else, active
+ * #inject without a supplied value, or supplied injection without a marker throws.
+ */
+
+export class ShaderCompositionError extends Error {
+    constructor(message, line = null) {
+        super(line === null ? message : `${message} (line ${line})`);
+        this.name = "ShaderCompositionError";
+        this.line = line;
+    }
+}
+
+const DIRECTIVE = /^\s*#(if|elif|else|endif|repeat|endrepeat|inject)\b\s*(.*?)\s*$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+function lookup(defines, name, line) {
+    if (!(name in defines)) {
+        throw new ShaderCompositionError(`Undefined shader define '${name}'`, line);
+    }
+    return defines[name];
+}
+
+function isTruthy(value) {
+    return !(value === false || value === 0 || value === "" || value === null || value === undefined || value === "0");
+}
+
+function evaluateCondition(expr, defines, line) {
+    let m = expr.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*(==|!=)\s*(\S+)$/);
+    if (m) {
+        const equal = String(lookup(defines, m[1], line)) === m[3];
+        return m[2] === "==" ? equal : !equal;
+    }
+    m = expr.match(/^(!?)\s*([A-Za-z_][A-Za-z0-9_]*)$/);
+    if (m) {
+        const value = isTruthy(lookup(defines, m[2], line));
+        return m[1] ? !value : value;
+    }
+    throw new ShaderCompositionError(`Malformed condition '${expr}'`, line);
+}
+
+function substitute(text, defines, line) {
+    return text.replace(PLACEHOLDER, (_, name) => String(lookup(defines, name, line)));
+}
+
+/**
+ * Expand #repeat blocks (not nestable) before conditionals are evaluated.
+ * Returns [{text, line}] so errors keep pointing at the original source line.
+ */
+function expandRepeats(lines, defines) {
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+        const m = lines[i].match(DIRECTIVE);
+        if (!m || m[1] !== "repeat") {
+            if (m && m[1] === "endrepeat") throw new ShaderCompositionError("#endrepeat without #repeat", i + 1);
+            out.push({ text: lines[i], line: i + 1 });
+            continue;
+        }
+
+        const countToken = m[2];
+        const count = Number(/^\d+$/.test(countToken) ? countToken : lookup(defines, countToken, i + 1));
+        if (!Number.isInteger(count) || count < 0) {
+            throw new ShaderCompositionError(`Invalid #repeat count '${countToken}'`, i + 1);
+        }
+
+        const body = [];
+        let j = i + 1;
+        for (; j < lines.length; j++) {
+            const inner = lines[j].match(DIRECTIVE);
+            if (inner && inner[1] === "endrepeat") break;
+            if (inner && inner[1] === "repeat") throw new ShaderCompositionError("Nested #repeat is not supported", j + 1);
+            body.push({ text: lines[j], line: j + 1 });
+        }
+        if (j === lines.length) throw new ShaderCompositionError("#repeat without #endrepeat", i + 1);
+
+        for (let k = 0; k < count; k++) {
+            for (const entry of body) {
+                out.push({ text: entry.text.replace(/\{\{\s*REPEAT_INDEX\s*\}\}/g, String(k)), line: entry.line });
+            }
+        }
+        i = j;
+    }
+    return out;
+}
+
+/**
+ * Compose a WGSL variant.
+ *
+ * @param {string} source
+ * @param {{defines?: Object<string, string|number|boolean>, injections?: Object<string, string>}} [options]
+ * @returns {string}
+ */
+export function composeShader(source, { defines = {}, injections = {} } = {}) {
+    const lines = expandRepeats(source.split(/\r?\n/), defines);
+    const output = [];
+    const stack = []; // { parentActive, taken, elseLine, line }
+    const usedInjections = new Set();
+    let active = true;
+
+    for (const { text, line } of lines) {
+        const m = text.match(DIRECTIVE);
+        if (!m) {
+            if (active) output.push(substitute(text, defines, line));
+            continue;
+        }
+
+        const [, directive, arg] = m;
+        switch (directive) {
+            case "if": {
+                const result = active && evaluateCondition(arg, defines, line);
+                stack.push({ parentActive: active, taken: result, elseLine: null, line });
+                active = result;
+                break;
+            }
+            case "elif": {
+                const frame = stack[stack.length - 1];
+                if (!frame) throw new ShaderCompositionError("#elif without #if", line);
+                if (frame.elseLine !== null) throw new ShaderCompositionError(`#elif after #else (line ${frame.elseLine})`, line);
+                const result = frame.parentActive && !frame.taken && evaluateCondition(arg, defines, line);
+                frame.taken = frame.taken || result;
+                active = result;
+                break;
+            }
+            case "else": {
+                const frame = stack[stack.length - 1];
+                if (!frame) throw new ShaderCompositionError("#else without #if", line);
+                if (frame.elseLine !== null) throw new ShaderCompositionError(`Second #else (first on line ${frame.elseLine})`, line);
+                active = frame.parentActive && !frame.taken;
+                frame.taken = true;
+                frame.elseLine = line;
+                break;
+            }
+            case "endif": {
+                const frame = stack.pop();
+                if (!frame) throw new ShaderCompositionError("#endif without #if", line);
+                active = frame.parentActive;
+                break;
+            }
+            case "inject": {
+                if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(arg)) {
+                    throw new ShaderCompositionError(`Malformed injection point '${arg}'`, line);
+                }
+                if (active) {
+                    if (injections[arg] === undefined) {
+                        throw new ShaderCompositionError(`No value supplied for '#inject ${arg}'`, line);
+                    }
+                    usedInjections.add(arg);
+                    output.push(injections[arg]);
+                }
+                break;
+            }
+        }
+    }
+
+    if (stack.length > 0) {
+        throw new ShaderCompositionError("#if without #endif", stack[stack.length - 1].line);
+    }
+
+    for (const name of Object.keys(injections)) {
+        if (!usedInjections.has(name)) {
+            throw new ShaderCompositionError(`Injection point '#inject ${name}' not found in shader`);
+        }
+    }
+
+    return output.join("\n");
+}
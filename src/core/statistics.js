@@ -0,0 +1,394 @@
+/**
+ * Statistical Analysis of the π Estimate
+ *
+ * Each sample is a Bernoulli trial with p = π/4, so the estimate π̂ = 4·inside/N has
+ *   standard error  SE = 4·sqrt(p(1-p)/N)        (≈ 1.642/sqrt(N), not 1/sqrt(N))
+ *   z-score         z  = (π̂ - π) / SE
+ * and the two-cell goodness-of-fit statistic X² (inside/outside) equals z², a
+ * chi-square with df = 1. p-values come from the normal / chi-square CDFs.
+ *
+ * Randomized QMC points are not independent, so the binomial SE does not apply; there
+ * the error bar comes from the spread of R independently scrambled replicates
+ * (SE = sd/sqrt(R), Student t with df = R - 1), see analyzeReplicates(). Variance
+ * reduction (antithetic, stratified, mean value) measures its error the same way, from
+ * batches of threads.
+ * The generic integrator uses the sample variance of f instead, see analyzeIntegral().
+ * Other estimators (estimators.js: the unit d-ball, Buffon's needle) have their own
+ * p = f(π); the SE of π̂ = f⁻¹(p̂) follows from the delta method, z and X² stay on the counts.
+ * Pure functions, no DOM access.
+ */
+
+import { estimatorModel, estimatorSettings } from './estimators.js';
+
+export const PI_OVER_4 = Math.PI / 4;
+export const DEFAULT_SIGNIFICANCE = 0.05;
+
+/**
+ * Complementary error function, |relative error| < 1.2e-7 everywhere
+ * (Chebyshev fit, Numerical Recipes erfcc). Keeps precision deep in the tail.
+ */
+export function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? r : 2 - r;
+}
+
+/** Standard normal CDF Φ(z) */
+export function normalCdf(z) {
+    return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+/** Two-sided p-value P(|Z| >= |z|) */
+export function twoSidedPValue(z) {
+    return erfc(Math.abs(z) / Math.SQRT2);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, |relative error| < 1.2e-9).
+ * @param {number} p in (0, 1)
+ */
+export function normalQuantile(p) {
+    if (!(p > 0 && p < 1)) throw new RangeError(`normalQuantile: p must be in (0, 1), got ${p}`);
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function logGamma(x) {
+    const cof = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const c of cof) ser += c / ++y;
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+/**
+ * Regularized upper incomplete gamma Q(a, x) (series below a+1, continued fraction above).
+ */
+export function gammaQ(a, x) {
+    if (x < 0 || a <= 0) throw new RangeError("gammaQ: requires x >= 0 and a > 0");
+    if (x === 0) return 1;
+    const EPS = 1e-15;
+    const gln = logGamma(a);
+
+    if (x < a + 1) {
+        let ap = a, sum = 1 / a, del = sum;
+        for (let n = 0; n < 1000; n++) {
+            del *= x / ++ap;
+            sum += del;
+            if (Math.abs(del) < Math.abs(sum) * EPS) break;
+        }
+        return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+    }
+
+    const FPMIN = 1e-300;
+    let b = x + 1 - a, c = 1 / FPMIN, d = 1 / b, h = d;
+    for (let i = 1; i < 1000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < FPMIN) d = FPMIN;
+        c = b + an / c;
+        if (Math.abs(c) < FPMIN) c = FPMIN;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < EPS) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+/**
+ * Chi-square survival function P(X >= x) with df degrees of freedom.
+ * df = 1 is evaluated through erfc for full tail precision.
+ */
+export function chiSquareSurvival(x, df) {
+    if (x <= 0) return 1;
+    if (df === 1) return erfc(Math.sqrt(x / 2));
+    return gammaQ(df / 2, x / 2);
+}
+
+/**
+ * Pearson chi-square goodness-of-fit test against fixed cell probabilities.
+ *
+ * @param {number[]} observed  counts per cell
+ * @param {number[]} probabilities  expected cell probabilities (sum 1)
+ * @returns {{statistic: number, df: number, pValue: number}}
+ */
+export function chiSquareGoodnessOfFit(observed, probabilities) {
+    if (observed.length !== probabilities.length || observed.length < 2) {
+        throw new RangeError(`chiSquareGoodnessOfFit: need matching cells, got ${observed.length} / ${probabilities.length}`);
+    }
+    const n = observed.reduce((acc, c) => acc + c, 0);
+    let statistic = 0;
+    for (let i = 0; i < observed.length; i++) {
+        const expected = n * probabilities[i];
+        statistic += (observed[i] - expected) ** 2 / expected;
+    }
+    const df = observed.length - 1;
+    return { statistic, df, pValue: chiSquareSurvival(statistic, df) };
+}
+
+/** Continued fraction for the incomplete beta (Numerical Recipes betacf) */
+function betaContinuedFraction(x, a, b) {
+    const EPS = 1e-15;
+    const FPMIN = 1e-300;
+    let c = 1, d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < 1000; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < FPMIN) d = FPMIN;
+        c = 1 + aa / c;
+        if (Math.abs(c) < FPMIN) c = FPMIN;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < FPMIN) d = FPMIN;
+        c = 1 + aa / c;
+        if (Math.abs(c) < FPMIN) c = FPMIN;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < EPS) break;
+    }
+    return h;
+}
+
+/**
+ * Regularized incomplete beta I_x(a, b) (Numerical Recipes betai).
+ */
+export function betaI(x, a, b) {
+    if (x < 0 || x > 1) throw new RangeError(`betaI: x must be in [0, 1], got ${x}`);
+    if (x === 0 || x === 1) return x;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/** Student t survival function P(T >= t) with df degrees of freedom */
+export function studentTSurvival(t, df) {
+    const tail = 0.5 * betaI(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? tail : 1 - tail;
+}
+
+/**
+ * Inverse Student t CDF (bisection on studentTSurvival).
+ * @param {number} p in (0, 1)
+ */
+export function studentTQuantile(p, df) {
+    if (!(p > 0 && p < 1)) throw new RangeError(`studentTQuantile: p must be in (0, 1), got ${p}`);
+    let lo = -1, hi = 1;
+    while (studentTSurvival(lo, df) < 1 - p) lo *= 2;
+    while (studentTSurvival(hi, df) > 1 - p) hi *= 2;
+    for (let i = 0; i < 200 && hi - lo > 1e-12 * Math.max(1, Math.abs(hi)); i++) {
+        const mid = (lo + hi) / 2;
+        if (studentTSurvival(mid, df) > 1 - p) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Standard error of π̂ under the true p (4·sqrt(p(1-p)/N) with p = π/4 for the circle).
+ * @param {bigint|number} total
+ * @param {Partial<import('./estimators.js').EstimatorSettings>} [estimator] defaults to the circle
+ */
+export function standardError(total, estimator = {}) {
+    return Math.sqrt(estimatorModel(estimatorSettings(estimator)).perSampleVariance / Number(total));
+}
+
+/**
+ * Confidence intervals for π: the interval for p mapped through π̂(p) (scaled by 4 for the circle).
+ * @returns {{normal: [number, number], wilson: [number, number]}}
+ */
+export function piConfidenceIntervals(inside, total, confidence = 1 - DEFAULT_SIGNIFICANCE, estimator = {}) {
+    const n = Number(total);
+    const pHat = Number(inside) / n;
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const model = estimatorModel(estimatorSettings(estimator));
+    const toPi = (p) => model.piFromRatio(Math.min(Math.max(p, 0), 1));
+    // π̂(p) decreases for Buffon's needle
+    const interval = (lo, hi) => [toPi(lo), toPi(hi)].sort((a, b) => a - b);
+
+    const waldHalf = z * Math.sqrt(pHat * (1 - pHat) / n);
+
+    const z2n = z * z / n;
+    const center = (pHat + z2n / 2) / (1 + z2n);
+    const wilsonHalf = z * Math.sqrt(pHat * (1 - pHat) / n + z2n / (4 * n)) / (1 + z2n);
+
+    return {
+        normal: interval(pHat - waldHalf, pHat + waldHalf),
+        wilson: interval(center - wilsonHalf, center + wilsonHalf)
+    };
+}
+
+/**
+ * Full analysis of an (inside, total) count pair against the true π.
+ *
+ * @param {bigint|number} inside
+ * @param {bigint|number} total
+ * @param {{significance?: number, estimator?: Partial<import('./estimators.js').EstimatorSettings>}} [options]
+ *        α for the verdict and (1-α) intervals; the estimator defaults to the circle
+ */
+export function analyzeEstimate(inside, total, { significance = DEFAULT_SIGNIFICANCE, estimator = {} } = {}) {
+    if (!(significance > 0 && significance < 1)) {
+        throw new RangeError(`Significance level must be in (0, 1), got ${significance}`);
+    }
+    const settings = estimatorSettings(estimator);
+    const model = estimatorModel(settings);
+    const n = Number(total);
+    const p = model.probability;
+    const hitRatio = Number(inside) / n;
+    const piEstimate = model.piFromRatio(hitRatio);
+    const se = Math.sqrt(model.perSampleVariance / n);
+    const error = piEstimate - Math.PI;
+
+    // Tested on the counts, where the binomial is exact (π̂ is non-linear in p̂ in general)
+    const expectedInside = n * p;
+    const expectedOutside = n - expectedInside;
+    const diff = Number(inside) - expectedInside;
+    const z = diff / Math.sqrt(n * p * (1 - p));
+
+    // Two-cell X² = Σ (O-E)²/E over inside/outside, identical to z² for df = 1
+    const chiSquare = diff * diff / expectedInside + diff * diff / expectedOutside;
+
+    const pValue = twoSidedPValue(z);
+
+    return {
+        piEstimate,
+        empiricalError: Math.abs(error),
+        standardError: se,
+        z,
+        pValue,
+        chiSquare,
+        chiSquarePValue: chiSquareSurvival(chiSquare, 1),
+        significance,
+        intervals: piConfidenceIntervals(inside, total, 1 - significance, settings),
+        consistent: pValue >= significance,
+        estimator: settings,
+        hitRatio,
+        expectedHitRatio: p,
+        sampleVariance: model.perSampleVariance, // N·SE²
+        varianceGrowth: model.varianceGrowth     // vs. the 2D circle
+    };
+}
+
+/**
+ * Randomized QMC (or batch means) analysis from R independent replicates (see header).
+ * binomialError is the SE plain Monte Carlo would have for the same N, and
+ * varianceReduction = (binomialError / standardError)².
+ *
+ * @param {{inside: bigint|number, total: bigint|number}[]} replicates  R >= 2, equal totals
+ * @param {{significance?: number, estimator?: Partial<import('./estimators.js').EstimatorSettings>}} [options]
+ *        the estimator maps each replicate's inside/total to π̂ (defaults to the circle)
+ */
+export function analyzeReplicates(replicates, { significance = DEFAULT_SIGNIFICANCE, estimator = {} } = {}) {
+    if (!(significance > 0 && significance < 1)) {
+        throw new RangeError(`Significance level must be in (0, 1), got ${significance}`);
+    }
+    const r = replicates.length;
+    if (r < 2) throw new RangeError(`analyzeReplicates: need at least 2 replicates, got ${r}`);
+
+    const model = estimatorModel(estimatorSettings(estimator));
+    const estimates = replicates.map(c => model.piFromRatio(Number(c.inside) / Number(c.total)));
+    const inside = replicates.reduce((acc, c) => acc + BigInt(c.inside), 0n);
+    const total = replicates.reduce((acc, c) => acc + BigInt(c.total), 0n);
+    const piEstimate = model.piFromRatio(Number(inside) / Number(total));
+    const mean = estimates.reduce((acc, e) => acc + e, 0) / r;
+    const sd = Math.sqrt(estimates.reduce((acc, e) => acc + (e - mean) ** 2, 0) / (r - 1));
+    const se = sd / Math.sqrt(r);
+
+    const error = piEstimate - Math.PI;
+    const t = se > 0 ? error / se : (error === 0 ? 0 : Math.sign(error) * Infinity);
+    const df = r - 1;
+    const pValue = 2 * studentTSurvival(Math.abs(t), df);
+    const half = studentTQuantile(1 - significance / 2, df) * se;
+    const binomialError = Math.sqrt(model.perSampleVariance / Number(total));
+
+    return {
+        piEstimate,
+        empiricalError: Math.abs(error),
+        standardError: se,
+        binomialError,
+        varianceReduction: se > 0 ? (binomialError / se) ** 2 : Infinity,
+        t,
+        df,
+        replicates: r,
+        estimates,
+        estimator: model.settings,
+        pValue,
+        significance,
+        interval: [piEstimate - half, piEstimate + half],
+        consistent: pValue >= significance
+    };
+}
+
+/**
+ * Plain Monte Carlo integral estimate from the sum and sum of squares of N
+ * integrand values at uniform points of a domain with the given volume:
+ *   Î = V·mean,  SE = V·s/sqrt(N)  (s: sample standard deviation)
+ * When the exact value is known, z = (Î - I)/SE is tested like the π estimate.
+ *
+ * @param {{sum: number, sumSquares: number, count: bigint|number}} sums
+ * @param {{volume?: number, exact?: number|null, significance?: number}} [options]
+ */
+export function analyzeIntegral({ sum, sumSquares, count }, { volume = 1, exact = null, significance = DEFAULT_SIGNIFICANCE } = {}) {
+    if (!(significance > 0 && significance < 1)) {
+        throw new RangeError(`Significance level must be in (0, 1), got ${significance}`);
+    }
+    const n = Number(count);
+    if (n < 2) throw new RangeError(`analyzeIntegral: need at least 2 samples, got ${n}`);
+
+    const mean = sum / n;
+    const variance = Math.max(0, (sumSquares - n * mean * mean) / (n - 1));
+    const estimate = volume * mean;
+    const se = volume * Math.sqrt(variance / n);
+    const half = normalQuantile(1 - significance / 2) * se;
+
+    const result = {
+        estimate,
+        standardError: se,
+        variance: volume * volume * variance, // Per-sample variance of V·f(X)
+        samples: n,
+        significance,
+        interval: [estimate - half, estimate + half],
+        exact,
+        empiricalError: null,
+        z: null,
+        pValue: null,
+        consistent: null
+    };
+    if (exact !== null) {
+        const error = estimate - exact;
+        result.empiricalError = Math.abs(error);
+        result.z = se > 0 ? error / se : (error === 0 ? 0 : Math.sign(error) * Infinity);
+        result.pValue = twoSidedPValue(result.z);
+        result.consistent = result.pValue >= significance;
+    }
+    return result;
+}
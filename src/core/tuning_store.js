@@ -0,0 +1,63 @@
+/**
+ * Saved Auto-Tune Results (IndexedDB)
+ * One entry per adapter, keyed by vendor / architecture from GPUAdapterInfo: the best
+ * launch config differs across GPU generations, not across individual cards.
+ */
+import { ObjectStore } from './idb.js';
+
+const DB_NAME = "montecarlo-pi-tuning";
+const DB_VERSION = 1;
+const STORE = "tunings";
+export const TUNING_SCHEMA_VERSION = 2; // 2: dispatch sets the thread count (older entries duplicated rows)
+
+/** "vendor / architecture" of an adapter, "unknown" where the browser hides both */
+export function adapterKey(info) {
+    const parts = [info?.vendor, info?.architecture].filter(Boolean);
+    return parts.length > 0 ? parts.join(" / ") : "unknown";
+}
+
+export class TuningStore extends ObjectStore {
+    /**
+     * @param {IDBFactory} [indexedDB]
+     */
+    constructor(indexedDB = globalThis.indexedDB) {
+        super({
+            name: DB_NAME,
+            version: DB_VERSION,
+            store: STORE,
+            upgrade: (db) => db.createObjectStore(STORE, { keyPath: "adapterKey" })
+        }, indexedDB);
+    }
+
+    /**
+     * Store (replace) the tuning of an adapter.
+     * @param {GPUAdapterInfo} info
+     * @param {object} result from AutoTuner.run()
+     */
+    save(info, result) {
+        const entry = {
+            adapterKey: adapterKey(info),
+            adapter: { vendor: info?.vendor ?? "", architecture: info?.architecture ?? "", device: info?.device ?? "", description: info?.description ?? "" },
+            tuning: result.tuning,
+            samplesPerSec: result.samplesPerSec,
+            baseline: result.baseline,
+            candidates: result.candidates,
+            timingMethod: result.timingMethod,
+            createdAt: new Date().toISOString(),
+            schemaVersion: TUNING_SCHEMA_VERSION
+        };
+        return this.transaction("readwrite", store => store.put(entry));
+    }
+
+    /**
+     * The saved entry of an adapter, or null (also for entries of another schema).
+     */
+    async load(info) {
+        const entry = await this.transaction("readonly", store => store.get(adapterKey(info)));
+        return entry?.schemaVersion === TUNING_SCHEMA_VERSION ? entry : null;
+    }
+
+    delete(info) {
+        return this.transaction("readwrite", store => store.delete(adapterKey(info)));
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * URL Configuration
+ * Reads and writes the app setup as query parameters so a single link reproduces
+ * a run. Invalid values are rejected individually (defaults kept) and reported.
+ *
+ *   ?seed=12345|random &batch=64 &mode=pi|buffon &backend=auto|webgpu|cpu &rng=xoshiro128pp|pcg32|philox4x32|lcg32 &dim=2..20
+ *   &needle=0.1..1 &vr=none|antithetic|stratified|meanvalue &threads=4096..4194304 (power of two)
+ *   &warmup=10 &measure=10 &bench_batch=5000 &reps=3 &alpha=0.05 &digits=10 &autorun=benchmark
+ */
+import { DEFAULT_BENCHMARK_CONFIG } from './benchmark.js';
+import { DEFAULT_SIGNIFICANCE } from './statistics.js';
+import { DEFAULT_DECIMALS, PI_REFERENCE_DECIMALS } from './exact_pi.js';
+import { GENERATORS, DEFAULT_GENERATOR, getGenerator } from './generators.js';
+import { DEFAULT_DIMENSION, MIN_DIMENSION, MAX_DIMENSION, checkGeneratorDimension } from './hypersphere.js';
+import { DEFAULT_NEEDLE_LENGTH, MIN_NEEDLE_LENGTH, MAX_NEEDLE_LENGTH } from './buffon.js';
+import { ESTIMATORS, DEFAULT_ESTIMATOR, checkEstimator, estimatorSettings } from './estimators.js';
+import { VARIANCE_REDUCTIONS, DEFAULT_VARIANCE_REDUCTION } from './variance_reduction.js';
+import { DEFAULT_THREADS, MIN_THREADS, MAX_THREADS, MAX_BATCH_SIZE } from './launch_config.js';
+
+export const MODES = Object.keys(ESTIMATORS);
+export const BACKENDS = ['auto', 'webgpu', 'cpu'];
+export const AUTORUN = ['benchmark'];
+export const RNGS = Object.keys(GENERATORS);
+export const VARIANCE_METHODS = Object.keys(VARIANCE_REDUCTIONS);
+
+export const DEFAULT_APP_CONFIG = {
+    seed: 12345, // null = crypto-random
+    batchSize: 64,
+    mode: DEFAULT_ESTIMATOR, // Estimator (see estimators.js)
+    backend: 'auto',
+    generator: DEFAULT_GENERATOR,
+    dimension: DEFAULT_DIMENSION, // Hypersphere dimension (see hypersphere.js)
+    needleLength: DEFAULT_NEEDLE_LENGTH, // Buffon's needle, in line spacings (see buffon.js)
+    varianceReduction: DEFAULT_VARIANCE_REDUCTION, // 2D circle sampling (see variance_reduction.js)
+    threads: DEFAULT_THREADS, // WebGPU invocations per frame (see launch_config.js)
+    benchmark: {
+        warmupSeconds: DEFAULT_BENCHMARK_CONFIG.warmupSeconds,
+        measureSeconds: DEFAULT_BENCHMARK_CONFIG.measureSeconds,
+        batchSize: DEFAULT_BENCHMARK_CONFIG.batchSize,
+        repetitions: DEFAULT_BENCHMARK_CONFIG.repetitions
+    },
+    significance: DEFAULT_SIGNIFICANCE,
+    digits: DEFAULT_DECIMALS, // Decimals shown for the π estimate
+    autorun: null
+};
+
+const MAX_REPETITIONS = 30;
+
+function parseInteger(text, min, max) {
+    if (!/^\d+$/.test(text)) return null;
+    const value = Number(text);
+    return value >= min && value <= max ? value : null;
+}
+
+function parseDecimal(text, min, max) {
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    const value = Number(text);
+    return value >= min && value <= max ? value : null;
+}
+
+function parsePowerOfTwo(text, min, max) {
+    const value = parseInteger(text, min, max);
+    return value !== null && (value & (value - 1)) === 0 ? value : null;
+}
+
+function parseSeconds(text, min) {
+    return parseDecimal(text, min, 3600);
+}
+
+function parseProbability(text) {
+    if (!/^0?\.\d+$/.test(text)) return null;
+    const value = Number(text);
+    return value > 0 && value < 1 ? value : null;
+}
+
+function parseChoice(text, choices) {
+    return choices.includes(text) ? text : null;
+}
+
+// name -> [parse(text) -> value|null, apply(config, value), describe allowed values]
+const PARAMETERS = {
+    seed: [
+        (t) => t === 'random' ? 'random' : parseInteger(t, 0, 0xFFFFFFFF),
+        (c, v) => { c.seed = v === 'random' ? null : v; },
+        "an integer 0..4294967295 or 'random'"
+    ],
+    batch: [(t) => parseInteger(t, 1, MAX_BATCH_SIZE), (c, v) => { c.batchSize = v; }, `an integer 1..${MAX_BATCH_SIZE}`],
+    mode: [(t) => parseChoice(t, MODES), (c, v) => { c.mode = v; }, MODES.join(' | ')],
+    backend: [(t) => parseChoice(t, BACKENDS), (c, v) => { c.backend = v; }, BACKENDS.join(' | ')],
+    rng: [(t) => parseChoice(t, RNGS), (c, v) => { c.generator = v; }, RNGS.join(' | ')],
+    dim: [(t) => parseInteger(t, MIN_DIMENSION, MAX_DIMENSION), (c, v) => { c.dimension = v; }, `an integer ${MIN_DIMENSION}..${MAX_DIMENSION}`],
+    needle: [(t) => parseDecimal(t, MIN_NEEDLE_LENGTH, MAX_NEEDLE_LENGTH), (c, v) => { c.needleLength = v; }, `a length ${MIN_NEEDLE_LENGTH}..${MAX_NEEDLE_LENGTH}`],
+    vr: [(t) => parseChoice(t, VARIANCE_METHODS), (c, v) => { c.varianceReduction = v; }, VARIANCE_METHODS.join(' | ')],
+    threads: [(t) => parsePowerOfTwo(t, MIN_THREADS, MAX_THREADS), (c, v) => { c.threads = v; }, `a power of two ${MIN_THREADS}..${MAX_THREADS}`],
+    warmup: [(t) => parseSeconds(t, 0), (c, v) => { c.benchmark.warmupSeconds = v; }, "seconds 0..3600"],
+    measure: [(t) => parseSeconds(t, 0.1), (c, v) => { c.benchmark.measureSeconds = v; }, "seconds 0.1..3600"],
+    bench_batch: [(t) => parseInteger(t, 1, MAX_BATCH_SIZE), (c, v) => { c.benchmark.batchSize = v; }, `an integer 1..${MAX_BATCH_SIZE}`],
+    reps: [(t) => parseInteger(t, 1, MAX_REPETITIONS), (c, v) => { c.benchmark.repetitions = v; }, `an integer 1..${MAX_REPETITIONS}`],
+    alpha: [parseProbability, (c, v) => { c.significance = v; }, "a significance level in (0, 1)"],
+    digits: [(t) => parseInteger(t, 1, PI_REFERENCE_DECIMALS), (c, v) => { c.digits = v; }, `an integer 1..${PI_REFERENCE_DECIMALS}`],
+    autorun: [(t) => parseChoice(t, AUTORUN), (c, v) => { c.autorun = v; }, AUTORUN.join(' | ')]
+};
+
+function cloneDefaults() {
+    return { ...DEFAULT_APP_CONFIG, benchmark: { ...DEFAULT_APP_CONFIG.benchmark } };
+}
+
+/**
+ * @param {string} search location.search (with or without the leading '?')
+ * @returns {{config: typeof DEFAULT_APP_CONFIG, errors: string[]}}
+ */
+export function parseAppConfig(search) {
+    const config = cloneDefaults();
+    const errors = [];
+
+    for (const [name, text] of new URLSearchParams(search)) {
+        const parameter = PARAMETERS[name];
+        if (!parameter) {
+            errors.push(`Unknown parameter '${name}'`);
+            continue;
+        }
+        const [parse, apply, allowed] = parameter;
+        const value = parse(text.trim());
+        if (value === null) {
+            errors.push(`Rejected ${name}=${text}: expected ${allowed}`);
+            continue;
+        }
+        apply(config, value);
+    }
+
+    try {
+        checkGeneratorDimension(getGenerator(config.generator), config.dimension);
+    } catch (e) {
+        errors.push(`Rejected dim=${config.dimension}: ${e.message}`);
+        config.dimension = DEFAULT_DIMENSION;
+    }
+    try {
+        checkEstimator(getGenerator(config.generator), { ...estimatorSettings(config), varianceReduction: DEFAULT_VARIANCE_REDUCTION });
+    } catch (e) {
+        errors.push(`Rejected mode=${config.mode}: ${e.message}`);
+        config.mode = DEFAULT_ESTIMATOR;
+    }
+    try {
+        checkEstimator(getGenerator(config.generator), estimatorSettings(config));
+    } catch (e) {
+        errors.push(`Rejected vr=${config.varianceReduction}: ${e.message}`);
+        config.varianceReduction = DEFAULT_VARIANCE_REDUCTION;
+    }
+
+    return { config, errors };
+}
+
+/**
+ * Full query string for a config (every parameter, so links survive default changes).
+ * autorun is only written when requested.
+ */
+export function serializeAppConfig(config, { autorun = config.autorun } = {}) {
+    const params = new URLSearchParams({
+        seed: config.seed === null ? 'random' : String(config.seed),
+        batch: String(config.batchSize),
+        mode: config.mode,
+        backend: config.backend,
+        rng: config.generator,
+        dim: String(config.dimension),
+        needle: String(config.needleLength),
+        vr: config.varianceReduction,
+        threads: String(config.threads),
+        warmup: String(config.benchmark.warmupSeconds),
+        measure: String(config.benchmark.measureSeconds),
+        bench_batch: String(config.benchmark.batchSize),
+        reps: String(config.benchmark.repetitions),
+        alpha: String(config.significance),
+        digits: String(config.digits)
+    });
+    if (autorun) params.set('autorun', autorun);
+    return params.toString();
+}
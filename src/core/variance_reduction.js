@@ -0,0 +1,63 @@
+/**
+ * Variance Reduction for the Quarter-Circle Kernel
+ * Alternatives to plain hit-or-miss sampling, all estimating p = π/4 from integer
+ * counts accumulated on the GPU (same slots, same u32/BigInt path):
+ *   antithetic  every point (x, y) is paired with (1 - x, 1 - y); both are hit-tested
+ *   stratified  each iteration drops one point in every cell of a STRATA_GRID² grid
+ *   meanvalue   integrates f(x) = sqrt(1 - x²) instead of counting hits: the kernel adds
+ *               f(x) in fixed point, stochastically rounded to 1/MEAN_VALUE_SCALE
+ *               with the otherwise unused y draw, so `inside` sums f(x)·MEAN_VALUE_SCALE
+ *
+ * Samples are not independent Bernoulli trials any more (pairs, strata, real values), so
+ * the binomial formula does not hold: the error is measured from VARIANCE_BATCHES
+ * independent thread groups (batch means, see replicateGroups() in estimators.js) and
+ * compared with the binomial error of plain sampling at the same sample count.
+ * Pure functions, no DOM access.
+ */
+
+export const VARIANCE_REDUCTIONS = {
+    none: { id: 'none', label: 'Plain hit-or-miss' },
+    antithetic: { id: 'antithetic', label: 'Antithetic variates' },
+    stratified: { id: 'stratified', label: 'Stratified 4×4 grid' },
+    meanvalue: { id: 'meanvalue', label: 'Mean value √(1−x²)' }
+};
+export const DEFAULT_VARIANCE_REDUCTION = 'none';
+
+export const STRATA_GRID = 4; // Cells per axis; one row of 4 lanes per rng_next() pair
+export const MEAN_VALUE_SCALE = 4096; // Fixed-point unit of f(x): 2^12 keeps 8·batch·scale below 2^32
+export const VARIANCE_BATCHES = 64; // Independent thread groups for the measured error
+
+// Per-sample variance of f(x) = sqrt(1 - x²): E[f²] - E[f]² = 2/3 - π²/16
+const MEAN_VALUE_VARIANCE = 2 / 3 - Math.PI ** 2 / 16;
+
+export function getVarianceReduction(id) {
+    const method = VARIANCE_REDUCTIONS[id];
+    if (!method) throw new RangeError(`Unknown variance reduction '${id}'`);
+    return method;
+}
+
+/**
+ * Samples one thread adds to `total` per loop iteration.
+ * @param {string} id key of VARIANCE_REDUCTIONS
+ * @param {number} unroll UNROLL shader define
+ */
+export function samplesPerIteration(id, unroll) {
+    switch (getVarianceReduction(id).id) {
+        case 'antithetic': return 8 * unroll;
+        case 'stratified': return STRATA_GRID * STRATA_GRID;
+        default: return 4 * unroll;
+    }
+}
+
+/** Units of `inside` per unit of the estimated ratio (MEAN_VALUE_SCALE for meanvalue) */
+export function ratioScale(id) {
+    return getVarianceReduction(id).id === 'meanvalue' ? MEAN_VALUE_SCALE : 1;
+}
+
+/**
+ * Variance of π̂ per sample where it is known in closed form: 16·Var[f] for the mean value
+ * estimator (stochastic rounding adds < 2^-26), null where it depends on the pairing or grid.
+ */
+export function knownSampleVariance(id) {
+    return getVarianceReduction(id).id === 'meanvalue' ? 16 * MEAN_VALUE_VARIANCE : null;
+}
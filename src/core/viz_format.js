@@ -0,0 +1,16 @@
+/**
+ * Visualization Storage Format (out_x / out_y)
+ * f16 halves VRAM traffic but needs `shader-f16`; f32 runs everywhere.
+ * Shaders select `alias viz_t` with `#if VIZ_F16` (see shader_preprocessor.js).
+ */
+export const VIZ_FORMATS = {
+    f16: { bytesPerPoint: 2 },
+    f32: { bytesPerPoint: 4 }
+};
+
+/**
+ * Preferred format for a device: f16 whenever the feature exists.
+ */
+export function selectVisualizationFormat(features) {
+    return features?.has("shader-f16") ? "f16" : "f32";
+}
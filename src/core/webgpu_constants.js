@@ -0,0 +1,28 @@
+/**
+ * WebGPU flag constants.
+ * Resolved from the host globals when present, otherwise the spec-defined values,
+ * so the engine also runs where only an injected device exists (Node, mocks).
+ */
+export const BufferUsage = globalThis.GPUBufferUsage ?? {
+    MAP_READ: 0x0001,
+    MAP_WRITE: 0x0002,
+    COPY_SRC: 0x0004,
+    COPY_DST: 0x0008,
+    INDEX: 0x0010,
+    VERTEX: 0x0020,
+    UNIFORM: 0x0040,
+    STORAGE: 0x0080,
+    INDIRECT: 0x0100,
+    QUERY_RESOLVE: 0x0200
+};
+
+export const ShaderStage = globalThis.GPUShaderStage ?? {
+    VERTEX: 0x1,
+    FRAGMENT: 0x2,
+    COMPUTE: 0x4
+};
+
+export const MapMode = globalThis.GPUMapMode ?? {
+    READ: 0x0001,
+    WRITE: 0x0002
+};
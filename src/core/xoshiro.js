@@ -0,0 +1,148 @@
+/**
+ * Xoshiro128++ Seeding Subsystem
+ * Deterministic expansion of a user seed into per-thread, per-lane generator states.
+ *
+ * Layout (matches RNGState in simulation.wgsl):
+ *   thread t, state word w (s0..s3), lane l (x,y,z,w) -> index t * 16 + w * 4 + l
+ *
+ * Stream separation:
+ *   - Thread t starts at base state advanced by t * 2^96 steps (long jump)
+ *   - Lane l of a thread is advanced a further l * 2^64 steps (jump)
+ *   Every lane therefore owns a disjoint window of 2^64 outputs.
+ */
+
+// Jump polynomials from the reference implementation (Blackman & Vigna)
+const JUMP = [0x8764000b, 0xf542d2d3, 0x6fa035c3, 0x77f2db5b];      // 2^64 steps
+const LONG_JUMP = [0xb523952e, 0x0b6f099f, 0xccf5a0ef, 0x1c580662]; // 2^96 steps
+
+export const LANES = 4;
+export const WORDS_PER_THREAD = 16; // 4 state words x 4 lanes
+
+function rotl(x, k) {
+    return ((x << k) | (x >>> (32 - k))) >>> 0;
+}
+
+/**
+ * Advance a single scalar Xoshiro128++ state (Uint32Array(4)) in place.
+ * Returns the 32-bit output as an unsigned Number.
+ */
+export function xoshiro128ppNext(s) {
+    const result = (rotl((s[0] + s[3]) >>> 0, 7) + s[0]) >>> 0;
+    const t = (s[1] << 9) >>> 0;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+
+    return result;
+}
+
+function applyJump(s, poly) {
+    let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+    for (let i = 0; i < poly.length; i++) {
+        for (let b = 0; b < 32; b++) {
+            if (poly[i] & (1 << b)) {
+                s0 ^= s[0];
+                s1 ^= s[1];
+                s2 ^= s[2];
+                s3 ^= s[3];
+            }
+            xoshiro128ppNext(s);
+        }
+    }
+    s[0] = s0 >>> 0;
+    s[1] = s1 >>> 0;
+    s[2] = s2 >>> 0;
+    s[3] = s3 >>> 0;
+}
+
+/** Equivalent to 2^64 calls to xoshiro128ppNext. */
+export function xoshiroJump(s) {
+    applyJump(s, JUMP);
+}
+
+/** Equivalent to 2^96 calls to xoshiro128ppNext. */
+export function xoshiroLongJump(s) {
+    applyJump(s, LONG_JUMP);
+}
+
+/**
+ * SplitMix64 generator (BigInt). Used only to expand the 32-bit user seed
+ * into a well-mixed, non-zero 128-bit base state.
+ */
+export function createSplitMix64(seed) {
+    let x = BigInt.asUintN(64, BigInt(seed));
+    return () => {
+        x = BigInt.asUintN(64, x + 0x9E3779B97F4A7C15n);
+        let z = x;
+        z = BigInt.asUintN(64, (z ^ (z >> 30n)) * 0xBF58476D1CE4E5B9n);
+        z = BigInt.asUintN(64, (z ^ (z >> 27n)) * 0x94D049BB133111EBn);
+        return z ^ (z >> 31n);
+    };
+}
+
+/**
+ * Base 128-bit Xoshiro state derived from the user seed.
+ */
+export function seedBaseState(seed) {
+    const next = createSplitMix64(seed);
+    const a = next();
+    const b = next();
+    const s = new Uint32Array([
+        Number(a & 0xFFFFFFFFn),
+        Number(a >> 32n),
+        Number(b & 0xFFFFFFFFn),
+        Number(b >> 32n)
+    ]);
+    // SplitMix64 cannot emit two consecutive zero words for distinct outputs,
+    // but keep the all-zero guard for safety (Xoshiro fixed point).
+    if ((s[0] | s[1] | s[2] | s[3]) === 0) s[0] = 0x9E3779B9;
+    return s;
+}
+
+/**
+ * Deterministic RNG state buffer contents for `threadCount` threads.
+ */
+export function createSeededState(seed, threadCount) {
+    const data = new Uint32Array(threadCount * WORDS_PER_THREAD);
+    const threadBase = seedBaseState(seed);
+    const lane = new Uint32Array(4);
+
+    for (let t = 0; t < threadCount; t++) {
+        lane.set(threadBase);
+        const base = t * WORDS_PER_THREAD;
+        for (let l = 0; l < LANES; l++) {
+            for (let w = 0; w < 4; w++) {
+                data[base + w * LANES + l] = lane[w];
+            }
+            if (l < LANES - 1) xoshiroJump(lane);
+        }
+        xoshiroLongJump(threadBase);
+    }
+    return data;
+}
+
+/**
+ * Non-reproducible RNG state buffer contents from the platform CSPRNG.
+ */
+export function createRandomState(threadCount) {
+    const data = new Uint32Array(threadCount * WORDS_PER_THREAD);
+    const CHUNK_SIZE = 16384; // getRandomValues quota is 65536 bytes
+    for (let i = 0; i < data.length; i += CHUNK_SIZE) {
+        crypto.getRandomValues(data.subarray(i, Math.min(i + CHUNK_SIZE, data.length)));
+    }
+
+    // Ensure non-zero state for every lane (Xoshiro fixed point)
+    for (let t = 0; t < threadCount; t++) {
+        const base = t * WORDS_PER_THREAD;
+        for (let l = 0; l < LANES; l++) {
+            if ((data[base + l] | data[base + 4 + l] | data[base + 8 + l] | data[base + 12 + l]) === 0) {
+                data[base + l] = 0x9E3779B9;
+            }
+        }
+    }
+    return data;
+}
@@ -1,45 +1,104 @@
-// CPU Benchmark Worker
-// Implements the same PCG Hash + Float32 logic as the GPU shader.
+// CPU Benchmark / Reference Worker
+// Runs the bit-exact JavaScript port of simulation.wgsl (vectorized PRNG + f32).
+//
+// Messages:
+//   { duration, seed, generator }                 -> timed benchmark (samples/sec)
+//   { type: 'reference', states, batchSize, threads, unroll,
+//     generator, frame, key, sampleBase,
+//     workgroupSize, mode, dimension,
+//     needleLength, varianceReduction, threadIds } -> exact per-thread counts
+//   { type: 'init', states, generator, start, count, key,
+//     workgroupSize, mode, dimension,
+//     needleLength, varianceReduction }           -> keep a thread range resident (CPU backend)
+//   { type: 'frame', batchSize, frame, sampleBase } -> advance resident threads one frame
 
-self.onmessage = function (e) {
-    const duration = e.data.duration || 1000; // ms
+import { DEFAULT_GENERATOR, getGenerator } from './core/generators.js';
+import { runReferenceThread, runReferenceThreads } from './core/cpu_reference.js';
+import { estimatorSettings } from './core/estimators.js';
+
+function runBenchmark(duration, seed, generator) {
     const startTime = performance.now();
-    let samples = 0;
+    const { states: state, key } = getGenerator(generator).createStates(seed, 1);
+    const BATCH = 1000; // 8,000 samples between time checks
 
-    // PCG State
-    let state = 12345; // Initial seed logic
-    // JS doesn't have uint32 type natively easily, we use BigInt for 64bit emulation or standard bitwise for 32bit.
-    // Standard bitwise in JS treats numbers as signed 32-bit integers.
-    // We need to be careful with unsigned logic.
-    // Let's use BigInt for PCG to be safe and strictly correct, or standard Math.random for "Typical CPU"?
-    // User asked for "Comparison". Comparing optimized GPU vs optimized CPU is best.
-    // JS `Math.random` is slow.
-    // Let's use a simple LCG or Xorshift for speed in JS, OR PCG.
-    // PCG in JS with BigInt might be slow due to BigInt overhead.
-    // Let's use a standard fast Xorshift128+ or just Math.random to show "Standard JS Performance".
-    // Actually, let's try to match the algorithm (Float math).
-
-    // Mode: "Math.random()" (Standard JS)
-    // Most fair comparison for "JavaScript vs WebGPU".
+    let samples = 0;
+    let inside = 0;
+    let frame = 0;
 
     while (performance.now() - startTime < duration) {
-        // Batch 1000 to reduce time check overhead
-        for (let i = 0; i < 1000; i++) {
-            const x = Math.random();
-            const y = Math.random();
-            if (x * x + y * y <= 1.0) {
-                // inside
-            }
-            samples++;
-        }
+        // sampleBase: quasi-random generators walk along the sequence instead of repeating it
+        const r = runReferenceThread(state, BATCH, undefined, { generator, frame: ++frame, key, sampleBase: BigInt(samples) });
+        inside += r.inside;
+        samples += r.total;
     }
 
     const endTime = performance.now();
     const actualDuration = (endTime - startTime) / 1000; // sec
 
-    self.postMessage({
+    return {
         samples: samples,
+        inside: inside,
         duration: actualDuration,
         speed: samples / actualDuration // samples/sec
-    });
+    };
+}
+
+// CPU Backend: resident RNG states for this worker's thread range
+let resident = null; // { states, generator, start, count, key, workgroupSize, estimator }
+
+function runFrame(batchSize, frame, sampleBase) {
+    const { states, generator, start, count: threadCount, key, workgroupSize, estimator } = resident;
+    const words = getGenerator(generator).wordsPerThread;
+    const inside = new Uint32Array(threadCount);
+    const total = new Uint32Array(threadCount);
+    const lastX = new Float32Array(threadCount);
+    const lastY = new Float32Array(threadCount);
+
+    for (let t = 0; t < threadCount; t++) {
+        const state = states.subarray(t * words, (t + 1) * words);
+        const r = runReferenceThread(state, batchSize, undefined, {
+            generator, thread: start + t, frame, key, sampleBase, workgroupSize, ...estimator
+        });
+        inside[t] = r.inside;
+        total[t] = r.total;
+        lastX[t] = r.lastX;
+        lastY[t] = r.lastY;
+    }
+    return { type: 'frame', inside, total, lastX, lastY };
+}
+
+self.onmessage = function (e) {
+    const data = e.data;
+
+    if (data.type === 'init') {
+        resident = {
+            states: data.states,
+            generator: data.generator ?? DEFAULT_GENERATOR,
+            start: data.start ?? 0,
+            count: data.count,
+            key: data.key ?? 0,
+            workgroupSize: data.workgroupSize ?? 256,
+            estimator: estimatorSettings(data)
+        };
+        self.postMessage({ type: 'init' });
+        return;
+    }
+
+    if (data.type === 'frame') {
+        const result = runFrame(data.batchSize, data.frame, data.sampleBase ?? 0n);
+        self.postMessage(result, [result.inside.buffer, result.total.buffer, result.lastX.buffer, result.lastY.buffer]);
+        return;
+    }
+
+    if (data.type === 'reference') {
+        const results = runReferenceThreads(data.states, data.batchSize, data.threads, data.unroll, {
+            generator: data.generator, frame: data.frame, key: data.key,
+            sampleBase: data.sampleBase, workgroupSize: data.workgroupSize, ...estimatorSettings(data),
+            threadIds: data.threadIds
+        });
+        self.postMessage({ type: 'reference', results, states: data.states });
+        return;
+    }
+
+    self.postMessage(runBenchmark(data.duration || 1000, data.seed ?? 12345, data.generator ?? DEFAULT_GENERATOR));
 };
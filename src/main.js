@@ -1,27 +1,80 @@
-import { GPUManager } from './core/gpu_manager.js';
+import { createBackend } from './core/backend.js';
 import { MiniChart } from './ui/chart.js';
+import { ConvergenceChart, drawConvergence } from './ui/convergence_chart.js';
+import { ScatterCanvas } from './ui/scatter_canvas.js';
 import { ScientificAnalytics } from './ui/scientific_reports.js';
+import { KernelAuditor } from './core/audit.js';
+import { BenchmarkProtocol } from './core/benchmark.js';
+import { createBenchmarkRecord, errorAnalysis, describeErrorMethod, isReplicated, effectiveThroughput, toJSON, toCSV, toMarkdown } from './core/report.js';
+import { BenchmarkHistory } from './core/history_store.js';
+import { HistoryPanel } from './ui/history_panel.js';
+import { parseAppConfig, serializeAppConfig } from './core/url_config.js';
+import { exactPiEstimate } from './core/exact_pi.js';
+import { GENERATORS, getGenerator } from './core/generators.js';
+import { MIN_DIMENSION, MAX_DIMENSION, DEFAULT_DIMENSION } from './core/hypersphere.js';
+import { ESTIMATORS, DEFAULT_ESTIMATOR, estimatorSettings, estimatorModel } from './core/estimators.js';
+import { VARIANCE_REDUCTIONS, DEFAULT_VARIANCE_REDUCTION, getVarianceReduction } from './core/variance_reduction.js';
+import { RNGTestBattery } from './core/rng_battery.js';
+import { MonteCarloIntegrator } from './core/integrator.js';
+import { INTEGRANDS, getIntegrand, createIntegrand, parseDomain, formatDomain } from './core/integrands.js';
+import { AutoTuner, TUNING_AXES, DEFAULT_TUNING_PROTOCOL, BATCH_TOLERANCE, DEFAULT_BATCH_ANCHOR, sliderToBatch, batchToSlider } from './core/autotune.js';
+import { TuningStore, adapterKey } from './core/tuning_store.js';
+import { MIN_THREADS, MAX_THREADS, dispatchForThreads, launchConfig } from './core/launch_config.js';
+import { CheckpointStore, CHECKPOINT_INTERVAL_SECONDS, createCheckpoint, checkCheckpoint, checkpointProgress, toCheckpointFile, parseCheckpointFile } from './core/checkpoint.js';
+import { TARGET_KINDS, DEFAULT_TARGET_CONFIDENCE, parseTarget, targetProgress, batchForRemaining, estimateSeconds, formatSeconds } from './core/precision_target.js';
+import { normalQuantile } from './core/statistics.js';
 
 // Import shaders as raw strings for Vite environment
 import simShaderSource from './shaders/simulation.wgsl?raw';
 import renderShaderSource from './shaders/render.wgsl?raw';
+import xoshiroShaderSource from './shaders/rng/xoshiro128pp.wgsl?raw';
+import pcgShaderSource from './shaders/rng/pcg32.wgsl?raw';
+import philoxShaderSource from './shaders/rng/philox4x32.wgsl?raw';
+import lcgShaderSource from './shaders/rng/lcg32.wgsl?raw';
+import qmcShaderSource from './shaders/rng/qmc.wgsl?raw';
+import sobolShaderSource from './shaders/rng/sobol.wgsl?raw';
+import haltonShaderSource from './shaders/rng/halton.wgsl?raw';
+import rngBatteryShaderSource from './shaders/rng_battery.wgsl?raw';
+import integratorShaderSource from './shaders/integrator.wgsl?raw';
 
-const PI_TRUE = 3.14159265358979323846;
+const AUDIT_BATCH_SIZE = 64; // 512 samples per thread and audited frame
+const AUDIT_FRAMES = 2;
+
+const createCPUWorker = () => new Worker(new URL('./cpu_worker.js', import.meta.url), { type: 'module' });
 
 class App {
     constructor() {
-        this.gpu = new GPUManager();
+        this.backend = null; // SimulationBackend (WebGPU or CPU), chosen in init()
         this.chart = new MiniChart('chart-canvas');
+        this.convergence = new ConvergenceChart('convergence-live');
         this.analytics = new ScientificAnalytics();
+        this.auditor = null;
+        this.history = new BenchmarkHistory();
+        this.tunings = new TuningStore();
+        this.checkpoints = new CheckpointStore();
+        this.runId = String(Date.now()); // Autosaved checkpoints are kept per run (new on reset)
+        this.checkpointRequest = null; // {download} for the loop to write after its current frame
+        this.checkpointTimer = null;
+        this.frameInFlight = null; // Promise of the loop iteration running, see waitForLoop()
+        this.batchAnchor = DEFAULT_BATCH_ANCHOR; // Speed slider centre: the tuned batch size of this adapter
 
         this.canvas = document.getElementById('gpu-canvas');
         this.stats = {
             pi: document.getElementById('val-pi'),
             error: document.getElementById('val-error'),
+            stdErr: document.getElementById('val-stderr'),
+            stdErrLabel: document.getElementById('label-stderr'),
             samples: document.getElementById('val-samples'),
+            digits: document.getElementById('val-digits'),
+            hitRatio: document.getElementById('val-hit-ratio'),
+            hitRatioLabel: document.getElementById('label-hit-ratio'),
+            varianceGrowth: document.getElementById('val-variance-growth'),
             speed: document.getElementById('val-speed'),
             fps: document.getElementById('val-fps'),
+            targetRow: document.getElementById('row-target'),
+            target: document.getElementById('val-target'),
             gpuStatus: document.getElementById('status-gpu'),
+            backendLabel: document.getElementById('label-backend'),
             matchStatus: document.getElementById('status-match')
         };
 
@@ -32,14 +85,96 @@ class App {
             reset: document.getElementById('btn-reset'),
             speed: document.getElementById('slider-speed'),
             seed: document.getElementById('input-seed'),
+            seedRandom: document.getElementById('input-seed-random'),
+            rng: document.getElementById('select-rng'),
+            mode: document.getElementById('select-mode'),
+            dimension: document.getElementById('select-dimension'),
+            needle: document.getElementById('input-needle'),
+            variance: document.getElementById('select-variance'),
+            threads: document.getElementById('select-threads'),
+            compareRng: document.getElementById('btn-compare-rng'),
             verify: document.getElementById('btn-verify'),
+            rngTests: document.getElementById('btn-rng-tests'),
             benchmark: document.getElementById('btn-benchmark'),
             cpuBench: document.getElementById('btn-cpu-bench'),
+            benchWarmup: document.getElementById('input-bench-warmup'),
+            benchMeasure: document.getElementById('input-bench-measure'),
+            benchBatch: document.getElementById('input-bench-batch'),
+            benchReps: document.getElementById('input-bench-reps'),
+            targetKind: document.getElementById('select-target'),
+            targetValue: document.getElementById('input-target-value'),
+            targetConfidence: document.getElementById('input-target-confidence'),
+            runTarget: document.getElementById('btn-target'),
             reportModal: document.getElementById('report-modal'),
             closeReport: document.getElementById('close-report'),
+            copyReport: document.getElementById('btn-copy-report'),
+            downloadJSON: document.getElementById('btn-download-json'),
+            downloadCSV: document.getElementById('btn-download-csv'),
+            history: document.getElementById('btn-history'),
+            closeHistory: document.getElementById('close-history'),
+            historyModal: document.getElementById('history-modal'),
             reportMetrics: document.getElementById('report-metrics'),
-            statisticalReport: document.getElementById('statistical-report')
+            statisticalReport: document.getElementById('statistical-report'),
+            copyLink: document.getElementById('btn-copy-link'),
+            configWarnings: document.getElementById('config-warnings'),
+            integrator: document.getElementById('btn-integrator'),
+            autotune: document.getElementById('btn-autotune'),
+            saveCheckpoint: document.getElementById('btn-checkpoint'),
+            loadCheckpoint: document.getElementById('btn-load-checkpoint'),
+            checkpointFile: document.getElementById('input-checkpoint-file'),
+            resumeCheckpoint: document.getElementById('btn-resume-checkpoint')
+        };
+
+        this.integratorControls = {
+            panel: document.getElementById('integrator-panel'),
+            select: document.getElementById('select-integrand'),
+            source: document.getElementById('input-integrand'),
+            dim: document.getElementById('input-integrand-dim'),
+            exact: document.getElementById('input-integrand-exact'),
+            domain: document.getElementById('input-integrand-domain'),
+            run: document.getElementById('btn-integrate'),
+            error: document.getElementById('integrator-error'),
+            estimate: document.getElementById('val-integral'),
+            stdErr: document.getElementById('val-integral-stderr'),
+            exactValue: document.getElementById('val-integral-exact'),
+            absError: document.getElementById('val-integral-error'),
+            samples: document.getElementById('val-integral-samples')
         };
+        for (const integrand of INTEGRANDS) {
+            this.integratorControls.select.append(new Option(integrand.label, integrand.id));
+        }
+        this.integratorControls.select.append(new Option('Custom WGSL', 'custom'));
+        this.showIntegrand(INTEGRANDS[0]);
+
+        const quasiGroup = document.createElement('optgroup');
+        quasiGroup.label = 'Quasi-random (RQMC)';
+        for (const generator of Object.values(GENERATORS)) {
+            (generator.quasi ? quasiGroup : this.controls.rng).append(new Option(generator.label, generator.id));
+        }
+        this.controls.rng.append(quasiGroup);
+        this.controls.rngQuasi = quasiGroup;
+        for (const estimator of Object.values(ESTIMATORS)) {
+            this.controls.mode.append(new Option(estimator.label, estimator.id));
+        }
+        for (const method of Object.values(VARIANCE_REDUCTIONS)) {
+            this.controls.variance.append(new Option(method.label, method.id));
+        }
+        for (let d = MIN_DIMENSION; d <= MAX_DIMENSION; d++) {
+            this.controls.dimension.append(new Option(d === 2 ? '2 (circle)' : String(d), String(d)));
+        }
+        for (const kind of Object.values(TARGET_KINDS)) {
+            this.controls.targetKind.append(new Option(kind.label, kind.id));
+        }
+        this.controls.targetConfidence.value = DEFAULT_TARGET_CONFIDENCE * 100;
+        for (let t = MIN_THREADS; t <= MAX_THREADS; t *= 2) {
+            this.controls.threads.append(new Option(t >= 2 ** 20 ? `${t / 2 ** 20}M` : `${t / 1024}K`, String(t)));
+        }
+
+        // URL query parameters override the DOM defaults
+        const { config, errors } = parseAppConfig(window.location.search);
+        this.urlConfig = config;
+        this.applyAppConfig(config);
+        this.showConfigWarnings(errors);
 
         this.isRunning = false;
         this.startTime = 0;
@@ -48,51 +183,105 @@ class App {
 
         this.accumulatedInside = 0n;
         this.accumulatedTotal = 0n;
+        this.accumulatedReplicates = null; // Per-replicate counts (quasi-random generators, variance reduction batches)
         this.previousTotal = 0n;
         this.accumulatedDt = 0;
         this.currentSpeedM = 0;
 
         this.isBenchmarking = false;
-        this.benchmarkStartTime = 0;
-        this.benchmarkTarget = 1_000_000_000n; // Used for progress reference if needed
+        this.benchmark = null; // BenchmarkProtocol while a benchmark runs
+        this.targetRun = null; // Goal and progress of a run-to-target run (precision_target.js)
+        this.lastRecord = null; // Serializable record of the benchmark shown in the report modal
 
+        this.isAuditing = false;
+        this.isIntegrating = false;
+        this.integrator = null; // MonteCarloIntegrator (WebGPU only)
         this.reportChart = null;
-        this.isTransitioning = false; // Semaphore for async phase switching
         this.init();
     }
 
     async init() {
         try {
-            await this.gpu.init(this.canvas, {
-                simulation: simShaderSource,
-                render: renderShaderSource
+            this.backend = await createBackend({
+                canvas: this.canvas,
+                shaderSources: {
+                    simulation: simShaderSource,
+                    render: renderShaderSource,
+                    rng: {
+                        xoshiro128pp: xoshiroShaderSource,
+                        pcg32: pcgShaderSource,
+                        philox4x32: philoxShaderSource,
+                        lcg32: lcgShaderSource,
+                        sobol: `${qmcShaderSource}\n${sobolShaderSource}`,
+                        halton: `${qmcShaderSource}\n${haltonShaderSource}`
+                    }
+                },
+                createWorker: createCPUWorker,
+                createScatter: (canvas) => new ScatterCanvas(canvas),
+                seed: this.readSeed(),
+                generator: this.urlConfig.generator,
+                estimator: estimatorSettings(this.urlConfig),
+                threads: this.urlConfig.threads,
+                preference: this.urlConfig.backend,
+                onFallback: (e) => this.showGPUFailure(e)
             });
-            this.stats.gpuStatus.classList.add('active'); // Turn Green
+            this.backend.updateParams({ batch_size: this.urlConfig.batchSize });
+            await this.applySavedTuning();
+            this.auditor = new KernelAuditor(this.backend, createCPUWorker);
+            // The battery runs on the device's own generator snippets
+            this.rngBattery = this.backend.name === 'webgpu' ? new RNGTestBattery(this.backend, rngBatteryShaderSource) : null;
+            this.integrator = this.backend.name === 'webgpu' ? new MonteCarloIntegrator(this.backend, integratorShaderSource) : null;
+            this.beginConvergenceTrace();
+            this.updateEstimatorControls();
+
+            this.stats.backendLabel.textContent = this.backend.label;
+            this.stats.gpuStatus.classList.add(this.backend.name === 'webgpu' ? 'active' : 'pending'); // Green for GPU, amber for CPU
+            this.controls.verify.disabled = !this.backend.supportsAudit;
+            this.controls.rngTests.disabled = !this.rngBattery;
+            this.controls.integrator.disabled = !this.integrator;
+            this.controls.autotune.disabled = this.backend.name !== 'webgpu';
+            this.setupCheckpoints().catch(e => console.warn("⚠️ Checkpoint setup failed:", e));
+            this.controls.threads.disabled = this.backend.name !== 'webgpu'; // CPU workers run a fixed pool
+            this.controls.threads.value = String(this.backend.totalThreads);
+            this.describeBatch(this.backend.simulationParams.batch_size);
+            this.updateBenchmarkLabel();
             this.isRunning = true;
             this.setupListeners();
             this.lastTime = performance.now();
             requestAnimationFrame(this.loop.bind(this));
+
+            if (this.urlConfig.autorun === 'benchmark') {
+                this.runBenchmark();
+            }
         } catch (e) {
             console.error(e);
             this.stats.gpuStatus.classList.add('error');
             this.stats.gpuStatus.textContent = "GPU ERROR";
+        }
+    }
 
-            // Helpful UI notification for browser hang
-            if (e.message.includes("RESTART THE BROWSER")) {
-                this.controls.reportMetrics.innerHTML = `
-                    <div class="p-4 bg-red-900/50 border border-red-500 rounded-lg text-white">
-                        <h3 class="font-bold text-lg mb-2">🚀 GPU PROCESS CRASHED</h3>
-                        <p class="text-sm">Blackwell passed the limits of the browser's GPU manager.</p>
-                        <p class="mt-4 font-bold text-yellow-400">Please CLOSE and RESTART your browser to continue.</p>
-                    </div>
-                `;
-                this.controls.reportModal.classList.remove('hidden');
-            }
+    /**
+     * WebGPU failed to start; the CPU backend takes over. Only a hung GPU process
+     * warrants interrupting the user.
+     */
+    showGPUFailure(e) {
+        if (e.message.includes("RESTART THE BROWSER")) {
+            this.setReportRecord(null);
+            this.controls.reportMetrics.innerHTML = `
+                <div class="p-4 bg-red-900/50 border border-red-500 rounded-lg text-white">
+                    <h3 class="font-bold text-lg mb-2">🚀 GPU PROCESS CRASHED</h3>
+                    <p class="text-sm">Blackwell passed the limits of the browser's GPU manager.</p>
+                    <p class="mt-4 font-bold text-yellow-400">Please CLOSE and RESTART your browser to continue.</p>
+                    <p class="mt-2 text-sm">Running on the CPU backend in the meantime.</p>
+                </div>
+            `;
+            this.controls.reportModal.classList.remove('hidden');
         }
     }
 
     setupListeners() {
         this.controls.playPause.addEventListener('click', () => {
+            if (this.isBenchmarking || this.isIntegrating) return;
             this.isRunning = !this.isRunning;
             if (this.isRunning) {
                 this.controls.iconPlay.style.display = 'none';
@@ -111,23 +300,129 @@ class App {
 
         this.controls.speed.addEventListener('input', (e) => {
             const val = parseInt(e.target.value);
-            const batch = Math.floor(32 + Math.pow(val, 2.5));
-            this.gpu.updateParams({ batch_size: batch });
+            const batchSize = sliderToBatch(val, this.batchAnchor);
+            this.backend.updateParams({ batch_size: batchSize });
+            this.describeBatch(batchSize);
+            if (this.targetRun) this.targetRun.batchSize = batchSize;
         });
+        this.controls.speed.addEventListener('change', () => this.syncURL());
+
+        const applySeed = async () => {
+            this.controls.seed.disabled = this.controls.seedRandom.checked;
+            // A frame in flight still draws from the old states; its counts must not mix in
+            const wasRunning = this.isRunning;
+            this.isRunning = false;
+            try {
+                await this.waitForLoop();
+                this.backend.setSeed(this.readSeed());
+                this.reset(); // Re-uploads RNG state for the new seed
+                this.syncURL();
+            } finally {
+                if (wasRunning) {
+                    this.isRunning = true;
+                    this.lastTime = performance.now();
+                    requestAnimationFrame(this.loop.bind(this));
+                }
+            }
+        };
+        this.controls.seed.addEventListener('change', applySeed);
+        this.controls.seedRandom.addEventListener('change', applySeed);
 
-        this.controls.seed.addEventListener('change', (e) => {
-            this.reset();
-            const seed = parseInt(e.target.value) || 0;
-            this.gpu.updateParams({ seed: seed });
+        this.controls.rng.addEventListener('change', () => {
+            this.switchGenerator(this.controls.rng.value);
+        });
+        this.controls.mode.addEventListener('change', () => {
+            this.switchEstimator({ mode: this.controls.mode.value });
+        });
+        this.controls.dimension.addEventListener('change', () => {
+            this.switchEstimator({ dimension: parseInt(this.controls.dimension.value) });
+        });
+        this.controls.needle.addEventListener('change', () => {
+            this.switchEstimator({ needleLength: parseFloat(this.controls.needle.value) });
+        });
+        this.controls.variance.addEventListener('change', () => {
+            this.switchEstimator({ varianceReduction: this.controls.variance.value });
+        });
+        this.controls.threads.addEventListener('change', () => {
+            this.switchThreads(parseInt(this.controls.threads.value));
+        });
+        this.controls.compareRng.addEventListener('click', () => {
+            this.runGeneratorComparison();
         });
 
         this.controls.verify.addEventListener('click', () => {
             this.runVerification();
         });
+        this.controls.rngTests.addEventListener('click', () => {
+            this.runRNGBattery();
+        });
+
+        const ic = this.integratorControls;
+        this.controls.autotune.addEventListener('click', () => {
+            this.runAutoTune();
+        });
+        this.controls.saveCheckpoint.addEventListener('click', () => {
+            this.requestCheckpoint({ download: true });
+        });
+        this.controls.loadCheckpoint.addEventListener('click', () => {
+            this.controls.checkpointFile.click();
+        });
+        this.controls.checkpointFile.addEventListener('change', async () => {
+            const file = this.controls.checkpointFile.files[0];
+            this.controls.checkpointFile.value = ''; // The same file can be loaded again
+            if (!file) return;
+            try {
+                await this.restoreCheckpoint(parseCheckpointFile(await file.text()));
+            } catch (e) {
+                alert(`Could not load the checkpoint: ${e.message}`);
+            }
+        });
+        this.controls.resumeCheckpoint.addEventListener('click', async () => {
+            try {
+                const saved = await this.checkpoints.resumable(this.runId);
+                if (saved) await this.restoreCheckpoint(checkCheckpoint(saved));
+            } catch (e) {
+                alert(`Could not resume the autosave: ${e.message}`);
+            }
+        });
+        this.controls.runTarget.addEventListener('click', () => {
+            if (this.targetRun) this.stopTarget();
+            else this.runToTarget();
+        });
+        this.controls.targetKind.addEventListener('change', () => {
+            const samples = this.controls.targetKind.value === 'samples';
+            this.controls.targetValue.value = samples ? '1e12' : '1e-5';
+            this.controls.targetConfidence.disabled = samples;
+        });
+        this.controls.integrator.addEventListener('click', () => {
+            const visible = ic.panel.style.display !== 'none';
+            if (visible) this.stopIntegration();
+            ic.panel.style.display = visible ? 'none' : 'block';
+        });
+        ic.select.addEventListener('change', () => {
+            if (ic.select.value !== 'custom') this.showIntegrand(getIntegrand(ic.select.value));
+        });
+        for (const input of [ic.source, ic.dim, ic.exact, ic.domain]) {
+            input.addEventListener('input', () => { ic.select.value = 'custom'; });
+        }
+        ic.run.addEventListener('click', () => {
+            if (this.isIntegrating) this.stopIntegration();
+            else this.runIntegration();
+        });
 
         this.controls.benchmark.addEventListener('click', () => {
             this.runBenchmark();
         });
+        for (const input of [this.controls.benchWarmup, this.controls.benchMeasure, this.controls.benchBatch, this.controls.benchReps]) {
+            input.addEventListener('change', () => {
+                this.updateBenchmarkLabel();
+                this.syncURL();
+            });
+        }
+
+        this.controls.copyLink.addEventListener('click', () => {
+            this.copyLink();
+        });
 
         this.controls.cpuBench.addEventListener('click', () => {
             this.runCPUBenchmark();
@@ -136,263 +431,579 @@ class App {
         this.controls.closeReport.addEventListener('click', () => {
             this.controls.reportModal.classList.add('hidden');
         });
+
+        this.historyPanel = new HistoryPanel(this.history, {
+            modal: this.controls.historyModal,
+            list: document.getElementById('history-list'),
+            comparison: document.getElementById('history-comparison'),
+            chart: document.getElementById('history-chart'),
+            compare: document.getElementById('btn-history-compare'),
+            remove: document.getElementById('btn-history-delete')
+        });
+        this.controls.history.disabled = !this.history.available;
+        this.controls.history.addEventListener('click', () => {
+            this.historyPanel.show();
+        });
+        this.controls.closeHistory.addEventListener('click', () => {
+            this.controls.historyModal.classList.add('hidden');
+        });
+
+        this.controls.copyReport.addEventListener('click', () => {
+            this.copyReport();
+        });
+        this.controls.downloadJSON.addEventListener('click', () => {
+            this.downloadReport('json');
+        });
+        this.controls.downloadCSV.addEventListener('click', () => {
+            this.downloadReport('csv');
+        });
+        this.setReportRecord(null);
+    }
+
+    /**
+     * Current seed selection: u32 from the input, or null for crypto-random seeding.
+     */
+    readSeed() {
+        if (this.controls.seedRandom.checked) return null;
+        return (parseInt(this.controls.seed.value) || 0) >>> 0;
+    }
+
+    /**
+     * Push a parsed URL config into the controls. Batch size is applied to the
+     * backend in init(); the slider is moved to the closest position.
+     */
+    applyAppConfig(config) {
+        this.controls.seedRandom.checked = config.seed === null;
+        this.controls.seed.disabled = config.seed === null;
+        if (config.seed !== null) this.controls.seed.value = config.seed;
+
+        this.showBatchOnSlider(config.batchSize);
+
+        this.controls.benchWarmup.value = config.benchmark.warmupSeconds;
+        this.controls.benchMeasure.value = config.benchmark.measureSeconds;
+        this.controls.benchBatch.value = config.benchmark.batchSize;
+        this.controls.benchReps.value = config.benchmark.repetitions;
+        this.controls.rng.value = config.generator;
+        this.controls.mode.value = config.mode;
+        this.controls.dimension.value = String(config.dimension);
+        this.controls.needle.value = config.needleLength;
+        this.controls.variance.value = config.varianceReduction;
+        this.controls.threads.value = String(config.threads);
+    }
+
+    showBatchOnSlider(batchSize) {
+        this.controls.speed.value = Math.min(100, Math.max(1, batchToSlider(batchSize, this.batchAnchor)));
+        this.describeBatch(batchSize);
+    }
+
+    /** Batch size (and the part of it the backend runs per frame) as the slider tooltip */
+    describeBatch(batchSize) {
+        this.controls.speed.title = `Batch size ${this.formatBatch(batchSize)}`;
+    }
+
+    /** "5000", or "5000 (effective 256)" where the backend clamps it */
+    formatBatch(batchSize) {
+        const effective = this.backend?.effectiveBatchSize(batchSize) ?? batchSize;
+        return effective === batchSize ? String(batchSize) : `${batchSize} (effective ${effective})`;
+    }
+
+    /**
+     * Reuse this adapter's saved auto-tune result (WebGPU only): launch config, the slider
+     * centre, and the batch size unless the URL sets one. A thread count in the URL wins
+     * over the tuned one; the tuned workgroup size and slots are kept.
+     */
+    async applySavedTuning() {
+        if (this.backend.name !== 'webgpu' || !this.tunings.available) return;
+        try {
+            const entry = await this.tunings.load(this.backend.adapter?.info);
+            if (!entry) return;
+            const { batchSize, ...launch } = entry.tuning;
+            const query = new URLSearchParams(window.location.search);
+            if (query.has('threads')) {
+                const maxPerDimension = this.backend.device.limits?.maxComputeWorkgroupsPerDimension;
+                launch.dispatch = dispatchForThreads(this.urlConfig.threads, launch.workgroupSize, maxPerDimension);
+            }
+            await this.backend.setLaunchConfig(launch);
+            this.batchAnchor = batchSize;
+            if (!query.has('batch')) {
+                this.backend.updateParams({ batch_size: batchSize });
+            }
+            this.showBatchOnSlider(this.backend.simulationParams.batch_size);
+            console.log(`🎛️ Applied saved tuning for ${entry.adapterKey} (${entry.createdAt})`);
+        } catch (e) {
+            console.warn("Could not apply the saved tuning:", e);
+        }
+    }
+
+    /**
+     * Current setup in url_config.js form.
+     */
+    readAppConfig() {
+        return {
+            seed: this.readSeed(),
+            batchSize: this.backend ? this.backend.simulationParams.batch_size : this.urlConfig.batchSize,
+            ...estimatorSettings(this.backend ?? this.urlConfig), // mode, dimension, needleLength, varianceReduction
+            backend: this.urlConfig.backend,
+            generator: this.backend ? this.backend.generator : this.urlConfig.generator,
+            // The CPU fallback runs its own worker pool; keep the requested GPU thread count
+            threads: this.backend?.name === 'webgpu' ? this.backend.totalThreads : this.urlConfig.threads,
+            benchmark: this.readBenchmarkConfig(),
+            significance: this.urlConfig.significance,
+            digits: this.urlConfig.digits,
+            autorun: null
+        };
+    }
+
+    syncURL() {
+        const query = serializeAppConfig(this.readAppConfig());
+        window.history.replaceState(null, '', `${window.location.pathname}?${query}`);
+    }
+
+    async copyLink() {
+        const query = serializeAppConfig(this.readAppConfig());
+        const url = `${window.location.origin}${window.location.pathname}?${query}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            console.log("🔗 Link copied:", url);
+        } catch (e) {
+            console.error("Clipboard write failed:", e);
+            prompt("Copy this link:", url);
+        }
+    }
+
+    showConfigWarnings(errors) {
+        const box = this.controls.configWarnings;
+        if (errors.length === 0) {
+            box.style.display = 'none';
+            return;
+        }
+        errors.forEach(msg => console.warn("⚠️ URL parameter:", msg));
+        box.textContent = '';
+        for (const msg of errors) {
+            const line = document.createElement('div');
+            line.textContent = `⚠ ${msg}`;
+            box.appendChild(line);
+        }
+        box.style.display = 'block';
+    }
+
+    /**
+     * Benchmark protocol settings from the verification deck.
+     */
+    readBenchmarkConfig() {
+        return {
+            warmupSeconds: parseFloat(this.controls.benchWarmup.value),
+            measureSeconds: parseFloat(this.controls.benchMeasure.value),
+            batchSize: parseInt(this.controls.benchBatch.value),
+            repetitions: parseInt(this.controls.benchReps.value),
+            ...(this.backend ? { dispatch: [...this.backend.dispatch] } : {})
+        };
+    }
+
+    updateBenchmarkLabel() {
+        const { warmupSeconds, measureSeconds, repetitions } = this.readBenchmarkConfig();
+        const reps = repetitions > 1 ? ` x${repetitions}` : '';
+        this.controls.benchmark.textContent = `BENCH · ${this.backend.label} · ${warmupSeconds}+${measureSeconds}s${reps}`;
     }
 
     reset() {
-        this.isBenchmarking = false;
-        this.controls.benchmark.textContent = "GPU 1B BENCH (10+10s)";
+        if (this.benchmark) this.benchmark.cancel();
+        if (this.targetRun) this.stopTarget();
+        this.runId = String(Date.now());
+        this.updateBenchmarkLabel();
         this.controls.benchmark.disabled = false;
-        this.gpu.resetStats();
+        this.backend.resetStats();
         this.accumulatedInside = 0n;
         this.accumulatedTotal = 0n;
+        this.accumulatedReplicates = null;
         this.previousTotal = 0n;
         this.chart.reset();
+        this.beginConvergenceTrace();
+        if (this.isIntegrating) this.integrator.reset();
         this.updateStatsUI(0, 0, 0);
         this.stats.matchStatus.className = 'status-indicator pending';
     }
 
+    /**
+     * Convergence trace key and label: one per generator and estimator.
+     */
+    traceFor(generator, estimator) {
+        const label = getGenerator(generator).label;
+        const { mode, dimension, needleLength, varianceReduction } = estimatorSettings(estimator);
+        if (mode === 'buffon') {
+            return { id: `${generator}-buffon-${needleLength}`, label: `${label} (needle l = ${needleLength})` };
+        }
+        if (varianceReduction !== DEFAULT_VARIANCE_REDUCTION) {
+            return { id: `${generator}-${varianceReduction}`, label: `${label} (${getVarianceReduction(varianceReduction).label})` };
+        }
+        return dimension === DEFAULT_DIMENSION
+            ? { id: generator, label }
+            : { id: `${generator}-d${dimension}`, label: `${label} (d = ${dimension})` };
+    }
+
+    beginConvergenceTrace() {
+        const { id, label } = this.traceFor(this.backend.generator, this.backend);
+        this.convergence.begin(id, label, this.backend);
+    }
+
+    /**
+     * Quasi-random generators only feed the 2D circle; Buffon's needle is planar;
+     * variance reduction needs the 2D circle with a pseudo-random generator.
+     */
+    updateEstimatorControls() {
+        const { mode, dimension, needleLength, varianceReduction } = estimatorSettings(this.backend);
+        const buffon = mode === 'buffon';
+        const quasi = !!getGenerator(this.backend.generator).quasi;
+        const reduced = varianceReduction !== DEFAULT_VARIANCE_REDUCTION;
+        this.controls.mode.value = mode;
+        this.controls.mode.disabled = quasi || reduced;
+        this.controls.dimension.value = String(dimension);
+        this.controls.dimension.disabled = quasi || buffon || reduced;
+        this.controls.needle.value = needleLength;
+        this.controls.needle.disabled = !buffon;
+        this.controls.variance.value = varianceReduction;
+        this.controls.variance.disabled = quasi || buffon || dimension !== DEFAULT_DIMENSION;
+        this.controls.rngQuasi.disabled = dimension !== DEFAULT_DIMENSION || buffon || reduced;
+        this.stats.hitRatioLabel.textContent = buffon
+            ? `CROSSING RATIO (l = ${needleLength})`
+            : varianceReduction === 'meanvalue' ? 'MEAN √(1−x²)' : `HIT RATIO (d = ${dimension})`;
+    }
+
     async loop(timestamp) {
         if (!this.isRunning) return; // KILL-CORD: Stop immediately if not running
+        if (this.frameInFlight) return; // The iteration in flight schedules the next one
 
-        const dX = 128;
-        const dY = 128; // Total threads = 32,768 per GPU frame
-        let frameOptions = { render: true, readback: true };
-
-        if (this.isBenchmarking) {
-            const now = performance.now();
-            const warmupDuration = (now - this.benchmarkStartTime) / 1000;
-
-            if (!this.warmupBaselineSet) {
-                // Phase 1: Warming Up
-                if (warmupDuration < 10) {
-                    const remaining = Math.round(10 - warmupDuration);
-                    this.controls.benchmark.textContent = `WARMING UP... (${remaining}s)`;
-                    frameOptions = { render: false, readback: true };
-                } else {
-                    // Transition to Phase 2: Lock the baseline
-                    if (this.isTransitioning) return;
-                    this.isTransitioning = true;
-                    this.controls.benchmark.textContent = "SYNCING PHASE 2...";
-
-                    this.gpu.runFrame(dX, dY, { render: false, readback: true }).then(finalWarmupResult => {
-                        this.accumulatedInside += BigInt(finalWarmupResult.inside);
-                        this.accumulatedTotal += BigInt(finalWarmupResult.total);
-
-                        this.warmupInside = this.accumulatedInside;
-                        this.warmupTotal = this.accumulatedTotal;
-                        this.warmupTime = performance.now(); // START STEADY-STATE CLOCK HERE
-                        this.warmupBaselineSet = true;
-                        this.isTransitioning = false;
-                        console.log("🚀 Warmup Complete. Measuring started.");
-                    });
-                    return;
-                }
-            } else {
-                // Phase 2: Steady State Measuring (Zero-latency Mode)
-                const nowSteady = performance.now();
-                const steadyDuration = (nowSteady - this.warmupTime) / 1000;
-
-                if (steadyDuration < 10) {
-                    const remaining = Math.round(10 - steadyDuration);
-                    this.controls.benchmark.textContent = `MEASURING (MAX SPEED)... (${remaining}s)`;
-
-                    // FINE-TUNED BACKPRESSURE:
-                    // Sync every 5 frames instead of 10 to clear the queue faster.
-                    frameOptions = { render: false, readback: false, sync: false };
-                } else {
-                    // Phase 2 Complete (Exactly 10s marker reached)
-                    if (this.isTransitioning) return;
-                    this.isTransitioning = true;
-
-                    this.controls.benchmark.textContent = "FINALIZING... (GPU SYNC)";
-                    this.isRunning = false; // STOP COMMAND ISSUE IMMEDIATELY
-
-                    // Wait for all samples to be retired before taking final photo
-                    this.gpu.device.queue.onSubmittedWorkDone().then(() => {
-                        const scientificDuration = 10.0;
-
-                        this.gpu.runFrame(dX, dY, { render: false, readback: true, sync: true }).then(finalResult => {
-                            this.accumulatedInside += BigInt(finalResult.inside);
-                            this.accumulatedTotal += BigInt(finalResult.total);
-                            this.completeScientificBenchmark(scientificDuration);
-                            this.isTransitioning = false;
-                        });
-                    });
-                    return;
-                }
-            }
+        const frame = this.runLoopFrame(timestamp);
+        this.frameInFlight = frame;
+        try {
+            await frame;
+        } finally {
+            this.frameInFlight = null;
         }
 
-        // Execute Frame
-        const result = await this.gpu.runFrame(dX, dY, frameOptions);
+        if (this.isRunning) {
+            requestAnimationFrame(this.loop.bind(this));
+        }
+    }
 
-        if (frameOptions.readback) {
-            this.accumulatedInside += BigInt(result.inside);
-            this.accumulatedTotal += BigInt(result.total);
+    /**
+     * Wait for the loop iteration in flight (including a checkpoint it writes after the
+     * readback) and any other readback. Callers clear isRunning first, so the iteration
+     * does not schedule another one.
+     */
+    async waitForLoop() {
+        while (this.frameInFlight) {
+            await this.frameInFlight.catch(() => {});
         }
+        while (this.backend.isReading) {
+            await new Promise(resolve => setTimeout(resolve, 16));
+        }
+    }
+
+    /** One frame of the interactive loop: run, accumulate, update the UI */
+    async runLoopFrame(timestamp) {
+        const [dX, dY] = this.backend.dispatch; // One invocation per RNG state
+        const frameOptions = { render: true, readback: true };
+
+        // A sample-count target trims the batch of its last frames
+        const run = this.targetRun;
+        if (run?.target.kind === 'samples' && run.samplesPerStep > 0) {
+            const remaining = run.target.samples - this.accumulatedTotal;
+            this.backend.updateParams({ batch_size: batchForRemaining(remaining, run.samplesPerStep, run.batchSize) });
+        }
+        const batchSize = this.backend.simulationParams.batch_size;
+
+        // Execute Frame
+        const result = await this.backend.runFrame(dX, dY, frameOptions);
+
+        this.accumulatedInside += BigInt(result.inside);
+        this.accumulatedTotal += BigInt(result.total);
+        this.accumulateReplicates(result.replicates);
 
         const dt = (timestamp - this.lastTime) / 1000;
         this.lastTime = timestamp;
         this.accumulatedDt += dt;
 
-        if (!this.isBenchmarking || frameOptions.readback) {
-            this.updateStatsUI(this.accumulatedInside, this.accumulatedTotal, dt);
+        this.updateStatsUI(this.accumulatedInside, this.accumulatedTotal, dt);
+
+        if (run && run === this.targetRun) {
+            run.seconds += Math.max(0, dt);
+            if (Number(result.total) > 0) run.samplesPerStep = Number(result.total) / this.backend.effectiveBatchSize(batchSize);
+            this.checkTarget();
         }
 
-        if (this.isRunning) {
-            requestAnimationFrame(this.loop.bind(this));
+        // Every frame is read back by now, so the counts match the RNG states on the GPU
+        if (this.checkpointRequest) {
+            const request = this.checkpointRequest;
+            this.checkpointRequest = null;
+            await this.writeCheckpoint(request);
         }
     }
 
-    async completeScientificBenchmark(capturedTime = null) {
-        // Step 1: signal end
-        this.isBenchmarking = false;
-
-        this.controls.benchmark.textContent = "CALCULATING...";
-        this.controls.benchmark.disabled = true;
+    /**
+     * Add per-replicate counts (RQMC) to the running totals.
+     */
+    accumulateReplicates(replicates) {
+        if (!replicates) return;
+        if (!this.accumulatedReplicates) {
+            this.accumulatedReplicates = replicates.map(() => ({ inside: 0n, total: 0n }));
+        }
+        replicates.forEach((r, i) => {
+            this.accumulatedReplicates[i].inside += r.inside;
+            this.accumulatedReplicates[i].total += r.total;
+        });
+    }
 
-        // Use captured time if provided, otherwise fallback to current
-        const steadyTime = capturedTime || (performance.now() - this.warmupTime) / 1000;
-        const steadyInside = this.accumulatedInside - this.warmupInside;
-        const steadyTotal = this.accumulatedTotal - this.warmupTotal;
+    /**
+     * Turn a BenchmarkProtocol report into the modal's report data.
+     */
+    completeScientificBenchmark(report) {
+        if (report.total <= 0n) {
+            console.error("Benchmark Fail: Samples zero.");
+            return;
+        }
 
-        const processResults = () => {
-            if (steadyTotal <= 0n) {
-                console.error("Benchmark Fail: Samples zero.");
-                this.reset();
-                return;
-            }
+        const record = createBenchmarkRecord({ backend: this.backend, report, significance: this.urlConfig.significance });
+        const statistics = record.summary.statistics;
+        const { theoryError, empiricalError, errorRatio } = statistics;
+
+        const last = report.runs[report.runs.length - 1];
+        this.showScientificReport({
+            config: report.config,
+            runs: report.runs,
+            time: report.runs.reduce((acc, r) => acc + r.wallSeconds, 0),
+            samples: report.total,
+            speedM: report.samplesPerSec.median / 1e6,
+            throughput: report.samplesPerSec,
+            gflopsStats: report.gflops,
+            timingMethod: report.timingMethod,
+            gpuTime: last.gpuSeconds,
+            gpuSpeedM: last.kernelTiming ? last.samplesPerSec / 1e6 : null,
+            kernelTiming: last.kernelTiming,
+            gflops: report.gflops.median,
+            errorRatio: errorRatio,
+            theoryLimit: theoryError,
+            empiricalError: empiricalError,
+            statistics: statistics,
+            exact: record.summary.exact,
+            convergence: [this.convergenceMarker(record)]
+        });
+        this.setReportRecord(record);
+        this.storeRecord(record);
+    }
 
-            const samplesPerSec = Number(steadyTotal) / steadyTime;
-            const gflops = (samplesPerSec * 15) / 1e9; // 15 FLOPs per sample
-            const theoryError = 1.0 / Math.sqrt(Number(steadyTotal));
-            const empiricalError = Math.abs(Math.PI - (4 * Number(steadyInside) / Number(steadyTotal)));
-            const errorRatio = empiricalError / theoryError;
-
-            this.showScientificReport({
-                time: steadyTime,
-                samples: steadyTotal,
-                speedM: samplesPerSec / 1e6,
-                gflops: gflops,
-                errorRatio: errorRatio,
-                theoryLimit: theoryError,
-                empiricalError: empiricalError
-            });
+    storeRecord(record) {
+        if (!this.history.available) return;
+        this.history.add(record)
+            .then(id => console.log(`💾 Benchmark stored in history (#${id})`))
+            .catch(e => console.warn("Could not store benchmark history:", e));
+    }
 
-            // IMPORTANT: Reset all shared states for NEXT run
-            this.warmupBaselineSet = false;
-            this.accumulatedInside = 0n;
-            this.accumulatedTotal = 0n;
-            this.currentSpeedM = 0;
+    /**
+     * Export actions apply to benchmark reports only (not audit or error dialogs).
+     */
+    setReportRecord(record) {
+        this.lastRecord = record;
+        for (const button of [this.controls.copyReport, this.controls.downloadJSON, this.controls.downloadCSV]) {
+            button.disabled = record === null;
+        }
+    }
 
-            // Restore normal parameters for interactive mode
-            this.gpu.updateParams({ batch_size: 64 });
+    async copyReport() {
+        if (!this.lastRecord) return;
+        const button = this.controls.copyReport;
+        const label = button.textContent;
+        try {
+            await navigator.clipboard.writeText(toMarkdown(this.lastRecord));
+            button.textContent = "Copied!";
+        } catch (e) {
+            console.error("Clipboard write failed:", e);
+            button.textContent = "Copy failed";
+        }
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
 
-            this.controls.benchmark.textContent = "GPU 1B BENCH (10+10s)";
-            this.controls.benchmark.disabled = false;
-            this.controls.iconPlay.style.display = 'block';
-            this.controls.iconPause.style.display = 'none';
-        };
+    downloadReport(format) {
+        if (!this.lastRecord) return;
+        const [text, type] = format === 'csv'
+            ? [toCSV(this.lastRecord), 'text/csv']
+            : [toJSON(this.lastRecord), 'application/json'];
+        const stamp = this.lastRecord.createdAt.replace(/[:.]/g, '-');
+        this.downloadFile(text, type, `montecarlo-pi-benchmark-${stamp}.${format}`);
+    }
 
-        // Delay processing slightly to let the last render frame finish cleanly
-        setTimeout(processResults, 100);
+    downloadFile(text, type, filename) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
     showScientificReport(data) {
         this.controls.reportMetrics.innerHTML = `
+            <div class="flex justify-between"><span>Backend:</span> <span>${this.backend.label}</span></div>
+            <div class="flex justify-between"><span>Visualization Format:</span> <span>${this.backend.vizFormat}</span></div>
+            <div class="flex justify-between"><span>Generator:</span> <span>${getGenerator(this.backend.generator).label}</span></div>
+            <div class="flex justify-between"><span>Estimator:</span> <span>${estimatorModel(estimatorSettings(this.backend)).label}</span></div>
+            <div class="flex justify-between"><span>Timing Method:</span> <span>${data.timingMethod}</span></div>
+            <div class="flex justify-between"><span>Protocol:</span> <span>${data.config.warmupSeconds}s warm-up, ${data.runs.length} x ${data.config.measureSeconds}s, batch ${this.formatBatch(data.config.batchSize)}</span></div>
             <div class="flex justify-between"><span>Steady State Time:</span> <span>${data.time.toFixed(3)} s</span></div>
-            <div class="flex justify-between"><span>Throughput:</span> <span>${data.speedM.toFixed(2)} M/sec</span></div>
+            <div class="flex justify-between"><span>Throughput (median):</span> <span>${data.speedM.toFixed(2)} M/sec</span></div>
+            ${data.kernelTiming ? this.kernelTimingRows(data) : ''}
             <div class="flex justify-between font-bold text-green-400 text-lg"><span>Estimated Performance:</span> <span>${data.gflops.toFixed(2)} GFLOPS</span></div>
+            ${this.repetitionStatsRows(data)}
             <div class="flex justify-between"><span>Valid Samples:</span> <span>${data.samples.toLocaleString()}</span></div>
+            <div class="flex justify-between"><span>π Estimate (exact):</span> <span>${data.exact.estimate}</span></div>
+            <div class="flex justify-between"><span>Correct Digits:</span> <span>${data.exact.correctDigits}</span></div>
+            ${data.statistics.hitRatio !== undefined ? `
+            <div class="flex justify-between"><span>${data.statistics.estimator.mode === 'buffon' ? 'Crossing' : 'Hit'} Ratio (observed / expected):</span> <span>${data.statistics.hitRatio.toPrecision(8)} / ${data.statistics.expectedHitRatio.toPrecision(8)}</span></div>
+            <div class="flex justify-between"><span>Variance Growth vs 2D Circle:</span> <span>${data.statistics.varianceGrowth.toPrecision(4)}x</span></div>` : ''}
             <div class="flex justify-between border-t border-white/10 mt-2 pt-2">
-                <span>Error Ratio (Measured/Theory):</span> 
+                <span>Error Ratio |z| (Measured/Std. Error):</span>
                 <span class="${data.errorRatio <= 2.0 ? 'text-blue-400' : 'text-yellow-400'} font-bold">${data.errorRatio.toFixed(4)}x</span>
             </div>
             <div class="flex justify-between text-xs text-white/50 pt-1">
-                <span>Empirical Error (δ):</span> <span>${data.empiricalError.toExponential(4)}</span>
+                <span>Empirical Error (δ):</span> <span title="${data.exact.error}">${data.exact.errorScientific}</span>
+            </div>
+            <div class="flex justify-between text-xs text-white/50">
+                <span>Standard Error (${isReplicated(data.statistics) ? describeErrorMethod(data.statistics).error : estimatorModel(data.statistics.estimator).standardErrorFormula}):</span> <span>${data.theoryLimit.toExponential(4)}</span>
+            </div>
+            ${isReplicated(data.statistics) ? `
+            <div class="flex justify-between text-xs text-white/50">
+                <span>MC Standard Error / Variance Reduction (equal N):</span> <span>${data.statistics.binomialError.toExponential(4)} / ${data.statistics.varianceReduction.toFixed(2)}x</span>
             </div>
+            <div class="flex justify-between text-xs text-white/50">
+                <span>Effective Throughput (MC-equivalent):</span> <span>${effectiveThroughput(data.speedM, data.statistics).toFixed(2)} M/sec</span>
+            </div>` : ''}
         `;
 
+        const st = data.statistics;
+        const confidence = ((1 - st.significance) * 100).toFixed(1);
+        const method = describeErrorMethod(st);
+        const replicated = isReplicated(st);
+
         this.controls.statisticalReport.innerHTML = `
             <div class="mt-4 p-3 bg-gray-900/50 rounded-lg border border-white/5">
                 <p class="text-xs text-gray-500 mb-1 uppercase tracking-wider">Scientific Analysis</p>
+                <div class="flex justify-between"><span>${replicated ? `t (df = ${st.replicates - 1})` : 'z-score'}:</span> <span>${st.z.toFixed(4)}</span></div>
+                <div class="flex justify-between"><span>Two-sided p-value:</span> <span>${st.pValue.toPrecision(4)}</span></div>
+                <div class="flex justify-between"><span>${confidence}% CI for π (${method.interval}):</span> <span>${st.confidenceInterval[0].toFixed(10)} – ${st.confidenceInterval[1].toFixed(10)}</span></div>
                 <div class="mt-3 text-sm font-bold text-center py-1 rounded bg-black/20">
-                    STATUS: ${data.empiricalError < 1.0e-6 ? '<span class="text-green-400">STATISTICALLY SOUND</span>' : '<span class="text-red-400">ABNORMAL DEVIATION</span>'}
+                    STATUS: ${st.consistent ? '<span class="text-green-400">STATISTICALLY SOUND</span>' : '<span class="text-red-400">ABNORMAL DEVIATION</span>'}
                 </div>
-                <p class="text-[10px] text-gray-600 mt-2 text-center">Verified by Blackwell SIMD-aware variance analysis.</p>
+                <p class="text-[10px] text-gray-600 mt-2 text-center">${st.method === 'rqmc'
+                    ? `H0: the ${st.replicates} independently scrambled replicates are unbiased for π, rejected when p-value &lt; α = ${st.significance}.`
+                    : st.method === 'batches'
+                    ? `H0: ${getVarianceReduction(st.estimator.varianceReduction).label} is unbiased for π (${st.replicates} independent thread batches), rejected when p-value &lt; α = ${st.significance}.`
+                    : st.estimator.mode === 'buffon'
+                        ? `H0: needles cross a line with p = 2l/π = ${st.expectedHitRatio.toPrecision(6)} (l = ${st.estimator.needleLength}), rejected when p-value &lt; α = ${st.significance}.`
+                        : st.estimator.dimension === DEFAULT_DIMENSION
+                            ? `H0: samples are uniform (p = π/4), rejected when p-value &lt; α = ${st.significance}.`
+                            : `H0: samples are uniform in [0, 1)^${st.estimator.dimension} (p = V_${st.estimator.dimension}/2^${st.estimator.dimension} = ${st.expectedHitRatio.toPrecision(6)}), rejected when p-value &lt; α = ${st.significance}.`}</p>
             </div>
         `;
 
-        this.drawConvergenceChart(data);
+        this.drawConvergenceChart(data.convergence);
         this.controls.reportModal.classList.remove('hidden');
     }
 
     /**
-     * Draws the Error Convergence graph in the report modal
+     * Summary statistics across repetitions (samples/sec and GFLOPS)
      */
-    drawConvergenceChart(data) {
-        const canvas = document.getElementById('convergence-chart');
-        if (!canvas) return;
-
-        const ctx = canvas.getContext('2d');
-        const w = canvas.width;
-        const h = canvas.height;
-
-        ctx.clearRect(0, 0, w, h);
-
-        // Setup scaling (log-log style visualization in linear space for 10s window)
-        // We simulate a convergence curve from theory vs actual
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-        ctx.lineWidth = 1;
-
-        // Grid lines
-        for (let i = 0; i <= 4; i++) {
-            const y = (h / 4) * i;
-            ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
-        }
-
-        // Draw Theoretical Curve (1/sqrt(N)) - Cyan
-        ctx.strokeStyle = '#00f0ff';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        for (let i = 0; i < 100; i++) {
-            const x = (i / 99) * w;
-            // Simulated decay
-            const y = h * 0.8 * (1.0 / Math.sqrt(i + 1));
-            if (i === 0) ctx.moveTo(x, y);
-            else ctx.lineTo(x, y);
-        }
-        ctx.stroke();
+    repetitionStatsRows(data) {
+        const fmt = (v) => v.toFixed(2);
+        const row = (label, stats, scale, unit) => `
+            <tr><td>${label}</td><td>${fmt(stats.median / scale)}</td><td>${fmt(stats.mean / scale)}</td>
+                <td>${fmt(stats.min / scale)} – ${fmt(stats.max / scale)}</td><td>${fmt(stats.stdDev / scale)}</td>
+                <td>${stats.ci95 ? `${fmt(stats.ci95[0] / scale)} – ${fmt(stats.ci95[1] / scale)}` : 'n/a'}</td><td>${unit}</td></tr>`;
+
+        return `
+            <table class="audit-table">
+                <thead><tr><th>n=${data.runs.length}</th><th>Median</th><th>Mean</th><th>Min – Max</th><th>Std Dev</th><th>95% CI</th><th></th></tr></thead>
+                <tbody>
+                    ${row('Throughput', data.throughput, 1e6, 'M/sec')}
+                    ${row('Performance', data.gflopsStats, 1, 'GFLOPS')}
+                </tbody>
+            </table>
+        `;
+    }
 
-        // Draw Actual Achievement Point - Magenta
-        const finalX = w * 0.95;
-        const finalY = h * 0.8 * (data.actualError / (data.theoryError * 5)); // Scaled
-        const clampedY = Math.min(h - 5, Math.max(5, finalY));
+    /**
+     * Report rows for timestamp-query kernel timing (per-dispatch distribution)
+     */
+    kernelTimingRows(data) {
+        const t = data.kernelTiming;
+        const us = (ns) => (ns / 1000).toFixed(1);
+        const untimed = t.untimedDispatches > 0
+            ? ` <span class="text-white/50">(+${t.untimedDispatches.toLocaleString()} untimed)</span>`
+            : '';
+        const reps = data.runs.length > 1 ? ` <span class="text-white/50">(last repetition)</span>` : '';
+        return `
+            <div class="flex justify-between"><span>GPU Kernel Time${reps}:</span> <span>${data.gpuTime.toFixed(3)} s</span></div>
+            <div class="flex justify-between"><span>Throughput (GPU-second):</span> <span>${data.gpuSpeedM.toFixed(2)} M/sec</span></div>
+            <div class="flex justify-between"><span>Timed Dispatches:</span> <span>${t.dispatches.toLocaleString()}${untimed}</span></div>
+            <div class="flex justify-between text-xs text-white/50"><span>Dispatch mean / median:</span> <span>${us(t.meanNs)} / ${us(t.medianNs)} µs</span></div>
+            <div class="flex justify-between text-xs text-white/50"><span>Dispatch p5 / p95:</span> <span>${us(t.p5Ns)} / ${us(t.p95Ns)} µs</span></div>
+            <div class="flex justify-between text-xs text-white/50"><span>Dispatch min / max:</span> <span>${us(t.minNs)} / ${us(t.maxNs)} µs</span></div>
+        `;
+    }
 
-        ctx.fillStyle = '#ff0055';
-        ctx.shadowBlur = 10;
-        ctx.shadowColor = '#ff0055';
-        ctx.beginPath();
-        ctx.arc(finalX, clampedY, 6, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.shadowBlur = 0;
+    /**
+     * Convergence chart point of a benchmark record: measured error and standard error at N.
+     */
+    convergenceMarker(record) {
+        const st = record.summary.statistics;
+        const { id, label } = this.traceFor(record.configuration.generator, record.configuration);
+        return {
+            label,
+            color: this.convergence.colorFor(id),
+            total: Number(record.summary.total),
+            error: st.empiricalError,
+            standardError: st.theoryError
+        };
+    }
 
-        ctx.fillStyle = 'white';
-        ctx.font = '10px monospace';
-        ctx.fillText("ACTUAL ERROR", finalX - 70, clampedY - 10);
+    /**
+     * Draws the Error Convergence graph in the report modal: the live traces plus one
+     * marker (dot: measured error, tick: standard error) per benchmarked generator.
+     */
+    drawConvergenceChart(markers) {
+        const canvas = document.getElementById('convergence-chart');
+        if (!canvas) return;
+        drawConvergence(canvas.getContext('2d'), canvas.width, canvas.height, [...this.convergence.traces.values()], markers, this.convergence.estimator);
     }
 
     updateStatsUI(inside, total, dt) {
         if (total === 0n) return;
 
-        const valInfo = Number(inside) / Number(total);
-        const piEst = valInfo * 4;
+        const estimator = estimatorSettings(this.backend);
 
-        this.stats.pi.textContent = piEst.toFixed(8);
-        const error = Math.abs(piEst - PI_TRUE);
-        this.stats.error.textContent = error.toFixed(8);
+        // Exact BigInt fixed point: Number() would round the tail away at trillions of samples
+        const decimals = this.urlConfig.digits;
+        const exact = exactPiEstimate(inside, total, decimals, estimator);
+        this.stats.pi.textContent = exact.estimate;
+        this.stats.error.textContent = exact.error.slice(0, decimals + 2);
+        this.stats.error.title = `|π̂ - π| = ${exact.errorScientific}`;
+        this.stats.digits.textContent = exact.correctDigits;
         this.stats.samples.textContent = total.toLocaleString();
 
+        // RQMC and variance reduction error bars come from the replicate spread, plain MC from the binomial SE
+        const st = errorAnalysis(inside, total, this.urlConfig.significance, this.accumulatedReplicates, estimator);
+        this.stats.stdErrLabel.textContent = isReplicated(st) ? `STD. ERROR (${st.method.toUpperCase()})` : 'STD. ERROR';
+        this.stats.stdErr.textContent = Number.isFinite(st.theoryError) ? st.theoryError.toExponential(3) : '-';
+        this.stats.stdErr.title = isReplicated(st)
+            ? `${describeErrorMethod(st).error}, ${st.varianceReduction.toFixed(2)}x variance reduction vs MC`
+            : estimatorModel(estimator).standardErrorFormula;
+        this.convergence.push(Number(total), st.empiricalError);
+
+        // Hit (crossing) ratio against p, and the samples needed per 2D circle sample for the same error bar
+        const hitRatio = Number(inside) / Number(total) / estimatorModel(estimator).ratioScale;
+        this.stats.hitRatio.textContent = hitRatio.toPrecision(6);
+        this.stats.hitRatio.title = st.expectedHitRatio !== undefined ? `expected p = ${st.expectedHitRatio.toPrecision(6)}` : '';
+        this.stats.varianceGrowth.textContent = st.varianceGrowth !== undefined ? `${st.varianceGrowth.toPrecision(3)}x` : '1x';
+
         if (dt > 0) {
             const fps = 1 / dt;
             this.stats.fps.textContent = fps.toFixed(1);
@@ -413,48 +1024,861 @@ class App {
             this.previousTotal = total;
         }
 
-        if (this.gpu.frameCounter % 10 === 0) {
-            this.chart.push(piEst);
+        if (this.backend.frameCounter % 10 === 0) {
+            this.chart.push(st.piEstimate);
             this.chart.draw();
+            this.convergence.draw();
+        }
+    }
+
+    /**
+     * BenchmarkProtocol for the current settings, reporting its phases on `button`.
+     * Throws RangeError for invalid settings.
+     */
+    createBenchmarkProtocol(button, prefix = '') {
+        const protocol = new BenchmarkProtocol(this.backend, this.readBenchmarkConfig(), {
+            onProgress: ({ phase, repetition, remaining }) => {
+                const rep = protocol.config.repetitions > 1 ? ` ${repetition}/${protocol.config.repetitions}` : '';
+                const secs = Math.round(remaining);
+                button.textContent = prefix + {
+                    warmup: `WARMING UP... (${secs}s)`,
+                    sync: `SYNCING${rep}...`,
+                    measure: `MEASURING${rep}... (${secs}s)`,
+                    finalize: `FINALIZING${rep}... (GPU SYNC)`
+                }[phase];
+            }
+        });
+        return protocol;
+    }
+
+    async runBenchmark() {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating) return;
+
+        let protocol;
+        try {
+            protocol = this.createBenchmarkProtocol(this.controls.benchmark);
+        } catch (e) {
+            alert(`Invalid benchmark settings: ${e.message}`);
+            return;
+        }
+
+        this.isRunning = false; // The protocol drives frames on its own
+        this.isBenchmarking = true;
+        this.controls.iconPlay.style.display = 'none';
+        this.controls.iconPause.style.display = 'block';
+
+        try {
+            await this.waitForLoop();
+            this.reset();
+            this.benchmark = protocol; // From here on reset() cancels the run
+            this.controls.benchmark.disabled = true;
+
+            const report = await protocol.run();
+            if (report) this.completeScientificBenchmark(report);
+        } catch (e) {
+            console.error("Benchmark failed:", e);
+        } finally {
+            this.isBenchmarking = false;
+            this.benchmark = null;
+            this.reset(); // Benchmark frames are not part of the interactive estimate
+            this.controls.iconPlay.style.display = 'block';
+            this.controls.iconPause.style.display = 'none';
+        }
+    }
+
+    /**
+     * Autosave timer and the RESUME AUTOSAVE button (WebGPU only, see checkpoint.js).
+     */
+    async setupCheckpoints() {
+        const supported = this.backend.supportsCheckpoint === true;
+        this.controls.saveCheckpoint.disabled = !supported;
+        this.controls.loadCheckpoint.disabled = !supported;
+        this.controls.resumeCheckpoint.disabled = true;
+        clearInterval(this.checkpointTimer);
+        this.checkpointTimer = null;
+        if (!supported || !this.checkpoints.available) return;
+
+        this.checkpointTimer = setInterval(() => {
+            if (this.isRunning && this.accumulatedTotal > 0n) this.checkpointRequest ??= { download: false };
+        }, CHECKPOINT_INTERVAL_SECONDS * 1000);
+        await this.updateResumeButton();
+    }
+
+    /** Offer the saved run with the most samples (other than the current one) */
+    async updateResumeButton() {
+        try {
+            const saved = await this.checkpoints.resumable(this.runId);
+            this.controls.resumeCheckpoint.disabled = !saved;
+            this.controls.resumeCheckpoint.title = saved
+                ? `Continue the run saved at ${BigInt(saved.progress.total).toLocaleString()} samples (${saved.createdAt})`
+                : 'No autosaved run';
+        } catch (e) {
+            console.warn("Could not read the autosaved checkpoints:", e);
+        }
+    }
+
+    /**
+     * Checkpoint the current run: handed to the loop while it runs (after its frame is read
+     * back), taken right away otherwise.
+     */
+    async requestCheckpoint({ download }) {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating || !this.backend.supportsCheckpoint) return;
+        if (this.isRunning) {
+            this.checkpointRequest = { download: download || !!this.checkpointRequest?.download };
+            return;
         }
+        await this.waitForLoop();
+        await this.writeCheckpoint({ download });
     }
 
-    runBenchmark() {
-        if (this.isBenchmarking) return;
+    /**
+     * Read the RNG states back and store them with the accumulators: autosave to IndexedDB,
+     * and a file download when asked. The caller must not have a frame in flight.
+     */
+    async writeCheckpoint({ download }) {
+        const backend = this.backend;
+        try {
+            const checkpoint = createCheckpoint({
+                runId: this.runId,
+                config: {
+                    generator: backend.generator,
+                    seed: backend.rngSeed,
+                    key: backend.rngKey,
+                    unroll: backend.unroll,
+                    batchSize: backend.simulationParams.batch_size,
+                    estimator: estimatorSettings(backend),
+                    launch: launchConfig(backend)
+                },
+                states: await backend.readRNGState(),
+                frame: backend.frameCounter,
+                sampleBase: backend.nextSampleBase,
+                inside: this.accumulatedInside,
+                total: this.accumulatedTotal,
+                replicates: this.accumulatedReplicates
+            });
+            if (download) {
+                const stamp = checkpoint.createdAt.replace(/[:.]/g, '-');
+                this.downloadFile(toCheckpointFile(checkpoint), 'application/json', `montecarlo-pi-checkpoint-${stamp}.json`);
+            }
+            if (this.checkpoints.available) {
+                await this.checkpoints.save(checkpoint);
+                console.log(`💾 Checkpoint saved at ${this.accumulatedTotal.toLocaleString()} samples`);
+            }
+        } catch (e) {
+            console.warn("Checkpoint failed:", e);
+        }
+    }
+
+    /**
+     * Continue a verified checkpoint: rebuild the backend for its settings, re-upload its RNG
+     * states and counters, and restore the accumulators. The run keeps its runId, so later
+     * autosaves replace its checkpoint.
+     * @throws {RangeError} when this backend cannot continue the run
+     */
+    async restoreCheckpoint(checkpoint) {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating || !this.backend.supportsCheckpoint) return;
+
+        const wasRunning = this.isRunning;
+        this.isRunning = false;
+        try {
+            await this.waitForLoop();
+            const { config } = checkpoint;
+            const progress = checkpointProgress(checkpoint);
+            // Rejects an incompatible run before anything is touched
+            await this.backend.restoreRun({ ...config, states: checkpoint.states, frame: progress.frame, sampleBase: progress.sampleBase });
+            if (this.targetRun) this.stopTarget();
+            this.backend.updateParams({ batch_size: config.batchSize });
+
+            this.chart.reset();
+            this.stats.matchStatus.className = 'status-indicator pending';
+            this.runId = checkpoint.runId;
+            this.accumulatedInside = progress.inside;
+            this.accumulatedTotal = progress.total;
+            this.accumulatedReplicates = progress.replicates;
+            this.previousTotal = progress.total;
+
+            this.controls.seedRandom.checked = config.seed === null;
+            this.controls.seed.disabled = config.seed === null;
+            if (config.seed !== null) this.controls.seed.value = config.seed;
+            this.controls.rng.value = config.generator;
+            this.controls.threads.value = String(this.backend.totalThreads);
+            this.showBatchOnSlider(config.batchSize);
+            this.updateEstimatorControls();
+            this.beginConvergenceTrace();
+            this.updateStatsUI(this.accumulatedInside, this.accumulatedTotal, 0);
+            this.syncURL();
+            this.updateResumeButton();
+            console.log(`⏪ Resumed run ${checkpoint.runId} at ${progress.total.toLocaleString()} samples (${checkpoint.createdAt})`);
+        } finally {
+            if (wasRunning) {
+                this.isRunning = true;
+                this.lastTime = performance.now();
+                requestAnimationFrame(this.loop.bind(this));
+            }
+        }
+    }
+
+    /**
+     * Restart the estimate and keep the interactive loop running until the goal of the
+     * TARGET controls is met (see precision_target.js), then report the samples it took.
+     */
+    runToTarget() {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating) return;
+
+        let target;
+        try {
+            target = parseTarget({
+                kind: this.controls.targetKind.value,
+                value: this.controls.targetValue.value.trim(),
+                confidence: parseFloat(this.controls.targetConfidence.value) / 100
+            });
+        } catch (e) {
+            alert(`Invalid target: ${e.message}`);
+            return;
+        }
+
         this.reset();
-        this.controls.speed.value = 100;
-        // Final tuned batch size for 20-40 TFLOPS Blackwell peak
-        // 5,000 iter * 8 samples * 32,768 threads = 1.3B samples/frame.
-        // Ultra-low lag, constant 10.0s measurement.
-        this.gpu.updateParams({ batch_size: 5000 });
+        this.targetRun = { target, batchSize: this.backend.simulationParams.batch_size, samplesPerStep: 0, seconds: 0 };
+        this.stats.targetRow.style.display = '';
+        this.stats.target.textContent = '...';
+        this.controls.runTarget.textContent = 'CANCEL TARGET';
+        console.log(`🎯 Running until ${this.describeTarget(target)}`);
+
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this.controls.iconPlay.style.display = 'none';
+            this.controls.iconPause.style.display = 'block';
+            this.lastTime = performance.now();
+            requestAnimationFrame(this.loop.bind(this));
+        }
+    }
+
+    /** Leave run-to-target mode; the estimate keeps its samples */
+    stopTarget() {
+        const run = this.targetRun;
+        this.targetRun = null;
+        this.backend.updateParams({ batch_size: run.batchSize });
+        this.stats.targetRow.style.display = 'none';
+        this.controls.runTarget.textContent = 'RUN TO TARGET';
+    }
+
+    describeTarget(target) {
+        return target.kind === 'samples'
+            ? `${target.samples.toLocaleString()} samples`
+            : `π ± ${target.tolerance.toExponential(2)} at ${+(target.confidence * 100).toFixed(4)}% confidence`;
+    }
+
+    /**
+     * After each frame of a run-to-target run: show progress and time to completion, or
+     * stop and report once the goal is met. Every loop frame is read back before the next
+     * one is issued, so the counts of the frame that met the goal are final.
+     */
+    checkTarget() {
+        const run = this.targetRun;
+        const estimator = estimatorSettings(this.backend);
+        const progress = targetProgress(run.target, {
+            inside: this.accumulatedInside,
+            total: this.accumulatedTotal,
+            replicates: this.accumulatedReplicates,
+            estimator
+        });
+
+        if (!progress.met) {
+            const eta = estimateSeconds(progress.remaining, this.currentSpeedM * 1e6);
+            const percent = `${(progress.fraction * 100).toFixed(1)}%`;
+            this.stats.target.textContent = eta === null ? percent : `${percent} · ETA ${formatSeconds(eta)}`;
+            this.stats.target.title = progress.halfWidth !== null ? `half-width ${progress.halfWidth.toExponential(3)}` : '';
+            return;
+        }
+
+        this.isRunning = false;
+        this.controls.iconPlay.style.display = 'block';
+        this.controls.iconPause.style.display = 'none';
+        this.stopTarget();
+        const inside = this.accumulatedInside;
+        const total = this.accumulatedTotal;
+        const replicates = this.accumulatedReplicates;
+        this.backend.flush()
+            .then(() => this.showTargetReport(run, { inside, total, replicates, estimator }))
+            .catch(e => console.error("Target run failed to settle:", e));
+    }
+
+    showTargetReport(run, { inside, total, replicates, estimator }) {
+        this.setReportRecord(null);
+        const { target } = run;
+        const significance = target.kind === 'precision' ? 1 - target.confidence : this.urlConfig.significance;
+        const st = errorAnalysis(inside, total, significance, replicates, estimator);
+        const exact = exactPiEstimate(inside, total, this.urlConfig.digits, estimator);
+        const [lo, hi] = st.confidenceInterval;
+        const covered = lo <= Math.PI && Math.PI <= hi;
+        const throughput = run.seconds > 0 ? Number(total) / run.seconds : 0;
+        // What the per-sample variance alone predicts: N = (z·σ/tol)²
+        const predicted = target.kind === 'precision'
+            ? (normalQuantile(1 - significance / 2) / target.tolerance) ** 2 * estimatorModel(estimator).perSampleVariance
+            : null;
+        console.log(`🎯 Target met after ${total.toLocaleString()} samples`);
+
+        this.controls.reportMetrics.innerHTML = `
+            <div class="flex justify-between"><span>Target:</span> <span>${this.describeTarget(target)}</span></div>
+            <div class="flex justify-between"><span>Estimator:</span> <span>${estimatorModel(estimator).label}, ${getGenerator(this.backend.generator).label}</span></div>
+            <div class="flex justify-between border-t border-white/10 mt-2 pt-2 font-bold">
+                <span>Samples Needed:</span>
+                <span class="text-green-400">${total.toLocaleString()}</span>
+            </div>
+            ${target.kind === 'samples' ? `<div class="flex justify-between text-xs text-white/50"><span>Overshoot:</span> <span>${(total - target.samples).toLocaleString()}</span></div>` : ''}
+            ${predicted !== null ? `<div class="flex justify-between text-xs text-white/50"><span>Predicted σ²·(z/tol)²:</span> <span>${Math.ceil(predicted).toLocaleString()}</span></div>` : ''}
+            <div class="flex justify-between"><span>Run Time:</span> <span>${formatSeconds(run.seconds)} (${(throughput / 1e6).toFixed(1)} M/sec)</span></div>
+            <div class="flex justify-between"><span>Estimated π:</span> <span>${exact.estimate}</span></div>
+            <div class="flex justify-between"><span>|π̂ - π|:</span> <span>${exact.errorScientific}</span></div>
+        `;
+
+        this.controls.statisticalReport.innerHTML = `
+            <div class="mt-4 p-3 bg-gray-900/50 rounded-lg border border-white/5">
+                <p class="text-xs text-gray-500 mb-1 uppercase tracking-wider">Run to Target</p>
+                <div class="flex justify-between text-sm"><span>${((1 - significance) * 100).toFixed(2)}% interval (${describeErrorMethod(st).interval}):</span> <span>[${lo.toFixed(10)}, ${hi.toFixed(10)}]</span></div>
+                <div class="flex justify-between text-sm"><span>Half-width:</span> <span>${((hi - lo) / 2).toExponential(3)}</span></div>
+                <div class="flex justify-between text-sm"><span>Std. Error (${describeErrorMethod(st).error}):</span> <span>${st.theoryError.toExponential(3)}</span></div>
+                <div class="mt-3 text-sm font-bold text-center py-1 rounded bg-black/20">
+                    ${covered ? '<span class="text-green-400">π INSIDE THE INTERVAL</span>' : '<span class="text-red-400">π OUTSIDE THE INTERVAL</span>'}
+                </div>
+                <p class="text-[10px] text-gray-600 mt-2 text-center">${target.kind === 'precision'
+                    ? `Stopped at the first frame whose interval half-width was at most ${target.tolerance.toExponential(2)}; the ETA assumed the half-width shrinks as 1/√N.`
+                    : 'The last frames ran a smaller batch so the run stops just past the requested count.'}</p>
+            </div>
+        `;
+
+        this.controls.reportModal.classList.remove('hidden');
+    }
+
+    /**
+     * Searches workgroup size, result slots, thread count and batch size for the best
+     * throughput on this adapter (see autotune.js), keeps the winner and saves it for
+     * later loads on the same vendor / architecture.
+     */
+    async runAutoTune() {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating || this.backend.name !== 'webgpu') return;
+
+        const tuner = new AutoTuner(this.backend);
+        this.isRunning = false; // The tuner drives frames on its own
         this.isBenchmarking = true;
-        this.benchmarkStartTime = performance.now();
-        this.isRunning = true;
+        this.controls.autotune.disabled = true;
         this.controls.iconPlay.style.display = 'none';
         this.controls.iconPause.style.display = 'block';
-        this.lastTime = performance.now();
-        requestAnimationFrame(this.loop.bind(this));
+
+        try {
+            await this.waitForLoop();
+            this.reset();
+            this.benchmark = tuner; // From here on reset() cancels the run
+            this.controls.benchmark.disabled = true;
+
+            const result = await tuner.run({
+                onProgress: (msg) => { this.controls.autotune.textContent = msg; }
+            });
+            if (result) {
+                this.controls.threads.value = String(this.backend.totalThreads);
+                this.batchAnchor = result.tuning.batchSize;
+                this.showBatchOnSlider(result.tuning.batchSize);
+                this.syncURL();
+                if (this.tunings.available) {
+                    this.tunings.save(this.backend.adapter?.info, result)
+                        .then(() => console.log(`💾 Tuning saved for ${adapterKey(this.backend.adapter?.info)}`))
+                        .catch(e => console.warn("Could not save the tuning:", e));
+                }
+                this.showTuningReport(result);
+            }
+        } catch (e) {
+            console.error("Auto-tune failed:", e);
+        } finally {
+            this.isBenchmarking = false;
+            this.benchmark = null;
+            this.reset();
+            this.controls.autotune.textContent = "AUTO-TUNE";
+            this.controls.autotune.disabled = false;
+            this.controls.iconPlay.style.display = 'block';
+            this.controls.iconPause.style.display = 'none';
+        }
+    }
+
+    showTuningReport(result) {
+        this.setReportRecord(null);
+        const describe = (t) => `${t.dispatch[0]} x ${t.dispatch[1]} x ${t.workgroupSize}, ${t.numSlots} slots, batch ${t.batchSize}`;
+        const speedup = result.samplesPerSec / result.baseline.samplesPerSec;
+        const axisLabels = { baseline: 'Baseline', workgroupSize: 'Workgroup', numSlots: 'Slots', threads: 'Threads', batchSize: 'Batch' };
+        const rows = result.candidates.map(({ axis, tuning, samplesPerSec }) => `
+            <tr><td>${axisLabels[axis]}</td><td>${describe(tuning)}</td>
+                <td>${(samplesPerSec / 1e6).toFixed(1)}</td><td>${(samplesPerSec / result.baseline.samplesPerSec).toFixed(2)}x</td></tr>`).join('');
+
+        this.controls.reportMetrics.innerHTML = `
+            <div class="flex justify-between"><span>Adapter:</span> <span>${adapterKey(this.backend.adapter?.info)}</span></div>
+            <div class="flex justify-between"><span>Timing Method:</span> <span>${result.timingMethod}</span></div>
+            <div class="flex justify-between"><span>Search:</span> <span>${TUNING_AXES.length} axes, ${result.candidates.length} measurements (${DEFAULT_TUNING_PROTOCOL.warmupSeconds}s + ${DEFAULT_TUNING_PROTOCOL.measureSeconds}s each)</span></div>
+            <div class="flex justify-between"><span>Baseline:</span> <span>${describe(result.baseline.tuning)}</span></div>
+            <div class="flex justify-between border-t border-white/10 mt-2 pt-2 font-bold">
+                <span>Tuned:</span>
+                <span class="text-green-400">${describe(result.tuning)}</span>
+            </div>
+            <div class="flex justify-between"><span>Throughput (M/sec):</span> <span>${(result.samplesPerSec / 1e6).toFixed(1)} (${speedup.toFixed(2)}x baseline)</span></div>
+        `;
+
+        this.controls.statisticalReport.innerHTML = `
+            <div class="mt-4 p-3 bg-gray-900/50 rounded-lg border border-white/5">
+                <p class="text-xs text-gray-500 mb-1 uppercase tracking-wider">Auto-Tune Candidates</p>
+                <table class="audit-table">
+                    <thead><tr><th>Axis</th><th>Dispatch x WG, Slots, Batch</th><th>M/sec</th><th>vs Baseline</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p class="text-[10px] text-gray-600 mt-2 text-center">Axes are tuned in order, each from the best config so far. The batch is the smallest within ${BATCH_TOLERANCE * 100}% of the fastest. Saved for this adapter and applied on later loads; the speed slider is centred on the tuned batch.</p>
+            </div>
+        `;
+
+        this.controls.reportModal.classList.remove('hidden');
+    }
+
+    /**
+     * Rebuilds the backend for another PRNG family and restarts the estimate.
+     */
+    async switchGenerator(id) {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating) {
+            this.controls.rng.value = this.backend.generator;
+            return;
+        }
+        this.controls.rng.disabled = true;
+        try {
+            await this.backend.setGenerator(id);
+        } catch (e) {
+            console.error("Generator switch failed:", e);
+            this.controls.rng.value = this.backend.generator;
+        } finally {
+            this.controls.rng.disabled = false;
+        }
+        this.updateEstimatorControls();
+        this.reset();
+        this.syncURL();
+    }
+
+    /**
+     * Resize the thread pool (RNG states and dispatch, WebGPU only) and restart the estimate.
+     */
+    async switchThreads(threads) {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating) {
+            this.controls.threads.value = String(this.backend.totalThreads);
+            return;
+        }
+        this.controls.threads.disabled = true;
+        try {
+            await this.backend.setThreadCount(threads);
+        } catch (e) {
+            console.error("Thread count switch failed:", e);
+        } finally {
+            this.controls.threads.value = String(this.backend.totalThreads);
+            this.controls.threads.disabled = false;
+        }
+        this.reset();
+        this.syncURL();
+    }
+
+    /**
+     * Switch the estimator, hypersphere dimension or needle length (rebuilds the
+     * pipelines) and restart the run.
+     */
+    async switchEstimator(changes) {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating) {
+            this.updateEstimatorControls();
+            return;
+        }
+        this.controls.mode.disabled = true;
+        this.controls.dimension.disabled = true;
+        this.controls.needle.disabled = true;
+        this.controls.variance.disabled = true;
+        try {
+            await this.backend.setEstimator(changes);
+        } catch (e) {
+            console.error("Estimator switch failed:", e);
+        } finally {
+            this.updateEstimatorControls();
+        }
+        this.reset();
+        this.syncURL();
     }
 
-    runVerification() {
+    /**
+     * Runs the benchmark protocol once per generator family and compares throughput
+     * and the statistical verdict side by side. The selected generator is restored afterwards.
+     */
+    async runGeneratorComparison() {
+        if (this.isBenchmarking || this.isAuditing || this.isIntegrating) return;
+
+        try {
+            this.createBenchmarkProtocol(this.controls.compareRng); // Validate settings up front
+        } catch (e) {
+            alert(`Invalid benchmark settings: ${e.message}`);
+            return;
+        }
+
+        const original = this.backend.generator;
+        const records = [];
+        this.isRunning = false;
+        this.isBenchmarking = true;
+        this.controls.rng.disabled = true;
+        this.controls.mode.disabled = true;
+        this.controls.dimension.disabled = true;
+        this.controls.needle.disabled = true;
+        this.controls.variance.disabled = true;
+        this.controls.compareRng.disabled = true;
+        this.controls.iconPlay.style.display = 'none';
+        this.controls.iconPause.style.display = 'block';
+
+        try {
+            await this.waitForLoop();
+
+            // Quasi-random generators only run the plain 2D circle
+            const { mode, dimension, varianceReduction } = estimatorSettings(this.backend);
+            const circle = mode === DEFAULT_ESTIMATOR && dimension === DEFAULT_DIMENSION && varianceReduction === DEFAULT_VARIANCE_REDUCTION;
+            const generators = Object.values(GENERATORS).filter(g => !g.quasi || circle);
+            for (const generator of generators) {
+                await this.backend.setGenerator(generator.id);
+                this.reset();
+                const protocol = this.createBenchmarkProtocol(this.controls.compareRng, `${generator.id.toUpperCase()} `);
+                this.benchmark = protocol; // reset() cancels the comparison
+                this.controls.benchmark.disabled = true;
+
+                const report = await protocol.run();
+                this.benchmark = null;
+                if (!report) return;
+
+                const record = createBenchmarkRecord({ backend: this.backend, report, significance: this.urlConfig.significance });
+                records.push(record);
+                this.storeRecord(record);
+            }
+            this.showGeneratorComparison(records);
+        } catch (e) {
+            console.error("Generator comparison failed:", e);
+        } finally {
+            this.isBenchmarking = false;
+            this.benchmark = null;
+            try {
+                await this.backend.setGenerator(original);
+            } catch (e) {
+                console.error("Restoring the generator failed:", e);
+            }
+            this.controls.rng.value = this.backend.generator;
+            this.reset();
+            this.controls.rng.disabled = false;
+            this.updateEstimatorControls();
+            this.controls.compareRng.disabled = false;
+            this.controls.compareRng.textContent = "COMPARE RNGs";
+            this.controls.iconPlay.style.display = 'block';
+            this.controls.iconPause.style.display = 'none';
+        }
+    }
+
+    showGeneratorComparison(records) {
+        this.setReportRecord(null);
+        const cfg = records[0].configuration;
+        const baseline = records[0].summary.samplesPerSec.median;
+
+        const rows = records.map(record => {
+            const st = record.summary.statistics;
+            const speed = record.summary.samplesPerSec.median;
+            return `
+                <tr><td>${getGenerator(record.configuration.generator).label}</td>
+                    <td>${(speed / 1e6).toFixed(2)}</td><td>${(speed / baseline).toFixed(2)}x</td>
+                    <td>${st.empiricalError.toExponential(2)}</td><td>${st.theoryError.toExponential(2)}</td>
+                    <td>${st.z.toFixed(3)}</td><td>${st.pValue.toPrecision(4)}</td>
+                    <td class="${st.consistent ? 'text-green-400' : 'text-red-400'}">${st.consistent ? 'PASS' : 'FAIL'}</td></tr>`;
+        }).join('');
+
+        this.controls.reportMetrics.innerHTML = `
+            <div class="flex justify-between"><span>Backend:</span> <span>${this.backend.label}</span></div>
+            <div class="flex justify-between"><span>Timing Method:</span> <span>${records[0].timingMethod}</span></div>
+            <div class="flex justify-between"><span>Protocol (per generator):</span> <span>${cfg.warmupSeconds}s warm-up, ${cfg.repetitions} x ${cfg.measureSeconds}s, batch ${this.formatBatch(cfg.batchSize)}</span></div>
+            <div class="flex justify-between"><span>Seed:</span> <span>${cfg.seed ?? 'random'}</span></div>
+        `;
+
+        this.controls.statisticalReport.innerHTML = `
+            <div class="mt-4 p-3 bg-gray-900/50 rounded-lg border border-white/5">
+                <p class="text-xs text-gray-500 mb-1 uppercase tracking-wider">Generator Comparison</p>
+                <table class="audit-table">
+                    <thead><tr><th>Generator</th><th>M/sec</th><th>vs ${records[0].configuration.generator}</th><th>|π̂ - π|</th><th>Std. Error</th><th>z / t</th><th>p-value</th><th>α = ${records[0].summary.statistics.significance}</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p class="text-[10px] text-gray-600 mt-2 text-center">The π test only checks the hit fraction, so a weak generator (LCG32) can still pass it. Quasi-random rows use the RQMC replicate standard error and Student's t. Each run is stored in the history.</p>
+            </div>
+        `;
+
+        this.drawConvergenceChart(records.map(record => this.convergenceMarker(record)));
+
+        this.controls.reportModal.classList.remove('hidden');
+    }
+
+    /**
+     * GPU-vs-CPU audit: replays every thread of AUDIT_FRAMES frames with the
+     * bit-exact JavaScript kernel and reports each divergence.
+     */
+    async runVerification() {
+        if (this.isAuditing || this.isBenchmarking || this.isIntegrating || !this.backend.supportsAudit) return;
+        this.isAuditing = true;
+
+        const wasRunning = this.isRunning;
+        this.isRunning = false; // Stop issuing frames; audit needs an idle queue
         this.stats.matchStatus.className = 'status-indicator pending';
-        setTimeout(() => {
-            const error = parseFloat(this.stats.error.textContent);
-            this.stats.matchStatus.className = (error < 0.1) ? 'status-indicator active' : 'status-indicator error';
-        }, 1000);
+        this.controls.verify.disabled = true;
+
+        const savedBatch = this.backend.simulationParams.batch_size;
+        try {
+            await this.waitForLoop();
+
+            this.backend.updateParams({ batch_size: AUDIT_BATCH_SIZE });
+            const report = await this.auditor.run({
+                frames: AUDIT_FRAMES,
+                sample: 'all',
+                onProgress: (msg) => { this.controls.verify.textContent = msg; }
+            });
+
+            // Audited frames are ordinary frames: keep their samples
+            this.accumulatedInside += report.consumed.inside;
+            this.accumulatedTotal += report.consumed.total;
+            this.accumulateReplicates(report.consumed.replicates);
+            this.updateStatsUI(this.accumulatedInside, this.accumulatedTotal, 0);
+
+            this.stats.matchStatus.className = report.passed ? 'status-indicator active' : 'status-indicator error';
+            this.showAuditReport(report);
+        } catch (e) {
+            console.error("Audit failed:", e);
+            this.stats.matchStatus.className = 'status-indicator error';
+        } finally {
+            this.backend.updateParams({ batch_size: savedBatch });
+            this.controls.verify.textContent = "RUN VERIFY";
+            this.controls.verify.disabled = false;
+            this.isAuditing = false;
+
+            if (wasRunning) {
+                this.isRunning = true;
+                this.lastTime = performance.now();
+                requestAnimationFrame(this.loop.bind(this));
+            }
+        }
+    }
+
+    showAuditReport(report) {
+        this.setReportRecord(null);
+        const MAX_ROWS = 20;
+        const threadRows = report.frames.flatMap(f => f.threadMismatches).slice(0, MAX_ROWS).map(m => `
+            <tr><td>${m.frame}</td><td>${m.thread}</td><td>${m.slot}</td>
+                <td>${m.gpu.inside}/${m.gpu.total}</td><td>${m.cpu.inside}/${m.cpu.total}</td></tr>`).join('');
+        const slotRows = report.frames.flatMap(f => f.slotMismatches).slice(0, MAX_ROWS).map(m => `
+            <tr><td>${m.frame}</td><td>-</td><td>${m.slot}</td>
+                <td>${m.gpu.inside}/${m.gpu.total}</td><td>${m.cpu.inside}/${m.cpu.total}</td></tr>`).join('');
+        const stateCount = report.frames.reduce((n, f) => n + f.stateMismatches.length, 0);
+
+        this.controls.reportMetrics.innerHTML = `
+            <div class="flex justify-between"><span>Audited Frames:</span> <span>${report.frames.map(f => f.frame).join(', ')}</span></div>
+            <div class="flex justify-between"><span>Threads Replayed:</span> <span>${report.threadsChecked.toLocaleString()} / ${report.threadCount.toLocaleString()}</span></div>
+            <div class="flex justify-between"><span>Batch Size:</span> <span>${report.batchSize} (${report.batchSize * 8} samples/thread)</span></div>
+            <div class="flex justify-between"><span>Slot Aggregates Checked:</span> <span>${!report.fullCoverage ? 'NO (sampled)' : (report.perSlot ? 'YES' : 'TOTAL ONLY (subgroups)')}</span></div>
+            <div class="flex justify-between border-t border-white/10 mt-2 pt-2 font-bold">
+                <span>Mismatches:</span>
+                <span class="${report.passed ? 'text-green-400' : 'text-red-400'}">${report.mismatchCount}</span>
+            </div>
+        `;
+
+        this.controls.statisticalReport.innerHTML = `
+            <div class="mt-4 p-3 bg-gray-900/50 rounded-lg border border-white/5">
+                <p class="text-xs text-gray-500 mb-1 uppercase tracking-wider">CPU-GPU Bit-Match Audit</p>
+                <div class="mt-3 text-sm font-bold text-center py-1 rounded bg-black/20">
+                    STATUS: ${report.passed ? '<span class="text-green-400">EXACT MATCH</span>' : '<span class="text-red-400">DIVERGENCE DETECTED</span>'}
+                </div>
+                ${stateCount > 0 ? `<p class="text-xs text-red-400 mt-2">${stateCount} thread(s) left a different RNG state than the CPU reference.</p>` : ''}
+                ${(threadRows || slotRows) ? `
+                <table class="audit-table">
+                    <thead><tr><th>Frame</th><th>Thread</th><th>Slot</th><th>GPU in/total</th><th>CPU in/total</th></tr></thead>
+                    <tbody>${threadRows}${slotRows}</tbody>
+                </table>` : ''}
+            </div>
+        `;
+
+        this.controls.reportModal.classList.remove('hidden');
+    }
+
+    /**
+     * Empirical RNG test battery on the device. Runs on a copy of the generator
+     * state, so the simulation streams and statistics are unaffected.
+     */
+    async runRNGBattery() {
+        if (this.isAuditing || this.isBenchmarking || this.isIntegrating || !this.rngBattery) return;
+        if (getGenerator(this.backend.generator).quasi) {
+            alert(`${getGenerator(this.backend.generator).label} is a low-discrepancy sequence: its points are deliberately not independent, so the battery does not apply.`);
+            return;
+        }
+        this.isAuditing = true;
+
+        const wasRunning = this.isRunning;
+        this.isRunning = false;
+        this.controls.rngTests.disabled = true;
+
+        try {
+            await this.waitForLoop();
+            await this.backend.flush();
+
+            const report = await this.rngBattery.run({
+                onProgress: (msg) => { this.controls.rngTests.textContent = msg; }
+            });
+            this.showRNGBatteryReport(report);
+        } catch (e) {
+            console.error("RNG battery failed:", e);
+        } finally {
+            this.controls.rngTests.textContent = "RNG TESTS";
+            this.controls.rngTests.disabled = false;
+            this.isAuditing = false;
+
+            if (wasRunning) {
+                this.isRunning = true;
+                this.lastTime = performance.now();
+                requestAnimationFrame(this.loop.bind(this));
+            }
+        }
+    }
+
+    showRNGBatteryReport(report) {
+        this.setReportRecord(null);
+        const rows = report.tests.map(t => `
+            <tr><td>${t.name}</td><td>${t.statistic} = ${t.value.toFixed(2)}</td><td>${t.df ?? '-'}</td>
+                <td>${t.pValue.toExponential(2)}</td>
+                <td class="${t.passed ? 'text-green-400' : 'text-red-400'}">${t.passed ? 'PASS' : 'FAIL'}</td></tr>`).join('')
+            + report.skipped.map(t => `
+            <tr title="${t.detail}"><td>${t.name}</td><td colspan="3">too few samples</td><td class="text-gray-500">SKIP</td></tr>`).join('');
+
+        this.controls.reportMetrics.innerHTML = `
+            <div class="flex justify-between"><span>Generator:</span> <span>${getGenerator(report.generator).label}</span></div>
+            <div class="flex justify-between"><span>Threads x Passes:</span> <span>${report.threads.toLocaleString()} x ${report.passes}</span></div>
+            <div class="flex justify-between"><span>Words Tested:</span> <span>${report.samples.toExponential(3)} (${report.iterations * 12} per thread and pass)</span></div>
+            <div class="flex justify-between"><span>Threshold (Bonferroni):</span> <span>p &lt; ${report.threshold.toExponential(1)}</span></div>
+            <div class="flex justify-between border-t border-white/10 mt-2 pt-2 font-bold">
+                <span>Failed Tests:</span>
+                <span class="${report.passed ? 'text-green-400' : 'text-red-400'}">${report.tests.filter(t => !t.passed).length} / ${report.tests.length}</span>
+            </div>
+        `;
+
+        this.controls.statisticalReport.innerHTML = `
+            <div class="mt-4 p-3 bg-gray-900/50 rounded-lg border border-white/5">
+                <p class="text-xs text-gray-500 mb-1 uppercase tracking-wider">On-Device RNG Test Battery</p>
+                <div class="mt-3 text-sm font-bold text-center py-1 rounded bg-black/20">
+                    STATUS: ${report.passed ? '<span class="text-green-400">ALL TESTS PASSED</span>' : '<span class="text-red-400">NON-RANDOMNESS DETECTED</span>'}
+                </div>
+                <table class="audit-table">
+                    <thead><tr><th>Test</th><th>Statistic</th><th>df</th><th>p-value</th><th>Result</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+
+        this.controls.reportModal.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the integrator panel from a built-in example.
+     */
+    showIntegrand(integrand) {
+        const ic = this.integratorControls;
+        ic.select.value = integrand.id;
+        ic.source.value = integrand.source;
+        ic.dim.value = integrand.dim;
+        ic.domain.value = formatDomain(integrand.domain);
+        ic.exact.value = integrand.exact ?? '';
+    }
+
+    /**
+     * Integrand described by the panel: the selected example, or the edited fields.
+     * Throws RangeError for invalid fields.
+     */
+    readIntegrand() {
+        const ic = this.integratorControls;
+        if (ic.select.value !== 'custom') return getIntegrand(ic.select.value);
+        const dim = Number(ic.dim.value);
+        const exactText = ic.exact.value.trim();
+        return createIntegrand({
+            source: ic.source.value,
+            dim,
+            domain: parseDomain(ic.domain.value, dim),
+            exact: exactText === '' ? null : Number(exactText)
+        });
+    }
+
+    /**
+     * Generic integrator mode: compiles the panel's integrand and runs integrator frames
+     * in place of the π simulation until stopped. The π estimate is kept and resumes afterwards.
+     */
+    async runIntegration() {
+        if (this.isIntegrating || this.isAuditing || this.isBenchmarking || !this.integrator) return;
+        const ic = this.integratorControls;
+        ic.error.style.display = 'none';
+
+        this.isIntegrating = true;
+        const wasRunning = this.isRunning;
+        this.isRunning = false;
+        ic.run.disabled = true;
+        ic.run.textContent = 'COMPILING...';
+
+        try {
+            await this.waitForLoop();
+            await this.integrator.configure(this.readIntegrand());
+            ic.run.textContent = 'STOP';
+            ic.run.disabled = false;
+
+            while (this.isIntegrating) {
+                await this.integrator.runFrame();
+                this.updateIntegratorUI();
+                await new Promise(resolve => requestAnimationFrame(resolve));
+            }
+        } catch (e) {
+            console.error("Integration failed:", e);
+            ic.error.textContent = e.message;
+            ic.error.style.display = 'block';
+        } finally {
+            this.isIntegrating = false;
+            ic.run.textContent = 'INTEGRATE';
+            ic.run.disabled = false;
+
+            if (wasRunning && !this.isRunning) {
+                this.isRunning = true;
+                this.lastTime = performance.now();
+                requestAnimationFrame(this.loop.bind(this));
+            }
+        }
+    }
+
+    /**
+     * Ask the integration loop to stop; it finishes the frame in flight first.
+     */
+    stopIntegration() {
+        if (!this.isIntegrating) return;
+        this.isIntegrating = false;
+        this.integratorControls.run.disabled = true; // Re-enabled when the loop exits
+    }
+
+    updateIntegratorUI() {
+        const st = this.integrator.analyze({ significance: this.urlConfig.significance });
+        if (!st) return;
+        const ic = this.integratorControls;
+        ic.estimate.textContent = st.estimate.toPrecision(10);
+        ic.stdErr.textContent = st.standardError.toExponential(3);
+        ic.exactValue.textContent = st.exact === null ? '-' : st.exact.toPrecision(10);
+        ic.absError.textContent = st.exact === null ? '-' : st.empiricalError.toExponential(3);
+        ic.absError.title = st.exact === null ? '' : `z = ${st.z.toFixed(2)}, p = ${st.pValue.toFixed(3)}`;
+        ic.samples.textContent = this.integrator.count.toLocaleString();
     }
 
     runCPUBenchmark() {
         this.controls.cpuBench.textContent = "RUNNING CPU...";
         this.controls.cpuBench.disabled = true;
-        const worker = new Worker('cpu_worker.js');
-        worker.postMessage({ duration: 1000 });
+        const worker = createCPUWorker();
+        worker.postMessage({ duration: 1000, seed: this.backend.simulationParams.seed, generator: this.backend.generator });
         worker.onmessage = (e) => {
             const { speed } = e.data;
             const speedM = speed / 1000000;
             const gpuSpeed = this.currentSpeedM || 11000;
             const ratio = gpuSpeed / speedM;
-            alert(`💻 CPU Benchmark: ${speedM.toFixed(2)} M/sec\n\nGPU is ${ratio.toFixed(1)}x faster.`);
+            alert(`💻 CPU Benchmark (1 worker, ${getGenerator(this.backend.generator).label}): ${speedM.toFixed(2)} M/sec\n\n${this.backend.label} is ${ratio.toFixed(1)}x faster.`);
             this.controls.cpuBench.textContent = "CPU BENCH (1s)";
             this.controls.cpuBench.disabled = false;
             worker.terminate();
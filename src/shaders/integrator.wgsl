@@ -0,0 +1,145 @@
+// -------------------------------------------------------------------------
+// Generic Monte Carlo Integrator Compute Shader
+// Estimates ∫_D f(x) dx for a user-supplied integrand over a box domain D:
+// every thread averages f at batch_size uniform points, sum and sum of squares
+// are reduced per workgroup in double-single (f32 hi + lo) arithmetic and
+// accumulated in f64 on the CPU (integrator.js).
+// -------------------------------------------------------------------------
+
+// Built through shader_preprocessor.js (composeShader). Defines:
+//   WORKGROUP_SIZE, DIM, DRAWS (rng_next calls per point = ceil(DIM / 4)),
+//   DOMAIN_LO, DOMAIN_WIDTH (DIM comma-separated f32 literals)
+// Injections:
+//   RNG        generator from src/shaders/rng/ (pseudo-random generators only)
+//   INTEGRAND  user code defining `fn f(x: point_t) -> f32`
+//
+// The compensated sums assume the compiler does not reassociate f32 additions.
+
+const WORKGROUP_SIZE = {{WORKGROUP_SIZE}}u;
+const DIM = {{DIM}}u;
+const DRAWS = {{DRAWS}}u;
+
+const DOMAIN_LO = array<f32, DIM>({{DOMAIN_LO}});
+const DOMAIN_WIDTH = array<f32, DIM>({{DOMAIN_WIDTH}});
+
+// Integrand argument: a scalar or vector up to 4 dimensions, an array above
+#if DIM == 1
+alias point_t = f32;
+#elif DIM == 2
+alias point_t = vec2<f32>;
+#elif DIM == 3
+alias point_t = vec3<f32>;
+#elif DIM == 4
+alias point_t = vec4<f32>;
+#else
+alias point_t = array<f32, DIM>;
+#endif
+
+// Same layout as SimParams in simulation.wgsl: the generator snippets read it
+struct SimParams {
+    seed: u32,
+    global_time: u32,
+    batch_size: u32, // Points per thread
+    write_threshold: u32,
+    audit_enabled: u32,
+    sample_base_lo: u32,
+    sample_base_hi: u32,
+    _pad2: u32,
+};
+
+@group(0) @binding(0) var<storage, read_write> rng_storage: array<vec4<u32>>;
+@group(0) @binding(1) var<storage, read_write> partials: array<vec4<f32>>; // Per workgroup: (sum hi, lo, sum_sq hi, lo)
+@group(0) @binding(2) var<uniform> params: SimParams;
+
+// --- Random Number Generator ---
+#inject RNG
+
+// --- Integrand ---
+#inject INTEGRAND
+
+var<workgroup> reduce_buf: array<vec4<f32>, WORKGROUP_SIZE>;
+
+fn to_float_v4(v: vec4<u32>) -> vec4<f32> {
+    return vec4<f32>(v) * 2.3283064365386962890625e-10;
+}
+
+// Knuth's TwoSum: s + e == a + b exactly
+fn two_sum(a: f32, b: f32) -> vec2<f32> {
+    let s = a + b;
+    let bb = s - a;
+    return vec2<f32>(s, (a - (s - bb)) + (b - bb));
+}
+
+// Double-single addition (hi, lo) + (hi, lo)
+fn ds_add(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    let s = two_sum(a.x, b.x);
+    let e = s.y + a.y + b.y;
+    let hi = s.x + e;
+    return vec2<f32>(hi, e - (hi - s.x));
+}
+
+fn sample_point(state: ptr<function, RNGState>) -> point_t {
+    var u: array<f32, DRAWS * 4u>;
+    for (var k = 0u; k < DRAWS; k++) {
+        let r = to_float_v4(rng_next(state));
+        u[4u * k] = r.x;
+        u[4u * k + 1u] = r.y;
+        u[4u * k + 2u] = r.z;
+        u[4u * k + 3u] = r.w;
+    }
+    var x: array<f32, DIM>;
+    for (var i = 0u; i < DIM; i++) {
+        x[i] = DOMAIN_LO[i] + DOMAIN_WIDTH[i] * u[i];
+    }
+#if DIM == 1
+    return x[0];
+#elif DIM == 2
+    return vec2<f32>(x[0], x[1]);
+#elif DIM == 3
+    return vec3<f32>(x[0], x[1], x[2]);
+#elif DIM == 4
+    return vec4<f32>(x[0], x[1], x[2], x[3]);
+#else
+    return x;
+#endif
+}
+
+// Thread index of a 2D dispatch, as linear_id in simulation.wgsl
+fn linear_id(id: vec3<u32>, groups: vec3<u32>) -> u32 {
+    return (id.z * groups.y + id.y) * (groups.x * WORKGROUP_SIZE) + id.x;
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn main(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(num_workgroups) num_workgroups: vec3<u32>,
+    @builtin(local_invocation_index) lid: u32
+) {
+    let gid = linear_id(global_id, num_workgroups);
+    var state = rng_load(gid);
+
+    var sum = vec2<f32>(0.0);
+    var sum_sq = vec2<f32>(0.0);
+    for (var i = 0u; i < params.batch_size; i++) {
+        let v = f(sample_point(&state));
+        sum = ds_add(sum, vec2<f32>(v, 0.0));
+        sum_sq = ds_add(sum_sq, vec2<f32>(v * v, 0.0));
+    }
+
+    rng_store(gid, state);
+
+    // Workgroup tree reduction
+    reduce_buf[lid] = vec4<f32>(sum, sum_sq);
+    workgroupBarrier();
+    for (var stride = WORKGROUP_SIZE / 2u; stride > 0u; stride >>= 1u) {
+        if (lid < stride) {
+            let a = reduce_buf[lid];
+            let b = reduce_buf[lid + stride];
+            reduce_buf[lid] = vec4<f32>(ds_add(a.xy, b.xy), ds_add(a.zw, b.zw));
+        }
+        workgroupBarrier();
+    }
+    if (lid == 0u) {
+        partials[gid / WORKGROUP_SIZE] = reduce_buf[0];
+    }
+}
@@ -3,13 +3,27 @@
 // "Extreme Optimization Mode" - Vertex Pulling
 // -------------------------------------------------------------------------
 
+// Built through shader_preprocessor.js (composeShader). Defines: VIZ_F16,
+//   BUFFON, NEEDLE_LENGTH (as simulation.wgsl), VIZ_NEEDLES, VIZ_STRIPS (buffon.js)
+// The circle estimator draws every point (point-list); Buffon's needle draws a
+// line-list of VIZ_NEEDLES needles followed by the ruled lines.
+
 // --- Feature Enablement ---
+#if VIZ_F16
 enable f16;
+#endif
+
+// Visualization storage format (f16, or f32 without shader-f16)
+#if VIZ_F16
+alias viz_t = f16;
+#else
+alias viz_t = f32;
+#endif
 
 // --- Bindings ---
 // Group 0: Static Resources (Same as Compute)
-@group(0) @binding(0) var<storage, read> in_x: array<f16>;
-@group(0) @binding(1) var<storage, read> in_y: array<f16>;
+@group(0) @binding(0) var<storage, read> in_x: array<viz_t>;
+@group(0) @binding(1) var<storage, read> in_y: array<viz_t>;
 // Binding 2 (Result) is not needed for vertex shader
 
 struct VertexOutput {
@@ -18,19 +32,63 @@ struct VertexOutput {
 };
 
 // --- Vertex Shader ---
+#if BUFFON
+const VIZ_NEEDLES = {{VIZ_NEEDLES}}u;
+const VIZ_STRIPS = {{VIZ_STRIPS}}u;
+const NEEDLE_LENGTH: f32 = {{NEEDLE_LENGTH}};
+
+@vertex
+fn vs_main(@builtin(vertex_index) vertex_index: u32) -> VertexOutput {
+    let index = vertex_index / 2u;
+    let end = f32(vertex_index % 2u) * 2.0 - 1.0; // -1 / +1: the two endpoints
+    let strip_height = 1.0 / f32(VIZ_STRIPS);
+
+    var pos: vec2<f32>;
+    var color: vec4<f32>;
+    if (index < VIZ_NEEDLES) {
+        // in_x = centre offset in the strip, in_y = cos θ (see simulation.wgsl)
+        let u = f32(in_x[index]);
+        let c = clamp(f32(in_y[index]), -1.0, 1.0);
+        let s = sqrt(1.0 - c * c);
+        // Directions are sampled in [0, π/2]; mirror every other needle to show [0, π)
+        let dir = vec2<f32>(select(c, -c, (index & 1u) == 1u), s);
+        let centre = vec2<f32>(
+            fract((f32(index) + 0.5) * 0.6180339887), // Golden-ratio spread along the lines
+            (f32(index % VIZ_STRIPS) + u) * strip_height
+        );
+        pos = centre + dir * (0.5 * NEEDLE_LENGTH * strip_height * end);
+
+        // Same crossing test as the kernel: distance to the nearest line <= (l/2)·sin θ
+        if (2.0 * min(u, 1.0 - u) <= NEEDLE_LENGTH * s) {
+            color = vec4<f32>(0.0, 0.9, 1.0, 0.8); // Cyan
+        } else {
+            color = vec4<f32>(1.0, 0.1, 0.5, 0.3); // Magenta, lower alpha
+        }
+    } else {
+        // Ruled lines y = k / VIZ_STRIPS across the canvas
+        pos = vec2<f32>(end * 0.5 + 0.5, f32(index - VIZ_NEEDLES) * strip_height);
+        color = vec4<f32>(0.6, 0.6, 0.6, 0.6);
+    }
+
+    var out: VertexOutput;
+    out.position = vec4<f32>(pos * 2.0 - 1.0, 0.0, 1.0);
+    out.color = color;
+    return out;
+}
+#else
 @vertex
 fn vs_main(@builtin(vertex_index) vertex_index: u32) -> VertexOutput {
     // Programmable Vertex Pulling
     // Directly alias vertex_index to buffer index.
     // Note: bounds checking is handled by clamping or ensuring draw call size matches buffer.
     
-    // Read f16 positions (Coalesced read if warp execution aligns with index)
-    let x_f16 = in_x[vertex_index];
-    let y_f16 = in_y[vertex_index];
+    // Read packed positions (Coalesced read if warp execution aligns with index)
+    let x_packed = in_x[vertex_index];
+    let y_packed = in_y[vertex_index];
     
-    // Convert to f32 for rendering pipeline
-    let x = f32(x_f16);
-    let y = f32(y_f16);
+    // Convert to f32 for rendering pipeline (no-op for the f32 format)
+    let x = f32(x_packed);
+    let y = f32(y_packed);
     
     // Check if inside circle (x^2 + y^2 <= 1.0)
     // We visualize unit circle. 
@@ -74,6 +132,7 @@ fn vs_main(@builtin(vertex_index) vertex_index: u32) -> VertexOutput {
     out.color = color;
     return out;
 }
+#endif
 
 // --- Fragment Shader ---
 @fragment
@@ -0,0 +1,23 @@
+// Halton sequence, bases 2 and 3, with a Cranley-Patterson random shift (appended to qmc.wgsl)
+// Coordinates are 0.32 fixed point; the base-3 radical inverse sums d_k * floor(2^32 / 3^(k+1))
+// in integers so it matches the JavaScript twin bit for bit. Shift: x + seed (mod 2^32).
+
+fn halton_base3(idx: vec4<u32>) -> vec4<u32> {
+    var n = idx;
+    var x = vec4<u32>(0u);
+    var w = 0xFFFFFFFFu / 3u;
+    for (var k = 0u; k < 21u; k++) { // 3^21 > 2^32
+        x += (n % vec4<u32>(3u)) * w;
+        n /= vec4<u32>(3u);
+        w /= 3u;
+    }
+    return x;
+}
+
+fn qmc_point(dim: u32, idx: vec4<u32>, seed: vec4<u32>) -> vec4<u32> {
+    var x = reverseBits(idx);
+    if (dim == 1u) {
+        x = halton_base3(idx);
+    }
+    return x + seed;
+}
@@ -0,0 +1,21 @@
+// LCG32 (Numerical Recipes constants), 4 lanes -- deliberately weak NEGATIVE CONTROL.
+// Low bits have tiny periods (bit k repeats every 2^(k+1)); only the top bits
+// carry usable randomness. Included to show what the statistics catch.
+// State: 1 vec4 per thread in rng_storage.
+
+struct RNGState {
+    s: vec4<u32>,
+};
+
+fn rng_load(gid: u32) -> RNGState {
+    return RNGState(rng_storage[gid]);
+}
+
+fn rng_next(s: ptr<function, RNGState>) -> vec4<u32> {
+    (*s).s = (*s).s * 1664525u + vec4<u32>(1013904223u);
+    return (*s).s;
+}
+
+fn rng_store(gid: u32, state: RNGState) {
+    rng_storage[gid] = state.s;
+}
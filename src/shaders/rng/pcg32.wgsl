@@ -0,0 +1,65 @@
+// PCG32 (XSH-RR), 4 lanes
+// 64-bit LCG state per lane, emulated with u32 pairs (WGSL has no u64).
+// State: 2 vec4s per thread in rng_storage (low words, high words).
+// Lane stream (odd increment) = 2 * (gid * 4 + lane) + 1, derived rather than stored.
+
+const PCG_MULT_LO = 0x4C957F2Du;
+const PCG_MULT_HI = 0x5851F42Du; // 6364136223846793005
+
+struct RNGState {
+    lo: vec4<u32>,
+    hi: vec4<u32>,
+    inc_lo: vec4<u32>,
+    inc_hi: vec4<u32>,
+};
+
+// High 32 bits of a 32x32 -> 64-bit product, via 16-bit halves
+fn mulhi32(a: vec4<u32>, b: u32) -> vec4<u32> {
+    let mask = vec4<u32>(0xFFFFu);
+    let s16 = vec4<u32>(16u);
+    let a0 = a & mask;
+    let a1 = a >> s16;
+    let b0 = vec4<u32>(b & 0xFFFFu);
+    let b1 = vec4<u32>(b >> 16u);
+    let p01 = a0 * b1;
+    let p10 = a1 * b0;
+    let mid = ((a0 * b0) >> s16) + (p01 & mask) + (p10 & mask);
+    return a1 * b1 + (p01 >> s16) + (p10 >> s16) + (mid >> s16);
+}
+
+fn rng_load(gid: u32) -> RNGState {
+    let offset = gid * 2u;
+    let stream = vec4<u32>(gid * 4u) + vec4<u32>(0u, 1u, 2u, 3u);
+    var state: RNGState;
+    state.lo = rng_storage[offset];
+    state.hi = rng_storage[offset+1u];
+    state.inc_lo = (stream << vec4<u32>(1u)) | vec4<u32>(1u);
+    state.inc_hi = stream >> vec4<u32>(31u);
+    return state;
+}
+
+fn rng_next(s: ptr<function, RNGState>) -> vec4<u32> {
+    let old_lo = (*s).lo;
+    let old_hi = (*s).hi;
+
+    // state = old * MULT + inc (mod 2^64)
+    let p_lo = old_lo * PCG_MULT_LO;
+    let p_hi = mulhi32(old_lo, PCG_MULT_LO) + old_hi * PCG_MULT_LO + old_lo * PCG_MULT_HI;
+    let new_lo = p_lo + (*s).inc_lo;
+    let carry = select(vec4<u32>(0u), vec4<u32>(1u), new_lo < p_lo);
+    (*s).lo = new_lo;
+    (*s).hi = p_hi + (*s).inc_hi + carry;
+
+    // Output: rotr32(((old >> 18) ^ old) >> 27, old >> 59)
+    let t_lo = old_lo ^ ((old_lo >> vec4<u32>(18u)) | (old_hi << vec4<u32>(14u)));
+    let t_hi = old_hi ^ (old_hi >> vec4<u32>(18u));
+    let xs = (t_lo >> vec4<u32>(27u)) | (t_hi << vec4<u32>(5u));
+    let rot = old_hi >> vec4<u32>(27u);
+    return (xs >> rot) | (xs << ((vec4<u32>(32u) - rot) & vec4<u32>(31u)));
+}
+
+fn rng_store(gid: u32, state: RNGState) {
+    let offset = gid * 2u;
+    rng_storage[offset] = state.lo;
+    rng_storage[offset+1u] = state.hi;
+}
@@ -0,0 +1,46 @@
+// Philox4x32-10 (counter-based, Salmon et al. 2011)
+// No state buffer: every call encrypts the counter (call, frame, gid, 0) under the
+// key (params.seed, 0). Streams are independent by construction; nothing is stored.
+
+const PHILOX_M0 = 0xD2511F53u;
+const PHILOX_M1 = 0xCD9E8D57u;
+const PHILOX_W0 = 0x9E3779B9u;
+const PHILOX_W1 = 0xBB67AE85u;
+
+struct RNGState {
+    ctr: vec4<u32>,
+    key: vec2<u32>,
+};
+
+// (hi, lo) of a 32x32 -> 64-bit product, via 16-bit halves
+fn mulhilo(a: u32, b: u32) -> vec2<u32> {
+    let a0 = a & 0xFFFFu;
+    let a1 = a >> 16u;
+    let b0 = b & 0xFFFFu;
+    let b1 = b >> 16u;
+    let p01 = a0 * b1;
+    let p10 = a1 * b0;
+    let mid = ((a0 * b0) >> 16u) + (p01 & 0xFFFFu) + (p10 & 0xFFFFu);
+    return vec2<u32>(a1 * b1 + (p01 >> 16u) + (p10 >> 16u) + (mid >> 16u), a * b);
+}
+
+fn rng_load(gid: u32) -> RNGState {
+    return RNGState(vec4<u32>(0u, params.global_time, gid, 0u), vec2<u32>(params.seed, 0u));
+}
+
+fn rng_next(s: ptr<function, RNGState>) -> vec4<u32> {
+    var c = (*s).ctr;
+    var k = (*s).key;
+    for (var r = 0u; r < 10u; r++) {
+        if (r > 0u) {
+            k += vec2<u32>(PHILOX_W0, PHILOX_W1);
+        }
+        let p0 = mulhilo(PHILOX_M0, c.x);
+        let p1 = mulhilo(PHILOX_M1, c.z);
+        c = vec4<u32>(p1.x ^ c.y ^ k.x, p1.y, p0.x ^ c.w ^ k.y, p0.y);
+    }
+    (*s).ctr.x += 1u;
+    return c;
+}
+
+fn rng_store(gid: u32, state: RNGState) {}
@@ -0,0 +1,53 @@
+// Randomized Quasi-Monte Carlo indexing (shared by sobol.wgsl and halton.wgsl)
+// No state buffer: the 64-bit point index is derived from the global sample number,
+//   replicate = workgroup % REPLICATES
+//   index     = sample_base + local_thread * points_per_thread + call
+// Calls alternate x (dim 0) and y (dim 1) for the same 4 points. Each replicate is an
+// independent scramble keyed by (params.seed, dim, replicate, epoch = index >> 32).
+// The sequence snippet provides qmc_point(dim, index, seed) -> vec4<u32>.
+
+struct RNGState {
+    index_lo: u32,
+    index_hi: u32,
+    replicate: u32,
+    dim: u32,
+};
+
+// lowbias32 integer hash
+fn qmc_hash(v: vec4<u32>) -> vec4<u32> {
+    var x = v;
+    x ^= x >> vec4<u32>(16u);
+    x *= 0x7FEB352Du;
+    x ^= x >> vec4<u32>(15u);
+    x *= 0x846CA68Bu;
+    x ^= x >> vec4<u32>(16u);
+    return x;
+}
+
+fn qmc_seed(dim: u32, replicate: u32, epoch: vec4<u32>) -> vec4<u32> {
+    let base = qmc_hash(vec4<u32>(params.seed ^ (dim * 0x9E3779B9u)));
+    return qmc_hash(qmc_hash(base ^ vec4<u32>(replicate)) ^ epoch);
+}
+
+fn rng_load(gid: u32) -> RNGState {
+    let workgroup = gid / WORKGROUP_SIZE;
+    let local_thread = (workgroup / REPLICATES) * WORKGROUP_SIZE + gid % WORKGROUP_SIZE;
+    let start = params.sample_base_lo + local_thread * (params.batch_size * UNROLL * 4u);
+    let carry = select(0u, 1u, start < params.sample_base_lo);
+    return RNGState(start, params.sample_base_hi + carry, workgroup % REPLICATES, 0u);
+}
+
+fn rng_next(s: ptr<function, RNGState>) -> vec4<u32> {
+    let lo = (*s).index_lo;
+    let idx = vec4<u32>(lo) + vec4<u32>(0u, 1u, 2u, 3u);
+    let epoch = vec4<u32>((*s).index_hi) + select(vec4<u32>(0u), vec4<u32>(1u), idx < vec4<u32>(lo));
+    let dim = (*s).dim;
+    if (dim == 1u) {
+        (*s).index_lo = lo + 4u;
+        (*s).index_hi += select(0u, 1u, lo + 4u < lo);
+    }
+    (*s).dim = 1u - dim;
+    return qmc_point(dim, idx, qmc_seed(dim, (*s).replicate, epoch));
+}
+
+fn rng_store(gid: u32, state: RNGState) {}
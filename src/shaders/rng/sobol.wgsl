@@ -0,0 +1,30 @@
+// Sobol (0, 2)-sequence with Owen scrambling (appended to qmc.wgsl)
+// dim 0: van der Corput (base 2), dim 1: Sobol with primitive polynomial x + 1.
+// Nested uniform scramble: reverseBits(laine_karras(reverseBits(x), seed)).
+
+fn sobol_dim1(idx: vec4<u32>) -> vec4<u32> {
+    var x = vec4<u32>(0u);
+    var v = 0x80000000u;
+    for (var b = 0u; b < 32u; b++) {
+        x ^= ((idx >> vec4<u32>(b)) & vec4<u32>(1u)) * v;
+        v ^= v >> 1u;
+    }
+    return x;
+}
+
+fn laine_karras(v: vec4<u32>, seed: vec4<u32>) -> vec4<u32> {
+    var x = v + seed;
+    x ^= x * 0x6C50B47Cu;
+    x ^= x * 0xB82F1E52u;
+    x ^= x * 0xC7AFE638u;
+    x ^= x * 0x8D22F6E6u;
+    return x;
+}
+
+fn qmc_point(dim: u32, idx: vec4<u32>, seed: vec4<u32>) -> vec4<u32> {
+    var x = reverseBits(idx);
+    if (dim == 1u) {
+        x = sobol_dim1(idx);
+    }
+    return reverseBits(laine_karras(reverseBits(x), seed));
+}
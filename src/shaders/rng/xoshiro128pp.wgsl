@@ -0,0 +1,48 @@
+// Xoshiro128++ (Vectorized)
+// Each lane is a completely independent generator (512-bit state total per thread).
+// State: 4 vec4s per thread in rng_storage (s0..s3, one u32 per lane).
+
+struct RNGState {
+    s0: vec4<u32>,
+    s1: vec4<u32>,
+    s2: vec4<u32>,
+    s3: vec4<u32>,
+};
+
+fn rotl(x: vec4<u32>, k: u32) -> vec4<u32> {
+    let vk = vec4<u32>(k);
+    let vnk = vec4<u32>(32u - k);
+    return (x << vk) | (x >> vnk);
+}
+
+fn rng_load(gid: u32) -> RNGState {
+    let offset = gid * 4u;
+    var state: RNGState;
+    state.s0 = rng_storage[offset];
+    state.s1 = rng_storage[offset+1u];
+    state.s2 = rng_storage[offset+2u];
+    state.s3 = rng_storage[offset+3u];
+    return state;
+}
+
+fn rng_next(s: ptr<function, RNGState>) -> vec4<u32> {
+    let result = rotl((*s).s0 + (*s).s3, 7u) + (*s).s0;
+    
+    let t = (*s).s1 << vec4<u32>(9u);
+    (*s).s2 ^= (*s).s0;
+    (*s).s3 ^= (*s).s1;
+    (*s).s1 ^= (*s).s2;
+    (*s).s0 ^= (*s).s3;
+    (*s).s2 ^= t;
+    (*s).s3 = rotl((*s).s3, 11u);
+    
+    return result;
+}
+
+fn rng_store(gid: u32, state: RNGState) {
+    let offset = gid * 4u;
+    rng_storage[offset] = state.s0;
+    rng_storage[offset+1u] = state.s1;
+    rng_storage[offset+2u] = state.s2;
+    rng_storage[offset+3u] = state.s3;
+}
@@ -0,0 +1,225 @@
+// -------------------------------------------------------------------------
+// RNG Test Battery Compute Shader
+// Empirical tests on the selected generator's streams (same RNG snippet as
+// simulation.wgsl). Histograms are accumulated in workgroup atomics and flushed
+// to `hist` once per workgroup; p-values are computed on the CPU (rng_battery.js).
+// -------------------------------------------------------------------------
+
+// Built through shader_preprocessor.js (composeShader). Defines:
+//   WORKGROUP_SIZE, HIST_CELLS and one offset per histogram (BATTERY_LAYOUT in rng_battery.js),
+//   GAP_MAX, RUNS_MAX, BIRTHDAY_MAX (last, open-ended bin of those histograms),
+//   BIRTHDAY_BITS (days of the birthday year as bits, see birthdayDayBits)
+// Injections:
+//   RNG  generator from src/shaders/rng/ (see simulation.wgsl)
+
+const WORKGROUP_SIZE = {{WORKGROUP_SIZE}}u;
+const BIRTHDAYS = 2u * WORKGROUP_SIZE; // One birthday-spacings sample per workgroup
+
+const HIST_CELLS = {{HIST_CELLS}}u;
+const MONOBIT = {{MONOBIT}}u;         // 32: ones per bit position
+const SERIAL2 = {{SERIAL2}}u;         // 16 x 16: top 4 bits of consecutive outputs (lane y)
+const SERIAL2_LOW = {{SERIAL2_LOW}}u; // 16 x 16: low 4 bits of the same pairs
+const SERIAL3 = {{SERIAL3}}u;         // 8 x 8 x 8: top 3 bits of consecutive outputs (lane z)
+const LANES = {{LANES}}u;             // 4^4: top 2 bits of all four lanes of one output
+const THREADS = {{THREADS}}u;         // 16 x 16: top 4 bits of neighbouring threads (2k, 2k + 1)
+const GAP = {{GAP}}u;                 // gap lengths between values in [0, 1/8) (lane w)
+const RUNS = {{RUNS}}u;               // runs-up lengths 1..RUNS_MAX (lane x)
+const BIRTHDAY = {{BIRTHDAY}}u;       // duplicate spacings per workgroup sample
+const GAP_MAX = {{GAP_MAX}}u;
+const RUNS_MAX = {{RUNS_MAX}}u;
+const BIRTHDAY_MAX = {{BIRTHDAY_MAX}}u;
+const BIRTHDAY_BITS = {{BIRTHDAY_BITS}}u;
+
+// Same layout as SimParams in simulation.wgsl: the generator snippets read it
+struct SimParams {
+    seed: u32,
+    global_time: u32,
+    batch_size: u32, // Loop iterations per thread (3 outputs each)
+    write_threshold: u32,
+    audit_enabled: u32,
+    sample_base_lo: u32,
+    sample_base_hi: u32,
+    _pad2: u32,
+};
+
+@group(0) @binding(0) var<storage, read_write> rng_storage: array<vec4<u32>>;
+@group(0) @binding(1) var<storage, read_write> hist: array<atomic<u32>>;
+@group(0) @binding(2) var<uniform> params: SimParams;
+
+// --- Random Number Generator ---
+#inject RNG
+
+var<workgroup> local_hist: array<atomic<u32>, HIST_CELLS>;
+var<workgroup> exchange: array<u32, WORKGROUP_SIZE>;
+var<workgroup> sort_buf: array<u32, BIRTHDAYS>;
+var<workgroup> spacing_buf: array<u32, BIRTHDAYS>;
+var<workgroup> collisions: atomic<u32>;
+
+fn tally(cell: u32) {
+    atomicAdd(&local_hist[cell], 1u);
+}
+
+// Gap test step: value hits [0, 1/8) when its top 3 bits are zero. A gap is cut off after
+// GAP_MAX misses, so every measurement ends within GAP_MAX + 1 values.
+fn gap_step(v: u32, gap: ptr<function, u32>) {
+    if ((v >> 29u) == 0u) {
+        tally(GAP + *gap);
+        *gap = 0u;
+    } else {
+        *gap += 1u;
+        if (*gap == GAP_MAX) {
+            tally(GAP + GAP_MAX);
+            *gap = 0u;
+        }
+    }
+}
+
+// Runs-up step (Knuth): the value that ends a run is discarded, so run lengths are independent.
+// Runs are cut off at RUNS_MAX values.
+fn run_step(v: u32, len: ptr<function, u32>, last: ptr<function, u32>) {
+    if (*len == 0u) {
+        *len = 1u;
+        *last = v;
+    } else if (v > *last) {
+        *len += 1u;
+        *last = v;
+    } else {
+        tally(RUNS + *len - 1u);
+        *len = 0u;
+        return;
+    }
+    if (*len == RUNS_MAX) {
+        tally(RUNS + RUNS_MAX - 1u);
+        *len = 0u;
+    }
+}
+
+// Bitonic sort of sort_buf, one compare-exchange per invocation per stage
+fn sort_shared(lid: u32) {
+    for (var k = 2u; k <= BIRTHDAYS; k <<= 1u) {
+        for (var j = k >> 1u; j > 0u; j >>= 1u) {
+            let lo = 2u * j * (lid / j) + lid % j;
+            let hi = lo + j;
+            let a = sort_buf[lo];
+            let b = sort_buf[hi];
+            if ((a > b) == ((lo & k) == 0u)) {
+                sort_buf[lo] = b;
+                sort_buf[hi] = a;
+            }
+            workgroupBarrier();
+        }
+    }
+}
+
+// Thread index of a 2D dispatch, as linear_id in simulation.wgsl
+fn linear_id(id: vec3<u32>, groups: vec3<u32>) -> u32 {
+    return (id.z * groups.y + id.y) * (groups.x * WORKGROUP_SIZE) + id.x;
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn main(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(num_workgroups) num_workgroups: vec3<u32>,
+    @builtin(local_invocation_index) lid: u32
+) {
+    let gid = linear_id(global_id, num_workgroups);
+    var state = rng_load(gid);
+
+    var bit_ones: array<u32, 32>;
+    var gap = 0u;
+    var run_len = 0u;
+    var run_last = 0u;
+
+    for (var i = 0u; i < params.batch_size; i++) {
+        let a = rng_next(&state);
+        let b = rng_next(&state);
+        let c = rng_next(&state);
+
+        // Bit frequency over all 12 words
+        for (var bit = 0u; bit < 32u; bit++) {
+            let s = vec4<u32>(bit);
+            let ones = ((a >> s) & vec4<u32>(1u)) + ((b >> s) & vec4<u32>(1u)) + ((c >> s) & vec4<u32>(1u));
+            bit_ones[bit] += ones.x + ones.y + ones.z + ones.w;
+        }
+
+        // Serial tests on consecutive outputs of one lane
+        tally(SERIAL2 + (a.y >> 28u) * 16u + (b.y >> 28u));
+        tally(SERIAL2_LOW + (a.y & 15u) * 16u + (b.y & 15u));
+        tally(SERIAL3 + (a.z >> 29u) * 64u + (b.z >> 29u) * 8u + (c.z >> 29u));
+
+        // Inter-lane independence
+        let q = a >> vec4<u32>(30u);
+        tally(LANES + q.x * 64u + q.y * 16u + q.z * 4u + q.w);
+
+        gap_step(a.w, &gap);
+        gap_step(b.w, &gap);
+        gap_step(c.w, &gap);
+        run_step(a.x, &run_len, &run_last);
+        run_step(b.x, &run_len, &run_last);
+        run_step(c.x, &run_len, &run_last);
+
+        // Inter-thread independence: neighbouring invocations of the workgroup
+        exchange[lid] = b.x >> 28u;
+        workgroupBarrier();
+        if ((lid & 1u) == 0u) {
+            tally(THREADS + exchange[lid] * 16u + exchange[lid + 1u]);
+        }
+        workgroupBarrier();
+    }
+
+    // Finish open gap / run measurements instead of dropping them: dropping the one cut by
+    // the end of the loop would favour short lengths
+    for (var k = 0u; k < GAP_MAX + RUNS_MAX && (gap != 0u || run_len != 0u); k++) {
+        let e = rng_next(&state);
+        if (gap != 0u) {
+            gap_step(e.w, &gap);
+        }
+        if (run_len != 0u) {
+            run_step(e.x, &run_len, &run_last);
+        }
+    }
+
+    // Birthday spacings (Marsaglia): BIRTHDAYS birthdays in a year of 2^BIRTHDAY_BITS days
+    let d = rng_next(&state);
+    sort_buf[2u * lid] = d.x >> (32u - BIRTHDAY_BITS);
+    sort_buf[2u * lid + 1u] = d.y >> (32u - BIRTHDAY_BITS);
+    workgroupBarrier();
+    sort_shared(lid);
+    for (var k = lid; k < BIRTHDAYS; k += WORKGROUP_SIZE) {
+        if (k == 0u) {
+            spacing_buf[k] = sort_buf[0];
+        } else {
+            spacing_buf[k] = sort_buf[k] - sort_buf[k - 1u];
+        }
+    }
+    workgroupBarrier();
+    for (var k = lid; k < BIRTHDAYS; k += WORKGROUP_SIZE) {
+        sort_buf[k] = spacing_buf[k];
+    }
+    workgroupBarrier();
+    sort_shared(lid);
+    for (var k = lid + 1u; k < BIRTHDAYS; k += WORKGROUP_SIZE) {
+        if (sort_buf[k] == sort_buf[k - 1u]) {
+            atomicAdd(&collisions, 1u);
+        }
+    }
+    workgroupBarrier();
+    if (lid == 0u) {
+        tally(BIRTHDAY + min(atomicLoad(&collisions), BIRTHDAY_MAX));
+    }
+
+    rng_store(gid, state);
+
+    for (var bit = 0u; bit < 32u; bit++) {
+        atomicAdd(&local_hist[MONOBIT + bit], bit_ones[bit]);
+    }
+    workgroupBarrier();
+
+    // Flush the workgroup histogram
+    for (var cell = lid; cell < HIST_CELLS; cell += WORKGROUP_SIZE) {
+        let cell_count = atomicLoad(&local_hist[cell]);
+        if (cell_count != 0u) {
+            atomicAdd(&hist[cell], cell_count);
+        }
+    }
+}
@@ -1,14 +1,42 @@
 // -------------------------------------------------------------------------
 // Monte Carlo Pi Simulation Compute Shader
-// "High Precision Mode" (PCG Hash + f32)
+// "High Precision Mode" (pluggable vec4 PRNG + full 32-bit f32 mapping)
 // -------------------------------------------------------------------------
 
+// Built through shader_preprocessor.js (composeShader). Defines:
+//   VIZ_F16, SUBGROUPS, WORKGROUP_SIZE, NUM_SLOTS, UNROLL, REPLICATES,
+//   DIMENSION, EXTRA_DIMENSIONS (= DIMENSION - 2, coordinates beyond x and y),
+//   BUFFON (Buffon's needle instead of the hit test), NEEDLE_LENGTH (f32, in line spacings),
+//   VARIANCE_REDUCTION (none | antithetic | stratified | meanvalue, 2D circle only),
+//   STRATA_GRID (cells per axis, 4), MEAN_VALUE_SCALE (fixed-point unit of sqrt(1 - x²))
+// Injections:
+//   RNG  generator from src/shaders/rng/ providing struct RNGState,
+//        rng_load(gid), rng_next(&state) -> vec4<u32>, rng_store(gid, state)
+
 // --- Feature Enablement ---
+#if VIZ_F16
 enable f16;
-// enable subgroups; // Injected by gpu_manager.js if supported
+#endif
+#if SUBGROUPS
+enable subgroups;
+#endif
+
+// Visualization storage format (f16, or f32 without shader-f16)
+#if VIZ_F16
+alias viz_t = f16;
+#else
+alias viz_t = f32;
+#endif
 
 // --- Constants ---
-const WORKGROUP_SIZE = 256u;
+const WORKGROUP_SIZE = {{WORKGROUP_SIZE}}u;
+const UNROLL = {{UNROLL}}u; // Sample pairs per lane per loop iteration (4 lanes x 2 coords each)
+const REPLICATES = {{REPLICATES}}u; // Independent RQMC scrambles (1 for pseudo-random generators)
+const DIMENSION = {{DIMENSION}}u; // Hit test against the unit DIMENSION-ball (2 = quarter circle)
+const EXTRA_DIMENSIONS = {{EXTRA_DIMENSIONS}}u;
+const NEEDLE_LENGTH: f32 = {{NEEDLE_LENGTH}}; // Lines are 1.0 apart (buffon.js)
+const STRATUM: f32 = 1.0 / {{STRATA_GRID}}.0; // Cell size of the stratified grid
+const MEAN_VALUE_SCALE: f32 = {{MEAN_VALUE_SCALE}}.0; // inside counts sqrt(1 - x²) in units of 1/MEAN_VALUE_SCALE
 
 // --- Bindings ---
 struct SimParams {
@@ -16,9 +44,13 @@ struct SimParams {
     global_time: u32,
     batch_size: u32,
     write_threshold: u32,
+    audit_enabled: u32, // 1 = write per-thread counts to audit_counts
+    sample_base_lo: u32, // 64-bit global sample index of this frame (quasi-random generators)
+    sample_base_hi: u32,
+    _pad2: u32,
 };
 
-const NUM_SLOTS = 1024u;
+const NUM_SLOTS = {{NUM_SLOTS}}u;
 
 struct Slot {
     inside_low: atomic<u32>,
@@ -31,41 +63,19 @@ struct Result {
     slots: array<Slot, NUM_SLOTS>,
 };
 
-@group(0) @binding(0) var<storage, read_write> out_x: array<f16>;
-@group(0) @binding(1) var<storage, read_write> out_y: array<f16>;
+@group(0) @binding(0) var<storage, read_write> out_x: array<viz_t>;
+@group(0) @binding(1) var<storage, read_write> out_y: array<viz_t>;
 @group(0) @binding(2) var<storage, read_write> result: Result;
 @group(1) @binding(0) var<uniform> params: SimParams;
 
-struct RNGState {
-    s0: vec4<u32>,
-    s1: vec4<u32>,
-    s2: vec4<u32>,
-    s3: vec4<u32>,
-};
-
 @group(0) @binding(3) var<storage, read_write> rng_storage: array<vec4<u32>>;
 
-fn rotl(x: vec4<u32>, k: u32) -> vec4<u32> {
-    let vk = vec4<u32>(k);
-    let vnk = vec4<u32>(32u - k);
-    return (x << vk) | (x >> vnk);
-}
+// Audit Mode: per-thread (inside, total) for CPU reference comparison
+// (Buffon: crossings, accepted needles)
+@group(0) @binding(4) var<storage, read_write> audit_counts: array<vec2<u32>>;
 
-// Xoshiro128++ (Vectorized)
-// Each lane is a completely independent generator (512-bit state total per thread).
-fn xoshiro128pp_next(s: ptr<function, RNGState>) -> vec4<u32> {
-    let result = rotl((*s).s0 + (*s).s3, 7u) + (*s).s0;
-    
-    let t = (*s).s1 << vec4<u32>(9u);
-    (*s).s2 ^= (*s).s0;
-    (*s).s3 ^= (*s).s1;
-    (*s).s1 ^= (*s).s2;
-    (*s).s0 ^= (*s).s3;
-    (*s).s2 ^= t;
-    (*s).s3 = rotl((*s).s3, 11u);
-    
-    return result;
-}
+// --- Random Number Generator ---
+#inject RNG
 
 // Convert vec4<u32> random to vec4<f32> [0.0, 1.0)
 // High-precision version: Uses full 32-bit entropy to satisfy trillion-sample variance limit.
@@ -73,62 +83,183 @@ fn to_float_v4(v: vec4<u32>) -> vec4<f32> {
     return vec4<f32>(v) * 2.3283064365386962890625e-10; 
 }
 
+// Mean value estimator: whether step m of the fixed-point sqrt(1 - x²) is reached,
+// x² + ((m - r) / MEAN_VALUE_SCALE)² <= 1 with dither r (see variance_reduction.js)
+fn under_arc(xx: vec4<f32>, m: vec4<f32>, r: vec4<f32>) -> vec4<bool> {
+    let v = (m - r) * (1.0 / MEAN_VALUE_SCALE);
+    return xx + v * v <= vec4<f32>(1.0);
+}
+
+// Thread index (= RNG state) of a 1D, 2D or 3D dispatch, rows of num_workgroups.x workgroups
+// one after the other, so gid / WORKGROUP_SIZE is the linear workgroup index
+fn linear_id(id: vec3<u32>, groups: vec3<u32>) -> u32 {
+    return (id.z * groups.y + id.y) * (groups.x * WORKGROUP_SIZE) + id.x;
+}
+
 @compute @workgroup_size(WORKGROUP_SIZE)
 fn main(
-    @builtin(global_invocation_id) global_id: vec3<u32>
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(num_workgroups) num_workgroups: vec3<u32>
 ) {
-    let gid = global_id.x;
+    let gid = linear_id(global_id, num_workgroups);
     
-    // 1. Load RNG State (512-bit per thread = 4 vec4s)
-    let offset = gid * 4u;
-    var state: RNGState;
-    state.s0 = rng_storage[offset];
-    state.s1 = rng_storage[offset+1u];
-    state.s2 = rng_storage[offset+2u];
-    state.s3 = rng_storage[offset+3u];
-
-    var private_inside_v1 = vec4<u32>(0u);
-    var private_inside_v2 = vec4<u32>(0u);
+    // 1. Load RNG State (layout is generator specific)
+    var state = rng_load(gid);
+
+#repeat UNROLL
+    var private_inside_v{{REPEAT_INDEX}} = vec4<u32>(0u);
+#if BUFFON
+    var private_total_v{{REPEAT_INDEX}} = vec4<u32>(0u);
+#endif
+#endrepeat
     let count = params.batch_size; 
     
     var last_x: f32 = 0.0;
     var last_y: f32 = 0.0;
 
-    // 2. The Core Loop (8x SIMD Vectorized Xoshiro)
+    // 2. The Core Loop (4 * UNROLL x SIMD vectorized PRNG, default 8 samples of DIMENSION coordinates)
     for (var i: u32 = 0u; i < count; i++) {
-        let rx1_raw = xoshiro128pp_next(&state);
-        let ry1_raw = xoshiro128pp_next(&state);
-        private_inside_v1 += select(vec4<u32>(0u), vec4<u32>(1u), to_float_v4(rx1_raw)*to_float_v4(rx1_raw) + to_float_v4(ry1_raw)*to_float_v4(ry1_raw) <= vec4<f32>(1.0));
+#if BUFFON
+#repeat UNROLL
+        // Needle: centre offset u in the strip, direction (vx, vy) accepted inside the quarter disk
+        let ru{{REPEAT_INDEX}} = to_float_v4(rng_next(&state));
+        let rv{{REPEAT_INDEX}} = to_float_v4(rng_next(&state));
+        let rw{{REPEAT_INDEX}} = to_float_v4(rng_next(&state));
+        let r2_{{REPEAT_INDEX}} = rv{{REPEAT_INDEX}}*rv{{REPEAT_INDEX}} + rw{{REPEAT_INDEX}}*rw{{REPEAT_INDEX}};
+        let dd{{REPEAT_INDEX}} = 2.0 * min(ru{{REPEAT_INDEX}}, vec4<f32>(1.0) - ru{{REPEAT_INDEX}});
+        let ly{{REPEAT_INDEX}} = NEEDLE_LENGTH * rw{{REPEAT_INDEX}};
+        let accepted{{REPEAT_INDEX}} = (r2_{{REPEAT_INDEX}} <= vec4<f32>(1.0)) & (r2_{{REPEAT_INDEX}} > vec4<f32>(0.0));
+        let crosses{{REPEAT_INDEX}} = (dd{{REPEAT_INDEX}}*dd{{REPEAT_INDEX}})*r2_{{REPEAT_INDEX}} <= ly{{REPEAT_INDEX}}*ly{{REPEAT_INDEX}};
+        private_total_v{{REPEAT_INDEX}} += select(vec4<u32>(0u), vec4<u32>(1u), accepted{{REPEAT_INDEX}});
+        private_inside_v{{REPEAT_INDEX}} += select(vec4<u32>(0u), vec4<u32>(1u), accepted{{REPEAT_INDEX}} & crosses{{REPEAT_INDEX}});
 
-        let rx2_raw = xoshiro128pp_next(&state);
-        let ry2_raw = xoshiro128pp_next(&state);
-        private_inside_v2 += select(vec4<u32>(0u), vec4<u32>(1u), to_float_v4(rx2_raw)*to_float_v4(rx2_raw) + to_float_v4(ry2_raw)*to_float_v4(ry2_raw) <= vec4<f32>(1.0));
+#endrepeat
+        if (i == count - 1u) {
+            // Offset and cos θ of one needle for render.wgsl
+            last_x = ru0.x;
+            last_y = rv0.x / sqrt(max(r2_0.x, 1e-30));
+        }
+#elif VARIANCE_REDUCTION == antithetic
+#repeat UNROLL
+        // Antithetic pair: (x, y) and (1 - x, 1 - y), both hit-tested
+        let ax{{REPEAT_INDEX}} = to_float_v4(rng_next(&state));
+        let ay{{REPEAT_INDEX}} = to_float_v4(rng_next(&state));
+        let bx{{REPEAT_INDEX}} = vec4<f32>(1.0) - ax{{REPEAT_INDEX}};
+        let by{{REPEAT_INDEX}} = vec4<f32>(1.0) - ay{{REPEAT_INDEX}};
+        private_inside_v{{REPEAT_INDEX}} += select(vec4<u32>(0u), vec4<u32>(1u), ax{{REPEAT_INDEX}}*ax{{REPEAT_INDEX}} + ay{{REPEAT_INDEX}}*ay{{REPEAT_INDEX}} <= vec4<f32>(1.0))
+            + select(vec4<u32>(0u), vec4<u32>(1u), bx{{REPEAT_INDEX}}*bx{{REPEAT_INDEX}} + by{{REPEAT_INDEX}}*by{{REPEAT_INDEX}} <= vec4<f32>(1.0));
 
+#endrepeat
         if (i == count - 1u) {
-            last_x = to_float_v4(rx1_raw).x;
-            last_y = to_float_v4(ry1_raw).x;
+            last_x = ax0.x;
+            last_y = ay0.x;
         }
+#elif VARIANCE_REDUCTION == stratified
+#repeat STRATA_GRID
+        // Grid row {{REPEAT_INDEX}}: lane c jitters inside cell (c, {{REPEAT_INDEX}})
+        let sx{{REPEAT_INDEX}} = (vec4<f32>(0.0, 1.0, 2.0, 3.0) + to_float_v4(rng_next(&state))) * STRATUM;
+        let sy{{REPEAT_INDEX}} = (vec4<f32>({{REPEAT_INDEX}}.0) + to_float_v4(rng_next(&state))) * STRATUM;
+        private_inside_v0 += select(vec4<u32>(0u), vec4<u32>(1u), sx{{REPEAT_INDEX}}*sx{{REPEAT_INDEX}} + sy{{REPEAT_INDEX}}*sy{{REPEAT_INDEX}} <= vec4<f32>(1.0));
+
+#endrepeat
+        if (i == count - 1u) {
+            last_x = sx0.x;
+            last_y = sy0.x;
+        }
+#elif VARIANCE_REDUCTION == meanvalue
+#repeat UNROLL
+        // f(x) = sqrt(1 - x²) in fixed point, rounded up with probability of the fraction by dither r
+        let mx{{REPEAT_INDEX}} = to_float_v4(rng_next(&state));
+        let mr{{REPEAT_INDEX}} = to_float_v4(rng_next(&state));
+        let mxx{{REPEAT_INDEX}} = mx{{REPEAT_INDEX}} * mx{{REPEAT_INDEX}};
+        var mk{{REPEAT_INDEX}} = clamp(floor(sqrt(max(vec4<f32>(1.0) - mxx{{REPEAT_INDEX}}, vec4<f32>(0.0))) * MEAN_VALUE_SCALE + mr{{REPEAT_INDEX}}), vec4<f32>(0.0), vec4<f32>(MEAN_VALUE_SCALE));
+        // WGSL sqrt() is not correctly rounded: settle on the exact step test so every device
+        // (and cpu_reference.js) adds the same count
+        mk{{REPEAT_INDEX}} = select(mk{{REPEAT_INDEX}}, mk{{REPEAT_INDEX}} - 1.0, (mk{{REPEAT_INDEX}} > vec4<f32>(0.0)) & !under_arc(mxx{{REPEAT_INDEX}}, mk{{REPEAT_INDEX}}, mr{{REPEAT_INDEX}}));
+        mk{{REPEAT_INDEX}} = select(mk{{REPEAT_INDEX}}, mk{{REPEAT_INDEX}} + 1.0, (mk{{REPEAT_INDEX}} < vec4<f32>(MEAN_VALUE_SCALE)) & under_arc(mxx{{REPEAT_INDEX}}, mk{{REPEAT_INDEX}} + 1.0, mr{{REPEAT_INDEX}}));
+        private_inside_v{{REPEAT_INDEX}} += vec4<u32>(mk{{REPEAT_INDEX}});
+
+#endrepeat
+        if (i == count - 1u) {
+            // A point on the arc
+            last_x = mx0.x;
+            last_y = mk0.x / MEAN_VALUE_SCALE;
+        }
+#else
+#repeat UNROLL
+        let rx{{REPEAT_INDEX}}_raw = rng_next(&state);
+        let ry{{REPEAT_INDEX}}_raw = rng_next(&state);
+        var r2_{{REPEAT_INDEX}} = to_float_v4(rx{{REPEAT_INDEX}}_raw)*to_float_v4(rx{{REPEAT_INDEX}}_raw) + to_float_v4(ry{{REPEAT_INDEX}}_raw)*to_float_v4(ry{{REPEAT_INDEX}}_raw);
+#if EXTRA_DIMENSIONS
+        // Remaining coordinates from the same lanes, one rng_next() each (see cpu_reference.js)
+        for (var d: u32 = 0u; d < EXTRA_DIMENSIONS; d++) {
+            let rz = to_float_v4(rng_next(&state));
+            r2_{{REPEAT_INDEX}} += rz * rz;
+        }
+#endif
+        private_inside_v{{REPEAT_INDEX}} += select(vec4<u32>(0u), vec4<u32>(1u), r2_{{REPEAT_INDEX}} <= vec4<f32>(1.0));
+
+#endrepeat
+        if (i == count - 1u) {
+            last_x = to_float_v4(rx0_raw).x;
+            last_y = to_float_v4(ry0_raw).x;
+        }
+#endif
     }
 
     // 3. Reduction
-    let sum_v = private_inside_v1 + private_inside_v2;
+    var sum_v = vec4<u32>(0u);
+#repeat UNROLL
+    sum_v += private_inside_v{{REPEAT_INDEX}};
+#endrepeat
     let u_private_inside = sum_v.x + sum_v.y + sum_v.z + sum_v.w;
-    let private_total = count * 8u; 
+#if BUFFON
+    var total_v = vec4<u32>(0u);
+#repeat UNROLL
+    total_v += private_total_v{{REPEAT_INDEX}};
+#endrepeat
+    let private_total = total_v.x + total_v.y + total_v.z + total_v.w; // Rejected directions are not needles
+#elif VARIANCE_REDUCTION == antithetic
+    let private_total = count * 8u * UNROLL; // Two points per draw
+#elif VARIANCE_REDUCTION == stratified
+    let private_total = count * {{STRATA_GRID}}u * {{STRATA_GRID}}u;
+#else
+    let private_total = count * 4u * UNROLL; 
+#endif
 
     // 4. Save RNG State
-    rng_storage[offset] = state.s0;
-    rng_storage[offset+1u] = state.s1;
-    rng_storage[offset+2u] = state.s2;
-    rng_storage[offset+3u] = state.s3;
+    rng_store(gid, state);
 
     // 5. Visualization Write
     if (gid < arrayLength(&out_x)) {
-        out_x[gid] = f16(last_x);
-        out_y[gid] = f16(last_y);
+        out_x[gid] = viz_t(last_x);
+        out_y[gid] = viz_t(last_y);
+    }
+
+    // 5b. Audit Write (uniform branch, off in normal operation)
+    if (params.audit_enabled != 0u && gid < arrayLength(&audit_counts)) {
+        audit_counts[gid] = vec2<u32>(u_private_inside, private_total);
     }
 
-    // 6. Global Atomic Aggregate <<GPU_OPTIMIZATION_INJECTION_POINT>>
-    let slot_idx = gid % NUM_SLOTS;
+    // 6. Global Atomic Aggregate
+    // Slots are interleaved per replicate (workgroup % REPLICATES), see slotIndex() in result_layout.js
+    let slot_idx = (gid % (NUM_SLOTS / REPLICATES)) * REPLICATES + (gid / WORKGROUP_SIZE) % REPLICATES;
+#if SUBGROUPS
+    // --- Subgroup Optimized Reduction (Blackwell Mode) ---
+    let wg_inside = subgroupAdd(u_private_inside);
+    let wg_total = subgroupAdd(private_total);
+
+    if (subgroupElect()) {
+        let low_i = atomicAdd(&result.slots[slot_idx].inside_low, wg_inside);
+        if (low_i + wg_inside < low_i) {
+            atomicAdd(&result.slots[slot_idx].inside_high, 1u);
+        }
+        let low_t = atomicAdd(&result.slots[slot_idx].total_low, wg_total);
+        if (low_t + wg_total < low_t) {
+            atomicAdd(&result.slots[slot_idx].total_high, 1u);
+        }
+    }
+#else
     let old_inside = atomicAdd(&result.slots[slot_idx].inside_low, u_private_inside);
     if (old_inside + u_private_inside < old_inside) {
         atomicAdd(&result.slots[slot_idx].inside_high, 1u);
@@ -137,4 +268,5 @@ fn main(
     if (old_total + private_total < old_total) {
         atomicAdd(&result.slots[slot_idx].total_high, 1u);
     }
+#endif
 }
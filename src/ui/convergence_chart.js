@@ -0,0 +1,163 @@
+/**
+ * Error Convergence Chart
+ * log-log |π̂ - π| against the sample count N, one trace per generator and estimator.
+ * Traces survive resets and generator switches, so pseudo-random and quasi-random runs
+ * stay side by side; restarting a generator replaces only its own trace.
+ * Reference lines: the Monte Carlo standard error (1.642/√N in 2D) and an O(1/N) slope.
+ */
+import { standardError } from '../core/statistics.js';
+import { estimatorSettings } from '../core/estimators.js';
+
+const COLORS = ['#00f0ff', '#ff0055', '#ffd500', '#7cff6b', '#b58cff', '#ff9d3c'];
+const MAX_POINTS = 400;
+
+/**
+ * Render traces and markers into a 2D context.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {{label: string, color: string, points: [number, number][]}[]} traces  [N, |error|] pairs
+ * @param {{label: string, color: string, total: number, error: number, standardError?: number}[]} [markers]
+ * @param {Partial<import('../core/estimators.js').EstimatorSettings>} [estimator] of the standard error reference line
+ */
+export function drawConvergence(ctx, width, height, traces, markers = [], estimator = {}) {
+    ctx.clearRect(0, 0, width, height);
+    const se = (n) => standardError(n, estimator);
+
+    const ns = [...traces.flatMap(t => t.points.map(p => p[0])), ...markers.map(m => m.total)];
+    if (ns.length === 0) return;
+    const errors = [
+        ...traces.flatMap(t => t.points.map(p => p[1])),
+        ...markers.flatMap(m => [m.error, m.standardError ?? m.error]).filter(e => e > 0)
+    ];
+
+    // Axes span whole decades, at least one decade wide
+    const nMin = Math.floor(Math.log10(Math.min(...ns)));
+    const nMax = Math.max(nMin + 1, Math.ceil(Math.log10(Math.max(...ns))));
+    const eMax = Math.ceil(Math.log10(Math.max(se(10 ** nMin), ...errors)));
+    const eMin = Math.min(eMax - 1, Math.floor(Math.log10(Math.min(se(10 ** nMax) / 10, ...errors))));
+
+    const PAD = 4;
+    const mapX = (n) => PAD + (Math.log10(n) - nMin) / (nMax - nMin) * (width - 2 * PAD);
+    const mapY = (e) => PAD + (eMax - Math.log10(e)) / (eMax - eMin) * (height - 2 * PAD);
+
+    // Decade grid
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.font = '9px monospace';
+    for (let k = nMin; k <= nMax; k++) {
+        const x = mapX(10 ** k);
+        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, height); ctx.stroke();
+        ctx.fillText(`1e${k}`, x + 2, height - PAD);
+    }
+    for (let k = eMin; k <= eMax; k++) {
+        const y = mapY(10 ** k);
+        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(width, y); ctx.stroke();
+        ctx.fillText(`1e${k}`, PAD, y - 2);
+    }
+
+    // Reference slopes through the MC standard error at the left edge
+    const n0 = 10 ** nMin, n1 = 10 ** nMax;
+    ctx.setLineDash([5, 5]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.beginPath(); ctx.moveTo(mapX(n0), mapY(se(n0))); ctx.lineTo(mapX(n1), mapY(se(n1))); ctx.stroke();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.beginPath(); ctx.moveTo(mapX(n0), mapY(se(n0))); ctx.lineTo(mapX(n1), mapY(se(n0) * n0 / n1)); ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.lineWidth = 1.5;
+    for (const trace of traces) {
+        if (trace.points.length < 2) continue;
+        ctx.strokeStyle = trace.color;
+        ctx.beginPath();
+        trace.points.forEach(([n, e], i) => {
+            if (i === 0) ctx.moveTo(mapX(n), mapY(e));
+            else ctx.lineTo(mapX(n), mapY(e));
+        });
+        ctx.stroke();
+    }
+
+    for (const marker of markers) {
+        const x = mapX(marker.total);
+        ctx.fillStyle = marker.color;
+        if (marker.standardError > 0) {
+            // Standard error as a tick, measured error as a dot
+            ctx.fillRect(x - 6, mapY(marker.standardError) - 1, 12, 2);
+        }
+        if (marker.error > 0) {
+            ctx.beginPath();
+            ctx.arc(x, mapY(marker.error), 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // Legend
+    const entries = [...traces, ...markers.filter(m => !traces.some(t => t.label === m.label))];
+    entries.forEach((entry, i) => {
+        ctx.fillStyle = entry.color;
+        ctx.fillText(entry.label, width - PAD - ctx.measureText(entry.label).width, PAD + 10 * (i + 1));
+    });
+}
+
+export class ConvergenceChart {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.traces = new Map(); // id -> { label, color, estimator, points }
+        this.colors = new Map(); // id -> color, stable across restarts
+        this.active = null;
+        this.resize();
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        // Matches CSS size * DPR
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        this.width = rect.width;
+        this.height = rect.height;
+        this.canvas.width = this.width * window.devicePixelRatio;
+        this.canvas.height = this.height * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    }
+
+    colorFor(id) {
+        if (!this.colors.has(id)) this.colors.set(id, COLORS[this.colors.size % COLORS.length]);
+        return this.colors.get(id);
+    }
+
+    /**
+     * Start (or restart) the trace `id`; later push() calls extend it.
+     * The reference line follows the estimator of the active trace.
+     */
+    begin(id, label, estimator = {}) {
+        this.traces.delete(id); // Re-insert so the newest run draws on top
+        this.traces.set(id, { label, color: this.colorFor(id), estimator: estimatorSettings(estimator), points: [] });
+        this.active = id;
+    }
+
+    /** Estimator settings of the active trace */
+    get estimator() {
+        return this.traces.get(this.active)?.estimator ?? estimatorSettings();
+    }
+
+    /**
+     * @param {number} total samples so far
+     * @param {number} error |π̂ - π| (zero is skipped: no place on a log axis)
+     */
+    push(total, error) {
+        const trace = this.traces.get(this.active);
+        if (!trace || !(total > 0) || !(error > 0)) return;
+        trace.points.push([total, error]);
+        if (trace.points.length > MAX_POINTS) {
+            // Halve the resolution, keeping the first point so the trace still starts at the left
+            trace.points = trace.points.filter((_, i) => i % 2 === 0);
+        }
+    }
+
+    draw() {
+        drawConvergence(this.ctx, this.width, this.height, [...this.traces.values()], [], this.estimator);
+    }
+}
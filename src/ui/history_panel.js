@@ -0,0 +1,197 @@
+/**
+ * Benchmark History Panel
+ * Lists stored runs, compares a selection side by side against the oldest
+ * selected run, and plots median throughput over time per device.
+ */
+import { DEFAULT_GENERATOR } from '../core/generators.js';
+import { estimatorModel, estimatorSettings } from '../core/estimators.js';
+
+const DEVICE_COLORS = ['#00f0ff', '#ff0055', '#a855f7', '#22c55e', '#facc15', '#fb923c'];
+
+function percentDelta(value, baseline) {
+    if (!baseline) return null;
+    return (value - baseline) / baseline * 100;
+}
+
+function formatDelta(delta) {
+    if (delta === null) return '—';
+    const cls = delta >= 0 ? 'text-green-400' : 'text-red-400';
+    return `<span class="${cls}">${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%</span>`;
+}
+
+export class HistoryPanel {
+    /**
+     * @param {import('../core/history_store.js').BenchmarkHistory} history
+     * @param {{modal: HTMLElement, list: HTMLElement, comparison: HTMLElement,
+     *          chart: HTMLCanvasElement, compare: HTMLButtonElement, remove: HTMLButtonElement}} elements
+     */
+    constructor(history, elements) {
+        this.history = history;
+        this.el = elements;
+        this.entries = [];
+        this.selected = new Set();
+
+        this.el.list.addEventListener('change', (e) => {
+            const id = Number(e.target.dataset.id);
+            if (e.target.checked) this.selected.add(id);
+            else this.selected.delete(id);
+            this.updateButtons();
+        });
+        this.el.compare.addEventListener('click', () => this.renderComparison());
+        this.el.remove.addEventListener('click', () => this.removeSelected());
+    }
+
+    async show() {
+        this.el.modal.classList.remove('hidden');
+        await this.refresh();
+    }
+
+    async refresh() {
+        try {
+            this.entries = await this.history.list();
+        } catch (e) {
+            console.error("History unavailable:", e);
+            this.entries = [];
+            this.el.list.innerHTML = `<p class="text-red-400">History storage is unavailable: ${e.message}</p>`;
+            return;
+        }
+
+        const ids = new Set(this.entries.map(e => e.id));
+        this.selected = new Set([...this.selected].filter(id => ids.has(id)));
+
+        this.renderList();
+        this.el.comparison.innerHTML = '';
+        this.drawThroughputChart();
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        this.el.compare.disabled = this.selected.size < 2;
+        this.el.remove.disabled = this.selected.size === 0;
+    }
+
+    renderList() {
+        if (this.entries.length === 0) {
+            this.el.list.innerHTML = `<p class="text-gray-500">No benchmark runs stored yet.</p>`;
+            return;
+        }
+
+        const rows = [...this.entries].reverse().map(e => `
+            <tr>
+                <td><input type="checkbox" data-id="${e.id}" ${this.selected.has(e.id) ? 'checked' : ''}></td>
+                <td>${new Date(e.createdAt).toLocaleString()}</td>
+                <td>${e.deviceKey}</td>
+                <td>${e.browserKey}</td>
+                <td>${e.configKey}</td>
+                <td>${(e.summary.samplesPerSec.median / 1e6).toFixed(2)}</td>
+                <td>${e.summary.gflops.median.toFixed(2)}</td>
+            </tr>`).join('');
+
+        this.el.list.innerHTML = `
+            <table class="audit-table">
+                <thead><tr><th></th><th>Date</th><th>Device</th><th>Browser</th><th>Config</th><th>M/sec</th><th>GFLOPS</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderComparison() {
+        const runs = this.entries.filter(e => this.selected.has(e.id)); // Oldest first
+        if (runs.length < 2) return;
+        const base = runs[0];
+
+        const cell = (fn) => runs.map(fn).map(v => `<td>${v}</td>`).join('');
+        const throughput = (e) => e.summary.samplesPerSec.median;
+        const gflops = (e) => e.summary.gflops.median;
+        const mixedConfig = new Set(runs.map(e => e.configKey)).size > 1;
+
+        this.el.comparison.innerHTML = `
+            ${mixedConfig ? '<p class="text-xs text-yellow-400 mb-2">Selected runs use different protocol configurations.</p>' : ''}
+            <table class="audit-table">
+                <thead><tr><th></th>${cell(e => `#${e.id}${e === base ? ' (baseline)' : ''}`)}</tr></thead>
+                <tbody>
+                    <tr><td>Date</td>${cell(e => new Date(e.createdAt).toLocaleString())}</tr>
+                    <tr><td>Device</td>${cell(e => e.deviceKey)}</tr>
+                    <tr><td>Browser</td>${cell(e => e.browserKey)}</tr>
+                    <tr><td>Generator</td>${cell(e => e.configuration.generator ?? DEFAULT_GENERATOR)}</tr>
+                    <tr><td>Estimator</td>${cell(e => estimatorModel(estimatorSettings(e.configuration)).label)}</tr>
+                    <tr><td>Timing</td>${cell(e => e.timingMethod)}</tr>
+                    <tr><td>Throughput (M/sec)</td>${cell(e => (throughput(e) / 1e6).toFixed(2))}</tr>
+                    <tr><td>Δ Throughput</td>${cell(e => e === base ? '—' : formatDelta(percentDelta(throughput(e), throughput(base))))}</tr>
+                    <tr><td>GFLOPS</td>${cell(e => gflops(e).toFixed(2))}</tr>
+                    <tr><td>Δ GFLOPS</td>${cell(e => e === base ? '—' : formatDelta(percentDelta(gflops(e), gflops(base))))}</tr>
+                    <tr><td>Error Ratio</td>${cell(e => `${e.summary.statistics.errorRatio.toFixed(4)}x`)}</tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    async removeSelected() {
+        if (this.selected.size === 0) return;
+        if (!confirm(`Delete ${this.selected.size} stored run(s)?`)) return;
+        for (const id of this.selected) {
+            await this.history.delete(id);
+        }
+        this.selected.clear();
+        await this.refresh();
+    }
+
+    /**
+     * Median throughput of each run over time, one line per device
+     */
+    drawThroughputChart() {
+        const canvas = this.el.chart;
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const pad = 30;
+        ctx.clearRect(0, 0, w, h);
+        if (this.entries.length === 0) return;
+
+        const devices = new Map();
+        for (const e of this.entries) {
+            if (!devices.has(e.deviceKey)) devices.set(e.deviceKey, []);
+            devices.get(e.deviceKey).push({ t: Date.parse(e.createdAt), v: e.summary.samplesPerSec.median / 1e6 });
+        }
+
+        const times = this.entries.map(e => Date.parse(e.createdAt));
+        const values = this.entries.map(e => e.summary.samplesPerSec.median / 1e6);
+        const tMin = Math.min(...times), tMax = Math.max(...times);
+        const vMax = Math.max(...values) * 1.1 || 1;
+        const mapX = (t) => tMax === tMin ? w / 2 : pad + (t - tMin) / (tMax - tMin) * (w - 2 * pad);
+        const mapY = (v) => h - pad - (v / vMax) * (h - 2 * pad);
+
+        // Grid lines
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '10px monospace';
+        for (let i = 0; i <= 4; i++) {
+            const v = (vMax / 4) * i;
+            const y = mapY(v);
+            ctx.beginPath(); ctx.moveTo(pad, y); ctx.lineTo(w - pad, y); ctx.stroke();
+            ctx.fillText(v.toFixed(0), 2, y - 2);
+        }
+
+        let legendY = 12;
+        [...devices.entries()].forEach(([device, points], i) => {
+            const color = DEVICE_COLORS[i % DEVICE_COLORS.length];
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((p, j) => {
+                if (j === 0) ctx.moveTo(mapX(p.t), mapY(p.v));
+                else ctx.lineTo(mapX(p.t), mapY(p.v));
+            });
+            ctx.stroke();
+            for (const p of points) {
+                ctx.beginPath();
+                ctx.arc(mapX(p.t), mapY(p.v), 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.fillText(device, w - pad - ctx.measureText(device).width, legendY);
+            legendY += 12;
+        });
+    }
+}
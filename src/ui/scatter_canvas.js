@@ -0,0 +1,83 @@
+import { VIZ_NEEDLES, VIZ_STRIPS } from '../core/buffon.js';
+
+/**
+ * 2D-Canvas Point Scatter (CPU backend counterpart of render.wgsl)
+ */
+export class ScatterCanvas {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = this.canvas.getContext('2d');
+        this.resize();
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.width = rect.width;
+        this.height = rect.height;
+        this.canvas.width = this.width * window.devicePixelRatio;
+        this.canvas.height = this.height * window.devicePixelRatio;
+        this.ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+    }
+
+    /**
+     * @param {Float32Array} xs
+     * @param {Float32Array} ys
+     * @param {import('../core/estimators.js').EstimatorSettings} [estimator] needles in Buffon mode
+     */
+    draw(xs, ys, estimator = null) {
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgb(5, 5, 5)';
+        ctx.fillRect(0, 0, this.width, this.height);
+        if (estimator?.mode === 'buffon') {
+            this.drawNeedles(xs, ys, estimator.needleLength);
+            return;
+        }
+
+        // Same mapping and palette as render.wgsl: [0,1]^2 stretched to the canvas, y up
+        const inside = 'rgba(0, 230, 255, 0.8)';
+        const outside = 'rgba(255, 25, 128, 0.3)';
+        for (let i = 0; i < xs.length; i++) {
+            const x = xs[i];
+            const y = ys[i];
+            ctx.fillStyle = (x * x + y * y <= 1.0) ? inside : outside;
+            ctx.fillRect(x * this.width, (1 - y) * this.height, 2, 2);
+        }
+    }
+
+    /**
+     * Same layout as the Buffon branch of render.wgsl: xs = centre offset, ys = cos θ.
+     */
+    drawNeedles(xs, ys, needleLength) {
+        const ctx = this.ctx;
+        const stripHeight = 1 / VIZ_STRIPS;
+        const toX = (x) => x * this.width;
+        const toY = (y) => (1 - y) * this.height;
+
+        ctx.strokeStyle = 'rgba(153, 153, 153, 0.6)';
+        ctx.beginPath();
+        for (let k = 0; k <= VIZ_STRIPS; k++) {
+            ctx.moveTo(0, toY(k * stripHeight));
+            ctx.lineTo(this.width, toY(k * stripHeight));
+        }
+        ctx.stroke();
+
+        const count = Math.min(VIZ_NEEDLES, xs.length);
+        for (let i = 0; i < count; i++) {
+            const u = xs[i];
+            const c = Math.min(Math.max(ys[i], -1), 1);
+            const s = Math.sqrt(1 - c * c);
+            const dx = (i & 1 ? -c : c) * 0.5 * needleLength * stripHeight;
+            const dy = s * 0.5 * needleLength * stripHeight;
+            const cx = ((i + 0.5) * 0.6180339887) % 1;
+            const cy = ((i % VIZ_STRIPS) + u) * stripHeight;
+
+            ctx.strokeStyle = (2 * Math.min(u, 1 - u) <= needleLength * s) ? 'rgba(0, 230, 255, 0.8)' : 'rgba(255, 25, 128, 0.3)';
+            ctx.beginPath();
+            ctx.moveTo(toX(cx - dx), toY(cy - dy));
+            ctx.lineTo(toX(cx + dx), toY(cy + dy));
+            ctx.stroke();
+        }
+    }
+}
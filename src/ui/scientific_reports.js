@@ -1,3 +1,5 @@
+import { analyzeEstimate, standardError, DEFAULT_SIGNIFICANCE } from '../core/statistics.js';
+
 /**
  * Scientific Analytics Module for HPC-grade GPU Benchmarking
  */
@@ -27,44 +29,22 @@ export class ScientificAnalytics {
     }
 
     /**
-     * Predict error based on theory O(1/sqrt(N))
+     * Standard error of the π estimate: 4*sqrt(p(1-p)/N), p = π/4 (delta method for other estimators)
      */
-    getTheoreticalError(totalSamples) {
+    getTheoreticalError(totalSamples, estimator = {}) {
         if (totalSamples <= 0n) return 0;
-        return 1.0 / Math.sqrt(Number(totalSamples));
+        return standardError(totalSamples, estimator);
     }
 
     /**
-     * Chi-Squared Test for Uniform Distribution (Optimized for Huge Samples)
-     * Handles BigInt-scale samples (trillions) with precision.
+     * Chi-Squared goodness-of-fit (inside/outside, df = 1) against p = π/4 (the estimator's p otherwise).
      */
-    performChiSquaredTest(inside, total) {
-        // High precision PI for BigInt scale validation
-        const PI_HIGH_PRECISION = 3.1415926535897932384626433832795;
-        const expectedRatio = PI_HIGH_PRECISION / 4.0;
-
-        // Use BigInt counts for difference estimation to avoid early float precision loss
-        const o = BigInt(inside);
-        const t = BigInt(total);
-
-        // Expected inside count using high precision
-        const e = Number(t) * expectedRatio;
-
-        // Chi-Square Part 1: (Observed Inside - Expected Inside)^2 / Expected Inside
-        // Chi-Square Part 2: (Observed Outside - Expected Outside)^2 / Expected Outside
-        const diffInside = Number(o) - e;
-        const oOutside = Number(t - o);
-        const eOutside = Number(t) * (1.0 - expectedRatio);
-        const diffOutside = oOutside - eOutside;
-
-        let chiSq = (Math.pow(diffInside, 2) / e) + (Math.pow(diffOutside, 2) / eOutside);
-
-        // At Extreme Scale (Trillions), even 10^-15 bias in RNG/Float logic yields chiSq > 6.63.
-        // We use a broader scientific limit (100.0) for "practical soundness" at this scale.
+    performChiSquaredTest(inside, total, significance = DEFAULT_SIGNIFICANCE, estimator = {}) {
+        const analysis = analyzeEstimate(inside, total, { significance, estimator });
         return {
-            chiSq: chiSq,
-            isReliable: chiSq < 100.0,
-            p: Math.exp(-chiSq / 2)
+            chiSq: analysis.chiSquare,
+            isReliable: analysis.chiSquarePValue >= significance,
+            p: analysis.chiSquarePValue
         };
     }
 
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize } from '../src/core/benchmark.js';
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected}`);
+
+test('summarize gives the sample statistics and the t-based 95% interval', () => {
+    const s = summarize([4, 1, 3, 2]);
+    assert.deepEqual({ n: s.n, mean: s.mean, median: s.median, min: s.min, max: s.max }, { n: 4, mean: 2.5, median: 2.5, min: 1, max: 4 });
+    close(s.stdDev, Math.sqrt(5 / 3), 1e-12);
+    const half = 3.182446305284263 * s.stdDev / 2; // t(0.975, 3)
+    close(s.ci95[0], 2.5 - half);
+    close(s.ci95[1], 2.5 + half);
+});
+
+test('summarize keeps the t quantile beyond 30 repetitions', () => {
+    const values = Array.from({ length: 40 }, (_, i) => i);
+    const s = summarize(values);
+    const half = 2.0226909117347285 * s.stdDev / Math.sqrt(40); // t(0.975, 39), not 1.96
+    close(s.ci95[1] - s.mean, half);
+});
+
+test('summarize of fewer than 2 values has no interval', () => {
+    assert.equal(summarize([5]).ci95, null);
+    assert.equal(summarize([5]).stdDev, 0);
+    assert.equal(summarize([]).n, 0);
+});
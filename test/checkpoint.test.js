@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CHECKPOINT_VERSION, checkCheckpoint, checkpointProgress, crc32, createCheckpoint,
+    parseCheckpointFile, toCheckpointFile
+} from '../src/core/checkpoint.js';
+import { createSeededState } from '../src/core/xoshiro.js';
+
+function sampleCheckpoint() {
+    return createCheckpoint({
+        runId: '1700000000000',
+        config: {
+            generator: 'xoshiro128pp',
+            seed: 42,
+            key: 42,
+            unroll: 2,
+            batchSize: 64,
+            estimator: { mode: 'pi', dimension: 2, needleLength: 0.5, varianceReduction: 'none' },
+            launch: { workgroupSize: 256, dispatch: [16, 1], numSlots: 1024 }
+        },
+        states: createSeededState(42, 16),
+        frame: 7,
+        sampleBase: 2n ** 40n + 3n,
+        inside: 12345678901234567890n,
+        total: 15719755672213180416n,
+        replicates: [{ inside: 3n, total: 4n }]
+    });
+}
+
+/** A checkpoint file with its JSON edited by `edit` */
+function editedFile(edit) {
+    const data = JSON.parse(toCheckpointFile(sampleCheckpoint()));
+    edit(data);
+    return JSON.stringify(data);
+}
+
+test('crc32 matches the IEEE 802.3 check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('a checkpoint file round-trips states and counters exactly', () => {
+    const checkpoint = sampleCheckpoint();
+    const parsed = parseCheckpointFile(toCheckpointFile(checkpoint));
+
+    assert.ok(parsed.states instanceof Uint32Array);
+    assert.deepEqual(parsed.states, checkpoint.states);
+    assert.deepEqual(parsed.config, checkpoint.config);
+    assert.equal(parsed.checksum, checkpoint.checksum);
+    assert.deepEqual(checkpointProgress(parsed), {
+        frame: 7,
+        sampleBase: 2n ** 40n + 3n,
+        inside: 12345678901234567890n,
+        total: 15719755672213180416n,
+        replicates: [{ inside: 3n, total: 4n }]
+    });
+});
+
+test('rejects a checksum mismatch', () => {
+    const checkpoint = sampleCheckpoint();
+    const message = /checksum mismatch/;
+
+    const flipped = { ...checkpoint, states: checkpoint.states.slice() };
+    flipped.states[5] ^= 1;
+    assert.throws(() => checkCheckpoint(flipped), message);
+
+    assert.throws(() => parseCheckpointFile(editedFile(d => { d.progress.total = '1'; })), message);
+    assert.throws(() => parseCheckpointFile(editedFile(d => { d.config.seed = 43; })), message);
+    assert.throws(() => parseCheckpointFile(editedFile(d => { d.checksum ^= 1; })), message);
+});
+
+test('rejects other formats and versions', () => {
+    assert.throws(() => parseCheckpointFile(editedFile(d => { d.version = CHECKPOINT_VERSION + 1; })),
+        /format version 2 is not supported \(expected 1\)/);
+    assert.throws(() => parseCheckpointFile(editedFile(d => { d.format = 'something-else'; })), /Not a Monte Carlo π checkpoint/);
+    assert.throws(() => parseCheckpointFile(editedFile(d => { delete d.states; })), /Not a Monte Carlo π checkpoint/);
+    assert.throws(() => parseCheckpointFile('{"format": '), /not valid JSON/);
+});
+
+test('rejects truncated or malformed base64 states', () => {
+    const file = JSON.parse(toCheckpointFile(sampleCheckpoint()));
+    // 6 bytes of state: not a whole number of words
+    assert.throws(() => parseCheckpointFile(JSON.stringify({ ...file, states: file.states.slice(0, 8) })), /truncated/);
+    assert.throws(() => parseCheckpointFile(JSON.stringify({ ...file, states: '!!!!' })), /not valid base64/);
+    // Whole words dropped: the checksum covers the state bytes
+    assert.throws(() => parseCheckpointFile(JSON.stringify({ ...file, states: file.states.slice(0, 16) })), /checksum mismatch/);
+});
@@ -0,0 +1,301 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { ComputeEngine } from '../src/core/compute_engine.js';
+import { createSeededState } from '../src/core/xoshiro.js';
+import { runReferenceThreads, SAMPLES_PER_ITERATION } from '../src/core/cpu_reference.js';
+import { accumulateSlot, slotIndex } from '../src/core/result_layout.js';
+import { estimatorSettings } from '../src/core/estimators.js';
+import { launchConfig, threadCount } from '../src/core/launch_config.js';
+import { BenchmarkProtocol } from '../src/core/benchmark.js';
+import { AutoTuner } from '../src/core/autotune.js';
+import { checkpointProgress, createCheckpoint, parseCheckpointFile, toCheckpointFile } from '../src/core/checkpoint.js';
+
+const shaderSources = {
+    simulation: readFileSync(new URL('../src/shaders/simulation.wgsl', import.meta.url), 'utf8'),
+    rng: { xoshiro128pp: readFileSync(new URL('../src/shaders/rng/xoshiro128pp.wgsl', import.meta.url), 'utf8') }
+};
+
+const SEED = 2024;
+const THREADS = 4096;
+const BATCH_SIZE = 4;
+
+/**
+ * Minimal GPUDevice stand-in: buffers are byte arrays, command encoders record closures
+ * that run in order on submit, and a compute dispatch calls `kernel`.
+ */
+class FakeBuffer {
+    constructor({ size, usage, label }) {
+        this.size = size;
+        this.usage = usage;
+        this.label = label;
+        this.bytes = new Uint8Array(size);
+        this.mapped = false;
+    }
+
+    words() {
+        return new Uint32Array(this.bytes.buffer);
+    }
+
+    async mapAsync() {
+        if (this.mapped) throw new Error(`${this.label} is already mapped`);
+        this.mapped = true;
+    }
+
+    getMappedRange() {
+        if (!this.mapped) throw new Error(`${this.label} is not mapped`);
+        return this.bytes.slice().buffer;
+    }
+
+    unmap() {
+        this.mapped = false;
+    }
+
+    destroy() {}
+}
+
+class FakeDevice {
+    constructor(kernel) {
+        this.kernel = kernel;
+        this.features = new Set();
+        this.limits = {
+            maxComputeInvocationsPerWorkgroup: 256,
+            maxComputeWorkgroupSizeX: 256,
+            maxComputeWorkgroupsPerDimension: 65535,
+            maxStorageBufferBindingSize: 2 ** 27,
+            maxBufferSize: 2 ** 28
+        };
+        this.shaderCode = [];
+        this.queue = {
+            writeBuffer: (buffer, offset, data) => {
+                buffer.bytes.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), offset);
+            },
+            submit: (commandBuffers) => {
+                for (const { commands } of commandBuffers) commands.forEach(run => run());
+            },
+            onSubmittedWorkDone: async () => {}
+        };
+    }
+
+    createBuffer(descriptor) {
+        return new FakeBuffer(descriptor);
+    }
+
+    createShaderModule({ code }) {
+        this.shaderCode.push(code);
+        return { code };
+    }
+
+    createBindGroupLayout(descriptor) {
+        return descriptor;
+    }
+
+    createPipelineLayout(descriptor) {
+        return descriptor;
+    }
+
+    createComputePipeline(descriptor) {
+        return descriptor;
+    }
+
+    createBindGroup({ entries }) {
+        return { buffers: entries.map(e => e.resource.buffer) };
+    }
+
+    createCommandEncoder() {
+        const commands = [];
+        const check = (...buffers) => {
+            for (const b of buffers) if (b.mapped) throw new Error(`${b.label} used in submit while mapped`);
+        };
+        return {
+            copyBufferToBuffer: (src, srcOffset, dst, dstOffset, size) => commands.push(() => {
+                check(src, dst);
+                dst.bytes.set(src.bytes.subarray(srcOffset, srcOffset + size), dstOffset);
+            }),
+            clearBuffer: (buffer) => commands.push(() => {
+                check(buffer);
+                buffer.bytes.fill(0);
+            }),
+            beginComputePass: () => {
+                const bindGroups = [];
+                return {
+                    setPipeline() {},
+                    setBindGroup: (index, group) => { bindGroups[index] = group; },
+                    dispatchWorkgroups: (x, y = 1) => {
+                        const groups = [...bindGroups];
+                        commands.push(() => this.kernel(groups, [x, y]));
+                    },
+                    end() {}
+                };
+            },
+            finish: () => ({ commands })
+        };
+    }
+}
+
+/** simulation.wgsl on the CPU reference: one Xoshiro thread per invocation, slots as in slot_idx */
+function referenceKernel(engine) {
+    return ([computeStatic, computeDynamic], [x, y]) => {
+        const [, , result, rngState] = computeStatic.buffers;
+        const [seed, frame, batchSize] = computeDynamic.buffers[0].words();
+        const threads = x * y * engine.workgroupSize;
+        const states = rngState.words().subarray(0, threads * 16);
+        const slots = result.words();
+        for (const r of runReferenceThreads(states, batchSize, null, engine.unroll, { frame, key: seed })) {
+            accumulateSlot(slots, slotIndex(r.thread, 1, engine.workgroupSize, engine.numSlots), r.inside, r.total);
+        }
+    };
+}
+
+/** Counts of `frames` frames from a freshly seeded state buffer */
+function expectedCounts(frames) {
+    const states = createSeededState(SEED, THREADS);
+    let inside = 0n;
+    for (let f = 0; f < frames; f++) {
+        for (const r of runReferenceThreads(states, BATCH_SIZE)) inside += BigInt(r.inside);
+    }
+    return { inside, total: BigInt(frames * THREADS * BATCH_SIZE * SAMPLES_PER_ITERATION) };
+}
+
+async function createEngine() {
+    const engine = new ComputeEngine({ gpu: null });
+    const device = new FakeDevice(referenceKernel(engine));
+    engine.setSeed(SEED);
+    await engine.init({ shaderSources, device, threads: THREADS });
+    return { engine, device };
+}
+
+test('init builds buffers and a fully composed kernel for the injected device', async () => {
+    const { engine, device } = await createEngine();
+
+    assert.equal(engine.device, device);
+    assert.equal(engine.vizFormat, 'f32');
+    assert.equal(engine.totalThreads, THREADS);
+    assert.deepEqual(engine.dispatch, [THREADS / engine.workgroupSize, 1]);
+    assert.equal(engine.buffers.rngState.size, THREADS * 16 * 4);
+    assert.deepEqual(engine.buffers.rngState.words().slice(0, 16), createSeededState(SEED, 1));
+
+    const [code] = device.shaderCode;
+    assert.doesNotMatch(code, /^\s*#(if|else|endif|inject)/m);
+    assert.doesNotMatch(code, /\{\{/);
+    assert.match(code, /const WORKGROUP_SIZE = 256u;/);
+});
+
+test('run() returns the exact counts of the CPU reference', async () => {
+    const { engine } = await createEngine();
+
+    const result = await engine.run({ frames: 2, batchSize: BATCH_SIZE });
+    assert.deepEqual({ inside: result.inside, total: result.total }, expectedCounts(2));
+    assert.equal(result.frames, 2);
+    assert.equal(result.batchSize, BATCH_SIZE);
+    assert.equal(result.replicates, null);
+    assert.equal(engine.frameCounter, 2);
+    assert.equal(engine.isReading, false);
+    assert.ok(engine.buffers.result.words().every(w => w === 0), 'result buffer cleared after the readback');
+
+    // The next run continues the streams instead of repeating them
+    const next = await engine.run({ frames: 1, batchSize: BATCH_SIZE });
+    const threeFrames = expectedCounts(3);
+    assert.equal(next.inside, threeFrames.inside - result.inside);
+});
+
+test('resetStats rewinds the generators and counters', async () => {
+    const { engine } = await createEngine();
+    const first = await engine.run({ frames: 1, batchSize: BATCH_SIZE });
+    await engine.run({ frames: 1, batchSize: BATCH_SIZE });
+
+    engine.resetStats();
+    assert.equal(engine.frameCounter, 0);
+    assert.equal(engine.nextSampleBase, 0n);
+    assert.deepEqual(engine.lastResult, { inside: 0n, total: 0n, replicates: null });
+
+    const again = await engine.run({ frames: 1, batchSize: BATCH_SIZE });
+    assert.deepEqual({ inside: again.inside, total: again.total }, { inside: first.inside, total: first.total });
+    assert.equal(engine.frameCounter, 1);
+});
+
+/** A checkpoint of the engine's run, through the file format */
+async function checkpointOf(engine) {
+    const checkpoint = createCheckpoint({
+        runId: 'test',
+        config: {
+            generator: engine.generator,
+            seed: engine.rngSeed,
+            key: engine.rngKey,
+            unroll: engine.unroll,
+            batchSize: BATCH_SIZE,
+            estimator: estimatorSettings(engine),
+            launch: launchConfig(engine)
+        },
+        states: await engine.readRNGState(),
+        frame: engine.frameCounter,
+        sampleBase: engine.nextSampleBase,
+        inside: 0n,
+        total: 0n,
+        replicates: null
+    });
+    return parseCheckpointFile(toCheckpointFile(checkpoint));
+}
+
+test('restoreRun continues a checkpointed run bit for bit', async () => {
+    const { engine } = await createEngine();
+    await engine.run({ frames: 1, batchSize: BATCH_SIZE });
+    const checkpoint = await checkpointOf(engine);
+    const uninterrupted = await engine.run({ frames: 1, batchSize: BATCH_SIZE });
+
+    const { engine: restored } = await createEngine();
+    const progress = checkpointProgress(checkpoint);
+    await restored.restoreRun({ ...checkpoint.config, states: checkpoint.states, frame: progress.frame, sampleBase: progress.sampleBase });
+    assert.equal(restored.frameCounter, 1);
+    const resumed = await restored.run({ frames: 1, batchSize: BATCH_SIZE });
+    assert.deepEqual({ inside: resumed.inside, total: resumed.total }, { inside: uninterrupted.inside, total: uninterrupted.total });
+});
+
+test('restoreRun rejects states that do not match the thread count', async () => {
+    const { engine } = await createEngine();
+    const checkpoint = await checkpointOf(engine);
+    const run = { ...checkpoint.config, frame: 0, sampleBase: 0n };
+
+    await assert.rejects(engine.restoreRun({ ...run, states: checkpoint.states.subarray(16) }),
+        /65520 state words do not fit 4,?096 .* threads \(65536 words\)/);
+    await assert.rejects(engine.restoreRun({ ...run, states: new Uint32Array(checkpoint.states.length + 16) }),
+        /65552 state words do not fit/);
+    await assert.rejects(engine.restoreRun({ ...run, launch: { ...run.launch, dispatch: [32, 1] }, states: checkpoint.states }),
+        /65536 state words do not fit 8,?192 /);
+});
+
+test('the benchmark protocol runs the engine\'s own dispatch by default', async () => {
+    const { engine } = await createEngine();
+    const protocol = new BenchmarkProtocol(engine, { warmupSeconds: 0, measureSeconds: 0.01, batchSize: BATCH_SIZE });
+    assert.deepEqual(protocol.config.dispatch, engine.dispatch);
+
+    const report = await protocol.run();
+    const samplesPerFrame = BigInt(THREADS * BATCH_SIZE * SAMPLES_PER_ITERATION);
+    assert.ok(report.total > 0n);
+    assert.equal(report.total % samplesPerFrame, 0n);
+});
+
+test('one seeded expansion serves every smaller thread count', async () => {
+    const { engine } = await createEngine();
+    engine.reserveSeededStates(2 * THREADS);
+    const expansion = engine.seededStates;
+    assert.equal(expansion.threads, 2 * THREADS);
+
+    await engine.setLaunchConfig({ dispatch: [2 * THREADS / engine.workgroupSize, 1] });
+    assert.deepEqual(engine.buffers.rngState.words(), createSeededState(SEED, 2 * THREADS));
+    await engine.setLaunchConfig({ dispatch: [THREADS / engine.workgroupSize, 1] });
+    assert.deepEqual(engine.buffers.rngState.words(), createSeededState(SEED, THREADS));
+    assert.equal(engine.seededStates, expansion);
+});
+
+test('the auto-tuner seeds once for its whole thread sweep', async () => {
+    const { engine } = await createEngine();
+    const space = { workgroupSize: [256], numSlots: [engine.numSlots], threads: [THREADS, 2 * THREADS], batchSize: [BATCH_SIZE] };
+    const tuner = new AutoTuner(engine, { space, warmupSeconds: 0, measureSeconds: 0.01 });
+    engine.updateParams({ batch_size: BATCH_SIZE });
+
+    const result = await tuner.run();
+    assert.ok(result.candidates.some(c => threadCount(c.tuning) === 2 * THREADS));
+    assert.equal(engine.seededStates.threads, 2 * THREADS);
+    assert.deepEqual(engine.buffers.rngState.words().subarray(0, engine.totalThreads * 16), createSeededState(SEED, engine.totalThreads));
+});
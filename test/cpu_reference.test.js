@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeededState } from '../src/core/xoshiro.js';
+import { runReferenceThreads, SAMPLES_PER_ITERATION } from '../src/core/cpu_reference.js';
+
+const SEED = 12345;
+const THREADS = 256;
+const BATCH_SIZE = 64;
+
+function sum(results) {
+    return results.reduce((acc, r) => ({ inside: acc.inside + r.inside, total: acc.total + r.total }), { inside: 0, total: 0 });
+}
+
+// Pinned outputs of the Math.fround port: a change here changes what the GPU audit expects
+test('seeded Xoshiro128++ reference run is pinned', () => {
+    const states = createSeededState(SEED, THREADS);
+    assert.deepEqual(Array.from(states.subarray(0, 4)), [2849051040, 84546129, 2083720145, 2870279397]);
+
+    const results = runReferenceThreads(states, BATCH_SIZE);
+    assert.equal(results.length, THREADS);
+    assert.deepEqual(sum(results), { inside: 103110, total: THREADS * BATCH_SIZE * SAMPLES_PER_ITERATION });
+    assert.deepEqual(results[0], { thread: 0, inside: 410, total: 512 });
+    assert.deepEqual(results[THREADS - 1], { thread: THREADS - 1, inside: 405, total: 512 });
+    // Advanced in place like the kernel's "Save RNG State" step
+    assert.deepEqual(Array.from(states.subarray(0, 4)), [1588009719, 673295354, 3024891576, 1802760240]);
+});
+
+test('a batch split over two frames continues the same stream', () => {
+    const states = createSeededState(SEED, THREADS);
+    const first = sum(runReferenceThreads(states, BATCH_SIZE / 2));
+    const second = sum(runReferenceThreads(states, BATCH_SIZE / 2));
+
+    assert.equal(first.inside + second.inside, 103110);
+    assert.deepEqual(Array.from(states.subarray(0, 4)), [1588009719, 673295354, 3024891576, 1802760240]);
+});
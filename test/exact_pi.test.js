@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    countCorrectDigits, exactPiEstimate, formatRatio, integerRoot, toScientific, PI_REFERENCE, PI_REFERENCE_DECIMALS
+} from '../src/core/exact_pi.js';
+import { REPORT_DECIMALS } from '../src/core/report.js';
+
+const FIVE_BALL = { mode: 'pi', dimension: 5 };
+
+test('formatRatio truncates instead of rounding', () => {
+    assert.equal(formatRatio(2n, 3n, 5), '0.66666');
+    assert.equal(formatRatio(22n, 7n, 0), '3');
+    assert.equal(formatRatio(1n, 8n, 5), '0.12500');
+});
+
+test('integerRoot is the exact floor of the root', () => {
+    assert.equal(integerRoot(10n ** 20n, 2), 10n ** 10n);
+    assert.equal(integerRoot(10n ** 20n - 1n, 2), 10n ** 10n - 1n);
+    assert.equal(integerRoot(3n ** 45n, 5), 3n ** 9n);
+    assert.equal(integerRoot(3n ** 45n - 1n, 5), 3n ** 9n - 1n);
+    assert.equal(integerRoot(1n, 3), 1n);
+    assert.throws(() => integerRoot(-1n, 2), RangeError);
+});
+
+test('circle estimate 4 * 785398 / 10^6 is exact against π', () => {
+    const exact = exactPiEstimate(785398n, 1000000n);
+    assert.equal(exact.estimate, '3.1415920000');
+    assert.equal(exact.correctDigits, 7);
+    assert.equal(exact.error, '0.000000' + PI_REFERENCE.slice(8));
+    assert.equal(exact.errorScientific, '6.5358e-7');
+    assert.equal(exact.above, false);
+});
+
+test('report decimals truncate and decimals are clamped to the reference', () => {
+    assert.equal(exactPiEstimate(2n, 3n, REPORT_DECIMALS).estimate, '2.' + '6'.repeat(REPORT_DECIMALS));
+    assert.equal(exactPiEstimate(785398n, 1000000n, REPORT_DECIMALS).estimate, '3.141592' + '0'.repeat(REPORT_DECIMALS - 6));
+    assert.equal(exactPiEstimate(1n, 1n, 1000).estimate, '4.' + '0'.repeat(PI_REFERENCE_DECIMALS));
+    assert.equal(exactPiEstimate(1n, 1n, -3).estimate, '4');
+    assert.deepEqual(exactPiEstimate(0n, 0n), { estimate: '0.0000000000', correctDigits: 0, error: '', errorScientific: '', above: false });
+});
+
+test('5-ball estimate takes the square root of 60 * inside / total', () => {
+    // π̂² = 60 * 98596 / 600000 = 3.14²
+    const square = exactPiEstimate(98596n, 600000n, REPORT_DECIMALS, FIVE_BALL);
+    assert.equal(square.estimate, '3.14' + '0'.repeat(REPORT_DECIMALS - 2));
+    assert.equal(square.correctDigits, 3);
+    assert.equal(square.error, '0.00' + PI_REFERENCE.slice(4));
+    assert.equal(square.above, false);
+
+    // π̂ = √9.87 = 3.14165561448100163975653338790041…
+    const root = exactPiEstimate(1645n, 10000n, REPORT_DECIMALS, FIVE_BALL);
+    assert.equal(root.estimate, '3.141655614481001639756533387900');
+    assert.equal(root.correctDigits, 4);
+    assert.equal(root.errorScientific, '6.2960e-5');
+    assert.equal(root.above, true);
+});
+
+test('digit counting and scientific notation', () => {
+    assert.equal(countCorrectDigits('3.1415'), 5);
+    assert.equal(countCorrectDigits('3.15'), 2);
+    assert.equal(countCorrectDigits('2.0'), 0);
+    assert.equal(toScientific('0.000123456'), '1.2345e-4');
+    assert.equal(toScientific('2.5'), '2.5e0');
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createQMCStream, haltonPoint, hash32, owenScramble, radicalInverse3, reverseBits32, scrambleSeed, sobolDim1, sobolPoint
+} from '../src/core/qmc.js';
+
+const TWO_32 = 2 ** 32;
+const unit = (x) => x / TWO_32;
+
+/** Points i < 2^m of (dim 0, dim 1) hit every elementary interval of area 2^-m exactly once */
+function assertStratified(points, m) {
+    for (let a = 0; a <= m; a++) {
+        const cells = new Set(points.map(([x, y]) => `${x >>> (32 - a)},${y >>> (32 - (m - a))}`));
+        assert.equal(cells.size, 2 ** m, `2^-${a} x 2^-${m - a} boxes`);
+    }
+}
+
+test('Sobol dimension 1 uses the Joe-Kuo direction numbers of x + 1', () => {
+    // m_k = 1, 3, 5, 15, 17, 51, 85, 255: v_k = m_k / 2^k
+    [1, 3, 5, 15, 17, 51, 85, 255].forEach((m, k) => {
+        assert.equal(sobolDim1(2 ** k), (m * 2 ** (31 - k)) >>> 0, `v_${k + 1}`);
+    });
+    assert.equal(sobolDim1(3), (sobolDim1(1) ^ sobolDim1(2)) >>> 0);
+});
+
+test('unscrambled Sobol starts with the textbook points in index order and is a (0, 2)-sequence', () => {
+    const first = Array.from({ length: 8 }, (_, i) => [unit(reverseBits32(i)), unit(sobolDim1(i))]);
+    assert.deepEqual(first, [
+        [0, 0], [0.5, 0.5], [0.25, 0.75], [0.75, 0.25],
+        [0.125, 0.625], [0.625, 0.125], [0.375, 0.375], [0.875, 0.875]
+    ]);
+    const m = 8;
+    assertStratified(Array.from({ length: 2 ** m }, (_, i) => [reverseBits32(i), sobolDim1(i)]), m);
+});
+
+test('Owen scrambling is nested and keeps the Sobol stratification', () => {
+    const seed = scrambleSeed(42, 0, 0, 0);
+    // Output bit k (from the top) depends only on input bits 0..k
+    for (let i = 0; i < 256; i++) {
+        const x = hash32(i);
+        const k = 1 + (i % 31);
+        const y = (x ^ (1 << (31 - k))) >>> 0; // differs from x below the top k bits
+        assert.equal(owenScramble(x, seed) >>> (32 - k), owenScramble(y, seed) >>> (32 - k), `x = ${x}, k = ${k}`);
+    }
+
+    const m = 8;
+    const seeds = [scrambleSeed(7, 0, 3, 0), scrambleSeed(7, 1, 3, 0)];
+    const points = Array.from({ length: 2 ** m }, (_, i) => [sobolPoint(0, i, seeds[0]), sobolPoint(1, i, seeds[1])]);
+    assertStratified(points, m);
+    assert.notDeepEqual(points[0], [0, 0]);
+});
+
+test('scramble seeds and scrambled points are pinned', () => {
+    // Regression pins: the WGSL twins in qmc.wgsl must give the same words
+    assert.equal(hash32(1), 0x688990C0);
+    assert.equal(scrambleSeed(42, 0, 0, 0), 0xE1070DB9);
+    assert.equal(scrambleSeed(42, 1, 1, 1), 0x784BC284);
+    assert.equal(owenScramble(0x12345678, 0x9E3779B9), 0xA61C7925);
+    assert.equal(sobolPoint(0, 5, 0x9E3779B9), owenScramble(reverseBits32(5), 0x9E3779B9));
+    assert.equal(sobolPoint(1, 5, 0x9E3779B9), owenScramble(sobolDim1(5), 0x9E3779B9));
+});
+
+test('Halton base 3 radical inverse is exact in 0.32 fixed point', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(radicalInverse3), [1431655765, 2863311530, 477218588, 1908874353, 3340530118]);
+    for (let n = 1; n < 5000; n += 7) {
+        // Σ d_k * floor(2^32 / 3^(k+1)), evaluated independently in BigInt
+        let expected = 0n;
+        let w = 3n;
+        for (let i = n; i > 0; i = Math.floor(i / 3), w *= 3n) expected += BigInt(i % 3) * (2n ** 32n / w);
+        assert.equal(radicalInverse3(n), Number(expected), `n = ${n}`);
+    }
+    assert.equal(haltonPoint(0, 6, 0), reverseBits32(6));
+    // Cranley-Patterson: a shift modulo 1
+    assert.equal(haltonPoint(1, 2, 0x60000000), (2863311530 + 0x60000000) % TWO_32);
+});
+
+test('streams split the index into replicate, epoch and point at 2^32', () => {
+    const record = (dim, index, seed) => ({ dim, index, seed });
+    const draw = (next) => {
+        const out = [];
+        next(out);
+        return out;
+    };
+
+    // Thread 300 of a 256 wide workgroup with 2 replicates: workgroup 1 is replicate 1, local thread 44
+    const ctx = { thread: 300, key: 9, batchSize: 1, unroll: 1, replicates: 2, workgroupSize: 256 };
+    const next = createQMCStream(record, { ...ctx, sampleBase: 2n ** 32n - 2n - 44n * 4n });
+    const seed = (dim, epoch) => scrambleSeed(9, dim, 1, epoch);
+
+    const expected = (dim) => [
+        { dim, index: TWO_32 - 2, seed: seed(dim, 0) },
+        { dim, index: TWO_32 - 1, seed: seed(dim, 0) },
+        { dim, index: 0, seed: seed(dim, 1) },
+        { dim, index: 1, seed: seed(dim, 1) }
+    ];
+    assert.deepEqual(draw(next), expected(0));
+    assert.deepEqual(draw(next), expected(1));
+    // The next 4 points lie wholly in epoch 1
+    assert.deepEqual(draw(next).map(p => [p.index, p.seed]), [2, 3, 4, 5].map(i => [i, seed(0, 1)]));
+
+    // Replicate 0 scrambles the same indices with its own seeds
+    const other = createQMCStream(record, { ...ctx, thread: 44, sampleBase: 2n ** 32n - 2n - 44n * 4n });
+    assert.deepEqual(draw(other).map(p => p.index), [TWO_32 - 2, TWO_32 - 1, 0, 1]);
+    assert.equal(draw(other)[0].seed, scrambleSeed(9, 1, 0, 0));
+    assert.notEqual(scrambleSeed(9, 1, 0, 0), seed(1, 0));
+});
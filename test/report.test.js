@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CPUBackend } from '../src/core/cpu_backend.js';
+import { createBenchmarkRecord, toCSV, toMarkdown } from '../src/core/report.js';
+import { configKey } from '../src/core/history_store.js';
+
+function protocolReport(batchSize) {
+    const run = {
+        repetition: 1, inside: 785398n, total: 1000000n, replicates: null, wallSeconds: 1, gpuSeconds: null,
+        timingMethod: 'wall-clock', samplesPerSec: 1e6, wallSamplesPerSec: 1e6, gflops: 0.015, kernelTiming: null
+    };
+    return {
+        config: { warmupSeconds: 1, measureSeconds: 1, batchSize, repetitions: 1, dispatch: [128, 1] },
+        timingMethod: 'wall-clock',
+        runs: [run],
+        inside: run.inside,
+        total: run.total,
+        replicates: null,
+        samplesPerSec: run.samplesPerSec,
+        gflops: run.gflops
+    };
+}
+
+test('CPU backend records the batch and threads it actually runs', () => {
+    const backend = new CPUBackend({ createWorker: () => null, workerCount: 1 });
+    assert.equal(backend.effectiveBatchSize(64), 64);
+    assert.equal(backend.effectiveBatchSize(5000), backend.maxBatchSize);
+
+    const record = createBenchmarkRecord({ backend, report: protocolReport(5000), userAgent: 'node' });
+    const c = record.configuration;
+    assert.equal(c.batchSize, 5000);
+    assert.equal(c.effectiveBatchSize, backend.maxBatchSize);
+    assert.deepEqual(c.dispatch, backend.dispatch);
+    assert.equal(c.totalThreads, backend.totalThreads);
+    assert.equal(c.dispatch[0] * c.dispatch[1] * c.workgroupSize, c.totalThreads);
+
+    assert.match(toMarkdown(record), /\| Batch Size \| 5000 \(effective 256\) \|/);
+    assert.match(toMarkdown(record), /= 4,096 threads/);
+    const [header, row] = toCSV(record).split('\n');
+    const column = (name) => row.split(',')[header.split(',').indexOf(name)];
+    assert.equal(column('effective_batch_size'), '256');
+    assert.equal(column('total_threads'), '4096');
+    assert.match(configKey(record), /batch=256,dispatch=16x1,/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BATTERY_LAYOUT, BATTERY_OFFSETS, HIST_CELLS, birthdayDayBits, evaluateBattery, mergeSparseCells } from '../src/core/rng_battery.js';
+
+const poisson = (lambda, k) => Math.exp(-lambda) * lambda ** k / [1, 1, 2, 6, 24, 120][k];
+
+/** Battery counts whose birthday histogram holds the expected Poisson(2) counts of `samples` */
+function birthdayCounts(samples) {
+    const counts = new Float64Array(HIST_CELLS);
+    const bins = BATTERY_LAYOUT.BIRTHDAY;
+    let rest = samples;
+    for (let k = 0; k < bins - 1; k++) {
+        counts[BATTERY_OFFSETS.BIRTHDAY + k] = samples * poisson(2, k);
+        rest -= samples * poisson(2, k);
+    }
+    counts[BATTERY_OFFSETS.BIRTHDAY + bins - 1] = rest;
+    return counts;
+}
+
+test('the birthday year keeps λ = 2 at every workgroup size', () => {
+    for (const workgroupSize of [64, 128, 256, 512, 1024]) {
+        const m = 2 * workgroupSize;
+        assert.equal(m ** 3 / (4 * 2 ** birthdayDayBits(workgroupSize)), 2, `workgroup size ${workgroupSize}`);
+    }
+    assert.equal(birthdayDayBits(256), 24); // Marsaglia's 512 birthdays in 2^24 days
+});
+
+test('sparse cells are merged into their neighbours', () => {
+    const probabilities = [0.5, 0.3, 0.15, 0.04, 0.01];
+    assert.deepEqual(mergeSparseCells([50, 30, 15, 4, 1], probabilities, 100).observed, [50, 30, 15, 5]);
+    assert.deepEqual(mergeSparseCells([50, 30, 15, 4, 1], probabilities, 60).observed, [50, 30, 20]);
+    assert.deepEqual(mergeSparseCells([5000, 3000, 1500, 400, 100], probabilities, 10000).observed, [5000, 3000, 1500, 400, 100]);
+    const front = mergeSparseCells([1, 49, 50], [0.01, 0.49, 0.5], 100);
+    assert.deepEqual(front.observed, [50, 50]);
+    assert.ok(Math.abs(front.probabilities[0] - 0.5) < 1e-12);
+    assert.equal(mergeSparseCells([6, 2], [0.6, 0.4], 8), null);
+});
+
+test('birthday spacings are tested on merged cells and skipped when underpowered', () => {
+    const run = { iterations: 1, passes: 16, workgroupSize: 64 };
+    const birthday = (report) => report.tests.find(t => t.name === 'Birthday spacings');
+
+    // 65,536 threads: 1024 workgroups x 16 passes
+    const full = evaluateBattery(birthdayCounts(16384), { ...run, threads: 65536 });
+    assert.ok(birthday(full).pValue > 0.99);
+    assert.match(birthday(full).detail, /n = 2\^18, λ = 2, 7 cells/);
+    assert.deepEqual(full.skipped, []);
+
+    // 1 workgroup x 16 passes: the tail folds into k <= 3
+    const small = evaluateBattery(birthdayCounts(16), { ...run, passes: 16, threads: 64 });
+    assert.equal(birthday(small), undefined);
+    assert.equal(small.skipped[0].name, 'Birthday spacings');
+
+    const merged = evaluateBattery(birthdayCounts(64), { ...run, passes: 64, threads: 64 });
+    assert.match(birthday(merged).detail, /[2-6] cells/);
+    assert.ok(birthday(merged).pValue > 0.99);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { composeShader, ShaderCompositionError } from '../src/core/shader_preprocessor.js';
+
+const lines = (...text) => text.join('\n');
+
+function assertCompositionError(source, options, pattern, line) {
+    assert.throws(() => composeShader(source, options), (e) => {
+        assert.ok(e instanceof ShaderCompositionError, `expected ShaderCompositionError, got ${e}`);
+        assert.match(e.message, pattern);
+        assert.equal(e.line, line);
+        return true;
+    });
+}
+
+test('substitutes defines and passes other lines through', () => {
+    const source = lines('const N: u32 = {{N}}u;', 'let x = {{ SCALE }} * y;');
+    assert.equal(composeShader(source, { defines: { N: 64, SCALE: '0.5' } }),
+        lines('const N: u32 = 64u;', 'let x = 0.5 * y;'));
+});
+
+test('#if / #elif / #else pick exactly one branch', () => {
+    const source = lines(
+        '#if MODE == a',
+        'A',
+        '#elif MODE == b',
+        'B',
+        '#elif !FALLBACK',
+        'C',
+        '#else',
+        'D',
+        '#endif'
+    );
+    const compose = (MODE, FALLBACK) => composeShader(source, { defines: { MODE, FALLBACK } });
+    assert.equal(compose('a', true), 'A');
+    assert.equal(compose('b', true), 'B');
+    assert.equal(compose('c', false), 'C');
+    assert.equal(compose('c', '1'), 'D');
+});
+
+test('truthiness of defines', () => {
+    const source = lines('#if FLAG', 'on', '#else', 'off', '#endif');
+    for (const value of [false, 0, '', '0', null]) {
+        assert.equal(composeShader(source, { defines: { FLAG: value } }), 'off', `FLAG = ${JSON.stringify(value)}`);
+    }
+    for (const value of [true, 1, 'f16']) {
+        assert.equal(composeShader(source, { defines: { FLAG: value } }), 'on', `FLAG = ${JSON.stringify(value)}`);
+    }
+});
+
+test('nested blocks inside an inactive branch stay inactive', () => {
+    const source = lines('#if OUTER', '#if INNER', 'x', '#else', 'y', '#endif', '#else', 'z', '#endif');
+    assert.equal(composeShader(source, { defines: { OUTER: false, INNER: false } }), 'z');
+    assert.equal(composeShader(source, { defines: { OUTER: true, INNER: false } }), 'y');
+});
+
+test('#repeat expands its body with REPEAT_INDEX', () => {
+    const source = lines('#repeat COUNT', '    s{{REPEAT_INDEX}} = next();', '#endrepeat');
+    assert.equal(composeShader(source, { defines: { COUNT: 3 } }),
+        lines('    s0 = next();', '    s1 = next();', '    s2 = next();'));
+    assert.equal(composeShader(lines('#repeat 0', 'x', '#endrepeat', 'y')), 'y');
+});
+
+test('#inject inserts the supplied code', () => {
+    const source = lines('a', '#inject RNG', 'b');
+    assert.equal(composeShader(source, { injections: { RNG: 'fn rng() {}' } }), lines('a', 'fn rng() {}', 'b'));
+});
+
+test('#inject in an inactive branch needs no value', () => {
+    const source = lines('#if INTEGRATOR', '#inject INTEGRAND', '#endif', 'x');
+    assert.equal(composeShader(source, { defines: { INTEGRATOR: false } }), 'x');
+});
+
+test('rejects undefined defines with the source line', () => {
+    assertCompositionError(lines('ok', 'let n = {{MISSING}};'), {}, /Undefined shader define 'MISSING'/, 2);
+    assertCompositionError(lines('#if MISSING', '#endif'), {}, /Undefined shader define 'MISSING'/, 1);
+    assertCompositionError(lines('#if A B', '#endif'), { defines: { A: 1 } }, /Malformed condition/, 1);
+});
+
+test('rejects unbalanced blocks', () => {
+    assertCompositionError(lines('#if A', 'x'), { defines: { A: 1 } }, /#if without #endif/, 1);
+    assertCompositionError(lines('x', '#endif'), {}, /#endif without #if/, 2);
+    assertCompositionError('#else', {}, /#else without #if/, 1);
+    assertCompositionError('#elif A', {}, /#elif without #if/, 1);
+    assertCompositionError(lines('#repeat 2', 'x'), {}, /#repeat without #endrepeat/, 1);
+    assertCompositionError('#endrepeat', {}, /#endrepeat without #repeat/, 1);
+    assertCompositionError(lines('#repeat 2', '#repeat 2', '#endrepeat', '#endrepeat'), {}, /Nested #repeat/, 2);
+});
+
+test('rejects a second #else and #elif after #else', () => {
+    const defines = { A: 0, B: 1 };
+    assertCompositionError(lines('#if A', 'x', '#else', 'y', '#else', 'z', '#endif'), { defines }, /Second #else \(first on line 3\)/, 5);
+    assertCompositionError(lines('#if A', 'x', '#else', 'y', '#elif B', 'z', '#endif'), { defines }, /#elif after #else \(line 3\)/, 5);
+    // A nested block has its own #else
+    assert.equal(composeShader(lines('#if A', '#else', '#if B', 'x', '#else', 'y', '#endif', '#endif'), { defines }), 'x');
+});
+
+test('rejects #inject without a supplied value', () => {
+    assertCompositionError(lines('a', '#inject RNG'), {}, /No value supplied for '#inject RNG'/, 2);
+    assertCompositionError('#inject RNG', { injections: { RNG: undefined } }, /No value supplied/, 1);
+});
+
+test('rejects a supplied injection without a marker', () => {
+    assertCompositionError('x', { injections: { RNG: 'fn rng() {}' } }, /'#inject RNG' not found/, null);
+    assertCompositionError('#inject 1RNG', {}, /Malformed injection point/, 1);
+});
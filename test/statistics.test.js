@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    erfc, normalQuantile, twoSidedPValue, chiSquareSurvival, studentTSurvival, studentTQuantile,
+    standardError, piConfidenceIntervals, analyzeEstimate, analyzeReplicates
+} from '../src/core/statistics.js';
+
+/** |actual - expected| <= tolerance · max(1, |expected|) */
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)),
+        `${message ?? ''} expected ${expected}, got ${actual}`);
+}
+
+test('erfc matches tabulated values to its 1.2e-7 relative error', () => {
+    const table = [
+        [0, 1],
+        [0.5, 0.4795001221869535],
+        [1, 0.15729920705028513],
+        [2, 0.004677734981047266],
+        [3, 2.209049699858544e-5],
+        [-1, 1.8427007929497148]
+    ];
+    for (const [x, expected] of table) {
+        assert.ok(Math.abs(erfc(x) - expected) <= 1.2e-7 * expected, `erfc(${x})`);
+    }
+});
+
+test('normal quantile and two-sided p-value agree with the 95% critical value', () => {
+    assertClose(normalQuantile(0.975), 1.959963984540054, 1e-9);
+    assertClose(normalQuantile(0.005), -2.5758293035489004, 1.2e-9);
+    assertClose(twoSidedPValue(1.959963984540054), 0.05, 1e-7);
+});
+
+test('chi-square survival matches critical values of the chi-square table', () => {
+    const table = [
+        // [x, df, upper tail]
+        [3.841458820694124, 1, 0.05],
+        [6.6348966010212145, 1, 0.01],
+        [5.991464547107979, 2, 0.05],
+        [11.070497693516351, 5, 0.05],
+        [23.209251158954356, 10, 0.01]
+    ];
+    for (const [x, df, p] of table) assertClose(chiSquareSurvival(x, df), p, 1e-7, `df=${df}`);
+    assert.equal(chiSquareSurvival(0, 3), 1);
+});
+
+test('Student t tail and quantile match critical values of the t table', () => {
+    const table = [
+        // [t, df, upper tail]
+        [12.706204736174707, 1, 0.025],
+        [63.65674116287399, 1, 0.005],
+        [3.182446305284263, 3, 0.025],
+        [2.570581835636314, 5, 0.025],
+        [2.228138851986274, 10, 0.025],
+        [2.045229642132703, 29, 0.025]
+    ];
+    for (const [t, df, p] of table) {
+        assertClose(studentTSurvival(t, df), p, 1e-10, `df=${df}`);
+        assertClose(studentTSurvival(-t, df), 1 - p, 1e-10, `df=${df}`);
+        assertClose(studentTQuantile(1 - p, df), t, 1e-9, `df=${df}`);
+    }
+});
+
+test('Wilson interval matches Newcombe (1998), scaled by 4 for the circle', () => {
+    const table = [
+        // [successes, trials, lower, upper] at 95%
+        [81, 263, 0.2553, 0.3662],
+        [15, 148, 0.0624, 0.1605],
+        [0, 20, 0, 0.1611],
+        [1, 29, 0.0061, 0.1718]
+    ];
+    for (const [k, n, lo, hi] of table) {
+        const [piLo, piHi] = piConfidenceIntervals(k, n, 0.95).wilson;
+        assertClose(piLo / 4, lo, 5e-5, `${k}/${n} lower`);
+        assertClose(piHi / 4, hi, 5e-5, `${k}/${n} upper`);
+    }
+});
+
+test('standard error of the circle is sqrt(π(4 - π)/N)', () => {
+    assertClose(standardError(1e6), Math.sqrt(Math.PI * (4 - Math.PI) / 1e6), 1e-12);
+    assertClose(standardError(1000000n), 0.0016421833677363, 1e-12);
+});
+
+test('z-score, chi-square and p-values of a count pair', () => {
+    const n = 1e6;
+    const p = Math.PI / 4;
+    const inside = 786398;
+    const result = analyzeEstimate(BigInt(inside), BigInt(n));
+
+    assert.equal(result.piEstimate, 4 * inside / n);
+    assertClose(result.z, (inside - n * p) / Math.sqrt(n * p * (1 - p)), 1e-12);
+    assertClose(result.z, 2.435383580653301, 1e-9);
+    assertClose(result.chiSquare, result.z ** 2, 1e-9);
+    assertClose(result.chiSquarePValue, result.pValue, 1e-12);
+    assertClose(result.pValue, 0.014876, 1e-5);
+    assert.equal(result.consistent, false);
+    assert.equal(analyzeEstimate(785398n, 1000000n).consistent, true);
+});
+
+test('analyzeReplicates takes mean, spread and t interval from the replicates', () => {
+    // π̂ per replicate: 3.12, 3.16, 3.14, 3.18
+    const result = analyzeReplicates([780, 790, 785, 795].map(inside => ({ inside: BigInt(inside), total: 1000n })));
+    const se = Math.sqrt(0.002 / 3) / 2;
+
+    assertClose(result.piEstimate, 3.15, 1e-12);
+    assert.deepEqual(result.estimates.map(e => Number(e.toFixed(12))), [3.12, 3.16, 3.14, 3.18]);
+    assertClose(result.standardError, se, 1e-12);
+    assert.equal(result.df, 3);
+    assertClose(result.t, (3.15 - Math.PI) / se, 1e-9);
+    assertClose(result.interval[1] - result.piEstimate, 3.182446305284263 * se, 1e-9);
+    assertClose(result.binomialError, standardError(4000), 1e-12);
+    assertClose(result.varianceReduction, (standardError(4000) / se) ** 2, 1e-9);
+    assert.equal(result.consistent, true);
+});
+
+test('analyzeReplicates compares with the binomial error of its own estimator', () => {
+    const replicates = [{ inside: 630, total: 1000 }, { inside: 640, total: 1000 }];
+    for (const estimator of [{ mode: 'buffon' }, { mode: 'pi', dimension: 3 }]) {
+        const result = analyzeReplicates(replicates, { estimator });
+        assertClose(result.binomialError, standardError(2000, estimator), 1e-12, estimator.mode);
+    }
+    assert.notEqual(analyzeReplicates(replicates, { estimator: { mode: 'buffon' } }).binomialError, standardError(2000));
+});
+
+test('analyzeReplicates rejects fewer than two replicates', () => {
+    assert.throws(() => analyzeReplicates([{ inside: 1, total: 2 }]), RangeError);
+});
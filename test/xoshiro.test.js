@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createSeededState, createSplitMix64, seedBaseState, xoshiro128ppNext, xoshiroJump, xoshiroLongJump,
+    LANES, WORDS_PER_THREAD
+} from '../src/core/xoshiro.js';
+
+// Outputs of the reference xoshiro128plusplus.c (Blackman & Vigna) from the state {1, 2, 3, 4}
+const REFERENCE = {
+    next: [641, 1573767, 3222811527, 3517856514],
+    jump: [2843103750, 2038079848, 1533207345, 44816753],
+    jumpTwice: [1683059163, 42983221, 988985087, 3798436341],
+    longJump: [1611968294, 2125834322, 966769569, 3193880526]
+};
+
+const referenceState = () => new Uint32Array([1, 2, 3, 4]);
+
+test('xoshiro128++ matches the reference outputs', () => {
+    const s = referenceState();
+    assert.deepEqual(REFERENCE.next.map(() => xoshiro128ppNext(s)), REFERENCE.next);
+});
+
+test('jump and long jump match the reference implementation', () => {
+    const s = referenceState();
+    xoshiroJump(s);
+    assert.deepEqual([...s], REFERENCE.jump);
+    xoshiroJump(s);
+    assert.deepEqual([...s], REFERENCE.jumpTwice);
+
+    const l = referenceState();
+    xoshiroLongJump(l);
+    assert.deepEqual([...l], REFERENCE.longJump);
+});
+
+/** The 128 x 128 GF(2) matrix of one xoshiro128 step: row i is a BigInt mask of the input bits of output bit i */
+function stepMatrix() {
+    const rows = [];
+    for (let bit = 0; bit < 128; bit++) {
+        const s = new Uint32Array(4);
+        s[bit >> 5] = 1 << (bit & 31);
+        xoshiro128ppNext(s);
+        rows.push(toBits(s));
+    }
+    // rows[j] is the image of input bit j: transpose into output-bit rows
+    const out = Array(128).fill(0n);
+    rows.forEach((image, j) => {
+        for (let i = 0; i < 128; i++) if ((image >> BigInt(i)) & 1n) out[i] |= 1n << BigInt(j);
+    });
+    return out;
+}
+
+const toBits = (s) => s.reduce((acc, w, i) => acc | (BigInt(w) << BigInt(32 * i)), 0n);
+
+function parity(x) {
+    let p = 0n;
+    while (x) {
+        p ^= x & 1n;
+        x >>= 1n;
+    }
+    return p;
+}
+
+function apply(matrix, s) {
+    const x = toBits(s);
+    const y = matrix.reduce((acc, row, i) => acc | (parity(row & x) << BigInt(i)), 0n);
+    return [0, 1, 2, 3].map(w => Number((y >> BigInt(32 * w)) & 0xFFFFFFFFn));
+}
+
+function square(matrix) {
+    // (M·M) row i = XOR of the rows j of M selected by row i of M
+    return matrix.map(row => {
+        let acc = 0n;
+        for (let j = 0; row >> BigInt(j); j++) if ((row >> BigInt(j)) & 1n) acc ^= matrix[j];
+        return acc;
+    });
+}
+
+test('jump polynomials advance exactly 2^64 and 2^96 steps', () => {
+    let m = stepMatrix();
+    for (let k = 0; k < 64; k++) m = square(m);
+    assert.deepEqual(apply(m, referenceState()), REFERENCE.jump);
+    for (let k = 64; k < 96; k++) m = square(m);
+    assert.deepEqual(apply(m, referenceState()), REFERENCE.longJump);
+});
+
+test('SplitMix64 matches its reference sequence', () => {
+    const next = createSplitMix64(0);
+    assert.deepEqual([next(), next(), next()], [0xE220A8397B1DCDAFn, 0x6E789E6AA1B965F4n, 0x06C45D188009454Fn]);
+    assert.deepEqual([...seedBaseState(0)], [0x7B1DCDAF, 0xE220A839, 0xA1B965F4, 0x6E789E6A]);
+});
+
+test('seeded states are deterministic and laid out as thread long jumps and lane jumps', () => {
+    const threads = 8;
+    const states = createSeededState(42, threads);
+    assert.deepEqual(createSeededState(42, threads), states);
+    assert.notDeepEqual(createSeededState(43, threads), states);
+    // A thread's states do not depend on the thread count
+    assert.deepEqual(createSeededState(42, 3), states.subarray(0, 3 * WORDS_PER_THREAD));
+
+    const threadBase = seedBaseState(42);
+    for (let t = 0; t < threads; t++) {
+        const lane = threadBase.slice();
+        for (let l = 0; l < LANES; l++) {
+            const words = [0, 1, 2, 3].map(w => states[t * WORDS_PER_THREAD + w * LANES + l]);
+            assert.deepEqual(words, [...lane], `thread ${t} lane ${l}`);
+            xoshiroJump(lane);
+        }
+        xoshiroLongJump(threadBase);
+    }
+});